@@ -0,0 +1,575 @@
+#!/usr/bin/env node
+/**
+ * Command line interface of the Coolify scraper
+ *
+ * Usage:
+ *   coolify-scraper scrape [--only <stage>[,<stage>...]] [--from <run>] [--resume <run>]
+ *                          [--url <url>] [--backend ui|api] [--concurrency <n>] [--teams <names>]
+ *                          [--deployments <n>] [--build-logs <n>] [--headed|--headless]
+ *   coolify-scraper list [--json]
+ *   coolify-scraper export <run> [--format snapshot|compose|containers-list] [--out <file|dir>]
+ *   coolify-scraper export-env <run> --out <dir>
+ *   coolify-scraper validate [run...]
+ *   coolify-scraper commits <run> [--json]
+ *   coolify-scraper report <run> --out <dir>
+ *   coolify-scraper exporter [--port <port>] [--host <host>] [--refresh <minutes>]
+ *   coolify-scraper notify <run> [--policy always|failure|change]
+ *   coolify-scraper watch [--interval <seconds>] [--debounce <polls>] [--webhook <url>]
+ *                         [--url <url>] [--backend ui|api] [--headed|--headless]
+ *
+ * Every command accepts --output-dir <dir>, the directory holding runs/ and
+ * screenshots/ (defaults to COOLIFY_SCRAPER_OUTPUT_DIR, then ./scraped-data).
+ * <run> is a run ID, "latest" or a run directory.
+ *
+ * scrape --only runs some stages, e.g. "projects,resources". The input of the resource stages before them
+ * is copied from --from <run>, or from the latest run that has it.
+ *
+ * Exit codes: 0 success, 1 scrape errors, schema violations or outdated applications, 2 usage or fatal error
+ */
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { SCRAPE_STAGES, runScrapeFlow } = require('../tests/helpers/flow');
+const { listRuns, openRun } = require('../tests/helpers/run');
+const { loadSnapshot } = require('../tests/helpers/diff');
+const { slugify, exportComposeBundles } = require('../tests/helpers/compose');
+const { buildContainersList, formatContainersList } = require('../tests/helpers/volumes');
+const { exportEnvFiles } = require('../tests/helpers/envfile');
+const { findOutdatedApplications, printOutdatedApplications } = require('../tests/helpers/source');
+const { isProtectedValue } = require('../tests/helpers/restore');
+const { getDecryptionKeys } = require('../tests/helpers/secrets');
+const { getScraperBackend, createApiClient } = require('../tests/helpers/api');
+const { validateRun, printValidationResult } = require('../tests/helpers/validate');
+const { writeReport } = require('../tests/helpers/report');
+const { getScreenshotsDir } = require('../tests/helpers/screenshots');
+const { createMetricsServer } = require('../tests/helpers/metrics');
+const { getWatchSettings, createWatcher } = require('../tests/helpers/watch');
+const { NOTIFY_POLICIES, notifyRun } = require('../tests/helpers/notify');
+
+const TESTS_DIR = path.join(__dirname, '..', 'tests');
+
+const USAGE = `Usage: coolify-scraper <command> [options]
+
+Commands:
+  scrape     Scrape the Coolify instance into a new run
+               --only <stages>      Only scrape these comma-separated stages (${SCRAPE_STAGES.join(', ')})
+               --from <run>         Run to copy the input of skipped stages from
+               --resume <run>       Finish an interrupted run
+               --url <url>          Coolify URL (COOLIFY_URL)
+               --backend <ui|api>   Scraper backend (COOLIFY_SCRAPER_BACKEND)
+               --concurrency <n>    Parallel workers (COOLIFY_SCRAPER_CONCURRENCY)
+               --teams <names>      Comma-separated team names or IDs, default: all (COOLIFY_SCRAPER_TEAMS)
+               --deployments <n>    Keep the newest n deployments of every application (COOLIFY_SCRAPER_DEPLOYMENTS)
+               --build-logs <n>     Keep the last n lines of the newest failed build log (COOLIFY_SCRAPER_BUILD_LOGS)
+               --headed             Show the browser (default: --headless)
+  list       List scrape runs
+               --json               Print the manifests as JSON
+  export     Export a run
+               --format snapshot    One JSON file with all artifacts (default)
+               --format compose     docker-compose bundles of applications and services
+               --format containers-list
+                                    CONTAINERS_LIST of docker-volume-backup.sh for the persistent volumes
+               --out <file|dir>     Output file (default: stdout), directory for compose
+  export-env Write <project>/<resource>.env files to paste into Coolify's Developer view
+               --out <dir>          Output directory
+  validate   Validate runs against the JSON Schemas (default: latest)
+  commits    List git-based applications not running the newest commit of their branch
+               --json               Print the report as JSON
+  report     Write a static HTML report of a run: overview, one page per resource, screenshots
+               --out <dir>          Output directory
+  exporter   Serve the resource status of the newest run as Prometheus metrics on /metrics
+               --port <port>        Port (default: 9464)
+               --host <host>        Address to listen on (default: 127.0.0.1, 0.0.0.0 for every interface)
+               --refresh <minutes>  Run \`scrape --only projects,resources\` every n minutes (default: 0, never)
+  notify     Send the summary of a run to the configured notification channels
+               --policy <policy>    always, failure or change (COOLIFY_SCRAPER_NOTIFY_ON, default: failure)
+  watch      Poll the resource status of the current team and print every change as a JSON line
+               --interval <seconds> Seconds between two polls (COOLIFY_SCRAPER_WATCH_INTERVAL, default: 60)
+               --debounce <polls>   Polls in a row a change must be seen in (COOLIFY_SCRAPER_WATCH_DEBOUNCE, default: 2)
+               --webhook <url>      Also POST the events to this URL (COOLIFY_SCRAPER_WATCH_WEBHOOK)
+               --url, --backend, --headed as for scrape
+
+Options:
+  --output-dir <dir>   Directory holding runs/ and screenshots/ (COOLIFY_SCRAPER_OUTPUT_DIR)
+  --help               Show this help`;
+
+/**
+ * Flags that take a value
+ */
+const VALUE_FLAGS = ['--only', '--from', '--resume', '--url', '--backend', '--concurrency', '--teams', '--deployments', '--build-logs', '--format', '--out', '--port', '--host', '--refresh', '--interval', '--debounce', '--webhook', '--policy', '--output-dir'];
+
+/**
+ * Flags without a value
+ */
+const BOOLEAN_FLAGS = ['--json', '--headed', '--headless', '--help'];
+
+/**
+ * Parses the command line. Unknown flags are rejected, so a typo does not silently change nothing.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Command, positional arguments and flags
+ */
+function parseArgs(argv) {
+  const args = { command: null, positional: [], flags: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (VALUE_FLAGS.includes(arg)) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`${arg} requires a value`);
+      }
+      args.flags[arg.slice(2)] = argv[++i];
+    } else if (BOOLEAN_FLAGS.includes(arg)) {
+      args.flags[arg.slice(2)] = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+/**
+ * Launches the browser of the UI backend
+ * @param {Object} flags - Parsed flags, --headed shows the browser
+ * @param {string} baseURL - Coolify URL
+ * @returns {Promise<Object>} Browser and a page of a new context
+ */
+async function launchBrowser(flags, baseURL) {
+  const { chromium, devices } = require('@playwright/test');
+  const browser = await chromium.launch({ headless: !flags.headed });
+  const context = await browser.newContext({ ...devices['Desktop Chrome'], baseURL });
+  return { browser, page: await context.newPage() };
+}
+
+/**
+ * Runs a scrape with its own browser
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function scrapeCommand(args) {
+  const { flags } = args;
+  const stages = flags.only ? flags.only.split(',').map(stage => stage.trim()) : undefined;
+  const unknown = (stages || []).find(stage => !SCRAPE_STAGES.includes(stage));
+  if (unknown) {
+    throw new Error(`Unknown stage "${unknown}" (expected ${SCRAPE_STAGES.join(', ')})`);
+  }
+  if (flags.only && flags.resume) {
+    throw new Error('--only cannot be combined with --resume, a resumed run keeps its stages');
+  }
+
+  // Flags override the environment, which the helpers read
+  if (flags.url) process.env.COOLIFY_URL = flags.url;
+  if (flags.backend) process.env.COOLIFY_SCRAPER_BACKEND = flags.backend;
+  if (flags.concurrency) process.env.COOLIFY_SCRAPER_CONCURRENCY = flags.concurrency;
+  if (flags.teams) process.env.COOLIFY_SCRAPER_TEAMS = flags.teams;
+  if (flags.deployments) process.env.COOLIFY_SCRAPER_DEPLOYMENTS = flags.deployments;
+  if (flags['build-logs']) process.env.COOLIFY_SCRAPER_BUILD_LOGS = flags['build-logs'];
+
+  const baseURL = process.env.COOLIFY_URL;
+  const useApi = getScraperBackend() === 'api';
+  if (!baseURL) {
+    throw new Error('COOLIFY_URL or --url is required');
+  }
+
+  const { browser, page } = useApi ? { browser: null, page: null } : await launchBrowser(flags, baseURL);
+
+  try {
+    const run = await runScrapeFlow({
+      page,
+      browser,
+      baseDir: TESTS_DIR,
+      baseURL,
+      stages,
+      from: flags.from,
+      resume: flags.resume
+    });
+    return run.manifest.errors.length > 0 ? 1 : 0;
+  } catch (error) {
+    // runScrapeFlow already logged the error and marked the run as failed
+    return 2;
+  } finally {
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+/**
+ * Lists the scrape runs, oldest first
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function listCommand(args) {
+  const runs = listRuns(TESTS_DIR);
+  if (args.flags.json) {
+    console.log(JSON.stringify(runs.map(run => ({ dir: run.dir, ...run.manifest })), null, 2));
+    return 0;
+  }
+
+  if (runs.length === 0) {
+    console.log('No scrape runs found');
+    return 0;
+  }
+  runs.forEach(run => {
+    const { status, backend, stages, counts } = run.manifest;
+    const scraped = Object.entries(counts || {})
+      .filter(([key]) => key !== 'errors')
+      .map(([key, value]) => `${value} ${key}`)
+      .join(', ');
+    const icon = status === 'completed' ? '✓' : status === 'failed' ? '✗' : '…';
+    console.log(`${icon} ${run.id}  ${status}  ${backend || '-'}  ${(stages || SCRAPE_STAGES).join('+')}  ${scraped || '-'}  ${run.manifest.errors.length} error(s)`);
+  });
+  return 0;
+}
+
+/**
+ * Exports a run
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function exportCommand(args) {
+  const format = args.flags.format || 'snapshot';
+  if (args.positional.length !== 1) {
+    throw new Error('export requires exactly one run');
+  }
+  if (!['snapshot', 'compose', 'containers-list'].includes(format)) {
+    throw new Error(`Unknown export format "${format}" (expected snapshot, compose or containers-list)`);
+  }
+
+  const snapshot = loadSnapshot(args.positional[0], getDecryptionKeys());
+
+  if (format === 'compose') {
+    if (!args.flags.out) {
+      throw new Error('export --format compose requires --out <dir>');
+    }
+    const bundles = exportComposeBundles(snapshot, args.flags.out);
+    bundles.forEach(bundle => {
+      const icon = bundle.warnings.length > 0 ? '⚠' : '✓';
+      console.log(`${icon} ${bundle.kind} ${bundle.project}/${bundle.name} → ${bundle.dir}${bundle.warnings.length > 0 ? ` (${bundle.warnings.length} warning(s))` : ''}`);
+    });
+    console.log(`\n✓ Exported ${bundles.length} bundle(s) from ${snapshot.source} to ${args.flags.out}`);
+    return 0;
+  }
+
+  if (format === 'containers-list') {
+    const list = buildContainersList(snapshot);
+    const text = formatContainersList(list, snapshot.source);
+    if (!args.flags.out) {
+      process.stdout.write(text);
+      return 0;
+    }
+    fs.writeFileSync(args.flags.out, text);
+    console.log(`✓ Wrote ${list.entries.length} volume(s) to ${args.flags.out}`);
+    if (list.skipped.length > 0) {
+      console.log(`⚠ ${list.skipped.length} bind or file mount(s) skipped, the backup script only handles Docker volumes`);
+    }
+    if (list.missing.length > 0) {
+      console.log(`⚠ ${list.missing.length} resource(s) without scraped persistent storage`);
+    }
+    return 0;
+  }
+
+  const output = {
+    exportedAt: new Date().toISOString(),
+    source: snapshot.source,
+    manifest: snapshot.manifest,
+    projects: snapshot.projects || null,
+    resources: snapshot.resources || null,
+    applications: snapshot.applications || null,
+    databases: snapshot.databases || null,
+    services: snapshot.services || null,
+    servers: snapshot.servers || null,
+    storages: snapshot.storages || null
+  };
+
+  if (args.flags.out) {
+    fs.writeFileSync(args.flags.out, JSON.stringify(output, null, 2));
+    console.log(`✓ Exported ${snapshot.source} to ${args.flags.out}`);
+  } else {
+    console.log(JSON.stringify(output, null, 2));
+  }
+  return 0;
+}
+
+/**
+ * Writes the environment variables of a run as .env files
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function exportEnvCommand(args) {
+  if (args.positional.length !== 1) {
+    throw new Error('export-env requires exactly one run');
+  }
+  if (!args.flags.out) {
+    throw new Error('export-env requires --out <dir>');
+  }
+
+  const snapshot = loadSnapshot(args.positional[0], getDecryptionKeys());
+  const files = exportEnvFiles(snapshot, args.flags.out, slugify);
+  let protectedFiles = 0;
+  files.forEach(file => {
+    const isProtected = isProtectedValue(fs.readFileSync(file.file, 'utf8'));
+    if (isProtected) protectedFiles++;
+    console.log(`${isProtected ? '⚠' : '✓'} ${file.kind} ${file.project}/${file.name} → ${file.file} (${file.variables} variable(s))`);
+  });
+
+  console.log(`\n✓ Wrote ${files.length} .env file(s) from ${snapshot.source} to ${args.flags.out}`);
+  if (protectedFiles > 0) {
+    console.log(`⚠ ${protectedFiles} file(s) contain redacted or encrypted values, set COOLIFY_SECRETS_PASSPHRASE or COOLIFY_SECRETS_PRIVATE_KEY for encrypted runs`);
+  }
+  return 0;
+}
+
+/**
+ * Validates runs against the JSON Schemas
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function validateCommand(args) {
+  let invalid = 0;
+  for (const spec of args.positional.length > 0 ? args.positional : ['latest']) {
+    const result = validateRun(openRun(TESTS_DIR, spec));
+    printValidationResult(result);
+    if (!result.valid) invalid++;
+  }
+  console.log(invalid > 0 ? `\n✗ ${invalid} run(s) with schema violations` : '\n✓ All runs valid');
+  return invalid > 0 ? 1 : 0;
+}
+
+/**
+ * Reports the applications whose deployed commit is behind the newest commit of their branch
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code, 1 if an application is behind
+ */
+function commitsCommand(args) {
+  if (args.positional.length !== 1) {
+    throw new Error('commits requires exactly one run');
+  }
+
+  const snapshot = loadSnapshot(args.positional[0], getDecryptionKeys());
+  const applications = (snapshot.applications && snapshot.applications.applications) || [];
+  const outdated = findOutdatedApplications(applications);
+  if (args.flags.json) {
+    console.log(JSON.stringify(outdated, null, 2));
+    return outdated.length > 0 ? 1 : 0;
+  }
+
+  const withSource = applications.filter(config => config.source);
+  const unknown = withSource.filter(config => !config.source.deployedCommit || !config.source.headCommit);
+  if (outdated.length === 0) {
+    console.log(`✓ All ${withSource.length - unknown.length} git-based application(s) with known commits run the newest commit (${snapshot.source})`);
+  } else {
+    console.log(`⚠ ${outdated.length} of ${withSource.length} git-based application(s) are behind (${snapshot.source}):`);
+    printOutdatedApplications(outdated);
+  }
+  if (unknown.length > 0) {
+    console.log(`⚠ Deployed commit unknown for: ${unknown.map(config => `${config.projectName}/${config.applicationName}`).join(', ')}`);
+  }
+  return outdated.length > 0 ? 1 : 0;
+}
+
+/**
+ * Writes a static HTML report of a run
+ * @param {Object} args - Parsed arguments
+ * @returns {number} Exit code
+ */
+function reportCommand(args) {
+  if (args.positional.length !== 1) {
+    throw new Error('report requires exactly one run');
+  }
+  if (!args.flags.out) {
+    throw new Error('report requires --out <dir>');
+  }
+
+  // Secrets are masked in the report, so the run is not decrypted
+  const snapshot = loadSnapshot(args.positional[0]);
+  const result = writeReport(snapshot, args.flags.out, getScreenshotsDir(TESTS_DIR));
+  console.log(`✓ Wrote the report of ${snapshot.source} to ${result.index} (${result.pages} resource page(s), ${result.screenshots} screenshot(s))`);
+  if (snapshot.manifest && result.screenshots === 0) {
+    console.log('⚠ No screenshots taken during the run were found');
+  }
+  return 0;
+}
+
+/**
+ * Parses a non-negative integer flag
+ * @param {string|undefined} value - Flag value
+ * @param {string} flag - Flag name for the error message
+ * @param {number} defaultValue - Value when the flag is not given
+ * @returns {number} Parsed value
+ */
+function parseIntegerFlag(value, flag, defaultValue) {
+  if (value === undefined) return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`--${flag} must be a non-negative integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Serves Prometheus metrics until SIGINT or SIGTERM, optionally scraping the resource status periodically
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function exporterCommand(args) {
+  const port = parseIntegerFlag(args.flags.port, 'port', 9464);
+  // The metrics are not authenticated, listening on other interfaces is an explicit --host
+  const host = args.flags.host || '127.0.0.1';
+  const refreshMinutes = parseIntegerFlag(args.flags.refresh, 'refresh', 0);
+
+  // Status scrapes run as a child process, the same way as `scrape --only projects,resources` from a shell
+  let child = null;
+  const refresh = () => new Promise((resolve, reject) => {
+    child = spawn(process.execPath, [__filename, 'scrape', '--only', 'projects,resources'], { stdio: 'ignore' });
+    child.on('error', reject);
+    child.on('close', code => {
+      child = null;
+      const result = code === 0 ? 'success' : code === 1 ? 'errors' : 'failure';
+      console.log(`${{ success: '✓', errors: '⚠', failure: '✗' }[result]} Status scrape finished with exit code ${code}`);
+      resolve(result);
+    });
+  });
+
+  const exporter = createMetricsServer({
+    baseDir: TESTS_DIR,
+    refreshIntervalMs: refreshMinutes * 60 * 1000,
+    refresh: refreshMinutes > 0 ? refresh : null
+  });
+  await new Promise((resolve, reject) => {
+    exporter.server.once('error', reject);
+    exporter.server.listen(port, host, resolve);
+  });
+  console.log(`✓ Serving metrics on http://${host}:${port}/metrics`);
+  if (refreshMinutes > 0) {
+    console.log(`  Status scrape every ${refreshMinutes} minute(s)`);
+    exporter.refresh();
+  }
+
+  await new Promise(resolve => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  if (child) child.kill();
+  await exporter.stop();
+  console.log('✓ Exporter stopped');
+  return 0;
+}
+
+/**
+ * Sends the summary of a run, e.g. to try the notification settings on an earlier run
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function notifyCommand(args) {
+  const { policy } = args.flags;
+  if (args.positional.length !== 1) {
+    throw new Error('notify requires exactly one run');
+  }
+  if (policy && !NOTIFY_POLICIES.includes(policy)) {
+    throw new Error(`Unknown policy "${policy}" (expected ${NOTIFY_POLICIES.join(', ')})`);
+  }
+
+  const run = openRun(TESTS_DIR, args.positional[0]);
+  const result = await notifyRun(TESTS_DIR, run, { policy });
+  if (result.skipped === 'no channels') {
+    console.log('⚠ No notification channel configured (COOLIFY_SCRAPER_NOTIFY_*)');
+  }
+  return result.failed.length > 0 ? 1 : 0;
+}
+
+/**
+ * Watches the resource status until SIGINT or SIGTERM. stdout carries only the JSON events.
+ * @param {Object} args - Parsed arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function watchCommand(args) {
+  const { flags } = args;
+  if (flags.url) process.env.COOLIFY_URL = flags.url;
+  if (flags.backend) process.env.COOLIFY_SCRAPER_BACKEND = flags.backend;
+
+  const defaults = getWatchSettings();
+  const settings = {
+    intervalSeconds: parseIntegerFlag(flags.interval, 'interval', defaults.intervalSeconds),
+    debounce: parseIntegerFlag(flags.debounce, 'debounce', defaults.debounce),
+    webhookUrl: flags.webhook || defaults.webhookUrl
+  };
+  if (settings.intervalSeconds < 1) {
+    throw new Error('--interval must be at least 1 second');
+  }
+
+  const baseURL = process.env.COOLIFY_URL;
+  const useApi = getScraperBackend() === 'api';
+  if (!baseURL) {
+    throw new Error('COOLIFY_URL or --url is required');
+  }
+
+  const apiClient = useApi ? createApiClient() : null;
+  const { browser, page } = useApi ? { browser: null, page: null } : await launchBrowser(flags, baseURL);
+  const watcher = createWatcher({ page, apiClient, coolifyUrl: baseURL, settings });
+  const stop = () => watcher.stop();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  try {
+    await watcher.run();
+    console.error(`✓ Watch stopped after ${watcher.state.polls} polls and ${watcher.state.events} events`);
+    return 0;
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+    if (browser) {
+      await browser.close();
+    }
+  }
+}
+
+const COMMANDS = {
+  scrape: scrapeCommand,
+  list: listCommand,
+  export: exportCommand,
+  'export-env': exportEnvCommand,
+  validate: validateCommand,
+  commits: commitsCommand,
+  report: reportCommand,
+  exporter: exporterCommand,
+  notify: notifyCommand,
+  watch: watchCommand
+};
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`✗ ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.flags.help || !args.command) {
+    console.log(USAGE);
+    return args.flags.help ? 0 : 2;
+  }
+  const command = COMMANDS[args.command];
+  if (!command) {
+    console.error(`✗ Unknown command "${args.command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.flags['output-dir']) {
+    process.env.COOLIFY_SCRAPER_OUTPUT_DIR = path.resolve(args.flags['output-dir']);
+  }
+
+  try {
+    return await command(args);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return 2;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -2,6 +2,8 @@ const { defineConfig, devices } = require('@playwright/test');
 
 module.exports = defineConfig({
   testDir: './tests',
+  // Unit tests run with node --test (pnpm test:unit)
+  testIgnore: 'unit/**',
   timeout: 1800000,
   fullyParallel: false,
   forbidOnly: !!process.env.CI,
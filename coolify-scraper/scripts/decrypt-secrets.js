@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Decrypts scraped config files written with COOLIFY_SECRETS_MODE=encrypted
+ *
+ * Usage:
+ *   node scripts/decrypt-secrets.js <file...> [--out <dir>] [--private-key <pem>]
+ *
+ * The passphrase is read from COOLIFY_SECRETS_PASSPHRASE, the private key from
+ * --private-key or COOLIFY_SECRETS_PRIVATE_KEY. Without --out a single file is
+ * printed to stdout.
+ */
+const fs = require('fs');
+const path = require('path');
+const { decryptSecrets } = require('../tests/helpers/secrets');
+
+function parseArgs(argv) {
+  const args = { files: [], out: null, privateKey: process.env.COOLIFY_SECRETS_PRIVATE_KEY || null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i] === '--private-key') {
+      args.privateKey = argv[++i];
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.files.length === 0) {
+    console.error('Usage: node scripts/decrypt-secrets.js <file...> [--out <dir>] [--private-key <pem>]');
+    return 2;
+  }
+  if (!args.out && args.files.length > 1) {
+    console.error('--out <dir> is required when decrypting more than one file');
+    return 2;
+  }
+
+  const keys = {
+    passphrase: process.env.COOLIFY_SECRETS_PASSPHRASE || null,
+    privateKey: args.privateKey ? fs.readFileSync(args.privateKey, 'utf8') : null
+  };
+  if (!keys.passphrase && !keys.privateKey) {
+    console.error('Set COOLIFY_SECRETS_PASSPHRASE or pass --private-key');
+    return 2;
+  }
+
+  if (args.out) {
+    fs.mkdirSync(args.out, { recursive: true });
+  }
+
+  let failed = 0;
+  for (const file of args.files) {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const decrypted = JSON.stringify(decryptSecrets(data, keys), null, 2);
+
+      if (args.out) {
+        const outPath = path.join(args.out, path.basename(file));
+        fs.writeFileSync(outPath, decrypted, { mode: 0o600 });
+        console.log(`✓ ${file} → ${outPath}`);
+      } else {
+        process.stdout.write(decrypted + '\n');
+      }
+    } catch (error) {
+      console.error(`✗ ${file} - ${error.message}`);
+      failed++;
+    }
+  }
+
+  return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
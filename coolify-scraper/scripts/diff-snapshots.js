@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Compares two scrape runs and reports added/removed projects and resources,
+ * status changes and config changes (environment variable values are masked)
+ *
+ * Usage:
+ *   node scripts/diff-snapshots.js <old> <new> [--json <file>] [--format text|json]
+ *
+ * <old> and <new> are a run ID, "latest" or a run directory. Older loose files
+ * work too: a directory (latest file of each kind) or a
+ * scraped-projects-data-*.json file (that run's files). Encrypted config files
+ * are decrypted when COOLIFY_SECRETS_PASSPHRASE or COOLIFY_SECRETS_PRIVATE_KEY is set.
+ *
+ * Exit codes: 0 no changes, 1 changes detected, 2 error
+ */
+const fs = require('fs');
+const { loadSnapshot, diffSnapshots, formatDiffText } = require('../tests/helpers/diff');
+const { getDecryptionKeys } = require('../tests/helpers/secrets');
+
+function parseArgs(argv) {
+  const args = { specs: [], json: null, format: 'text' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = argv[++i];
+    } else if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else {
+      args.specs.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.specs.length !== 2 || !['text', 'json'].includes(args.format)) {
+    console.error('Usage: node scripts/diff-snapshots.js <old> <new> [--json <file>] [--format text|json]');
+    return 2;
+  }
+
+  const keys = getDecryptionKeys();
+
+  try {
+    const report = diffSnapshots(loadSnapshot(args.specs[0], keys), loadSnapshot(args.specs[1], keys));
+
+    if (args.json) {
+      fs.writeFileSync(args.json, JSON.stringify(report, null, 2));
+    }
+    console.log(args.format === 'json' ? JSON.stringify(report, null, 2) : formatDiffText(report));
+
+    return report.hasChanges ? 1 : 0;
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return 2;
+  }
+}
+
+process.exitCode = main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Re-provisions a Coolify instance from a scraped snapshot by driving its Livewire forms
+ *
+ * Usage:
+ *   node scripts/restore.js <snapshot> [--url <target>] [--dry-run] [--headed] [--results <file>]
+ *
+ * <snapshot> is a run ID, "latest", a run directory, or for older loose files a
+ * scraped-data directory or scraped-projects-data-*.json file.
+ * The target defaults to COOLIFY_RESTORE_URL, then COOLIFY_URL; credentials are
+ * read from COOLIFY_RESTORE_EMAIL / COOLIFY_RESTORE_PASSWORD / COOLIFY_RESTORE_TOTP_SECRET,
+ * falling back to COOLIFY_EMAIL / COOLIFY_PASSWORD / COOLIFY_TOTP_SECRET. Projects and
+ * resources that already exist on the target (matched by team and name) are skipped.
+ *
+ * Exit codes: 0 success, 1 some steps failed, 2 error
+ */
+const fs = require('fs');
+const { chromium } = require('@playwright/test');
+const { login, verifyLogin } = require('../tests/helpers/auth');
+const { loadSnapshot } = require('../tests/helpers/diff');
+const { getDecryptionKeys } = require('../tests/helpers/secrets');
+const { scrapeExistingState, buildRestorePlan, printRestorePlan, executeRestorePlan } = require('../tests/helpers/restore');
+
+function parseArgs(argv) {
+  const args = {
+    snapshot: null,
+    url: process.env.COOLIFY_RESTORE_URL || process.env.COOLIFY_URL,
+    dryRun: false,
+    headed: false,
+    results: null
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--url') {
+      args.url = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--headed') {
+      args.headed = true;
+    } else if (argv[i] === '--results') {
+      args.results = argv[++i];
+    } else {
+      args.snapshot = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.snapshot || !args.url) {
+    console.error('Usage: node scripts/restore.js <snapshot> [--url <target>] [--dry-run] [--headed] [--results <file>]');
+    return 2;
+  }
+
+  const snapshot = loadSnapshot(args.snapshot, getDecryptionKeys());
+  if (!snapshot.resources) {
+    console.error(`✗ No scraped-resources-data file found for ${args.snapshot}`);
+    return 2;
+  }
+
+  const browser = await chromium.launch({ headless: !args.headed });
+  try {
+    const page = await browser.newPage({ baseURL: args.url });
+
+    console.log(`Logging in to ${args.url}...`);
+    // The saved session belongs to the scraped instance, not to the restore target
+    await login(page, {
+      email: process.env.COOLIFY_RESTORE_EMAIL,
+      password: process.env.COOLIFY_RESTORE_PASSWORD,
+      totpSecret: process.env.COOLIFY_RESTORE_TOTP_SECRET,
+      storageState: null
+    });
+    if (!(await verifyLogin(page))) {
+      console.error('✗ Login to the restore target failed');
+      return 2;
+    }
+
+    const existing = await scrapeExistingState(page);
+    const plan = buildRestorePlan(snapshot, existing);
+    printRestorePlan(plan);
+
+    if (args.dryRun) {
+      console.log('\nDry run, no changes made.');
+      return 0;
+    }
+
+    console.log('\nRestoring...');
+    const results = await executeRestorePlan(page, plan, existing);
+    if (args.results) {
+      fs.writeFileSync(args.results, JSON.stringify({ target: args.url, source: plan.source, results }, null, 2));
+      console.log(`\nResults saved to: ${args.results}`);
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`\nRestore finished: ${results.filter(r => r.status === 'created').length} created, ${failed} failed`);
+    return failed > 0 ? 1 : 0;
+  } finally {
+    await browser.close();
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exitCode = 2;
+  });
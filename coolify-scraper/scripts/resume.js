@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Finishes an interrupted or failed scrape run, or retries the failed resources of a completed one
+ *
+ * Usage:
+ *   node scripts/resume.js [run] [playwright test options...]
+ *
+ * <run> is a run ID, "latest" (default) or a run directory. Projects and
+ * resources already recorded in the run's checkpoint.jsonl are skipped, failed
+ * and missing ones are scraped again. Encrypted runs need the same
+ * COOLIFY_SECRETS_PASSPHRASE or COOLIFY_SECRETS_PRIVATE_KEY to resume.
+ *
+ * Exit codes: the exit code of `playwright test`, 2 if the run cannot be resumed
+ */
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { openRun } = require('../tests/helpers/run');
+
+const TESTS_DIR = path.join(__dirname, '..', 'tests');
+
+function main() {
+  const argv = process.argv.slice(2);
+  const spec = argv.length > 0 && !argv[0].startsWith('-') ? argv.shift() : 'latest';
+
+  let run;
+  try {
+    run = openRun(TESTS_DIR, spec);
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return 2;
+  }
+  if (run.manifest.status === 'completed' && run.manifest.errors.length === 0) {
+    console.error(`✗ Scrape run "${run.id}" is already completed without errors`);
+    return 2;
+  }
+
+  console.log(`Resuming run ${run.id} (${run.manifest.status}, ${run.manifest.errors.length} error(s))`);
+  const result = spawnSync(process.execPath, [require.resolve('@playwright/test/cli'), 'test', ...argv], {
+    cwd: path.join(__dirname, '..'),
+    stdio: 'inherit',
+    env: { ...process.env, COOLIFY_SCRAPER_RESUME: run.dir }
+  });
+  return result.status === null ? 2 : result.status;
+}
+
+process.exitCode = main();
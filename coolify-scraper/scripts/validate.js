@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Validates scrape runs against the published JSON Schemas in schemas/v<version>
+ *
+ * Usage:
+ *   node scripts/validate.js [run...]
+ *
+ * Each run is a run ID, "latest" (default) or a run directory. Artifacts are
+ * validated against the schemas of the version recorded in their manifest and
+ * checked against the manifest checksums.
+ *
+ * Exit codes: 0 valid, 1 schema violations, 2 error
+ */
+const path = require('path');
+const { openRun } = require('../tests/helpers/run');
+const { validateRun, printValidationResult } = require('../tests/helpers/validate');
+
+const TESTS_DIR = path.join(__dirname, '..', 'tests');
+
+function main() {
+  const specs = process.argv.slice(2);
+  let invalid = 0;
+
+  try {
+    for (const spec of specs.length > 0 ? specs : ['latest']) {
+      const result = validateRun(openRun(TESTS_DIR, spec));
+      printValidationResult(result);
+      if (!result.valid) invalid++;
+    }
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    return 2;
+  }
+
+  console.log(invalid > 0 ? `\n✗ ${invalid} run(s) with schema violations` : '\n✓ All runs valid');
+  return invalid > 0 ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,779 @@
+const { DATABASE_ENGINES, BACKUP_FIELDS, BACKUP_RETENTION_FIELDS, detectDatabaseEngine } = require('./databases');
+const { serializeDotenv, entriesFromApi } = require('./envfile');
+const { PROXY_TYPES, linkServerResources } = require('./servers');
+const { persistentStorageFromApi } = require('./volumes');
+const { toEnvironmentEntry } = require('./resources');
+const { readIntegerEnv } = require('./pool');
+const { sourceFromApi } = require('./source');
+const { getDeploymentSettings, deploymentFromApi, buildLogFromApi } = require('./deployments');
+const { HEALTHCHECK_FIELDS, RESOURCE_LIMIT_FIELDS, SCHEDULED_TASK_FIELDS, WEBHOOK_SECRET_FIELDS, fieldsFromApi } = require('./operations');
+
+require('dotenv').config({ quiet: true });
+
+/**
+ * Database collections returned by the Coolify environment endpoint
+ */
+const DATABASE_COLLECTIONS = [
+  'postgresqls',
+  'mysqls',
+  'mariadbs',
+  'mongodbs',
+  'redis',
+  'keydbs',
+  'dragonflies',
+  'clickhouses'
+];
+
+const DEFAULT_API_TIMEOUT_MS = 30000;
+
+/**
+ * Decoded custom labels hold one key=value label per line
+ */
+const CUSTOM_LABELS_PATTERN = /^[\w.-]+=/m;
+
+/**
+ * A decoded Docker Compose file has a services section
+ */
+const DOCKER_COMPOSE_PATTERN = /^services\s*:/m;
+
+/**
+ * Returns the configured scraper backend ("ui" or "api")
+ * @returns {string} Backend name, defaults to "ui"
+ */
+function getScraperBackend() {
+  const backend = (process.env.COOLIFY_SCRAPER_BACKEND || 'ui').trim().toLowerCase();
+  if (backend !== 'ui' && backend !== 'api') {
+    throw new Error(`Unknown COOLIFY_SCRAPER_BACKEND "${backend}" (expected "ui" or "api")`);
+  }
+  return backend;
+}
+
+/**
+ * Creates a client for the Coolify REST API
+ * @param {Object} [options] - Client options
+ * @param {string} [options.baseUrl] - Coolify instance URL, defaults to COOLIFY_URL
+ * @param {string} [options.token] - API token, defaults to COOLIFY_API_TOKEN
+ * @param {number} [options.timeoutMs] - Time a request may take, defaults to COOLIFY_SCRAPER_API_TIMEOUT_MS
+ * @returns {Object} API client with baseUrl and a get(path) method
+ */
+function createApiClient(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.COOLIFY_URL || '').replace(/\/+$/, '');
+  const token = options.token || process.env.COOLIFY_API_TOKEN;
+  const timeoutMs = options.timeoutMs || readIntegerEnv('COOLIFY_SCRAPER_API_TIMEOUT_MS', DEFAULT_API_TIMEOUT_MS);
+
+  if (!baseUrl) {
+    throw new Error('COOLIFY_URL is required for the API backend');
+  }
+  if (!token) {
+    throw new Error('COOLIFY_API_TOKEN is required for the API backend');
+  }
+
+  const request = async (url, label) => {
+    try {
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`GET ${label} failed with HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new Error(`GET ${label} timed out after ${timeoutMs / 1000}s`);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    baseUrl,
+    /**
+     * Fetches an endpoint. Paginated responses ({ data, next_page_url }) are followed to the last page
+     * and returned as one array.
+     * @param {string} apiPath - Path below /api/v1
+     * @returns {Promise<*>} Decoded response
+     */
+    async get(apiPath) {
+      const label = `/api/v1${apiPath}`;
+      let body = await request(`${baseUrl}${label}`, label);
+      if (!isPaginated(body)) return body;
+
+      const items = [...body.data];
+      while (body.next_page_url) {
+        const next = new URL(body.next_page_url, baseUrl);
+        body = await request(next.href, `${next.pathname}${next.search}`);
+        if (!isPaginated(body)) {
+          throw new Error(`GET ${next.pathname}${next.search} did not return a page`);
+        }
+        items.push(...body.data);
+      }
+      return items;
+    }
+  };
+}
+
+/**
+ * Checks whether a response is one page of a paginated list
+ * @param {*} body - Decoded response
+ * @returns {boolean} True for a page with data and current_page
+ */
+function isPaginated(body) {
+  return !!body && !Array.isArray(body) && Array.isArray(body.data) && 'current_page' in body;
+}
+
+/**
+ * Extracts the resource UUID from a scraped resource
+ * @param {Object} resource - Resource entry from the resources data
+ * @returns {string} Resource UUID
+ */
+function getResourceUuid(resource) {
+  if (resource.uuid) return resource.uuid;
+  const segments = (resource.url || '').split('/').filter(Boolean);
+  return segments[segments.length - 1];
+}
+
+/**
+ * Maps a Coolify API status ("running:healthy", "exited:unhealthy", ...) to the dashboard status
+ * @param {string} status - Status reported by the API
+ * @returns {string|undefined} running, exited or warning
+ */
+function mapStatus(status) {
+  if (!status) return undefined;
+  const state = status.split(':')[0];
+  if (state === 'running') return 'running';
+  if (state === 'exited') return 'exited';
+  return 'warning';
+}
+
+/**
+ * Serializes API environment variables to the "Developer view" format
+ * @param {Array<Object>} envs - Environment variables returned by the API
+ * @returns {string} KEY=value lines
+ */
+function serializeEnvs(envs) {
+  return serializeDotenv(entriesFromApi(envs.filter(env => !env.is_preview)));
+}
+
+/**
+ * Decodes a field Coolify may return base64 encoded (custom labels, compose files). Plain values such as
+ * "admin" can be valid base64 too, so the value is only decoded if it is canonical base64 of UTF-8 text
+ * that looks like the expected content.
+ * @param {string|null} value - Raw field value
+ * @param {RegExp} expected - Pattern the decoded text must match
+ * @returns {string|null} Decoded value, or the raw value if it is not base64 of such text
+ */
+function decodeBase64Field(value, expected) {
+  if (!value) return value ?? null;
+  if (value.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) return value;
+
+  let decoded;
+  try {
+    decoded = new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(value, 'base64'));
+  } catch (error) {
+    return value;
+  }
+  if (/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(decoded) || !expected.test(decoded)) return value;
+  return decoded;
+}
+
+/**
+ * Scrapes all projects through the API
+ * @param {Object} client - API client from createApiClient
+ * @returns {Promise<Object>} Scraped data object with projects array
+ */
+async function scrapeProjectsViaApi(client) {
+  const projects = await client.get('/projects');
+
+  return {
+    title: 'Coolify API',
+    url: client.baseUrl,
+    timestamp: new Date().toISOString(),
+    projects: projects
+      .filter(project => project.uuid && project.name)
+      .map(project => ({
+        title: project.name,
+        description: project.description || '',
+        url: `/project/${project.uuid}`,
+        uuid: project.uuid
+      }))
+  };
+}
+
+/**
+ * Returns the team of the API token. A token belongs to one team, so no other team can be scraped with it.
+ * @param {Object} client - API client from createApiClient
+ * @returns {Promise<Array<Object>>} The token's team with teamId, teamName and current
+ */
+async function scrapeTeamListViaApi(client) {
+  const team = await client.get('/teams/current');
+  return [{ teamId: team.id ?? null, teamName: team.name, current: true }];
+}
+
+/**
+ * Scrapes the members of a team through the API.
+ * Shared variables and notification settings are not returned by the API.
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} team - Team from scrapeTeamListViaApi
+ * @returns {Promise<Object>} Team entry
+ */
+async function scrapeTeamDetailsViaApi(client, team) {
+  const entry = { teamName: team.teamName, teamId: team.teamId, current: team.current };
+
+  try {
+    const members = await client.get(team.teamId === null ? '/teams/current/members' : `/teams/${team.teamId}/members`);
+    entry.members = members.map(member => ({
+      name: member.name ?? null,
+      email: member.email ?? null,
+      role: member.role ?? (member.pivot && member.pivot.role) ?? null
+    }));
+  } catch (error) {
+    entry.members = null;
+    if (error.status === 404) {
+      entry.membersNote = 'Team members endpoint not available';
+    } else {
+      entry.membersError = error.message;
+    }
+  }
+
+  entry.environmentVariables = null;
+  entry.environmentVariablesNote = 'Not returned by the API';
+  entry.notifications = null;
+  entry.notificationsNote = 'Not returned by the API';
+  return entry;
+}
+
+/**
+ * Scrapes resources of a project through the API, per environment
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} project - Project entry from the projects data
+ * @returns {Promise<Object>} Resources data with the environments of the project
+ */
+async function scrapeResourcesViaApi(client, project) {
+  const projectUuid = project.uuid || getResourceUuid(project);
+  const projectDetails = await client.get(`/projects/${projectUuid}`);
+
+  const data = {
+    title: projectDetails.name,
+    url: `${client.baseUrl}/project/${projectUuid}`,
+    timestamp: new Date().toISOString(),
+    environments: []
+  };
+
+  for (const environment of projectDetails.environments || []) {
+    const envPath = environment.uuid
+      ? `/project/${projectUuid}/environment/${environment.uuid}`
+      : `/project/${projectUuid}/${encodeURIComponent(environment.name)}`;
+
+    let envDetails;
+    try {
+      envDetails = await client.get(`/projects/${projectUuid}/${encodeURIComponent(environment.name)}`);
+    } catch (error) {
+      data.environments.push({ ...toEnvironmentEntry(environment.name, envPath, {}), error: error.message });
+      continue;
+    }
+
+    const toResource = (item, type, category) => ({
+      name: item.name,
+      url: `${envPath}/${type}/${item.uuid}`,
+      uuid: item.uuid,
+      description: item.description || '',
+      fqdn: item.fqdn || '',
+      status: mapStatus(item.status),
+      tags: (item.tags || []).map(tag => tag.name || tag),
+      category
+    });
+
+    const databases = [];
+    DATABASE_COLLECTIONS.forEach(collection => {
+      (envDetails[collection] || []).forEach(item => {
+        databases.push(toResource(item, 'database', 'Databases'));
+      });
+    });
+
+    data.environments.push(toEnvironmentEntry(environment.name, envPath, {
+      applications: (envDetails.applications || []).map(item => toResource(item, 'application', 'Applications')),
+      databases,
+      services: (envDetails.services || []).map(item => toResource(item, 'service', 'Services'))
+    }));
+  }
+
+  return data;
+}
+
+/**
+ * Loads environment variables of a resource, recording a note if the endpoint is unavailable
+ * @param {Object} client - API client from createApiClient
+ * @param {string} apiPath - Envs endpoint path
+ * @param {Object} configData - Config object, gets the structured entries with their flags in `environment`
+ * @returns {Promise<string|null>} Developer view formatted variables
+ */
+async function fetchEnvironmentVariables(client, apiPath, configData) {
+  try {
+    const envs = await client.get(apiPath);
+    configData.environment = entriesFromApi(envs);
+    return serializeEnvs(envs);
+  } catch (error) {
+    if (error.status === 404) {
+      configData.environmentVariablesNote = 'Environment variables endpoint not available';
+    } else {
+      configData.environmentVariablesError = error.message;
+    }
+    return null;
+  }
+}
+
+/**
+ * Loads the persistent storage of a resource, recording a note if the endpoint is unavailable
+ * @param {Object} client - API client from createApiClient
+ * @param {string} apiPath - Storages endpoint path
+ * @param {Object} configData - Config object, gets persistentStorageNote or persistentStorageError
+ * @returns {Promise<Object|null>} Persistent storage with volumes, bindMounts and fileMounts
+ */
+async function fetchPersistentStorage(client, apiPath, configData) {
+  try {
+    return persistentStorageFromApi(await client.get(apiPath));
+  } catch (error) {
+    if (error.status === 404) {
+      configData.persistentStorageNote = 'Storages endpoint not available';
+    } else {
+      configData.persistentStorageError = error.message;
+    }
+    return null;
+  }
+}
+
+/**
+ * Loads the scheduled tasks of a resource, recording a note if the endpoint is unavailable
+ * @param {Object} client - API client from createApiClient
+ * @param {string} apiPath - Scheduled tasks endpoint path
+ * @param {Object} configData - Config object, gets scheduledTasksNote or scheduledTasksError
+ * @returns {Promise<Array<Object>|null>} Scheduled tasks in the shape of the UI scraper
+ */
+async function fetchScheduledTasks(client, apiPath, configData) {
+  try {
+    const tasks = await client.get(apiPath);
+    return tasks.map(task => ({
+      ...fieldsFromApi(task, SCHEDULED_TASK_FIELDS),
+      uuid: task.uuid
+    }));
+  } catch (error) {
+    if (error.status === 404) {
+      configData.scheduledTasksNote = 'Scheduled tasks endpoint not available';
+    } else {
+      configData.scheduledTasksError = error.message;
+    }
+    return null;
+  }
+}
+
+/**
+ * Loads the git source of an application with its deployments, recording a note if the
+ * deployments endpoint is unavailable
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} app - GET /applications/{uuid} response
+ * @param {Object} configData - Config object, gets sourceNote or sourceError
+ * @returns {Promise<Object|null>} Source in the shape of the UI scraper, null without a git repository
+ */
+async function fetchApplicationSource(client, app, configData) {
+  if (!app.git_repository) {
+    configData.sourceNote = 'Not a git-based application';
+    return null;
+  }
+
+  let deployments = null;
+  try {
+    const response = await client.get(`/deployments/applications/${app.uuid}`);
+    deployments = Array.isArray(response) ? response : response.deployments || [];
+  } catch (error) {
+    if (error.status === 404) {
+      configData.sourceNote = 'Deployments endpoint not available, deployed commit unknown';
+    } else {
+      configData.sourceError = error.message;
+    }
+  }
+
+  let privateKeys = [];
+  if (app.private_key_id) {
+    try {
+      privateKeys = await client.get('/security/keys');
+    } catch (error) {
+      // The source is still recorded, only the name of its deploy key is unknown
+      configData.sourceError = [configData.sourceError, `Deploy key name unknown: ${error.message}`].filter(Boolean).join('; ');
+    }
+  }
+  return sourceFromApi(app, deployments, privateKeys);
+}
+
+/**
+ * Loads the newest deployments of an application and, if enabled, the build log of the newest
+ * failed one. Does nothing unless COOLIFY_SCRAPER_DEPLOYMENTS is set.
+ * @param {Object} client - API client from createApiClient
+ * @param {string} uuid - Application UUID
+ * @param {Object} configData - Config object, gets deployments and failedBuildLog, or their Note or Error
+ */
+async function fetchDeploymentHistory(client, uuid, configData) {
+  const settings = getDeploymentSettings();
+  if (settings.limit === 0) return;
+
+  let deployments;
+  try {
+    const response = await client.get(`/deployments/applications/${uuid}?skip=0&take=${settings.limit}`);
+    deployments = (Array.isArray(response) ? response : response.deployments || []).slice(0, settings.limit);
+  } catch (error) {
+    configData.deployments = null;
+    if (error.status === 404) {
+      configData.deploymentsNote = 'Deployments endpoint not available';
+    } else {
+      configData.deploymentsError = error.message;
+    }
+    return;
+  }
+  configData.deployments = deployments.map(deploymentFromApi);
+
+  if (settings.buildLogLines === 0) return;
+  const failed = configData.deployments.find(deployment => deployment.status === 'failed');
+  if (!failed) {
+    configData.failedBuildLog = null;
+    configData.failedBuildLogNote = `No failed deployment in the last ${deployments.length}`;
+    return;
+  }
+
+  try {
+    const log = buildLogFromApi(await client.get(`/deployments/${failed.deploymentUuid}`), settings.buildLogLines);
+    configData.failedBuildLog = log && { deploymentUuid: failed.deploymentUuid, commit: failed.commit, startedAt: failed.startedAt, ...log };
+    if (!log) {
+      configData.failedBuildLogNote = 'Deployment log is empty';
+    }
+  } catch (error) {
+    configData.failedBuildLog = null;
+    configData.failedBuildLogError = error.message;
+  }
+}
+
+/**
+ * Sets a section picked from an API object, with a note if the API did not return its attributes
+ * @param {Object} target - Config or sub-application, modified in place
+ * @param {string} key - Section key, e.g. healthcheck
+ * @param {Object} item - API object
+ * @param {Object} fields - Field names to Livewire models
+ */
+function setApiSection(target, key, item, fields) {
+  target[key] = fieldsFromApi(item, fields);
+  if (target[key] === null) {
+    target[`${key}Note`] = 'Not returned by the API';
+  }
+}
+
+/**
+ * Scrapes detailed application configuration through the API
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} resource - Application entry from the resources data
+ * @returns {Promise<Object>} Application configuration data
+ */
+async function scrapeApplicationConfigViaApi(client, resource) {
+  const uuid = getResourceUuid(resource);
+  const app = await client.get(`/applications/${uuid}`);
+  const settings = app.settings || {};
+
+  const configData = {
+    title: app.name,
+    url: `${client.baseUrl}${resource.url}`,
+    timestamp: new Date().toISOString(),
+    general: {
+      name: app.name ?? null,
+      description: app.description ?? null,
+      buildPack: app.build_pack ?? null,
+      domains: app.fqdn ?? null,
+      redirect: app.redirect ?? null
+    },
+    docker: {
+      registryImageName: app.docker_registry_image_name ?? null,
+      registryImageTag: app.docker_registry_image_tag ?? null,
+      customLabels: decodeBase64Field(app.custom_labels, CUSTOM_LABELS_PATTERN),
+      isContainerLabelReadonlyEnabled: settings.is_container_label_readonly_enabled ?? null,
+      isContainerLabelEscapeEnabled: settings.is_container_label_escape_enabled ?? null
+    },
+    network: {
+      portsExposes: app.ports_exposes ?? null,
+      portsMappings: app.ports_mappings ?? null,
+      customNetworkAliases: app.custom_network_aliases ?? null,
+      isHttpBasicAuthEnabled: app.is_http_basic_auth_enabled ?? null
+    },
+    build: {
+      baseDirectory: app.base_directory ?? null,
+      dockerfileLocation: app.dockerfile_location ?? null,
+      dockerfileTargetBuild: app.dockerfile_target_build ?? null,
+      watchPaths: app.watch_paths ?? null,
+      customDockerRunOptions: app.custom_docker_run_options ?? null,
+      isBuildServerEnabled: settings.is_build_server_enabled ?? null
+    },
+    deployment: {
+      preDeploymentCommand: app.pre_deployment_command ?? null,
+      postDeploymentCommand: app.post_deployment_command ?? null
+    }
+  };
+
+  configData.environmentVariables = await fetchEnvironmentVariables(client, `/applications/${uuid}/envs`, configData);
+  configData.persistentStorage = await fetchPersistentStorage(client, `/applications/${uuid}/storages`, configData);
+  configData.source = await fetchApplicationSource(client, { uuid, ...app }, configData);
+  setApiSection(configData, 'healthcheck', app, HEALTHCHECK_FIELDS);
+  setApiSection(configData, 'resourceLimits', app, RESOURCE_LIMIT_FIELDS);
+  configData.webhooks = {
+    deployUrl: `${client.baseUrl}/api/v1/deploy?uuid=${uuid}&force=false`,
+    secrets: fieldsFromApi(app, WEBHOOK_SECRET_FIELDS)
+  };
+  configData.scheduledTasks = await fetchScheduledTasks(client, `/applications/${uuid}/scheduled-tasks`, configData);
+  await fetchDeploymentHistory(client, uuid, configData);
+
+  return configData;
+}
+
+/**
+ * Converts a camelCase Livewire model to the snake_case attribute the API returns
+ * @param {string} model - Livewire model
+ * @returns {string} Attribute name
+ */
+function toAttribute(model) {
+  return model.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+}
+
+/**
+ * Loads the scheduled backups of a database, recording a note if the endpoint is unavailable
+ * @param {Object} client - API client from createApiClient
+ * @param {string} uuid - Database UUID
+ * @param {Object} configData - Config object, gets backupsNote or backupsError
+ * @returns {Promise<Array<Object>|null>} Scheduled backups in the shape of the UI scraper
+ */
+async function fetchDatabaseBackups(client, uuid, configData) {
+  let items;
+  try {
+    items = await client.get(`/databases/${uuid}/backups`);
+  } catch (error) {
+    if (error.status === 404) {
+      configData.backupsNote = 'Backups endpoint not available';
+    } else {
+      configData.backupsError = error.message;
+    }
+    return null;
+  }
+
+  // Numbers are turned into strings like the form fields of the UI scraper
+  const formValue = value => (value == null ? null : typeof value === 'number' ? String(value) : value);
+  const attributes = { ...BACKUP_FIELDS, enabled: 'enabled' };
+
+  return items.map(item => {
+    const backup = { url: `/database/${uuid}/backups/${item.uuid}` };
+    Object.entries(attributes).forEach(([key, model]) => {
+      backup[key] = formValue(item[toAttribute(model)]);
+    });
+    backup.s3StorageName = (item.s3_storage && item.s3_storage.name) || null;
+    backup.retention = {};
+    Object.entries(BACKUP_RETENTION_FIELDS).forEach(([location, models]) => {
+      backup.retention[location] = {};
+      Object.entries(models).forEach(([key, model]) => {
+        backup.retention[location][key] = formValue(item[toAttribute(model)]);
+      });
+    });
+    backup.uuid = item.uuid;
+    return backup;
+  });
+}
+
+/**
+ * Scrapes detailed database configuration through the API
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} resource - Database entry from the resources data
+ * @returns {Promise<Object>} Database configuration data
+ */
+async function scrapeDatabaseConfigViaApi(client, resource) {
+  const uuid = getResourceUuid(resource);
+  const db = await client.get(`/databases/${uuid}`);
+
+  // The API returns the Eloquent attributes, i.e. the snake_case form of the Livewire models
+  const attribute = (model) => db[toAttribute(model)] ?? null;
+  const typeEngine = (db.database_type || '').replace(/^standalone-/, '');
+  const engine = DATABASE_ENGINES[typeEngine] ? typeEngine : detectDatabaseEngine(db.image);
+  const definition = engine ? DATABASE_ENGINES[engine] : null;
+
+  const credentials = {};
+  const engineOptions = {};
+  if (definition) {
+    Object.entries(definition.credentials).forEach(([key, model]) => {
+      credentials[key] = attribute(model);
+    });
+    Object.entries(definition.options).forEach(([key, model]) => {
+      engineOptions[key] = attribute(model);
+    });
+  }
+
+  const configData = {
+    title: db.name,
+    url: `${client.baseUrl}${resource.url}`,
+    timestamp: new Date().toISOString(),
+    general: {
+      name: db.name ?? null,
+      description: db.description ?? null,
+      image: db.image ?? null,
+      initialUsername: credentials.username ?? null,
+      initialPassword: credentials.password ?? null,
+      initialDatabase: credentials.database ?? null,
+      customDockerRunOptions: db.custom_docker_run_options ?? null
+    },
+    engine,
+    credentials,
+    engineOptions,
+    customConfig: definition && definition.customConfig ? attribute(definition.customConfig) : null,
+    initScripts: definition && definition.initScripts
+      ? (db.init_scripts || []).map(script => ({ filename: script.filename, content: script.content ?? null }))
+      : [],
+    network: {
+      portsMappings: db.ports_mappings ?? null,
+      dbUrlInternal: db.internal_db_url ?? null,
+      dbUrlPublic: db.external_db_url ?? null,
+      isPublic: db.is_public ?? null,
+      publicPort: db.public_port != null ? String(db.public_port) : null
+    },
+    advanced: {
+      enableSsl: db.enable_ssl ?? null,
+      isLogDrainEnabled: db.is_log_drain_enabled ?? null
+    }
+  };
+
+  configData.environmentVariables = await fetchEnvironmentVariables(client, `/databases/${uuid}/envs`, configData);
+  configData.backups = await fetchDatabaseBackups(client, uuid, configData);
+  configData.persistentStorage = await fetchPersistentStorage(client, `/databases/${uuid}/storages`, configData);
+
+  return configData;
+}
+
+/**
+ * Scrapes detailed service configuration through the API
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} resource - Service entry from the resources data
+ * @returns {Promise<Object>} Service configuration data
+ */
+async function scrapeServiceConfigViaApi(client, resource) {
+  const uuid = getResourceUuid(resource);
+  const service = await client.get(`/services/${uuid}`);
+  const dockerCompose = decodeBase64Field(service.docker_compose_raw, DOCKER_COMPOSE_PATTERN);
+
+  const configData = {
+    title: service.name,
+    url: `${client.baseUrl}${resource.url}`,
+    timestamp: new Date().toISOString(),
+    dockerCompose: dockerCompose ? dockerCompose.split('\n') : null,
+    environmentVariables: null
+  };
+
+  if (!dockerCompose) {
+    configData.dockerComposeNote = 'Docker Compose not returned by the API';
+  }
+
+  const envVariables = await fetchEnvironmentVariables(client, `/services/${uuid}/envs`, configData);
+  configData.environmentVariables = envVariables ? envVariables.split('\n') : null;
+  configData.persistentStorage = await fetchPersistentStorage(client, `/services/${uuid}/storages`, configData);
+  configData.scheduledTasks = await fetchScheduledTasks(client, `/services/${uuid}/scheduled-tasks`, configData);
+  configData.subApplications = (service.applications || []).map(app => {
+    const subApplication = { name: app.name, url: `${resource.url.replace(/\/+$/, '')}/${app.uuid}`, uuid: app.uuid };
+    setApiSection(subApplication, 'healthcheck', app, HEALTHCHECK_FIELDS);
+    setApiSection(subApplication, 'resourceLimits', app, RESOURCE_LIMIT_FIELDS);
+    return subApplication;
+  });
+
+  return configData;
+}
+
+/**
+ * Lists the servers through the API
+ * @param {Object} client - API client from createApiClient
+ * @returns {Promise<Array<Object>>} Servers with name, description, url and uuid
+ */
+async function scrapeServerListViaApi(client) {
+  const servers = await client.get('/servers');
+  return servers
+    .filter(server => server.uuid && server.name)
+    .map(server => ({
+      name: server.name,
+      description: server.description || '',
+      url: `/server/${server.uuid}`,
+      uuid: server.uuid
+    }));
+}
+
+/**
+ * Scrapes the inventory of one server through the API.
+ * The API has no endpoints for destinations and proxy configuration files, these stay empty with a note.
+ * @param {Object} client - API client from createApiClient
+ * @param {Object} server - Server from scrapeServerListViaApi
+ * @param {Array<Object>} [privateKeys] - Private keys from GET /security/keys, to resolve the key name
+ * @returns {Promise<Object>} Server inventory
+ */
+async function scrapeServerConfigViaApi(client, server, privateKeys = []) {
+  const details = await client.get(`/servers/${server.uuid}`);
+  const proxyType = ((details.proxy && details.proxy.type) || '').toLowerCase();
+  const privateKey = privateKeys.find(key => (
+    (details.private_key_id != null && key.id === details.private_key_id) ||
+    (details.private_key_uuid && key.uuid === details.private_key_uuid)
+  ));
+
+  let resources = [];
+  try {
+    const items = await client.get(`/servers/${server.uuid}/resources`);
+    resources = items.map(item => ({
+      name: item.name,
+      type: (item.type || '').replace(/^standalone-.*/, 'database'),
+      url: null,
+      uuid: item.uuid,
+      projectName: null,
+      environment: null
+    }));
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  return {
+    title: details.name,
+    url: `${client.baseUrl}${server.url}`,
+    timestamp: new Date().toISOString(),
+    general: {
+      name: details.name ?? null,
+      description: details.description ?? null,
+      ip: details.ip ?? null,
+      user: details.user ?? null,
+      port: details.port != null ? String(details.port) : null
+    },
+    privateKeyName: privateKey ? privateKey.name : null,
+    proxy: {
+      type: PROXY_TYPES.find(known => proxyType.includes(known)) || null,
+      configuration: null,
+      dynamicConfigurations: []
+    },
+    proxyNote: 'Proxy configuration files not returned by the API',
+    destinations: [],
+    destinationsNote: 'Destinations not returned by the API',
+    resources: linkServerResources([], resources)
+  };
+}
+
+module.exports = {
+  getScraperBackend,
+  createApiClient,
+  getResourceUuid,
+  scrapeTeamListViaApi,
+  scrapeTeamDetailsViaApi,
+  scrapeProjectsViaApi,
+  scrapeResourcesViaApi,
+  scrapeApplicationConfigViaApi,
+  scrapeDatabaseConfigViaApi,
+  scrapeServiceConfigViaApi,
+  scrapeServerListViaApi,
+  scrapeServerConfigViaApi
+};
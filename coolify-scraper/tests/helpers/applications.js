@@ -1,5 +1,16 @@
 const fs = require('fs');
 const path = require('path');
+const { isPlaintextMode, protectSecrets, writeProtectedJson } = require('./secrets');
+const { saveRunArtifact } = require('./run');
+const { ensureScreenshotsDir } = require('./screenshots');
+const { scrapeOperationTabs } = require('./operations');
+const { scrapeApplicationSource } = require('./source');
+const { scrapeDeploymentHistory } = require('./deployments');
+
+/**
+ * Tests directory, the base directory screenshots are saved relative to
+ */
+const TESTS_DIR = path.join(__dirname, '..');
 
 /**
  * Scrapes detailed application configuration from the application page
@@ -93,17 +104,15 @@ async function scrapeApplicationConfig(page) {
         await page.waitForSelector('textarea[wire\\:model="variables"]', { timeout: 5000 });
         await page.waitForTimeout(500);
         
-        // Take screenshot before extracting value
-        try {
-          const screenshotPath = path.join(__dirname, '..', '..', 'screenshots', `env-vars-textarea-${Date.now()}.png`);
-          const screenshotDir = path.dirname(screenshotPath);
-          if (!fs.existsSync(screenshotDir)) {
-            fs.mkdirSync(screenshotDir, { recursive: true });
+        // Take screenshot before extracting value, it shows the values in clear text
+        if (isPlaintextMode()) {
+          try {
+            const screenshotPath = path.join(ensureScreenshotsDir(TESTS_DIR), `env-vars-textarea-${Date.now()}.png`);
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+          } catch (screenshotError) {
+            // Continue even if screenshot fails
+            console.warn('Screenshot failed:', screenshotError.message);
           }
-          await page.screenshot({ path: screenshotPath, fullPage: true });
-        } catch (screenshotError) {
-          // Continue even if screenshot fails
-          console.warn('Screenshot failed:', screenshotError.message);
         }
         
         // Get the environment variables from textarea
@@ -126,6 +135,15 @@ async function scrapeApplicationConfig(page) {
     configData.environmentVariablesError = error.message;
   }
   
+  // Git Source, Deployments and Preview Deployments tabs
+  await scrapeApplicationSource(page, configData);
+  
+  // Healthcheck, Resource Limits, Webhooks and Scheduled Tasks tabs
+  await scrapeOperationTabs(page, configData, ['healthcheck', 'resourceLimits', 'webhooks', 'scheduledTasks']);
+  
+  // Deployment history and the newest failed build log, opt-in with COOLIFY_SCRAPER_DEPLOYMENTS
+  await scrapeDeploymentHistory(page, configData);
+  
   return configData;
 }
 
@@ -153,16 +171,21 @@ async function checkResourceAvailability(page) {
  * Saves application configurations to a JSON file
  * @param {Object} data - The configurations data object
  * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
  * @returns {string} Path to the saved file
  */
-function saveApplicationConfigs(data, baseDir) {
+function saveApplicationConfigs(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'applications', protectSecrets(data));
+  }
+  
   const dataDir = path.join(baseDir, '..', 'scraped-data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
   
   const dataPath = path.join(dataDir, `scraped-application-configs-${Date.now()}.json`);
-  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+  writeProtectedJson(dataPath, data);
   
   return dataPath;
 }
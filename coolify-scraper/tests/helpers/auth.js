@@ -1,39 +1,257 @@
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
 const COOLIFY_EMAIL = process.env.COOLIFY_EMAIL || 'your-email@example.com';
 const COOLIFY_PASSWORD = process.env.COOLIFY_PASSWORD || 'your-password';
 
 /**
- * Performs login to Coolify dashboard
+ * Reasons of a failed login, set as `reason` on the thrown error
+ */
+const LOGIN_FAILURES = ['credentials', 'two-factor', 'unreachable'];
+
+const TOTP_STEP_SECONDS = 30;
+
+/**
+ * Creates a login error with its reason
+ * @param {string} reason - One of LOGIN_FAILURES
+ * @param {string} message - Error message
+ * @returns {Error} Error with reason
+ */
+function loginError(reason, message) {
+  const error = new Error(message);
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Decodes a base32 TOTP secret, as shown below the QR code or in an otpauth:// URI
+ * @param {string} secret - Base32 secret or otpauth:// URI
+ * @returns {Buffer} Secret bytes
+ */
+function decodeTotpSecret(secret) {
+  const value = secret.startsWith('otpauth://') ? new URL(secret).searchParams.get('secret') || '' : secret;
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bytes = [];
+  let bits = 0;
+  let buffer = 0;
+  for (const char of value.replace(/[\s=-]/g, '').toUpperCase()) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) {
+      throw loginError('two-factor', 'The TOTP secret is not a base32 string');
+    }
+    buffer = ((buffer << 5) | index) & 0xfff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  if (bytes.length === 0) {
+    throw loginError('two-factor', 'The TOTP secret is empty');
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a time-based one-time password (RFC 6238: HMAC-SHA1, 30 second steps, 6 digits)
+ * @param {string} secret - Base32 secret or otpauth:// URI
+ * @param {number} [time] - Time in milliseconds, defaults to now
+ * @returns {string} Code
+ */
+function generateTotp(secret, time = Date.now()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(time / 1000 / TOTP_STEP_SECONDS)));
+  const hmac = crypto.createHmac('sha1', decodeTotpSecret(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+/**
+ * Returns the file the session is saved to and reused from
+ * @returns {string|null} Absolute path, null when COOLIFY_SCRAPER_STORAGE_STATE is not set
+ */
+function getStorageStatePath() {
+  const file = process.env.COOLIFY_SCRAPER_STORAGE_STATE;
+  return file ? path.resolve(file) : null;
+}
+
+/**
+ * Opens the dashboard, telling an unreachable instance apart from a login problem
  * @param {import('@playwright/test').Page} page - Playwright page object
  */
-async function login(page) {
-  console.log('Navigating to login page...');
-  await page.goto('/');
+async function openDashboard(page) {
+  let response;
+  try {
+    response = await page.goto('/');
+  } catch (error) {
+    throw loginError('unreachable', `Coolify is unreachable: ${error.message.split('\n')[0]}`);
+  }
+  if (response && response.status() >= 500) {
+    throw loginError('unreachable', `Coolify is unreachable: HTTP ${response.status()} on ${response.url()}`);
+  }
   await page.waitForLoadState('networkidle');
-  
+}
+
+/**
+ * Checks whether the page shows the login form
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<boolean>} True on the login form
+ */
+async function isLoginForm(page) {
+  return (await page.locator('input[type="password"]').count()) > 0;
+}
+
+/**
+ * Checks whether the page asks for the code of the authenticator app
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<boolean>} True on the two-factor challenge
+ */
+async function isTwoFactorChallenge(page) {
+  if (new URL(page.url()).pathname.startsWith('/two-factor-challenge')) return true;
+  return (await page.locator('input[name="code"]').count()) > 0;
+}
+
+/**
+ * Reads the error message Coolify shows on a form
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<string|null>} Message, null if the page shows none
+ */
+async function readFormError(page) {
+  return page.evaluate(() => {
+    const element = document.querySelector('.text-error, [role="alert"]');
+    return element ? element.textContent.trim() || null : null;
+  });
+}
+
+/**
+ * Answers the two-factor challenge with the current TOTP code, once more with the next code if it is rejected
+ * (e.g. a code that was already used, or clock skew)
+ * @param {import('@playwright/test').Page} page - Playwright page on the challenge
+ * @param {string|undefined} secret - TOTP secret
+ * @param {Function} log - Progress output
+ */
+async function answerTwoFactorChallenge(page, secret, log) {
+  if (!secret) {
+    throw loginError('two-factor', 'Coolify asks for a two-factor code, set COOLIFY_TOTP_SECRET');
+  }
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    // A code about to expire may be checked after it has, wait for the next one
+    const remaining = TOTP_STEP_SECONDS * 1000 - (Date.now() % (TOTP_STEP_SECONDS * 1000));
+    if (attempt > 1 || remaining < 3000) {
+      await page.waitForTimeout(remaining + 500);
+    }
+
+    await page.locator('input[name="code"]').first().fill(generateTotp(secret));
+    await page.locator('button[type="submit"]').first().click();
+    await page.waitForLoadState('networkidle');
+    log('Submitted two-factor code');
+
+    if (!(await isTwoFactorChallenge(page))) return;
+    // Coolify sends the user back to the login form once the challenge expires
+    if (await isLoginForm(page)) break;
+  }
+  const message = await readFormError(page);
+  throw loginError('two-factor', `Two-factor code rejected${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Reuses a saved session if it is still valid
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} statePath - Saved storage state
+ * @param {Function} log - Progress output
+ * @returns {Promise<boolean>} True if the page is logged in with it
+ */
+async function restoreSession(page, statePath, log) {
+  if (!fs.existsSync(statePath)) return false;
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (error) {
+    log(`⚠ Ignoring unreadable session file ${statePath}: ${error.message}`);
+    return false;
+  }
+  await page.context().addCookies(state.cookies || []);
+  await openDashboard(page);
+
+  if (!(await isLoginForm(page)) && !(await isTwoFactorChallenge(page)) && (await verifyLogin(page))) {
+    return true;
+  }
+  log('Saved session expired, logging in again');
+  await page.context().clearCookies();
+  return false;
+}
+
+/**
+ * Saves the cookies of the session, readable only by the owner. Coolify keeps the session in cookies,
+ * local storage is left out because restoreSession only restores cookies into the running context.
+ * @param {import('@playwright/test').Page} page - Logged in page
+ * @param {string} statePath - Target file
+ * @param {Function} log - Progress output
+ */
+async function saveSession(page, statePath, log) {
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  const { cookies } = await page.context().storageState();
+  fs.writeFileSync(statePath, JSON.stringify({ cookies, origins: [] }, null, 2), { mode: 0o600 });
+  fs.chmodSync(statePath, 0o600);
+  log(`Session saved to: ${statePath}`);
+}
+
+/**
+ * Performs login to Coolify dashboard. Reuses the session saved in COOLIFY_SCRAPER_STORAGE_STATE
+ * while it is valid and answers the two-factor challenge with a TOTP code.
+ * Failures throw an error with `reason` set to one of LOGIN_FAILURES.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} [credentials] - Overrides COOLIFY_EMAIL / COOLIFY_PASSWORD, e.g. for a restore target
+ * @param {string} [credentials.email] - Login email
+ * @param {string} [credentials.password] - Login password
+ * @param {string} [credentials.totpSecret] - TOTP secret, defaults to COOLIFY_TOTP_SECRET
+ * @param {string|null} [credentials.storageState] - Session file, defaults to COOLIFY_SCRAPER_STORAGE_STATE, null for none
+ * @param {Function} [credentials.log] - Progress output, defaults to console.log
+ */
+async function login(page, credentials = {}) {
+  const log = credentials.log || console.log;
+  const statePath = credentials.storageState === undefined ? getStorageStatePath() : credentials.storageState;
+  if (statePath && (await restoreSession(page, statePath, log))) {
+    log(`Reusing the session saved in ${statePath}`);
+    return;
+  }
+
+  log('Navigating to login page...');
+  await openDashboard(page);
+
   // Find and fill login form
   const emailInput = page.locator('input[type="email"], input[name="email"], input[placeholder*="email" i]').first();
   const passwordInput = page.locator('input[type="password"], input[name="password"]').first();
   const loginButton = page.locator('button[type="submit"], button:has-text("Login"), button:has-text("Sign in")').first();
-  
-  await emailInput.fill(COOLIFY_EMAIL);
-  console.log('Filled email field');
-  
-  await passwordInput.fill(COOLIFY_PASSWORD);
-  console.log('Filled password field');
-  
+
+  await emailInput.fill(credentials.email || COOLIFY_EMAIL);
+  log('Filled email field');
+
+  await passwordInput.fill(credentials.password || COOLIFY_PASSWORD);
+  log('Filled password field');
+
   await loginButton.click();
-  console.log('Clicked login button');
-  
+  log('Clicked login button');
+
   // Wait for navigation after login
   await page.waitForLoadState('networkidle');
   await page.waitForTimeout(3000);
-  
-  console.log('Login successful, waiting for dashboard to load');
-  
+
+  if (await isTwoFactorChallenge(page)) {
+    log('Two-factor challenge detected');
+    await answerTwoFactorChallenge(page, credentials.totpSecret || process.env.COOLIFY_TOTP_SECRET, log);
+  } else if (await isLoginForm(page)) {
+    const message = await readFormError(page);
+    throw loginError('credentials', `Login rejected${message ? `: ${message}` : ', check the email and password'}`);
+  }
+
+  log('Login successful, waiting for dashboard to load');
+
   // Handle "Accept and Close" button if it appears
   try {
     const acceptButton = page.getByRole('button', { name: 'Accept and Close' });
@@ -41,9 +259,13 @@ async function login(page) {
     await page.waitForTimeout(500);
     await acceptButton.click();
     await page.waitForTimeout(1000);
-    console.log('Clicked "Accept and Close" button');
+    log('Clicked "Accept and Close" button');
   } catch (e) {
-    console.log('No "Accept and Close" button found, continuing...');
+    log('No "Accept and Close" button found, continuing...');
+  }
+
+  if (statePath) {
+    await saveSession(page, statePath, log);
   }
 }
 
@@ -61,6 +283,9 @@ async function verifyLogin(page) {
 }
 
 module.exports = {
+  LOGIN_FAILURES,
+  generateTotp,
+  getStorageStatePath,
   login,
   verifyLogin
 };
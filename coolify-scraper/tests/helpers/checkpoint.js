@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_COLLECTIONS, protectSecrets, decryptSecrets, getDecryptionKeys } = require('./secrets');
+const { runPool } = require('./pool');
+
+require('dotenv').config({ quiet: true });
+
+const CHECKPOINT_FILE = 'checkpoint.jsonl';
+
+/**
+ * Returns the run to resume, from COOLIFY_SCRAPER_RESUME
+ * @returns {string|null} Run ID, run directory or "latest", null for a new run
+ */
+function getResumeSpec() {
+  return (process.env.COOLIFY_SCRAPER_RESUME || '').trim() || null;
+}
+
+/**
+ * Appends one completed result to the checkpoint of a run.
+ * Resource configs go through the secrets mode like the final artifacts.
+ * @param {Object} run - Run from createRun or resumeRun
+ * @param {string} collection - Result collection (projects, applications, databases or services)
+ * @param {string} id - Identifier of the item within the collection (its URL)
+ * @param {Object} value - Scraped result
+ */
+function appendCheckpoint(run, collection, id, value) {
+  const data = CONFIG_COLLECTIONS.includes(collection)
+    ? protectSecrets({ [collection]: [value] })
+    : { [collection]: [value] };
+  const entry = { collection, id, completedAt: new Date().toISOString(), data };
+  fs.appendFileSync(path.join(run.dir, CHECKPOINT_FILE), JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Loads the completed results of a run's checkpoint
+ * @param {Object} run - Run from createRun or resumeRun
+ * @returns {Map<string, Object>} Results by "collection:id", the latest entry wins
+ */
+function loadCheckpoint(run) {
+  const results = new Map();
+  const filePath = path.join(run.dir, CHECKPOINT_FILE);
+  if (!fs.existsSync(filePath)) return results;
+
+  let keys = null;
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+    if (line.trim() === '') return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // Last line of a run that was killed while writing
+      return;
+    }
+
+    let data = entry.data;
+    if (data.secrets && data.secrets.mode === 'encrypted') {
+      keys = keys || getDecryptionKeys();
+      if (!keys.passphrase && !keys.privateKey) {
+        throw new Error('Resuming an encrypted run requires COOLIFY_SECRETS_PASSPHRASE or COOLIFY_SECRETS_PRIVATE_KEY');
+      }
+      data = decryptSecrets(data, keys);
+    }
+    results.set(`${entry.collection}:${entry.id}`, data[entry.collection][0]);
+  });
+
+  return results;
+}
+
+/**
+ * Runs a worker pool that skips items already completed in the checkpoint
+ * and appends every new result to it as soon as it completes
+ * @param {Object} run - Run from createRun or resumeRun
+ * @param {Map<string, Object>} checkpoint - Results from loadCheckpoint
+ * @param {Array} items - Items to process
+ * @param {Function} keyOf - Returns { collection, id } for an item
+ * @param {Function} worker - Async function (item, index, lane) returning the result of one item
+ * @param {Object} [options] - Options for runPool
+ * @returns {Promise<Array<Object>>} One { value, resumed } or { error } entry per item, in item order
+ */
+async function runCheckpointedPool(run, checkpoint, items, keyOf, worker, options = {}) {
+  const results = items.map(item => {
+    const { collection, id } = keyOf(item);
+    const key = `${collection}:${id}`;
+    return checkpoint.has(key) ? { value: checkpoint.get(key), resumed: true } : null;
+  });
+  const pending = results.map((result, index) => (result ? null : index)).filter(index => index !== null);
+
+  const pendingResults = await runPool(pending, async (itemIndex, _, lane) => {
+    const item = items[itemIndex];
+    const value = await worker(item, itemIndex, lane);
+    const { collection, id } = keyOf(item);
+    appendCheckpoint(run, collection, id, value);
+    return value;
+  }, options);
+
+  pending.forEach((itemIndex, index) => {
+    results[itemIndex] = pendingResults[index];
+  });
+  return results;
+}
+
+module.exports = {
+  CHECKPOINT_FILE,
+  getResumeSpec,
+  appendCheckpoint,
+  loadCheckpoint,
+  runCheckpointedPool
+};
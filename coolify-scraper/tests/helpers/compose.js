@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const { isProtectedValue } = require('./restore');
+const { serializeDotenv, getEnvironmentEntries } = require('./envfile');
+
+/**
+ * docker run options of customDockerRunOptions and how they map to a compose service.
+ * Options take a value unless `flag` is set.
+ */
+const DOCKER_RUN_OPTIONS = {
+  '--cap-add': { apply: (service, value) => appendTo(service, 'cap_add', value) },
+  '--cap-drop': { apply: (service, value) => appendTo(service, 'cap_drop', value) },
+  '--security-opt': { apply: (service, value) => appendTo(service, 'security_opt', value) },
+  '--device': { apply: (service, value) => appendTo(service, 'devices', value) },
+  '--add-host': { apply: (service, value) => appendTo(service, 'extra_hosts', value) },
+  '--dns': { apply: (service, value) => appendTo(service, 'dns', value) },
+  '--tmpfs': { apply: (service, value) => appendTo(service, 'tmpfs', value) },
+  '--group-add': { apply: (service, value) => appendTo(service, 'group_add', value) },
+  '--label': { apply: (service, value) => appendTo(service, 'labels', value) },
+  '--env': { apply: (service, value) => appendTo(service, 'environment', value) },
+  '--gpus': {
+    apply: (service, value) => {
+      const count = value === 'all' ? 'all' : Number(String(value).replace(/^count=/, '')) || 'all';
+      service.deploy = {
+        resources: { reservations: { devices: [{ driver: 'nvidia', count, capabilities: ['gpu'] }] } }
+      };
+    }
+  },
+  '--sysctl': {
+    apply: (service, value) => {
+      const [key, ...rest] = value.split('=');
+      service.sysctls = { ...service.sysctls, [key]: rest.join('=') };
+    }
+  },
+  '--ulimit': {
+    apply: (service, value) => {
+      const [name, limits] = value.split('=');
+      const [soft, hard] = (limits || '').split(':');
+      service.ulimits = {
+        ...service.ulimits,
+        [name]: hard ? { soft: Number(soft), hard: Number(hard) } : Number(soft)
+      };
+    }
+  },
+  '--shm-size': { apply: (service, value) => { service.shm_size = value; } },
+  '--hostname': { apply: (service, value) => { service.hostname = value; } },
+  '--user': { apply: (service, value) => { service.user = value; } },
+  '--workdir': { apply: (service, value) => { service.working_dir = value; } },
+  '--entrypoint': { apply: (service, value) => { service.entrypoint = value; } },
+  '--pid': { apply: (service, value) => { service.pid = value; } },
+  '--ipc': { apply: (service, value) => { service.ipc = value; } },
+  '--stop-signal': { apply: (service, value) => { service.stop_signal = value; } },
+  '--privileged': { flag: true, apply: service => { service.privileged = true; } },
+  '--init': { flag: true, apply: service => { service.init = true; } },
+  '--read-only': { flag: true, apply: service => { service.read_only = true; } }
+};
+
+/**
+ * Short aliases of docker run options
+ */
+const DOCKER_RUN_ALIASES = {
+  '-e': '--env',
+  '-h': '--hostname',
+  '-l': '--label',
+  '-u': '--user',
+  '-w': '--workdir'
+};
+
+/**
+ * Appends a value to a list field of a compose service
+ * @param {Object} service - Compose service, modified in place
+ * @param {string} field - List field
+ * @param {string} value - Value to append
+ */
+function appendTo(service, field, value) {
+  service[field] = (service[field] || []).concat(value);
+}
+
+/**
+ * Turns a name into a directory and compose service name
+ * @param {string} name - Resource or project name
+ * @returns {string} Lowercase name with dashes
+ */
+function slugify(name) {
+  return String(name || 'unnamed').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+/**
+ * Splits a comma-separated Coolify field into its values
+ * @param {string|null} value - Field value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Splits a docker run command line into arguments, honouring quotes
+ * @param {string} value - customDockerRunOptions value
+ * @returns {Array<string>} Arguments
+ */
+function splitArgs(value) {
+  const args = [];
+  const pattern = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] !== undefined ? match[2] : match[3]);
+  }
+  return args;
+}
+
+/**
+ * Translates customDockerRunOptions into compose service fields
+ * @param {Object} service - Compose service, modified in place
+ * @param {string|null} options - customDockerRunOptions value
+ * @param {Array<string>} warnings - Warnings, appended to for unsupported options
+ */
+function applyDockerRunOptions(service, options, warnings) {
+  const args = splitArgs(options || '');
+  for (let i = 0; i < args.length; i++) {
+    const [rawName, inlineValue] = args[i].split(/=(.*)/s);
+    const name = DOCKER_RUN_ALIASES[rawName] || rawName;
+    const option = DOCKER_RUN_OPTIONS[name];
+
+    if (!option) {
+      // Take the option's value along, if it has one
+      const skipped = inlineValue === undefined && args[i + 1] && !args[i + 1].startsWith('-')
+        ? `${args[i]} ${args[++i]}`
+        : args[i];
+      warnings.push(`customDockerRunOptions: "${skipped}" has no docker-compose equivalent and was skipped`);
+      continue;
+    }
+    if (option.flag) {
+      option.apply(service);
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      warnings.push(`customDockerRunOptions: "${name}" has no value and was skipped`);
+      continue;
+    }
+    option.apply(service, value);
+  }
+}
+
+/**
+ * Formats a scalar for YAML
+ * @param {*} value - String, number, boolean or null
+ * @returns {string} YAML scalar
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  // Double-quoted JSON strings are valid YAML and avoid "8080:80" being read as a number
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Formats a mapping key for YAML
+ * @param {string} key - Mapping key
+ * @returns {string} Plain or quoted key
+ */
+function yamlKey(key) {
+  return /^[A-Za-z0-9_.-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Serializes plain objects, arrays and scalars as block YAML
+ * @param {*} value - Value to serialize
+ * @param {number} [indent] - Current indentation
+ * @returns {string} YAML lines, without a trailing newline
+ */
+function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item !== null && typeof item === 'object') {
+        const nested = toYaml(item, indent + 2);
+        return `${pad}- ${nested.trimStart()}`;
+      }
+      return `${pad}- ${yamlScalar(item)}`;
+    }).join('\n');
+  }
+
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([key, item]) => {
+      const isEmpty = item !== null && typeof item === 'object' && Object.keys(item).length === 0;
+      if (item !== null && typeof item === 'object' && !isEmpty) {
+        return `${pad}${yamlKey(key)}:\n${toYaml(item, indent + 2)}`;
+      }
+      return `${pad}${yamlKey(key)}: ${isEmpty ? (Array.isArray(item) ? '[]' : '{}') : yamlScalar(item)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Builds the compose bundle of a scraped application
+ * @param {Object} config - Application config
+ * @returns {Object} Bundle with compose (YAML text), env entries and warnings
+ */
+function buildApplicationBundle(config) {
+  const warnings = [];
+  const general = config.general || {};
+  const docker = config.docker || {};
+  const network = config.network || {};
+  const build = config.build || {};
+  const name = slugify(general.name || config.applicationName);
+  const service = {};
+
+  if (docker.registryImageName) {
+    service.image = `${docker.registryImageName}:${docker.registryImageTag || 'latest'}`;
+  } else if (general.buildPack === 'dockerfile') {
+    service.build = {
+      context: `./source${build.baseDirectory && build.baseDirectory !== '/' ? build.baseDirectory : ''}`,
+      dockerfile: build.dockerfileLocation ? build.dockerfileLocation.replace(/^\//, '') : 'Dockerfile'
+    };
+    if (build.dockerfileTargetBuild) {
+      service.build.target = build.dockerfileTargetBuild;
+    }
+    warnings.push('Built from a Dockerfile: clone the application repository into ./source before running docker compose');
+  } else {
+    service.image = `${name}:latest`;
+    warnings.push(`Build pack "${general.buildPack}" builds the image inside Coolify: build and tag "${service.image}" yourself, or replace the image`);
+  }
+
+  service.container_name = name;
+  service.restart = 'unless-stopped';
+
+  const expose = splitList(network.portsExposes);
+  if (expose.length > 0) service.expose = expose;
+  const ports = splitList(network.portsMappings);
+  if (ports.length > 0) service.ports = ports;
+
+  const labels = (docker.customLabels || '').split('\n').map(line => line.trim()).filter(Boolean);
+  if (labels.length > 0) {
+    service.labels = labels;
+    if (labels.some(label => label.startsWith('traefik.') || label.startsWith('caddy'))) {
+      warnings.push('Custom labels configure the Coolify proxy (Traefik/Caddy): they only take effect behind a matching proxy on the same network');
+    }
+  }
+
+  applyDockerRunOptions(service, build.customDockerRunOptions, warnings);
+
+  const env = getEnvironmentEntries(config).filter(entry => !entry.isPreview);
+  if (env.length > 0) service.env_file = ['.env'];
+
+  const aliases = splitList(network.customNetworkAliases);
+  service.networks = aliases.length > 0 ? { default: { aliases } } : ['default'];
+
+  if (general.domains) {
+    warnings.push(`Domains (${general.domains}) are routed by the Coolify proxy: point them at this host and add a reverse proxy`);
+  }
+  if (network.isHttpBasicAuthEnabled) {
+    warnings.push('HTTP basic auth is enforced by the Coolify proxy and is not part of this bundle');
+  }
+  const deployment = config.deployment || {};
+  if (deployment.preDeploymentCommand || deployment.postDeploymentCommand) {
+    warnings.push('Pre/post deployment commands are run by Coolify and are not part of this bundle');
+  }
+
+  return {
+    name,
+    compose: toYaml({ services: { [name]: service } }),
+    env,
+    warnings
+  };
+}
+
+/**
+ * Builds the compose bundle of a scraped service, reusing its Docker Compose file
+ * @param {Object} config - Service config
+ * @returns {Object} Bundle with compose (YAML text), env entries and warnings
+ */
+function buildServiceBundle(config) {
+  const warnings = [];
+  const name = slugify(config.serviceName);
+  const env = getEnvironmentEntries(config).filter(entry => !entry.isPreview);
+
+  if (!config.dockerCompose || config.dockerCompose.length === 0) {
+    warnings.push(`No Docker Compose file was scraped${config.dockerComposeNote ? ` (${config.dockerComposeNote})` : ''}`);
+    return { name, compose: null, env, warnings };
+  }
+
+  const compose = config.dockerCompose.join('\n');
+
+  // Coolify generates SERVICE_* variables (passwords, URLs) and stores them with the env vars
+  const defined = new Set(env.map(entry => entry.key));
+  const referenced = new Set([...compose.matchAll(/\$\{?(SERVICE_[A-Z0-9_]+)/g)].map(match => match[1]));
+  const missing = [...referenced].filter(key => !defined.has(key));
+  if (missing.length > 0) {
+    warnings.push(`Variables generated by Coolify are not in .env and must be set: ${missing.join(', ')}`);
+  }
+  if ([...referenced].some(key => key.startsWith('SERVICE_FQDN_') || key.startsWith('SERVICE_URL_'))) {
+    warnings.push('SERVICE_FQDN_*/SERVICE_URL_* domains are routed by the Coolify proxy: point them at this host and add a reverse proxy');
+  }
+
+  return { name, compose, env, warnings };
+}
+
+/**
+ * Writes one bundle directory (docker-compose.yml, .env and warnings.txt)
+ * @param {string} dir - Bundle directory
+ * @param {Object} bundle - Bundle from buildApplicationBundle or buildServiceBundle
+ * @param {string} header - Comment written at the top of docker-compose.yml
+ */
+function writeBundle(dir, bundle, header) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  if (isProtectedValue(bundle.env.map(entry => entry.value))) {
+    bundle.warnings.push('Environment variables are redacted or encrypted: decrypt the run first or fill in .env by hand');
+  }
+  if (bundle.compose) {
+    fs.writeFileSync(path.join(dir, 'docker-compose.yml'), `# ${header}\n${bundle.compose}\n`);
+  }
+  if (bundle.env.length > 0) {
+    fs.writeFileSync(path.join(dir, '.env'), serializeDotenv(bundle.env, { compose: true }) + '\n');
+  }
+  if (bundle.warnings.length > 0) {
+    fs.writeFileSync(path.join(dir, 'warnings.txt'), bundle.warnings.map(warning => `- ${warning}`).join('\n') + '\n');
+  }
+}
+
+/**
+ * Exports the applications and services of a snapshot as docker-compose bundles,
+ * one directory per resource under <outDir>/<project>/<resource>
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {string} outDir - Output directory
+ * @returns {Array<Object>} Written bundles ({ kind, project, name, dir, warnings })
+ */
+function exportComposeBundles(snapshot, outDir) {
+  const written = [];
+  const used = new Set();
+  const sources = [
+    { kind: 'application', configs: snapshot.applications && snapshot.applications.applications, nameField: 'applicationName', build: buildApplicationBundle },
+    { kind: 'service', configs: snapshot.services && snapshot.services.services, nameField: 'serviceName', build: buildServiceBundle }
+  ];
+
+  sources.forEach(({ kind, configs, nameField, build }) => {
+    (configs || []).filter(config => !config.error).forEach(config => {
+      const bundle = build(config);
+      const project = slugify(config.projectName);
+
+      // Two resources with the same name in one project get distinct directories
+      let dirName = bundle.name;
+      for (let n = 2; used.has(`${project}/${dirName}`); n++) {
+        dirName = `${bundle.name}-${n}`;
+      }
+      used.add(`${project}/${dirName}`);
+
+      const dir = path.join(outDir, project, dirName);
+      writeBundle(dir, bundle, `Generated by coolify-scraper from ${kind} "${config[nameField]}" (${config.projectName}), run ${snapshot.source}`);
+      written.push({ kind, project: config.projectName, name: config[nameField], dir, warnings: bundle.warnings });
+    });
+  });
+
+  return written;
+}
+
+module.exports = {
+  DOCKER_RUN_OPTIONS,
+  slugify,
+  toYaml,
+  buildApplicationBundle,
+  buildServiceBundle,
+  exportComposeBundles
+};
@@ -1,5 +1,148 @@
 const fs = require('fs');
 const path = require('path');
+const { protectSecrets, writeProtectedJson } = require('./secrets');
+const { saveRunArtifact } = require('./run');
+
+/**
+ * Engine specific Livewire fields of the database "General" page, with the image repository names of
+ * the engine (the last path segment, "bitnami/postgresql" is "postgresql"). A name also matches its
+ * variants with a "-" suffix, e.g. "postgresql-repmgr"; exact names are checked first.
+ */
+const DATABASE_ENGINES = {
+  postgresql: {
+    images: ['postgres', 'postgresql', 'postgis', 'timescaledb', 'pgvector'],
+    credentials: {
+      username: 'postgresUser',
+      password: 'postgresPassword',
+      database: 'postgresDb'
+    },
+    options: {
+      initdbArgs: 'postgresInitdbArgs',
+      hostAuthMethod: 'postgresHostAuthMethod'
+    },
+    customConfig: 'postgresConf',
+    initScripts: true
+  },
+  mariadb: {
+    images: ['mariadb'],
+    credentials: {
+      rootPassword: 'mariadbRootPassword',
+      username: 'mariadbUser',
+      password: 'mariadbPassword',
+      database: 'mariadbDatabase'
+    },
+    options: {},
+    customConfig: 'mariadbConf',
+    initScripts: false
+  },
+  mysql: {
+    images: ['mysql', 'percona-server', 'percona'],
+    credentials: {
+      rootPassword: 'mysqlRootPassword',
+      username: 'mysqlUser',
+      password: 'mysqlPassword',
+      database: 'mysqlDatabase'
+    },
+    options: {},
+    customConfig: 'mysqlConf',
+    initScripts: false
+  },
+  mongodb: {
+    images: ['mongo', 'mongodb', 'percona-server-mongodb'],
+    credentials: {
+      username: 'mongoInitdbRootUsername',
+      password: 'mongoInitdbRootPassword',
+      database: 'mongoInitdbDatabase'
+    },
+    options: {},
+    customConfig: 'mongoConf',
+    initScripts: false
+  },
+  keydb: {
+    images: ['keydb'],
+    credentials: {
+      password: 'keydbPassword'
+    },
+    options: {},
+    customConfig: 'keydbConf',
+    initScripts: false
+  },
+  dragonfly: {
+    images: ['dragonfly', 'dragonflydb'],
+    credentials: {
+      password: 'dragonflyPassword'
+    },
+    options: {},
+    customConfig: null,
+    initScripts: false
+  },
+  redis: {
+    images: ['redis', 'valkey'],
+    credentials: {
+      username: 'redisUsername',
+      password: 'redisPassword'
+    },
+    options: {},
+    customConfig: 'redisConf',
+    initScripts: false
+  },
+  clickhouse: {
+    images: ['clickhouse'],
+    credentials: {
+      username: 'clickhouseAdminUser',
+      password: 'clickhouseAdminPassword'
+    },
+    options: {},
+    customConfig: null,
+    initScripts: false
+  }
+};
+
+/**
+ * Fields of a scheduled backup, by the Livewire model of the backup form
+ */
+const BACKUP_FIELDS = {
+  enabled: 'backupEnabled',
+  frequency: 'frequency',
+  timezone: 'timezone',
+  timeout: 'timeout',
+  databasesToBackup: 'databasesToBackup',
+  dumpAll: 'dumpAll',
+  saveS3: 'saveS3',
+  s3StorageId: 's3StorageId'
+};
+
+/**
+ * Retention fields of a scheduled backup, per location, by Livewire model
+ */
+const BACKUP_RETENTION_FIELDS = {
+  local: {
+    amount: 'databaseBackupRetentionAmountLocally',
+    days: 'databaseBackupRetentionDaysLocally',
+    maxStorageGb: 'databaseBackupRetentionMaxStorageLocally'
+  },
+  s3: {
+    amount: 'databaseBackupRetentionAmountS3',
+    days: 'databaseBackupRetentionDaysS3',
+    maxStorageGb: 'databaseBackupRetentionMaxStorageS3'
+  }
+};
+
+/**
+ * Detects the database engine from a Docker image name
+ * @param {string|null} image - Docker image, e.g. "postgres:16-alpine" or "bitnami/postgresql:16"
+ * @returns {string|null} Engine key of DATABASE_ENGINES or null if unknown
+ */
+function detectDatabaseEngine(image) {
+  if (!image) return null;
+  // Registry, namespace, tag and digest are dropped: "ghcr.io/org/postgis:16@sha256:..." is "postgis"
+  const reference = image.toLowerCase().trim().split('@')[0];
+  const name = reference.slice(reference.lastIndexOf('/') + 1).split(':')[0];
+  const keys = Object.keys(DATABASE_ENGINES);
+  return keys.find(key => DATABASE_ENGINES[key].images.includes(name))
+    || keys.find(key => DATABASE_ENGINES[key].images.some(alias => name.startsWith(`${alias}-`)))
+    || null;
+}
 
 /**
  * Scrapes detailed database configuration from the database page
@@ -7,7 +150,12 @@ const path = require('path');
  * @returns {Promise<Object>} Database configuration data
  */
 async function scrapeDatabaseConfig(page) {
-  const configData = await page.evaluate(() => {
+  const image = await page.evaluate(() => {
+    const input = document.querySelector('input[wire\\:model="image"]');
+    return input ? input.value : null;
+  });
+
+  const configData = await page.evaluate(({ engines, imageEngine }) => {
     const data = {
       title: document.title,
       url: window.location.href,
@@ -33,13 +181,61 @@ async function scrapeDatabaseConfig(page) {
       return el.value || el.textContent?.trim() || null;
     };
     
+    // Coolify versions bind either the camelCase property or "database.snake_case"
+    const modelSelector = (model) => {
+      const snake = 'database.' + model.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+      return [model, snake]
+        .flatMap(name => [`[wire\\:model="${name}"]`, `[wire\\:model\\.defer="${name}"]`, `[wire\\:model\\.live="${name}"]`])
+        .join(', ');
+    };
+    const hasModel = (model) => !!document.querySelector(modelSelector(model));
+    
     // General Configuration
     data.general.name = getValue('input[wire\\:model="name"]');
     data.general.description = getValue('input[wire\\:model="description"]');
     data.general.image = getValue('input[wire\\:model="image"]');
-    data.general.initialUsername = getValue('input[wire\\:model="mongoInitdbRootUsername"]');
-    data.general.initialPassword = getValue('input[wire\\:model="mongoInitdbRootPassword"]');
-    data.general.initialDatabase = getValue('input[wire\\:model="mongoInitdbDatabase"]');
+    
+    // Detect the engine from its fields on the page, falling back to the image name
+    let engine = Object.keys(engines).find(key => {
+      const fields = Object.values(engines[key].credentials);
+      return fields.some(hasModel);
+    });
+    if (!engine) {
+      engine = imageEngine;
+    }
+    data.engine = engine || null;
+    data.credentials = {};
+    data.engineOptions = {};
+    data.customConfig = null;
+    data.initScripts = [];
+    
+    if (engine) {
+      const definition = engines[engine];
+      Object.entries(definition.credentials).forEach(([key, model]) => {
+        data.credentials[key] = getValue(modelSelector(model));
+      });
+      Object.entries(definition.options).forEach(([key, model]) => {
+        data.engineOptions[key] = getValue(modelSelector(model));
+      });
+      if (definition.customConfig) {
+        data.customConfig = getValue(modelSelector(definition.customConfig));
+      }
+      if (definition.initScripts) {
+        document.querySelectorAll('[wire\\:model="filename"]').forEach(filenameInput => {
+          const form = filenameInput.closest('form') || filenameInput.parentElement;
+          const content = form ? form.querySelector('textarea[wire\\:model="content"]') : null;
+          data.initScripts.push({
+            filename: filenameInput.value,
+            content: content ? content.value : null
+          });
+        });
+      }
+    }
+    
+    // Generic credential fields, kept for consumers of the previous format
+    data.general.initialUsername = data.credentials.username ?? null;
+    data.general.initialPassword = data.credentials.password ?? null;
+    data.general.initialDatabase = data.credentials.database ?? null;
     data.general.customDockerRunOptions = getValue('input[wire\\:model="customDockerRunOptions"]');
     
     // Network Configuration
@@ -52,12 +248,11 @@ async function scrapeDatabaseConfig(page) {
     // SSL Configuration
     data.advanced.enableSsl = getValue('input[wire\\:model="enableSsl"]');
     
-    // Custom Configuration
-    data.advanced.customMongoConfig = getValue('textarea[wire\\:model="mongoConf"]');
+    // Log Drain
     data.advanced.isLogDrainEnabled = getValue('input[wire\\:model="isLogDrainEnabled"]');
     
     return data;
-  });
+  }, { engines: DATABASE_ENGINES, imageEngine: detectDatabaseEngine(image) });
   
   // Now scrape environment variables
   try {
@@ -97,23 +292,124 @@ async function scrapeDatabaseConfig(page) {
     configData.environmentVariablesError = error.message;
   }
   
+  // Scheduled backups, from the Backups tab
+  try {
+    configData.backups = await scrapeDatabaseBackups(page);
+    if (configData.backups === null) {
+      configData.backupsNote = 'Backups menu not found';
+    }
+  } catch (error) {
+    configData.backups = null;
+    configData.backupsError = error.message;
+  }
+  
   return configData;
 }
 
+/**
+ * Scrapes the scheduled backups of a database from its Backups tab.
+ * Each backup has its own page with the schedule, the S3 storage and the retention.
+ * @param {import('@playwright/test').Page} page - Playwright page on the database
+ * @returns {Promise<Array<Object>|null>} Scheduled backups, null if the database has no Backups tab
+ */
+async function scrapeDatabaseBackups(page) {
+  const backupsLink = page.locator('a.menu-item[href*="/backups"]');
+  if (await backupsLink.count() === 0) {
+    return null;
+  }
+  await backupsLink.first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+  
+  const backupUrls = await page.evaluate(() => {
+    const urls = Array.from(document.querySelectorAll('a[href*="/backups/"]'))
+      .map(link => link.getAttribute('href'));
+    return [...new Set(urls)];
+  });
+  
+  const backups = [];
+  for (const backupUrl of backupUrls) {
+    await page.goto(backupUrl);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+    
+    const backup = await page.evaluate(({ fields, retentionFields }) => {
+      // Coolify versions bind either the camelCase property or "backup.snake_case"
+      const getValue = (model) => {
+        const snake = 'backup.' + model.replace(/[A-Z]/g, c => '_' + c.toLowerCase())
+          .replace('backup_enabled', 'enabled');
+        const selector = [model, snake]
+          .flatMap(name => [`[wire\\:model="${name}"]`, `[wire\\:model\\.live="${name}"]`])
+          .join(', ');
+        const el = document.querySelector(selector);
+        if (!el) return null;
+        if (el.tagName === 'INPUT' && el.type === 'checkbox') {
+          return el.checked;
+        }
+        if (el.tagName === 'SELECT') {
+          // The storage is shown by name, keep both
+          return { value: el.value || null, text: el.selectedOptions[0] ? el.selectedOptions[0].textContent.trim() : null };
+        }
+        return el.value || null;
+      };
+      
+      const data = { url: window.location.pathname };
+      Object.entries(fields).forEach(([key, model]) => {
+        data[key] = getValue(model);
+      });
+      const storage = data.s3StorageId;
+      data.s3StorageId = storage && typeof storage === 'object' ? storage.value : storage;
+      data.s3StorageName = storage && typeof storage === 'object' && storage.value ? storage.text : null;
+      
+      data.retention = {};
+      Object.entries(retentionFields).forEach(([location, models]) => {
+        data.retention[location] = {};
+        Object.entries(models).forEach(([key, model]) => {
+          data.retention[location][key] = getValue(model);
+        });
+      });
+      return data;
+    }, { fields: BACKUP_FIELDS, retentionFields: BACKUP_RETENTION_FIELDS });
+    
+    backup.uuid = backupUrl.split('/').filter(Boolean).pop();
+    backups.push(backup);
+  }
+  
+  return backups;
+}
+
+/**
+ * Finds the databases that have no enabled scheduled backup
+ * @param {Array<Object>} databases - Database configs
+ * @returns {Array<Object>} Database configs whose backups were scraped and none is enabled
+ */
+function findDatabasesWithoutBackups(databases) {
+  return databases.filter(config => (
+    !config.error &&
+    Array.isArray(config.backups) &&
+    !config.backups.some(backup => backup.enabled !== false)
+  ));
+}
+
 /**
  * Saves database configurations to a JSON file
  * @param {Object} data - The configurations data object
  * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
  * @returns {string} Path to the saved file
  */
-function saveDatabaseConfigs(data, baseDir) {
+function saveDatabaseConfigs(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'databases', protectSecrets(data));
+  }
+  
   const dataDir = path.join(baseDir, '..', 'scraped-data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
   
   const dataPath = path.join(dataDir, `scraped-database-configs-${Date.now()}.json`);
-  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+  writeProtectedJson(dataPath, data);
   
   return dataPath;
 }
@@ -132,7 +428,12 @@ function printDatabaseConfigSummary(dbName, success) {
 }
 
 module.exports = {
+  DATABASE_ENGINES,
+  detectDatabaseEngine,
+  BACKUP_FIELDS,
+  BACKUP_RETENTION_FIELDS,
   scrapeDatabaseConfig,
+  findDatabasesWithoutBackups,
   saveDatabaseConfigs,
   printDatabaseConfigSummary
 };
@@ -0,0 +1,224 @@
+const { readIntegerEnv } = require('./pool');
+const { scrapeDeployments } = require('./source');
+
+/**
+ * Selectors of the log output on a deployment page, most specific first
+ */
+const BUILD_LOG_SELECTORS = ['#logsContainer', '[x-ref="logsContainer"]', '.font-logs', 'pre'];
+
+/**
+ * Reads the deployment history settings from the environment
+ * @returns {Object} Settings with limit (0 disables the history) and buildLogLines (0 skips the build log)
+ */
+function getDeploymentSettings() {
+  return {
+    limit: readIntegerEnv('COOLIFY_SCRAPER_DEPLOYMENTS', 0),
+    buildLogLines: readIntegerEnv('COOLIFY_SCRAPER_BUILD_LOGS', 0)
+  };
+}
+
+/**
+ * Parses a deployment duration as shown by Coolify, e.g. "1m 20s" or "00:01:20"
+ * @param {string|null} text - Duration text
+ * @returns {number|null} Duration in seconds, null if it cannot be parsed
+ */
+function parseDuration(text) {
+  if (!text) return null;
+
+  const clock = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+  }
+
+  const units = { h: 3600, m: 60, s: 1 };
+  const parts = [...text.matchAll(/(\d+)\s*([hms])/gi)];
+  if (parts.length === 0) return null;
+  return parts.reduce((total, [, value, unit]) => total + Number(value) * units[unit.toLowerCase()], 0);
+}
+
+/**
+ * Keeps the last lines of a build log
+ * @param {Array<string>} lines - Log lines, oldest first
+ * @param {number} maxLines - Lines to keep
+ * @returns {Object} Log with totalLines, truncated and log
+ */
+function tailLog(lines, maxLines) {
+  const kept = lines.slice(-maxLines);
+  return {
+    totalLines: lines.length,
+    truncated: kept.length < lines.length,
+    log: kept.join('\n')
+  };
+}
+
+/**
+ * Scrapes the log of a deployment from its page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} url - Deployment page URL, may be relative to the current page
+ * @param {number} maxLines - Lines to keep from the end of the log
+ * @returns {Promise<Object|null>} Log with totalLines, truncated and log, null if the page shows no log
+ */
+async function scrapeBuildLog(page, url, maxLines) {
+  await page.goto(new URL(url, page.url()).href);
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const text = await page.evaluate((selectors) => {
+    const container = selectors.map(selector => document.querySelector(selector)).find(Boolean);
+    return container ? container.innerText : null;
+  }, BUILD_LOG_SELECTORS);
+  if (text === null) return null;
+
+  return tailLog(text.split('\n').map(line => line.trimEnd()).filter(Boolean), maxLines);
+}
+
+/**
+ * Scrapes the newest deployments of an application from its Deployments tab and, if enabled,
+ * the build log of the newest failed one. Does nothing unless COOLIFY_SCRAPER_DEPLOYMENTS is set.
+ * @param {import('@playwright/test').Page} page - Playwright page on the application
+ * @param {Object} configData - Application config, gets deployments and failedBuildLog, or their Note or Error
+ * @param {Object} [settings] - Settings, defaults to getDeploymentSettings()
+ */
+async function scrapeDeploymentHistory(page, configData, settings = getDeploymentSettings()) {
+  if (settings.limit === 0) return;
+
+  let rows;
+  try {
+    rows = await scrapeDeployments(page, settings.limit);
+  } catch (error) {
+    configData.deployments = null;
+    configData.deploymentsError = error.message;
+    return;
+  }
+  if (rows === null) {
+    configData.deployments = null;
+    configData.deploymentsNote = 'Deployments menu not found';
+    return;
+  }
+
+  configData.deployments = rows.map(row => ({
+    deploymentUuid: row.url.split('/deployment/')[1].split(/[?#/]/)[0],
+    status: row.status,
+    commit: row.commit,
+    startedAt: row.startedAt,
+    durationSeconds: parseDuration(row.duration),
+    triggeredBy: row.triggeredBy
+  }));
+
+  if (settings.buildLogLines === 0) return;
+  const failedIndex = rows.findIndex(row => row.status === 'failed');
+  if (failedIndex === -1) {
+    configData.failedBuildLog = null;
+    configData.failedBuildLogNote = `No failed deployment in the last ${rows.length}`;
+    return;
+  }
+
+  try {
+    const log = await scrapeBuildLog(page, rows[failedIndex].url, settings.buildLogLines);
+    if (log === null) {
+      configData.failedBuildLog = null;
+      configData.failedBuildLogNote = 'Deployment log not found';
+      return;
+    }
+    const failed = configData.deployments[failedIndex];
+    configData.failedBuildLog = { deploymentUuid: failed.deploymentUuid, commit: failed.commit, startedAt: failed.startedAt, ...log };
+  } catch (error) {
+    configData.failedBuildLog = null;
+    configData.failedBuildLogError = error.message;
+  }
+}
+
+/**
+ * Maps a deployment returned by the Coolify API
+ * @param {Object} deployment - Entry of GET /deployments/applications/{uuid}
+ * @returns {Object} Deployment entry as scraped from the Deployments tab
+ */
+function deploymentFromApi(deployment) {
+  // Older Coolify versions have no finished_at, the queue entry is last updated when the deployment ends
+  const ended = deployment.finished_at || (['finished', 'failed', 'cancelled-by-user'].includes(deployment.status) ? deployment.updated_at : null);
+  const durationSeconds = ended && deployment.created_at
+    ? Math.max(0, Math.round((Date.parse(ended) - Date.parse(deployment.created_at)) / 1000))
+    : null;
+
+  let triggeredBy = 'manual';
+  if (deployment.is_webhook) {
+    triggeredBy = 'webhook';
+  } else if (deployment.is_api) {
+    triggeredBy = 'api';
+  } else if (deployment.rollback) {
+    triggeredBy = 'rollback';
+  }
+
+  return {
+    deploymentUuid: deployment.deployment_uuid,
+    status: deployment.status || null,
+    commit: deployment.commit && deployment.commit !== 'HEAD' ? deployment.commit : null,
+    startedAt: deployment.created_at || null,
+    durationSeconds: Number.isNaN(durationSeconds) ? null : durationSeconds,
+    triggeredBy
+  };
+}
+
+/**
+ * Maps the log of a deployment returned by the Coolify API
+ * @param {Object} deployment - GET /deployments/{uuid} response
+ * @param {number} maxLines - Lines to keep from the end of the log
+ * @returns {Object|null} Log with totalLines, truncated and log, null if the deployment has no log
+ */
+function buildLogFromApi(deployment, maxLines) {
+  // logs is a JSON string of { output, hidden, ... } entries; hidden ones are debug output
+  let entries;
+  try {
+    entries = typeof deployment.logs === 'string' ? JSON.parse(deployment.logs) : deployment.logs;
+  } catch (error) {
+    entries = null;
+  }
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+
+  const lines = entries
+    .filter(entry => !entry.hidden && entry.output)
+    .flatMap(entry => String(entry.output).split('\n'))
+    .map(line => line.trimEnd())
+    .filter(Boolean);
+  return tailLog(lines, maxLines);
+}
+
+/**
+ * Finds the applications whose newest deployment failed
+ * @param {Array<Object>} applications - Application configs
+ * @returns {Array<Object>} Entries with projectName, applicationName, commit, startedAt and hasBuildLog
+ */
+function findFailedDeployments(applications) {
+  return applications
+    .filter(config => !config.error && Array.isArray(config.deployments) && config.deployments.length > 0)
+    .filter(config => config.deployments[0].status === 'failed')
+    .map(config => ({
+      projectName: config.projectName,
+      applicationName: config.applicationName,
+      commit: config.deployments[0].commit,
+      startedAt: config.deployments[0].startedAt,
+      hasBuildLog: !!(config.failedBuildLog && config.failedBuildLog.deploymentUuid === config.deployments[0].deploymentUuid)
+    }));
+}
+
+/**
+ * Prints the report of findFailedDeployments
+ * @param {Array<Object>} failed - Result of findFailedDeployments
+ */
+function printFailedDeployments(failed) {
+  failed.forEach(entry => {
+    const commit = entry.commit ? ` at ${entry.commit.slice(0, 7)}` : '';
+    const log = entry.hasBuildLog ? ', build log saved' : '';
+    console.log(`  ⚠ ${entry.projectName}/${entry.applicationName}: failed${commit} (${entry.startedAt || 'unknown time'})${log}`);
+  });
+}
+
+module.exports = {
+  getDeploymentSettings,
+  parseDuration,
+  scrapeDeploymentHistory,
+  deploymentFromApi,
+  buildLogFromApi,
+  findFailedDeployments,
+  printFailedDeployments
+};
@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const { SECRET_FIELDS, SECRET_ENTRY_FIELDS, decryptSecrets } = require('./secrets');
+const { SCHEMA_VERSION, openRun, loadRunArtifact } = require('./run');
+const { envToMap } = require('./envfile');
+const { listResources } = require('./resources');
+const { migrateArtifact } = require('./migrations');
+
+/**
+ * Tests directory, the base directory run IDs are resolved against
+ */
+const TESTS_DIR = path.join(__dirname, '..');
+
+/**
+ * Scraped file kinds making up one snapshot, keyed by their file prefix
+ */
+const SNAPSHOT_FILES = {
+  projects: 'scraped-projects-data-',
+  resources: 'scraped-resources-data-',
+  applications: 'scraped-application-configs-',
+  databases: 'scraped-database-configs-',
+  services: 'scraped-service-configs-',
+  servers: 'scraped-servers-data-',
+  storages: 'scraped-s3-storages-',
+  teams: 'scraped-teams-'
+};
+
+/**
+ * Config collections, with the field holding the resource URL
+ */
+const CONFIG_KINDS = {
+  applications: { label: 'Application configs', nameField: 'applicationName', urlField: 'applicationUrl' },
+  databases: { label: 'Database configs', nameField: 'databaseName', urlField: 'databaseUrl' },
+  services: { label: 'Service configs', nameField: 'serviceName', urlField: 'serviceUrl' }
+};
+
+/**
+ * Config fields that change on every run or are compared separately
+ */
+const IGNORED_CONFIG_FIELDS = [
+  'title', 'url', 'timestamp', 'status', 'fqdn', 'category',
+  'applicationName', 'applicationUrl', 'databaseName', 'databaseUrl', 'serviceName', 'serviceUrl', 'projectName', 'environmentName', 'teamName',
+  'environmentVariables', 'environment', 'dockerCompose',
+  // Deployment history changes with every deployment, it is not configuration
+  'deployments', 'deploymentsNote', 'deploymentsError', 'failedBuildLog', 'failedBuildLogNote', 'failedBuildLogError'
+];
+
+const MASK = '***';
+
+/**
+ * Lists scraped files in a directory with the timestamp from their name
+ * @param {string} dir - Directory to scan
+ * @returns {Array<Object>} Entries with kind, path and time
+ */
+function listScrapedFiles(dir) {
+  return fs.readdirSync(dir)
+    .map(name => {
+      const kind = Object.keys(SNAPSHOT_FILES).find(key => name.startsWith(SNAPSHOT_FILES[key]));
+      const match = name.match(/-(\d+)\.json$/);
+      return kind && match ? { kind, path: path.join(dir, name), time: Number(match[1]) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Returns whether a snapshot spec refers to a run (ID, "latest" or run directory)
+ * @param {string} spec - Snapshot spec
+ * @returns {boolean} True for runs
+ */
+function isRunSpec(spec) {
+  return !fs.existsSync(spec) || fs.existsSync(path.join(spec, 'manifest.json'));
+}
+
+/**
+ * Resolves the files of one snapshot.
+ * A run ID, "latest" or run directory selects the artifacts in its manifest.
+ * A legacy directory selects the latest file of each kind in it; a projects
+ * data file selects the files written after it and before the next projects data file.
+ * @param {string} spec - Run ID, "latest", directory or scraped-projects-data-*.json path
+ * @returns {Object} Map of kind to file path
+ */
+function resolveSnapshotFiles(spec) {
+  if (isRunSpec(spec)) {
+    const run = openRun(TESTS_DIR, spec);
+    const files = {};
+    run.manifest.artifacts.forEach(artifact => {
+      files[artifact.kind] = path.join(run.dir, artifact.file);
+    });
+    return files;
+  }
+
+  if (fs.statSync(spec).isDirectory()) {
+    const files = {};
+    listScrapedFiles(spec).forEach(file => {
+      files[file.kind] = file.path;
+    });
+    return files;
+  }
+
+  const dir = path.dirname(spec);
+  const all = listScrapedFiles(dir);
+  const start = all.find(file => path.resolve(file.path) === path.resolve(spec));
+  if (!start || start.kind !== 'projects') {
+    throw new Error(`${spec} is not a scraped-projects-data-*.json file`);
+  }
+  const next = all.find(file => file.kind === 'projects' && file.time > start.time);
+
+  const files = { projects: start.path };
+  all
+    .filter(file => file.time >= start.time && (!next || file.time < next.time))
+    .forEach(file => {
+      if (!files[file.kind]) files[file.kind] = file.path;
+    });
+  return files;
+}
+
+/**
+ * Loads a snapshot, decrypting config files when keys are provided.
+ * Run artifacts are checked against the checksums in the manifest.
+ * @param {string} spec - Run ID, "latest", directory or scraped-projects-data-*.json path
+ * @param {Object} [keys] - Decryption keys ({ passphrase, privateKey })
+ * @returns {Object} Snapshot with files and parsed data per kind
+ */
+function loadSnapshot(spec, keys = {}) {
+  const run = isRunSpec(spec) ? openRun(TESTS_DIR, spec) : null;
+  const files = resolveSnapshotFiles(run ? run.dir : spec);
+  const snapshot = { source: run ? run.id : spec, files, manifest: run ? run.manifest : null };
+
+  Object.entries(files).forEach(([kind, filePath]) => {
+    // Legacy files predate runs and are in the shape of schema version 1
+    let data = run ? loadRunArtifact(run, kind) : migrateArtifact(kind, JSON.parse(fs.readFileSync(filePath, 'utf8')), 1, SCHEMA_VERSION);
+    if (data.secrets && data.secrets.mode === 'encrypted' && (keys.passphrase || keys.privateKey)) {
+      data = decryptSecrets(data, keys);
+    }
+    snapshot[kind] = data;
+  });
+
+  if (!snapshot.projects && !snapshot.resources && !snapshot.servers) {
+    throw new Error(`No scraped data files found for ${spec}`);
+  }
+  return snapshot;
+}
+
+/**
+ * Returns the stable key of a resource: its UUID, taken from the last URL segment
+ * @param {string} url - Coolify URL of the resource
+ * @returns {string} Resource key
+ */
+function urlKey(url) {
+  const segments = (url || '').replace(/^https?:\/\/[^/]+/, '').split(/[/?#]/).filter(Boolean);
+  return segments[segments.length - 1] || url;
+}
+
+/**
+ * Indexes items by key
+ * @param {Array<Object>} items - Items to index
+ * @param {Function} keyOf - Key function
+ * @returns {Map<string, Object>} Items by key
+ */
+function indexBy(items, keyOf) {
+  const map = new Map();
+  (items || []).forEach(item => map.set(keyOf(item), item));
+  return map;
+}
+
+/**
+ * Flattens a config object into dotted paths with comparable values
+ * @param {Object} obj - Object to flatten
+ * @param {string} [prefix] - Path prefix
+ * @param {Object} [out] - Accumulator
+ * @returns {Object} Map of dotted path to value
+ */
+function flatten(obj, prefix = '', out = {}) {
+  Object.entries(obj || {}).forEach(([key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (!prefix && IGNORED_CONFIG_FIELDS.includes(key)) return;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, fieldPath, out);
+    } else {
+      out[fieldPath] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Returns whether two secret values can be compared (per-run ciphertexts cannot)
+ * @param {*} a - Old value
+ * @param {*} b - New value
+ * @returns {boolean} True if comparable
+ */
+function comparable(a, b) {
+  const encrypted = value => typeof value === 'string' && value.includes('enc:v1:');
+  return !(encrypted(a) && encrypted(b));
+}
+
+/**
+ * Diffs the environment variables of two configs, without exposing values
+ * @param {*} oldValue - Old environment variables
+ * @param {*} newValue - New environment variables
+ * @returns {Object} Added, removed and changed keys
+ */
+function diffEnv(oldValue, newValue) {
+  const oldEnv = envToMap(oldValue);
+  const newEnv = envToMap(newValue);
+  const result = { added: [], removed: [], changed: [] };
+
+  newEnv.forEach((value, key) => {
+    if (!oldEnv.has(key)) {
+      result.added.push(key);
+    } else if (oldEnv.get(key) !== value && comparable(oldEnv.get(key), value)) {
+      result.changed.push(key);
+    }
+  });
+  oldEnv.forEach((value, key) => {
+    if (!newEnv.has(key)) result.removed.push(key);
+  });
+  return result;
+}
+
+/**
+ * Diffs two Docker Compose line arrays
+ * @param {Array<string>|null} oldLines - Old compose lines
+ * @param {Array<string>|null} newLines - New compose lines
+ * @returns {Object|null} Added/removed line counts or null if identical
+ */
+function diffCompose(oldLines, newLines) {
+  const a = oldLines || [];
+  const b = newLines || [];
+  if (a.join('\n') === b.join('\n')) return null;
+  const count = lines => lines.reduce((map, line) => map.set(line, (map.get(line) || 0) + 1), new Map());
+  const oldCount = count(a);
+  const newCount = count(b);
+  let added = 0;
+  let removed = 0;
+  newCount.forEach((n, line) => { added += Math.max(0, n - (oldCount.get(line) || 0)); });
+  oldCount.forEach((n, line) => { removed += Math.max(0, n - (newCount.get(line) || 0)); });
+  return { linesAdded: added, linesRemoved: removed };
+}
+
+/**
+ * Diffs two resource configs field by field, masking secret values
+ * @param {Object} oldConfig - Old config
+ * @param {Object} newConfig - New config
+ * @returns {Object|null} Field, env and compose changes or null if identical
+ */
+function diffConfig(oldConfig, newConfig) {
+  const oldFields = flatten(oldConfig);
+  const newFields = flatten(newConfig);
+  const fields = [];
+
+  new Set([...Object.keys(oldFields), ...Object.keys(newFields)]).forEach(field => {
+    const from = oldFields[field] ?? null;
+    const to = newFields[field] ?? null;
+    if (from === to || !comparable(from, to)) return;
+    // Lists are compared as a whole, a list with secret entry fields is masked
+    const secret = SECRET_FIELDS.includes(field) || SECRET_ENTRY_FIELDS.some(entryField => entryField.split('.')[0] === field);
+    fields.push({ field, from: secret && from !== null ? MASK : from, to: secret && to !== null ? MASK : to });
+  });
+
+  const env = diffEnv(oldConfig.environmentVariables, newConfig.environmentVariables);
+  const compose = diffCompose(oldConfig.dockerCompose, newConfig.dockerCompose);
+  const envChanged = env.added.length + env.removed.length + env.changed.length > 0;
+
+  if (fields.length === 0 && !envChanged && !compose) return null;
+  return { fields, env, dockerCompose: compose };
+}
+
+/**
+ * Flattens the resources data into resource entries with their project
+ * @param {Object} resourcesData - Resources data file contents
+ * @returns {Array<Object>} Resource entries
+ */
+function flattenResources(resourcesData) {
+  return listResources(resourcesData).map(({ project, resource }) => ({ ...resource, projectName: project.projectName }));
+}
+
+/**
+ * Compares two snapshots
+ * @param {Object} oldSnapshot - Snapshot from loadSnapshot
+ * @param {Object} newSnapshot - Snapshot from loadSnapshot
+ * @returns {Object} Diff report
+ */
+function diffSnapshots(oldSnapshot, newSnapshot) {
+  // A partial run, e.g. --only servers, may have neither projects nor resources
+  const describe = snapshot => {
+    const data = Object.keys(SNAPSHOT_FILES).map(kind => snapshot[kind]).find(loaded => loaded && loaded.timestamp);
+    return {
+      source: snapshot.source,
+      timestamp: data ? data.timestamp : (snapshot.manifest && snapshot.manifest.startedAt) || null
+    };
+  };
+
+  const report = {
+    old: describe(oldSnapshot),
+    new: describe(newSnapshot),
+    projects: { added: [], removed: [], changed: [] },
+    resources: { added: [], removed: [], statusChanged: [], changed: [] },
+    configs: {}
+  };
+
+  // Projects, matched by project URL
+  const projectKey = project => urlKey(project.url);
+  const oldProjects = indexBy(oldSnapshot.projects && oldSnapshot.projects.projects, projectKey);
+  const newProjects = indexBy(newSnapshot.projects && newSnapshot.projects.projects, projectKey);
+  newProjects.forEach((project, key) => {
+    const old = oldProjects.get(key);
+    if (!old) {
+      report.projects.added.push({ title: project.title, url: project.url });
+    } else if (old.title !== project.title || (old.description || '') !== (project.description || '')) {
+      report.projects.changed.push({
+        url: project.url,
+        from: { title: old.title, description: old.description },
+        to: { title: project.title, description: project.description }
+      });
+    }
+  });
+  oldProjects.forEach((project, key) => {
+    if (!newProjects.has(key)) report.projects.removed.push({ title: project.title, url: project.url });
+  });
+
+  // Resources, matched by resource UUID
+  const resourceKey = resource => urlKey(resource.url);
+  const oldResources = indexBy(flattenResources(oldSnapshot.resources), resourceKey);
+  const newResources = indexBy(flattenResources(newSnapshot.resources), resourceKey);
+  const summary = resource => ({
+    projectName: resource.projectName,
+    environmentName: resource.environmentName ?? null,
+    category: resource.category,
+    name: resource.name,
+    url: resource.url
+  });
+  newResources.forEach((resource, key) => {
+    const old = oldResources.get(key);
+    if (!old) {
+      report.resources.added.push(summary(resource));
+      return;
+    }
+    if ((old.status || null) !== (resource.status || null)) {
+      report.resources.statusChanged.push({ ...summary(resource), from: old.status || null, to: resource.status || null });
+    }
+    // Resources migrated from schema version 1 may not know their environment
+    const changes = ['name', 'description', 'fqdn', 'projectName', 'environmentName']
+      .filter(field => field !== 'environmentName' || old.environmentName != null)
+      .filter(field => (old[field] || '') !== (resource[field] || ''))
+      .map(field => ({ field, from: old[field] ?? null, to: resource[field] ?? null }));
+    if (changes.length > 0) {
+      report.resources.changed.push({ ...summary(resource), fields: changes });
+    }
+  });
+  oldResources.forEach((resource, key) => {
+    if (!newResources.has(key)) report.resources.removed.push(summary(resource));
+  });
+
+  // Configs, matched by resource UUID
+  Object.entries(CONFIG_KINDS).forEach(([kind, definition]) => {
+    const configKey = config => urlKey(config[definition.urlField]);
+    const oldConfigs = indexBy(oldSnapshot[kind] && oldSnapshot[kind][kind], configKey);
+    const newConfigs = indexBy(newSnapshot[kind] && newSnapshot[kind][kind], configKey);
+    const changed = [];
+
+    newConfigs.forEach((config, key) => {
+      const old = oldConfigs.get(key);
+      if (!old) return;
+      const changes = diffConfig(old, config);
+      if (changes) {
+        changed.push({
+          projectName: config.projectName,
+          name: config[definition.nameField],
+          url: config[definition.urlField],
+          ...changes
+        });
+      }
+    });
+
+    report.configs[kind] = { changed };
+  });
+
+  report.hasChanges = [
+    report.projects.added, report.projects.removed, report.projects.changed,
+    report.resources.added, report.resources.removed, report.resources.statusChanged, report.resources.changed,
+    ...Object.values(report.configs).map(config => config.changed)
+  ].some(list => list.length > 0);
+
+  return report;
+}
+
+/**
+ * Formats a diff report as human-readable text
+ * @param {Object} report - Report from diffSnapshots
+ * @returns {string} Text report
+ */
+function formatDiffText(report) {
+  const lines = [];
+  const show = value => (value === null || value === undefined ? '(empty)' : JSON.stringify(value));
+
+  lines.push('Snapshot diff');
+  lines.push(`  Old: ${report.old.source} (${report.old.timestamp})`);
+  lines.push(`  New: ${report.new.source} (${report.new.timestamp})`);
+
+  const { projects, resources } = report;
+  lines.push('');
+  lines.push(`Projects: +${projects.added.length} -${projects.removed.length} ~${projects.changed.length}`);
+  projects.added.forEach(p => lines.push(`  + ${p.title} (${p.url})`));
+  projects.removed.forEach(p => lines.push(`  - ${p.title} (${p.url})`));
+  projects.changed.forEach(p => lines.push(`  ~ ${p.from.title} → ${p.to.title} (${p.url})`));
+
+  lines.push('');
+  lines.push(`Resources: +${resources.added.length} -${resources.removed.length}, ${resources.statusChanged.length} status changes`);
+  const label = r => `[${r.projectName}${r.environmentName ? `/${r.environmentName}` : ''}] ${r.category}/${r.name}`;
+  resources.added.forEach(r => lines.push(`  + ${label(r)}`));
+  resources.removed.forEach(r => lines.push(`  - ${label(r)}`));
+  resources.statusChanged.forEach(r => lines.push(`  ~ ${label(r)}: ${r.from || 'unknown'} → ${r.to || 'unknown'}`));
+  resources.changed.forEach(r => {
+    r.fields.forEach(f => lines.push(`  ~ ${label(r)} ${f.field}: ${show(f.from)} → ${show(f.to)}`));
+  });
+
+  Object.entries(report.configs).forEach(([kind, config]) => {
+    lines.push('');
+    lines.push(`${CONFIG_KINDS[kind].label}: ${config.changed.length} changed`);
+    config.changed.forEach(c => {
+      lines.push(`  ~ [${c.projectName}] ${c.name}`);
+      c.fields.forEach(f => lines.push(`      ${f.field}: ${show(f.from)} → ${show(f.to)}`));
+      c.env.added.forEach(key => lines.push(`      env + ${key}`));
+      c.env.removed.forEach(key => lines.push(`      env - ${key}`));
+      c.env.changed.forEach(key => lines.push(`      env ~ ${key} (value changed)`));
+      if (c.dockerCompose) {
+        lines.push(`      dockerCompose: +${c.dockerCompose.linesAdded} -${c.dockerCompose.linesRemoved} lines`);
+      }
+    });
+  });
+
+  lines.push('');
+  lines.push(report.hasChanges ? 'Changes detected.' : 'No changes.');
+  return lines.join('\n');
+}
+
+module.exports = {
+  SNAPSHOT_FILES,
+  resolveSnapshotFiles,
+  loadSnapshot,
+  urlKey,
+  diffSnapshots,
+  formatDiffText
+};
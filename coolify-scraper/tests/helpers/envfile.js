@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Flags of an environment variable entry, as named in the Coolify API
+ */
+const ENV_FLAGS = {
+  isBuildTime: 'is_build_time',
+  isPreview: 'is_preview',
+  isLiteral: 'is_literal',
+  isMultiline: 'is_multiline'
+};
+
+const KEY_PATTERN = /^\s*(export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=(.*)$/;
+
+/**
+ * Reads a quoted value that may continue over the following lines
+ * @param {Array<string>} lines - All lines
+ * @param {number} start - Index of the line holding the opening quote
+ * @param {string} rest - Text after the opening quote
+ * @param {string} quote - Quote character (" or ')
+ * @returns {Object|null} { value, end } with the index of the closing line, null if the quote is never closed
+ */
+function readQuoted(lines, start, rest, quote) {
+  let value = '';
+  let text = rest;
+
+  for (let i = start; i < lines.length; i++) {
+    for (let j = 0; j < text.length; j++) {
+      const char = text[j];
+      if (quote === '"' && char === '\\' && ['"', '\\', '$'].includes(text[j + 1])) {
+        value += text[++j];
+      } else if (char === quote) {
+        return { value, end: i };
+      } else {
+        value += char;
+      }
+    }
+    value += '\n';
+    text = lines[i + 1] !== undefined ? lines[i + 1] : '';
+  }
+  return null;
+}
+
+/**
+ * Parses dotenv text as shown in Coolify's "Developer view".
+ * Supports comments, `export`, single and double quotes and values spanning several lines.
+ * A `#` in an unquoted value is kept as part of the value, as Coolify does.
+ * @param {string|Array<string>|null} input - Developer view string or array of lines
+ * @returns {Array<Object>} Entries: { key, value, isMultiline } for variables, { comment } for comment lines
+ */
+function parseDotenv(input) {
+  if (input == null) return [];
+  const lines = (Array.isArray(input) ? input.join('\n') : String(input)).replace(/\r\n/g, '\n').split('\n');
+  const entries = [];
+  let last = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed === '') {
+      last = null;
+      continue;
+    }
+    if (trimmed.startsWith('#')) {
+      entries.push({ comment: trimmed });
+      last = null;
+      continue;
+    }
+
+    const match = line.match(KEY_PATTERN);
+    if (!match) {
+      // Unquoted value continued on the next line
+      if (last && last.unquoted) {
+        last.entry.value += `\n${line}`;
+        last.entry.isMultiline = true;
+      }
+      continue;
+    }
+
+    const key = match[2];
+    const raw = match[3].trimStart();
+    const quote = raw[0] === '"' || raw[0] === "'" ? raw[0] : null;
+    const quoted = quote ? readQuoted(lines, i, raw.slice(1), quote) : null;
+
+    let entry;
+    if (quoted) {
+      entry = { key, value: quoted.value, isMultiline: quoted.end > i };
+      i = quoted.end;
+      last = null;
+    } else {
+      entry = { key, value: raw.trimEnd(), isMultiline: false };
+      last = { entry, unquoted: true };
+    }
+    if (match[1]) entry.export = true;
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Formats one value so that parseDotenv reads it back unchanged
+ * @param {string} value - Variable value
+ * @param {boolean} compose - Quote for docker compose, which expands $VAR in unquoted and double-quoted values:
+ *   a value with a `$` is single-quoted, or double-quoted with `\$` if it also contains a single quote
+ * @returns {string} Plain, single-quoted or double-quoted value
+ */
+function formatValue(value, compose) {
+  const needsQuotes = value !== value.trim() || /[\n"'\\]/.test(value) || value.startsWith('#') || (compose && value.includes('$'));
+  if (!needsQuotes) return value;
+  if (!compose) return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$/g, '\\$')}"`;
+}
+
+/**
+ * Serializes entries back to dotenv text that can be pasted into Coolify's "Developer view"
+ * @param {Array<Object>} entries - Entries from parseDotenv or environment arrays of scraped configs
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.compose] - Write a .env for docker compose, which keeps `$` literal
+ * @returns {string} Dotenv text without a trailing newline
+ */
+function serializeDotenv(entries, options = {}) {
+  return entries
+    .map(entry => {
+      if (entry.comment !== undefined) return entry.comment;
+      return `${entry.export ? 'export ' : ''}${entry.key}=${formatValue(entry.value == null ? '' : String(entry.value), !!options.compose)}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Returns the variables of an environment variables field as a Map
+ * @param {string|Array<string>|null} input - Developer view string or array of lines
+ * @returns {Map<string, string>} Values by key, the last definition wins
+ */
+function envToMap(input) {
+  const env = new Map();
+  parseDotenv(input).forEach(entry => {
+    if (entry.key) env.set(entry.key, entry.value);
+  });
+  return env;
+}
+
+/**
+ * Builds structured entries from environment variables returned by the Coolify API
+ * @param {Array<Object>} envs - API environment variables
+ * @returns {Array<Object>} Entries with key, value and the flags the API returned
+ */
+function entriesFromApi(envs) {
+  return envs.map(env => {
+    const entry = { key: env.key, value: env.value ?? '' };
+    Object.entries(ENV_FLAGS).forEach(([flag, apiField]) => {
+      if (typeof env[apiField] === 'boolean') entry[flag] = env[apiField];
+    });
+    return entry;
+  });
+}
+
+/**
+ * Returns the structured variables of a scraped config, parsing the Developer view for older runs
+ * @param {Object} config - Application, database or service config
+ * @returns {Array<Object>} Variable entries (no comments)
+ */
+function getEnvironmentEntries(config) {
+  if (Array.isArray(config.environment)) return config.environment;
+  return parseDotenv(config.environmentVariables).filter(entry => entry.key);
+}
+
+/**
+ * Writes a <project>/<resource>.env file per resource with environment variables,
+ * plus <resource>.preview.env for preview deployment variables
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {string} outDir - Output directory
+ * @param {Function} slugify - Turns names into file names
+ * @returns {Array<Object>} Written files ({ kind, project, name, file, variables })
+ */
+function exportEnvFiles(snapshot, outDir, slugify) {
+  const written = [];
+  const used = new Set();
+  const sources = [
+    { kind: 'application', configs: snapshot.applications && snapshot.applications.applications, nameField: 'applicationName' },
+    { kind: 'database', configs: snapshot.databases && snapshot.databases.databases, nameField: 'databaseName' },
+    { kind: 'service', configs: snapshot.services && snapshot.services.services, nameField: 'serviceName' }
+  ];
+
+  sources.forEach(({ kind, configs, nameField }) => {
+    (configs || []).filter(config => !config.error).forEach(config => {
+      const entries = getEnvironmentEntries(config);
+      if (entries.length === 0) return;
+
+      const project = slugify(config.projectName);
+      const base = slugify(config[nameField]);
+      let name = base;
+      for (let n = 2; used.has(`${project}/${name}`); n++) {
+        name = `${base}-${n}`;
+      }
+      used.add(`${project}/${name}`);
+
+      fs.mkdirSync(path.join(outDir, project), { recursive: true });
+      const groups = [
+        { suffix: '.env', entries: entries.filter(entry => !entry.isPreview) },
+        { suffix: '.preview.env', entries: entries.filter(entry => entry.isPreview) }
+      ];
+      groups.filter(group => group.entries.length > 0).forEach(group => {
+        const file = path.join(outDir, project, `${name}${group.suffix}`);
+        fs.writeFileSync(file, serializeDotenv(group.entries) + '\n');
+        written.push({ kind, project: config.projectName, name: config[nameField], file, variables: group.entries.length });
+      });
+    });
+  });
+
+  return written;
+}
+
+module.exports = {
+  ENV_FLAGS,
+  parseDotenv,
+  serializeDotenv,
+  envToMap,
+  entriesFromApi,
+  getEnvironmentEntries,
+  exportEnvFiles
+};
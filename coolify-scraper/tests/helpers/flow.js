@@ -0,0 +1,834 @@
+const { login, verifyLogin } = require('./auth');
+const { scrapeProjects, saveScrapedData, printScrapedDataSummary } = require('./scraper');
+const { environmentNameFromUrl, scrapeEnvironments, scrapeResources, toEnvironmentEntry, listResources, saveResourcesData, printResourcesSummary } = require('./resources');
+const { scrapeApplicationConfig, saveApplicationConfigs, printApplicationConfigSummary } = require('./applications');
+const { scrapeDatabaseConfig, findDatabasesWithoutBackups, saveDatabaseConfigs, printDatabaseConfigSummary } = require('./databases');
+const { scrapeS3Storages, saveS3Storages, printS3StoragesSummary } = require('./storages');
+const { scrapePersistentStorage } = require('./volumes');
+const { findOutdatedApplications, printOutdatedApplications } = require('./source');
+const { findFailedDeployments, printFailedDeployments } = require('./deployments');
+const { scrapeServiceConfig, saveServiceConfigs, printServiceConfigSummary } = require('./services');
+const { scrapeServerList, scrapeServerConfig, saveServersData, printServerSummary } = require('./servers');
+const { getTeamFilter, filterTeams, scrapeTeamList, switchTeam, scrapeTeamDetails, saveTeamsData, printTeamSummary } = require('./teams');
+const { screenshotSlug, takeScreenshot } = require('./screenshots');
+const { createRun, resumeRun, recordRunError, finishRun, listRuns, openRun, loadRunArtifact } = require('./run');
+const { getScraperBackend, createApiClient, scrapeTeamListViaApi, scrapeTeamDetailsViaApi, scrapeProjectsViaApi, scrapeResourcesViaApi, scrapeApplicationConfigViaApi, scrapeDatabaseConfigViaApi, scrapeServiceConfigViaApi, scrapeServerListViaApi, scrapeServerConfigViaApi } = require('./api');
+const { getPoolSettings, createRateLimiter, createPagePool } = require('./pool');
+const { getResumeSpec, loadCheckpoint, runCheckpointedPool } = require('./checkpoint');
+const { getEnvironmentEntries } = require('./envfile');
+const { notifyRun } = require('./notify');
+
+/**
+ * Stages of a scrape, in order. Each resource stage reads the output of the previous one,
+ * servers are scraped on their own.
+ */
+const SCRAPE_STAGES = ['projects', 'resources', 'configs', 'servers'];
+
+/**
+ * Stages that make up the project, resource and config chain
+ */
+const RESOURCE_STAGES = ['projects', 'resources', 'configs'];
+
+/**
+ * How each resource collection is scraped in the configs stage
+ */
+const CONFIG_STEPS = {
+  applications: {
+    scope: 'application',
+    screenshotPrefix: '04-app-config',
+    nameField: 'applicationName',
+    urlField: 'applicationUrl',
+    scrape: scrapeApplicationConfig,
+    scrapeViaApi: scrapeApplicationConfigViaApi,
+    printSummary: printApplicationConfigSummary
+  },
+  databases: {
+    scope: 'database',
+    screenshotPrefix: '04-db-config',
+    nameField: 'databaseName',
+    urlField: 'databaseUrl',
+    scrape: scrapeDatabaseConfig,
+    scrapeViaApi: scrapeDatabaseConfigViaApi,
+    printSummary: printDatabaseConfigSummary
+  },
+  services: {
+    scope: 'service',
+    screenshotPrefix: '04-svc-config',
+    nameField: 'serviceName',
+    urlField: 'serviceUrl',
+    scrape: scrapeServiceConfig,
+    scrapeViaApi: scrapeServiceConfigViaApi,
+    printSummary: printServiceConfigSummary
+  }
+};
+
+/**
+ * Opens a resource page, waits for it to settle and takes a screenshot
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} url - Page URL
+ * @param {string} screenshotPrefix - Screenshot file name prefix
+ * @param {string} name - Resource name used in the screenshot file name
+ */
+async function visitResourcePage(flow, page, url, screenshotPrefix, name) {
+  await page.goto(url);
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(1000);
+
+  await takeScreenshot(page, flow.baseDir, `${screenshotPrefix}-${screenshotSlug(name)}-${Date.now()}.png`);
+}
+
+/**
+ * Loads the output of a skipped stage from an earlier run and copies it into the current run
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {string} kind - Artifact kind (projects or resources)
+ * @param {Function} save - Save function of the artifact
+ * @returns {Object} Artifact data
+ */
+function copyInputArtifact(flow, kind, save) {
+  const hasArtifact = run => run.manifest.artifacts.some(a => a.kind === kind);
+  const source = flow.from
+    ? openRun(flow.baseDir, flow.from)
+    : listRuns(flow.baseDir).reverse().find(run => run.id !== flow.run.id && hasArtifact(run));
+
+  if (!source || !hasArtifact(source)) {
+    throw new Error(`No earlier run with ${kind} found, scrape the "${kind}" stage first or pass a run that has it`);
+  }
+
+  const data = loadRunArtifact(source, kind);
+  save(data, flow.baseDir, flow.run);
+  flow.run.manifest.inputRun = source.id;
+  console.log(`✓ Using ${kind} of run ${source.id}`);
+  return data;
+}
+
+/**
+ * Returns the teams to scrape, listing them on first use.
+ * Remembers the team the session started on, runScrapeFlow switches back to it at the end.
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @returns {Promise<Array<Object>>} Teams with teamId, teamName and current
+ */
+async function getFlowTeams(flow) {
+  if (!flow.teams) {
+    const teams = flow.useApi ? await scrapeTeamListViaApi(flow.apiClient) : await scrapeTeamList(flow.page);
+    flow.startTeam = teams.find(team => team.current) || null;
+    flow.currentTeamId = flow.startTeam ? flow.startTeam.teamId : null;
+    flow.teams = filterTeams(teams, getTeamFilter());
+  }
+  return flow.teams;
+}
+
+/**
+ * Makes a team the current team of the session, if it is not already.
+ * Entries without a team ID (older runs, users with one team, the API backend) stay on the current team.
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {Object} team - Object with teamId and teamName
+ */
+async function useTeam(flow, team) {
+  if (flow.useApi || team.teamId === null || team.teamId === undefined) return;
+
+  await getFlowTeams(flow);
+  if (team.teamId === flow.currentTeamId) return;
+
+  await switchTeam(flow.page, team);
+  flow.currentTeamId = team.teamId;
+  console.log(`\n✓ Switched to team "${team.teamName}"`);
+}
+
+/**
+ * Runs runCheckpointedPool once per team, switching the session to the team first.
+ * Coolify keeps the current team in the session that every worker page shares,
+ * so the workers only ever see the resources of one team at a time.
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {Array} items - Items to process
+ * @param {Function} teamOf - Returns the object with teamId and teamName of an item
+ * @param {Function} keyOf - Returns the checkpoint key of an item
+ * @param {Function} worker - Async function (item, index, lane), index is the index in items
+ * @returns {Promise<Array<Object>>} One { value } or { error } entry per item, in item order
+ */
+async function runTeamPools(flow, items, teamOf, keyOf, worker) {
+  const results = new Array(items.length);
+  const teamIds = [...new Set(items.map(item => teamOf(item).teamId))];
+
+  for (const teamId of teamIds) {
+    const indexes = items.map((item, index) => index).filter(index => teamOf(items[index]).teamId === teamId);
+    const group = indexes.map(index => items[index]);
+
+    let groupResults;
+    try {
+      await useTeam(flow, teamOf(group[0]));
+      groupResults = await runCheckpointedPool(flow.run, flow.checkpoint, group, keyOf,
+        (item, index, lane) => worker(item, indexes[index], lane),
+        { concurrency: flow.poolSettings.concurrency, limiter: flow.limiter });
+    } catch (error) {
+      groupResults = group.map(() => ({ error }));
+    }
+    groupResults.forEach((result, index) => {
+      results[indexes[index]] = result;
+    });
+  }
+  return results;
+}
+
+/**
+ * Scrapes the projects, members, shared variables and notification settings of every team
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @returns {Promise<Object>} Projects data, every project tagged with teamName and teamId
+ */
+async function scrapeTeamsAndProjects(flow) {
+  const teams = await getFlowTeams(flow);
+  const teamsData = {
+    title: 'Coolify Teams',
+    timestamp: new Date().toISOString(),
+    totalTeams: teams.length,
+    teams: []
+  };
+
+  let scrapedData = null;
+  for (const team of teams) {
+    let projectsData;
+    try {
+      await useTeam(flow, team);
+      if (flow.useApi) {
+        projectsData = await scrapeProjectsViaApi(flow.apiClient);
+        teamsData.teams.push(await scrapeTeamDetailsViaApi(flow.apiClient, team));
+      } else {
+        await flow.page.goto('/');
+        await flow.page.waitForLoadState('networkidle');
+        // Take screenshot before scraping
+        await takeScreenshot(flow.page, flow.baseDir, `02-projects-dashboard-${screenshotSlug(team.teamName)}-${Date.now()}.png`);
+
+        // Scrape projects
+        projectsData = await scrapeProjects(flow.page);
+        teamsData.teams.push(await scrapeTeamDetails(flow.page, team));
+      }
+      printTeamSummary(teamsData.teams[teamsData.teams.length - 1]);
+    } catch (error) {
+      console.error(`  ✗ Error scraping team "${team.teamName}":`, error.message);
+      recordRunError(flow.run, { scope: 'team', name: team.teamName, message: error.message });
+      teamsData.teams.push({ teamName: team.teamName, teamId: team.teamId, current: team.current, error: error.message });
+      continue;
+    }
+
+    projectsData.projects.forEach(project => {
+      project.teamName = team.teamName;
+      project.teamId = team.teamId;
+    });
+    if (scrapedData) {
+      scrapedData.projects.push(...projectsData.projects);
+    } else {
+      scrapedData = projectsData;
+    }
+  }
+
+  const teamsPath = saveTeamsData(teamsData, flow.baseDir, flow.run);
+  flow.counts.teams = teamsData.teams.filter(team => !team.error).length;
+  console.log(`✓ Teams saved to: ${teamsPath}`);
+
+  if (!scrapedData) {
+    throw new Error('None of the teams could be scraped');
+  }
+  return scrapedData;
+}
+
+/**
+ * Step 2: scrapes the teams and their project lists, or reuses them from a resumed or earlier run
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @returns {Promise<Object>} Projects data
+ */
+async function runProjectsStage(flow) {
+  console.log('\n=== STEP 2: SCRAPE PROJECTS ===');
+
+  // A resumed run keeps the project list of its first attempt
+  let scrapedData = loadRunArtifact(flow.run, 'projects');
+  if (scrapedData) {
+    console.log('✓ Using the projects of the resumed run');
+  } else if (!flow.stages.includes('projects')) {
+    scrapedData = copyInputArtifact(flow, 'projects', saveScrapedData);
+  } else {
+    scrapedData = await scrapeTeamsAndProjects(flow);
+
+    // Save scraped data
+    const dataPath = saveScrapedData(scrapedData, flow.baseDir, flow.run);
+    console.log(`Scraped data saved to: ${dataPath}`);
+    console.log('\n✓ Projects scraped successfully');
+  }
+
+  // Print summary
+  printScrapedDataSummary(scrapedData);
+
+  if (scrapedData.projects.length === 0) {
+    throw new Error('No projects found');
+  }
+  return scrapedData;
+}
+
+/**
+ * Scrapes the resources of every environment of a project, starting on the project page
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {import('@playwright/test').Page} page - Playwright page on the project
+ * @param {Object} project - Project entry from the projects data
+ * @returns {Promise<Array<Object>>} Environment entries, with an error for environments that failed
+ */
+async function scrapeProjectEnvironments(flow, page, project) {
+  const environments = await scrapeEnvironments(page);
+
+  // A project page without environment links is the environment itself
+  if (environments.length === 0) {
+    const url = new URL(page.url()).pathname;
+    return [toEnvironmentEntry(environmentNameFromUrl(url), url, await scrapeResources(page))];
+  }
+
+  const entries = [];
+  for (const environment of environments) {
+    try {
+      await visitResourcePage(flow, page, environment.url, '03-resources', `${project.title}-${environment.name}`);
+      entries.push(toEnvironmentEntry(environment.name, environment.url, await scrapeResources(page)));
+    } catch (error) {
+      entries.push({ ...toEnvironmentEntry(environment.name, environment.url, {}), error: error.message });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Step 3: scrapes the resources of every environment of every project
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {Object} projectsData - Projects data from runProjectsStage
+ * @returns {Promise<Object>} Aggregated resources data
+ */
+async function runResourcesStage(flow, projectsData) {
+  console.log('\n=== STEP 3: SCRAPE RESOURCES ===');
+
+  if (!flow.stages.includes('resources')) {
+    const resourcesData = loadRunArtifact(flow.run, 'resources') || copyInputArtifact(flow, 'resources', saveResourcesData);
+    flow.counts.resources = countResources(resourcesData);
+    return resourcesData;
+  }
+
+  console.log(`Found ${projectsData.projects.length} projects to scrape resources from`);
+
+  // Prepare aggregated resources data
+  const allResourcesData = {
+    title: "Coolify Resources",
+    timestamp: new Date().toISOString(),
+    totalProjects: projectsData.projects.length,
+    projects: []
+  };
+
+  // Visit the projects of each team in parallel, results keep the project order
+  const projectResults = await runTeamPools(flow, projectsData.projects, project => project, project => ({
+    collection: 'projects',
+    id: project.url
+  }), async (project, index, lane) => {
+    console.log(`\n[${index + 1}/${projectsData.projects.length}] Processing: ${project.title}`);
+    if (flow.useApi) {
+      return scrapeResourcesViaApi(flow.apiClient, project);
+    }
+
+    const workerPage = flow.pagePool.pages[lane];
+    await visitResourcePage(flow, workerPage, project.url, '03-resources', project.title);
+    return { environments: await scrapeProjectEnvironments(flow, workerPage, project) };
+  });
+
+  projectResults.forEach(({ value: resourcesData, error }, index) => {
+    const project = projectsData.projects[index];
+
+    if (error) {
+      console.error(`  ✗ Error scraping project "${project.title}":`, error.message);
+      recordRunError(flow.run, { scope: 'project', name: project.title, url: project.url, message: error.message });
+      // Add empty entry for failed project
+      allResourcesData.projects.push({
+        projectName: project.title,
+        projectDescription: project.description,
+        projectUrl: project.url,
+        teamName: project.teamName,
+        teamId: project.teamId,
+        error: error.message,
+        environments: []
+      });
+      return;
+    }
+
+    // The other environments of the project are kept when one fails
+    resourcesData.environments.filter(environment => environment.error).forEach(environment => {
+      console.error(`  ✗ Error scraping environment "${environment.environmentName}" of "${project.title}":`, environment.error);
+      recordRunError(flow.run, {
+        scope: 'environment',
+        name: `${project.title}/${environment.environmentName}`,
+        url: environment.environmentUrl,
+        message: environment.error
+      });
+    });
+
+    // Add to aggregated data
+    allResourcesData.projects.push({
+      projectName: project.title,
+      projectDescription: project.description,
+      projectUrl: project.url,
+      teamName: project.teamName,
+      teamId: project.teamId,
+      environments: resourcesData.environments
+    });
+
+    // Print summary
+    printResourcesSummary(project.title, resourcesData.environments);
+  });
+
+  // Save all resources to a single file
+  const resourcesPath = saveResourcesData(allResourcesData, flow.baseDir, flow.run);
+  flow.counts.resources = countResources(allResourcesData);
+  console.log(`\n✓ Resources scraped successfully`);
+  console.log(`All resources saved to: ${resourcesPath}`);
+  console.log(`Total resources found: ${flow.counts.resources}`);
+  return allResourcesData;
+}
+
+/**
+ * Counts the applications, databases and services of a resources file
+ * @param {Object} resourcesData - Aggregated resources data
+ * @returns {number} Number of resources
+ */
+function countResources(resourcesData) {
+  return listResources(resourcesData).length;
+}
+
+/**
+ * Scrapes the S3 storages of every team that database backups target, or reuses them from a resumed run
+ * @param {Object} flow - Flow state from runScrapeFlow
+ */
+async function runS3StoragesStep(flow) {
+  // Failed attempts are retried like the resources
+  const previous = loadRunArtifact(flow.run, 'storages');
+  if (previous && !previous.error) {
+    console.log('✓ Using the S3 storages of the resumed run');
+    flow.counts.storages = previous.storages.length;
+    return;
+  }
+
+  const storagesData = {
+    title: 'Coolify S3 Storages',
+    timestamp: new Date().toISOString(),
+    storages: []
+  };
+  if (flow.useApi) {
+    storagesData.note = 'S3 storages are not available through the API';
+  } else {
+    const errors = [];
+    for (const team of await getFlowTeams(flow)) {
+      try {
+        await useTeam(flow, team);
+        const storages = await scrapeS3Storages(flow.page);
+        storages.forEach(storage => {
+          storage.teamName = team.teamName;
+        });
+        storagesData.storages.push(...storages);
+        printS3StoragesSummary(storages);
+      } catch (error) {
+        console.error(`  ✗ S3 storages of team "${team.teamName}" - Error: ${error.message}`);
+        recordRunError(flow.run, { scope: 'storages', name: team.teamName, message: error.message });
+        errors.push(`${team.teamName}: ${error.message}`);
+      }
+    }
+    if (errors.length > 0) {
+      storagesData.error = errors.join('; ');
+    }
+  }
+
+  const storagesPath = saveS3Storages(storagesData, flow.baseDir, flow.run);
+  flow.counts.storages = storagesData.storages.length;
+  console.log(`✓ S3 storages saved to: ${storagesPath}`);
+}
+
+/**
+ * Step 4: scrapes the detailed configuration of every resource
+ * @param {Object} flow - Flow state from runScrapeFlow
+ * @param {Object} allResourcesData - Resources data from runResourcesStage
+ */
+async function runConfigsStage(flow, allResourcesData) {
+  console.log('\n=== STEP 4: SCRAPE DETAILED CONFIGURATIONS ===');
+
+  await runS3StoragesStep(flow);
+
+  const applicationConfigs = {
+    title: "Coolify Application Configurations",
+    timestamp: new Date().toISOString(),
+    totalApplications: 0,
+    applications: []
+  };
+
+  const databaseConfigs = {
+    title: "Coolify Database Configurations",
+    timestamp: new Date().toISOString(),
+    totalDatabases: 0,
+    databases: []
+  };
+
+  const serviceConfigs = {
+    title: "Coolify Service Configurations",
+    timestamp: new Date().toISOString(),
+    totalServices: 0,
+    services: []
+  };
+
+  const configsByCollection = {
+    applications: applicationConfigs.applications,
+    databases: databaseConfigs.databases,
+    services: serviceConfigs.services
+  };
+
+  // One task per resource, in project and environment order and applications, databases, services within an environment
+  const configTasks = listResources(allResourcesData);
+  console.log(`Scraping ${configTasks.length} resource configurations`);
+
+  const configResults = await runTeamPools(flow, configTasks, ({ project }) => project, ({ collection, resource }) => ({
+    collection,
+    id: resource.url
+  }), async ({ collection, resource }, index, lane) => {
+    const step = CONFIG_STEPS[collection];
+    console.log(`  [${index + 1}/${configTasks.length}] ${step.scope}: ${resource.name}`);
+    let config;
+    if (flow.useApi) {
+      config = await step.scrapeViaApi(flow.apiClient, resource);
+    } else {
+      const workerPage = flow.pagePool.pages[lane];
+      await visitResourcePage(flow, workerPage, resource.url, step.screenshotPrefix, resource.name);
+      config = await step.scrape(workerPage);
+
+      // Persistent Storage tab, the same for every resource type
+      try {
+        config.persistentStorage = await scrapePersistentStorage(workerPage);
+        if (config.persistentStorage === null) {
+          config.persistentStorageNote = 'Persistent Storage menu not found';
+        }
+      } catch (error) {
+        config.persistentStorage = null;
+        config.persistentStorageError = error.message;
+      }
+    }
+
+    // The UI only shows the Developer view text, the API backend already set the entries with their flags
+    if (config.environment === undefined && config.environmentVariables != null) {
+      config.environment = getEnvironmentEntries(config);
+    }
+    return config;
+  });
+
+  // Collect results in task order so the output files do not depend on timing
+  const configCounts = { applications: 0, databases: 0, services: 0 };
+  configResults.forEach(({ value: config, error }, index) => {
+    const { collection, project, resource } = configTasks[index];
+    const step = CONFIG_STEPS[collection];
+
+    if (error) {
+      console.error(`    ✗ ${resource.name} - Error: ${error.message}`);
+      recordRunError(flow.run, { scope: step.scope, name: resource.name, url: resource.url, message: error.message });
+      configsByCollection[collection].push({
+        [step.nameField]: resource.name,
+        [step.urlField]: resource.url,
+        projectName: project.projectName,
+        environmentName: resource.environmentName,
+        teamName: project.teamName,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    config[step.nameField] = resource.name;
+    config[step.urlField] = resource.url;
+    config.projectName = project.projectName;
+    config.environmentName = resource.environmentName;
+    config.teamName = project.teamName;
+    config.category = resource.category;
+    config.status = resource.status;
+    config.fqdn = resource.fqdn;
+
+    configsByCollection[collection].push(config);
+    step.printSummary(resource.name, true);
+    configCounts[collection]++;
+  });
+
+  // Save application configurations
+  if (applicationConfigs.applications.length > 0) {
+    applicationConfigs.totalApplications = applicationConfigs.applications.length;
+    const appConfigPath = saveApplicationConfigs(applicationConfigs, flow.baseDir, flow.run);
+    console.log(`\n✓ Application configurations saved to: ${appConfigPath}`);
+  }
+
+  // Save database configurations
+  if (databaseConfigs.databases.length > 0) {
+    databaseConfigs.totalDatabases = databaseConfigs.databases.length;
+    const dbConfigPath = saveDatabaseConfigs(databaseConfigs, flow.baseDir, flow.run);
+    console.log(`✓ Database configurations saved to: ${dbConfigPath}`);
+  }
+
+  // Save service configurations
+  if (serviceConfigs.services.length > 0) {
+    serviceConfigs.totalServices = serviceConfigs.services.length;
+    const svcConfigPath = saveServiceConfigs(serviceConfigs, flow.baseDir, flow.run);
+    console.log(`✓ Service configurations saved to: ${svcConfigPath}`);
+  }
+
+  console.log(`\nStep 4 Summary:`);
+  console.log(`  - Applications configured: ${configCounts.applications}`);
+  console.log(`  - Databases configured: ${configCounts.databases}`);
+  console.log(`  - Services configured: ${configCounts.services}`);
+
+  const withoutBackups = findDatabasesWithoutBackups(databaseConfigs.databases);
+  if (withoutBackups.length > 0) {
+    console.log(`⚠ Databases without a scheduled backup: ${withoutBackups.map(config => config.databaseName).join(', ')}`);
+  }
+
+  const outdated = findOutdatedApplications(applicationConfigs.applications);
+  if (outdated.length > 0) {
+    console.log(`⚠ Applications not running the newest commit of their branch: ${outdated.length}`);
+    printOutdatedApplications(outdated);
+  }
+
+  const failed = findFailedDeployments(applicationConfigs.applications);
+  if (failed.length > 0) {
+    console.log(`⚠ Applications whose newest deployment failed: ${failed.length}`);
+    printFailedDeployments(failed);
+  }
+
+  Object.assign(flow.counts, configCounts);
+}
+
+/**
+ * Step 5: scrapes the server inventory of every team, with destinations, proxy configuration and the resources per server
+ * @param {Object} flow - Flow state from runScrapeFlow
+ */
+async function runServersStage(flow) {
+  console.log('\n=== STEP 5: SCRAPE SERVERS ===');
+
+  // Only used for the key names, a token without read:sensitive may not list them
+  let privateKeys = [];
+  if (flow.useApi) {
+    try {
+      privateKeys = await flow.apiClient.get('/security/keys');
+    } catch (error) {
+      console.error(`  ✗ Private key names unknown - Error: ${error.message}`);
+      recordRunError(flow.run, { scope: 'servers', message: `Private key names unknown: ${error.message}` });
+    }
+  }
+
+  const servers = [];
+  for (const team of await getFlowTeams(flow)) {
+    let teamServers;
+    try {
+      if (flow.useApi) {
+        teamServers = await scrapeServerListViaApi(flow.apiClient);
+      } else {
+        await useTeam(flow, team);
+        await flow.page.goto('/servers');
+        await flow.page.waitForLoadState('networkidle');
+        await takeScreenshot(flow.page, flow.baseDir, `05-servers-${screenshotSlug(team.teamName)}-${Date.now()}.png`);
+        teamServers = await scrapeServerList(flow.page);
+      }
+    } catch (error) {
+      console.error(`  ✗ Servers of team "${team.teamName}" - Error: ${error.message}`);
+      recordRunError(flow.run, { scope: 'team', name: team.teamName, message: error.message });
+      continue;
+    }
+    servers.push(...teamServers.map(server => ({ ...server, teamName: team.teamName, teamId: team.teamId })));
+  }
+  console.log(`Found ${servers.length} servers`);
+
+  const serversData = {
+    title: 'Coolify Servers',
+    timestamp: new Date().toISOString(),
+    totalServers: servers.length,
+    servers: []
+  };
+
+  const serverResults = await runTeamPools(flow, servers, server => server, server => ({
+    collection: 'servers',
+    id: server.url
+  }), async (server, index, lane) => {
+    console.log(`  [${index + 1}/${servers.length}] server: ${server.name}`);
+    if (flow.useApi) {
+      return scrapeServerConfigViaApi(flow.apiClient, server, privateKeys);
+    }
+
+    const workerPage = flow.pagePool.pages[lane];
+    const config = await scrapeServerConfig(workerPage, server);
+    // The worker page ends on the resources page of the server
+    await takeScreenshot(workerPage, flow.baseDir, `05-server-${screenshotSlug(server.name)}-${Date.now()}.png`);
+    return config;
+  });
+
+  serverResults.forEach(({ value: config, error }, index) => {
+    const server = servers[index];
+
+    if (error) {
+      console.error(`    ✗ ${server.name} - Error: ${error.message}`);
+      recordRunError(flow.run, { scope: 'server', name: server.name, url: server.url, message: error.message });
+      serversData.servers.push({
+        serverName: server.name,
+        serverUrl: server.url,
+        teamName: server.teamName,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    config.serverName = server.name;
+    config.serverUrl = server.url;
+    config.uuid = server.uuid;
+    config.teamName = server.teamName;
+    serversData.servers.push(config);
+    printServerSummary(config);
+  });
+
+  const serversPath = saveServersData(serversData, flow.baseDir, flow.run);
+  flow.counts.servers = serversData.servers.filter(server => !server.error).length;
+  console.log(`\n✓ Servers saved to: ${serversPath}`);
+}
+
+/**
+ * Runs a complete scrape into a new (or resumed) run directory:
+ * login, teams and projects, resources, resource configs and servers
+ * @param {Object} options - Flow options
+ * @param {import('@playwright/test').Page} options.page - Playwright page, used in UI mode
+ * @param {import('@playwright/test').Browser} options.browser - Playwright browser for the worker contexts
+ * @param {string} options.baseDir - Base directory for the tests
+ * @param {string} [options.baseURL] - Coolify URL for the worker contexts
+ * @param {Array<string>} [options.stages] - Stages to scrape, defaults to all SCRAPE_STAGES
+ * @param {string} [options.from] - Run to read the input of skipped stages from, defaults to the latest run that has it
+ * @param {string} [options.resume] - Run to resume, defaults to COOLIFY_SCRAPER_RESUME
+ * @param {boolean} [options.notifyFailure] - Notify about a failed run, false while a retry will run the flow again
+ * @returns {Promise<Object>} The run with its final manifest
+ */
+async function runScrapeFlow(options) {
+  const { page, browser, baseDir } = options;
+
+  // The API backend reads the same data from /api/v1 instead of the Livewire forms
+  const useApi = getScraperBackend() === 'api';
+  const apiClient = useApi ? createApiClient() : null;
+
+  // All files of this flow go into one run directory with a manifest,
+  // a resume finishes an interrupted run instead of starting a new one
+  const resumeSpec = options.resume || getResumeSpec();
+  const run = resumeSpec
+    ? resumeRun(baseDir, resumeSpec)
+    : createRun(baseDir, {
+      coolifyUrl: useApi ? apiClient.baseUrl : options.baseURL,
+      backend: useApi ? 'api' : 'ui',
+      stages: options.stages
+    });
+  console.log(`${resumeSpec ? 'Resuming run' : 'Run directory'}: ${run.dir}`);
+
+  // Every resource result is appended to the run's checkpoint as soon as it completes
+  const checkpoint = loadCheckpoint(run);
+  if (resumeSpec) {
+    console.log(`${checkpoint.size} results already completed, failed and missing ones are retried`);
+    if (run.manifest.backend !== (useApi ? 'api' : 'ui')) {
+      console.log(`⚠ Run was started with the "${run.manifest.backend}" backend`);
+    }
+  }
+
+  // Steps 3 and 4 run on a pool of workers, each with its own page in UI mode
+  const poolSettings = getPoolSettings();
+  const flow = {
+    baseDir,
+    page,
+    run,
+    checkpoint,
+    useApi,
+    apiClient,
+    poolSettings,
+    limiter: createRateLimiter(poolSettings.rateLimitMs),
+    pagePool: null,
+    stages: run.manifest.stages || SCRAPE_STAGES,
+    from: options.from || null,
+    teams: null,
+    startTeam: null,
+    currentTeamId: undefined,
+    counts: {}
+  };
+
+  try {
+    // ============================================
+    // STEP 1: LOGIN
+    // ============================================
+    console.log('\n=== STEP 1: LOGIN ===');
+    if (useApi) {
+      console.log(`Using API backend: ${apiClient.baseUrl}/api/v1`);
+    } else {
+      await login(page);
+
+      // Take screenshot after login
+      await takeScreenshot(page, baseDir, `01-login-success-${Date.now()}.png`);
+
+      // Verify we're logged in
+      if (!(await verifyLogin(page))) {
+        throw new Error('Login failed');
+      }
+      console.log('✓ Login successful');
+
+      // Extra browser contexts reuse the session of this login
+      flow.pagePool = await createPagePool(browser, page, poolSettings.concurrency - 1, {
+        baseURL: options.baseURL
+      });
+    }
+    console.log(`Workers: ${poolSettings.concurrency}, ${poolSettings.rateLimitMs}ms between page visits`);
+    console.log(`Stages: ${flow.stages.join(', ')}`);
+
+    // The resource stages run up to the last selected one, copying the input of skipped ones
+    const resourceStages = flow.stages.filter(stage => RESOURCE_STAGES.includes(stage));
+    if (resourceStages.length > 0) {
+      const projectsData = await runProjectsStage(flow);
+      flow.counts.projects = projectsData.projects.length;
+
+      const lastStage = RESOURCE_STAGES.indexOf(resourceStages[resourceStages.length - 1]);
+      if (lastStage >= RESOURCE_STAGES.indexOf('resources')) {
+        const allResourcesData = await runResourcesStage(flow, projectsData);
+        if (lastStage >= RESOURCE_STAGES.indexOf('configs')) {
+          await runConfigsStage(flow, allResourcesData);
+        }
+      }
+    }
+
+    if (flow.stages.includes('servers')) {
+      await runServersStage(flow);
+    }
+
+    finishRun(run, { ...flow.counts, errors: run.manifest.errors.length });
+    console.log(`\n✓ Run manifest saved to: ${run.dir}/manifest.json`);
+    await notifyRun(baseDir, run);
+
+    console.log('\n=== COMPLETE FLOW FINISHED ===');
+    return run;
+  } catch (error) {
+    console.error('Error during scrape:', error);
+    // Login failures carry their reason: credentials, two-factor or unreachable
+    recordRunError(run, { scope: 'run', message: error.message, ...(error.reason ? { reason: error.reason } : {}) });
+    finishRun(run, {}, 'failed');
+    // Before the screenshot, which fails too when the browser is gone
+    if (options.notifyFailure !== false) {
+      await notifyRun(baseDir, run);
+    }
+    if (!useApi) {
+      await takeScreenshot(page, baseDir, `error-${Date.now()}.png`);
+    }
+    throw error;
+  } finally {
+    // Leave the session on the team it started on
+    if (flow.startTeam && flow.currentTeamId !== flow.startTeam.teamId) {
+      await switchTeam(page, flow.startTeam).catch(error => {
+        console.warn(`⚠ Could not switch back to team "${flow.startTeam.teamName}": ${error.message}`);
+      });
+    }
+    if (flow.pagePool) {
+      await flow.pagePool.close();
+    }
+  }
+}
+
+module.exports = {
+  SCRAPE_STAGES,
+  CONFIG_STEPS,
+  runScrapeFlow
+};
@@ -0,0 +1,213 @@
+const http = require('http');
+const { listRuns, loadRunArtifact } = require('./run');
+const { listResources } = require('./resources');
+
+/**
+ * Results of a status scrape: exit code 0, 1 (finished with scrape errors) or anything else
+ */
+const REFRESH_RESULTS = ['success', 'errors', 'failure'];
+
+/**
+ * Resource statuses of the dashboard badge, unknown when there was no badge
+ */
+const RESOURCE_STATUSES = ['running', 'exited', 'warning', 'unknown'];
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escapes a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats one sample
+ * @param {string} name - Metric name
+ * @param {Object} labels - Label names to values
+ * @param {number} value - Sample value
+ * @returns {string} Sample line
+ */
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
+
+/**
+ * Formats a metric family with its HELP and TYPE lines
+ * @param {string} name - Metric name
+ * @param {string} type - gauge or counter
+ * @param {string} help - Description
+ * @param {Array<string>} samples - Sample lines
+ * @returns {Array<string>} Lines
+ */
+function family(name, type, help, samples) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples];
+}
+
+/**
+ * Loads the resources of the newest run that has them, reusing the previous result while the run is unchanged
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [cached] - Previous result
+ * @returns {Object|null} Result with run and resources (entries of listResources), null if no run has resources
+ */
+function loadLatestStatus(baseDir, cached) {
+  const run = listRuns(baseDir).reverse().find(candidate => candidate.manifest.artifacts.some(a => a.kind === 'resources'));
+  if (!run) return null;
+
+  // A resumed run keeps its ID, its finish time tells whether it changed
+  if (cached && cached.run.id === run.id && cached.run.manifest.finishedAt === run.manifest.finishedAt) {
+    return cached;
+  }
+  return { run, resources: listResources(loadRunArtifact(run, 'resources')) };
+}
+
+/**
+ * Builds the metrics page
+ * @param {Object|null} status - Result of loadLatestStatus
+ * @param {Object} exporter - Exporter state from createMetricsServer
+ * @returns {string} Metrics in the Prometheus text format
+ */
+function buildMetrics(status, exporter) {
+  const lines = [];
+
+  if (status) {
+    const statusSamples = [];
+    const upSamples = [];
+    const counts = {};
+    status.resources.forEach(({ collection, project, environment, resource }) => {
+      const labels = {
+        team: project.teamName || '',
+        project: project.projectName,
+        environment: environment.environmentName || '',
+        category: collection,
+        name: resource.name
+      };
+      const current = RESOURCE_STATUSES.includes(resource.status) ? resource.status : 'unknown';
+      RESOURCE_STATUSES.forEach(value => {
+        statusSamples.push(sample('coolify_resource_status', { ...labels, status: value }, value === current ? 1 : 0));
+      });
+      upSamples.push(sample('coolify_resource_up', labels, current === 'running' ? 1 : 0));
+      counts[`${collection}/${current}`] = (counts[`${collection}/${current}`] || 0) + 1;
+    });
+
+    lines.push(
+      ...family('coolify_resource_status', 'gauge', 'Dashboard status of a resource, 1 for its current status', statusSamples),
+      ...family('coolify_resource_up', 'gauge', 'Whether the resource is running', upSamples),
+      ...family('coolify_resources', 'gauge', 'Number of resources by category and status',
+        Object.entries(counts).map(([key, count]) => {
+          const [category, value] = key.split('/');
+          return sample('coolify_resources', { category, status: value }, count);
+        }))
+    );
+
+    const { manifest } = status.run;
+    const started = Date.parse(manifest.startedAt);
+    const finished = manifest.finishedAt ? Date.parse(manifest.finishedAt) : null;
+    lines.push(
+      ...family('coolify_scraper_run_timestamp_seconds', 'gauge', 'Start time of the run the resource metrics come from',
+        [sample('coolify_scraper_run_timestamp_seconds', { run_id: status.run.id, backend: manifest.backend || '' }, started / 1000)]),
+      ...family('coolify_scraper_run_duration_seconds', 'gauge', 'Duration of that run, 0 while it is running',
+        [sample('coolify_scraper_run_duration_seconds', {}, finished ? (finished - started) / 1000 : 0)]),
+      ...family('coolify_scraper_run_errors', 'gauge', 'Errors recorded in the manifest of that run',
+        [sample('coolify_scraper_run_errors', {}, manifest.errors.length)])
+    );
+  }
+
+  lines.push(
+    ...family('coolify_scraper_snapshot_available', 'gauge', 'Whether a run with resources was found',
+      [sample('coolify_scraper_snapshot_available', {}, status ? 1 : 0)]),
+    ...family('coolify_scraper_load_errors_total', 'counter', 'Failed attempts to load the newest run',
+      [sample('coolify_scraper_load_errors_total', {}, exporter.loadErrors)])
+  );
+
+  if (exporter.refreshIntervalMs > 0) {
+    lines.push(
+      ...family('coolify_scraper_refreshes_total', 'counter', 'Status scrapes started by the exporter, by result',
+        REFRESH_RESULTS.map(result => sample('coolify_scraper_refreshes_total', { result }, exporter.refreshes[result]))),
+      ...family('coolify_scraper_refresh_duration_seconds', 'gauge', 'Duration of the last status scrape started by the exporter',
+        [sample('coolify_scraper_refresh_duration_seconds', {}, exporter.lastRefreshSeconds)])
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Creates the HTTP server of the exporter. GET /metrics serves the status of the newest run with resources;
+ * with a refresh function it is called every refreshIntervalMs, never twice at the same time.
+ * @param {Object} options - Exporter options
+ * @param {string} options.baseDir - Base directory for the tests
+ * @param {number} [options.refreshIntervalMs] - Interval of the status scrapes, 0 for none
+ * @param {Function} [options.refresh] - Runs a status scrape, resolves to one of REFRESH_RESULTS
+ * @returns {Object} Exporter with server, state and stop()
+ */
+function createMetricsServer(options) {
+  const state = {
+    status: null,
+    loadErrors: 0,
+    refreshIntervalMs: options.refresh ? options.refreshIntervalMs || 0 : 0,
+    refreshes: { success: 0, errors: 0, failure: 0 },
+    lastRefreshSeconds: 0,
+    refreshing: false
+  };
+
+  const server = http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (request.method !== 'GET' || (url.pathname !== '/metrics' && url.pathname !== '/')) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found\n');
+      return;
+    }
+    if (url.pathname === '/') {
+      response.writeHead(200, { 'Content-Type': 'text/html' });
+      response.end('<a href="/metrics">Metrics</a>\n');
+      return;
+    }
+
+    try {
+      state.status = loadLatestStatus(options.baseDir, state.status);
+    } catch (error) {
+      // Keep serving the last good run, e.g. while a scrape is writing a new one
+      state.loadErrors++;
+      console.error(`✗ Could not load the newest run: ${error.message}`);
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    response.end(buildMetrics(state.status, state));
+  });
+
+  const refresh = async () => {
+    if (state.refreshing) return;
+    state.refreshing = true;
+    const started = Date.now();
+    try {
+      state.refreshes[await options.refresh()]++;
+    } catch (error) {
+      state.refreshes.failure++;
+      console.error(`✗ Status scrape failed: ${error.message}`);
+    } finally {
+      state.lastRefreshSeconds = (Date.now() - started) / 1000;
+      state.refreshing = false;
+    }
+  };
+  const timer = state.refreshIntervalMs > 0 ? setInterval(refresh, state.refreshIntervalMs) : null;
+
+  return {
+    server,
+    state,
+    refresh,
+    stop() {
+      if (timer) clearInterval(timer);
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  RESOURCE_STATUSES,
+  buildMetrics,
+  loadLatestStatus,
+  createMetricsServer
+};
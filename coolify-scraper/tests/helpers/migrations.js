@@ -0,0 +1,76 @@
+/**
+ * Migrations between scraped data schema versions.
+ *
+ * MIGRATIONS[n] upgrades artifacts written with schema version n to version n + 1.
+ * Each entry maps an artifact kind (see RUN_ARTIFACTS) to a function that takes
+ * the parsed artifact and returns the upgraded one; kinds without an entry are
+ * unchanged by that version bump.
+ */
+const MIGRATIONS = {
+  1: {
+    resources: nestResourcesInEnvironments
+  }
+};
+
+/**
+ * v1 → v2: moves the resources of each project into a single environment. v1 only scraped the
+ * environment the project page opened on; its name is taken from resource URLs of older Coolify
+ * versions (/project/<uuid>/<name>/...), newer ones only have the environment UUID.
+ * @param {Object} data - v1 resources file
+ * @returns {Object} v2 resources file
+ */
+function nestResourcesInEnvironments(data) {
+  const collections = ['applications', 'databases', 'services'];
+  return {
+    ...data,
+    projects: (data.projects || []).map(project => {
+      // Legacy files written after the format change are already nested
+      if (project.environments) return project;
+
+      const { applications, databases, services, ...rest } = project;
+      const resources = collections.flatMap(collection => project[collection] || []);
+      const match = resources.length > 0 && resources[0].url.match(/^(?:https?:\/\/[^/]+)?(\/project\/[^/]+\/(environment\/[^/]+|[^/]+))\//);
+      const environmentName = match && !match[2].startsWith('environment/') ? decodeURIComponent(match[2]) : null;
+
+      const environment = {
+        environmentName,
+        environmentUrl: match ? match[1] : project.projectUrl
+      };
+      collections.forEach(collection => {
+        environment[collection] = (project[collection] || []).map(resource => ({ ...resource, environmentName }));
+      });
+      return { ...rest, environments: project.error ? [] : [environment] };
+    })
+  };
+}
+
+/**
+ * Upgrades an artifact to a newer schema version
+ * @param {string} kind - Artifact kind, a key of RUN_ARTIFACTS
+ * @param {Object} data - Parsed artifact
+ * @param {number} fromVersion - Schema version the artifact was written with
+ * @param {number} toVersion - Target schema version
+ * @returns {Object} Upgraded artifact
+ */
+function migrateArtifact(kind, data, fromVersion, toVersion) {
+  if (fromVersion > toVersion) {
+    throw new Error(`Schema version ${fromVersion} is newer than the supported version ${toVersion}, update the scraper`);
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < toVersion; version++) {
+    if (!MIGRATIONS[version]) {
+      throw new Error(`No migration from schema version ${version} to ${version + 1}`);
+    }
+    const migrate = MIGRATIONS[version][kind];
+    if (migrate) {
+      migrated = migrate(migrated);
+    }
+  }
+  return migrated;
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrateArtifact
+};
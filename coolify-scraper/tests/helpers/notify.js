@@ -0,0 +1,356 @@
+const { listRuns } = require('./run');
+const { loadSnapshot, diffSnapshots } = require('./diff');
+const { getDecryptionKeys } = require('./secrets');
+const { readIntegerEnv } = require('./pool');
+const { sendMail } = require('./smtp');
+
+/**
+ * When a finished run is notified: always, on failure (failed run or scrape errors),
+ * or on change (failure, or a snapshot that differs from the previous completed run)
+ */
+const NOTIFY_POLICIES = ['always', 'failure', 'change'];
+
+/**
+ * Errors listed in a chat or email message, the webhook gets all of them
+ */
+const MAX_LISTED_ERRORS = 20;
+
+/**
+ * Discord rejects messages longer than this
+ */
+const DISCORD_MAX_LENGTH = 2000;
+
+/**
+ * Reads the notification settings from the environment
+ * @returns {Object} Settings with policy and the configured channels (slack, discord, webhook, email),
+ *   each with the timeoutMs of its request
+ */
+function getNotifySettings() {
+  const policy = (process.env.COOLIFY_SCRAPER_NOTIFY_ON || 'failure').trim().toLowerCase();
+  if (!NOTIFY_POLICIES.includes(policy)) {
+    throw new Error(`COOLIFY_SCRAPER_NOTIFY_ON must be one of ${NOTIFY_POLICIES.join(', ')}, got "${policy}"`);
+  }
+
+  const channels = {};
+  if (process.env.COOLIFY_SCRAPER_NOTIFY_SLACK_WEBHOOK) {
+    channels.slack = { url: process.env.COOLIFY_SCRAPER_NOTIFY_SLACK_WEBHOOK };
+  }
+  if (process.env.COOLIFY_SCRAPER_NOTIFY_DISCORD_WEBHOOK) {
+    channels.discord = { url: process.env.COOLIFY_SCRAPER_NOTIFY_DISCORD_WEBHOOK };
+  }
+  if (process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK) {
+    channels.webhook = { url: process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK };
+  }
+  if (process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_HOST) {
+    const secure = process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_SECURE === 'true';
+    const to = (process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_TO || '').split(',').map(address => address.trim()).filter(Boolean);
+    if (!process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_FROM || to.length === 0) {
+      throw new Error('COOLIFY_SCRAPER_NOTIFY_EMAIL_FROM and COOLIFY_SCRAPER_NOTIFY_EMAIL_TO are required with COOLIFY_SCRAPER_NOTIFY_SMTP_HOST');
+    }
+    channels.email = {
+      host: process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_HOST,
+      port: readIntegerEnv('COOLIFY_SCRAPER_NOTIFY_SMTP_PORT', secure ? 465 : 587),
+      secure,
+      user: process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_USER || null,
+      password: process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_PASSWORD || null,
+      from: process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_FROM,
+      to
+    };
+  }
+
+  const timeoutMs = readIntegerEnv('COOLIFY_SCRAPER_NOTIFY_TIMEOUT_MS', 15000);
+  Object.values(channels).forEach(channel => {
+    channel.timeoutMs = timeoutMs;
+  });
+  return { policy, channels };
+}
+
+/**
+ * Returns where the artifacts of a run can be found: the run directory and, in GitHub Actions, the workflow run
+ * @param {Object} run - Run with dir
+ * @returns {Object} Location with dir and url (null outside GitHub Actions)
+ */
+function getArtifactLocation(run) {
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return {
+    dir: run.dir,
+    url: GITHUB_SERVER_URL && GITHUB_REPOSITORY && GITHUB_RUN_ID
+      ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`
+      : null
+  };
+}
+
+/**
+ * Collections a run is compared on, a partial run only on those it scraped
+ */
+const COMPARED_KINDS = ['projects', 'resources'];
+
+/**
+ * Lists the compared collections a run has artifacts of
+ * @param {Object} run - Run with its manifest
+ * @returns {Array<string>} Kinds out of COMPARED_KINDS
+ */
+function comparedKinds(run) {
+  return COMPARED_KINDS.filter(kind => run.manifest.artifacts.some(artifact => artifact.kind === kind));
+}
+
+/**
+ * Compares a run with the newest completed run before it that scraped any of the same collections.
+ * Only collections scraped by both runs are compared, so --only projects does not report every resource as removed.
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} run - Finished run
+ * @returns {Object|null} Counts of changes with previousRunId, compared and hasChanges, null without an earlier run
+ */
+function summarizeChanges(baseDir, run) {
+  const kinds = comparedKinds(run);
+  const previous = listRuns(baseDir)
+    .filter(candidate => candidate.id < run.id && candidate.manifest.status === 'completed')
+    .filter(candidate => comparedKinds(candidate).some(kind => kinds.includes(kind)))
+    .pop();
+  if (!previous) {
+    return null;
+  }
+
+  const compared = comparedKinds(previous).filter(kind => kinds.includes(kind));
+  const skipped = Object.fromEntries(COMPARED_KINDS.filter(kind => !compared.includes(kind)).map(kind => [kind, undefined]));
+
+  // Encrypted values only compare equal once decrypted
+  const keys = getDecryptionKeys();
+  const report = diffSnapshots({ ...loadSnapshot(previous.dir, keys), ...skipped }, { ...loadSnapshot(run.dir, keys), ...skipped });
+  return {
+    previousRunId: previous.id,
+    compared,
+    hasChanges: report.hasChanges,
+    projects: {
+      added: report.projects.added.length,
+      removed: report.projects.removed.length,
+      changed: report.projects.changed.length
+    },
+    resources: {
+      added: report.resources.added.length,
+      removed: report.resources.removed.length,
+      statusChanged: report.resources.statusChanged.length,
+      changed: report.resources.changed.length
+    },
+    configsChanged: Object.values(report.configs).reduce((total, config) => total + config.changed.length, 0)
+  };
+}
+
+/**
+ * Builds the summary of a finished run that is sent to every channel
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} run - Finished run
+ * @returns {Object} Summary with status, counts, errors, duration, changes and artifacts
+ */
+function buildRunSummary(baseDir, run) {
+  const { manifest } = run;
+  const started = Date.parse(manifest.startedAt);
+  const finished = manifest.finishedAt ? Date.parse(manifest.finishedAt) : null;
+
+  let changes = null;
+  let changesError = null;
+  try {
+    changes = summarizeChanges(baseDir, run);
+  } catch (error) {
+    changesError = error.message;
+  }
+
+  return {
+    source: 'coolify-scraper',
+    runId: run.id,
+    status: manifest.status,
+    succeeded: manifest.status === 'completed' && manifest.errors.length === 0,
+    coolifyUrl: manifest.coolifyUrl,
+    backend: manifest.backend,
+    stages: manifest.stages,
+    startedAt: manifest.startedAt,
+    finishedAt: manifest.finishedAt,
+    durationSeconds: finished ? Math.round((finished - started) / 1000) : null,
+    counts: Object.fromEntries(Object.entries(manifest.counts || {}).filter(([key]) => key !== 'errors')),
+    errors: manifest.errors.map(({ scope, name, url, message, reason }) => ({
+      scope,
+      name: name || null,
+      url: url || null,
+      message,
+      ...(reason ? { reason } : {})
+    })),
+    changes,
+    ...(changesError ? { changesError } : {}),
+    artifacts: getArtifactLocation(run)
+  };
+}
+
+/**
+ * Decides whether a summary is sent under a policy
+ * @param {Object} summary - Summary from buildRunSummary
+ * @param {string} policy - One of NOTIFY_POLICIES
+ * @returns {boolean} True if it is sent
+ */
+function shouldNotify(summary, policy) {
+  if (policy === 'always' || !summary.succeeded) return true;
+  return policy === 'change' && !!(summary.changes && summary.changes.hasChanges);
+}
+
+/**
+ * Formats a duration in seconds, e.g. "4m 12s"
+ * @param {number|null} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  if (seconds === null) return 'unknown';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+/**
+ * Formats a summary as a title and plain text lines, shared by the chat and email channels
+ * @param {Object} summary - Summary from buildRunSummary
+ * @returns {Object} Message with title and text
+ */
+function formatRunSummary(summary) {
+  let title = `✓ Coolify scrape completed`;
+  if (summary.status !== 'completed') {
+    title = `✗ Coolify scrape ${summary.status}`;
+  } else if (summary.errors.length > 0) {
+    title = `⚠ Coolify scrape completed with ${summary.errors.length} error(s)`;
+  }
+
+  const scraped = Object.entries(summary.counts).map(([key, value]) => `${value} ${key}`).join(', ');
+  const lines = [
+    `Instance: ${summary.coolifyUrl || 'unknown'} (${summary.backend || 'unknown'} backend)`,
+    `Run: ${summary.runId}, ${formatDuration(summary.durationSeconds)}`,
+    `Scraped: ${scraped || 'nothing'}`
+  ];
+
+  if (summary.changes) {
+    const { projects, resources, configsChanged, previousRunId } = summary.changes;
+    lines.push(summary.changes.hasChanges
+      ? `Changes since ${previousRunId}: projects +${projects.added} -${projects.removed} ~${projects.changed}, ` +
+        `resources +${resources.added} -${resources.removed} ~${resources.changed}, ${resources.statusChanged} status changes, ` +
+        `${configsChanged} configs changed`
+      : `No changes since ${previousRunId}`);
+  }
+
+  if (summary.errors.length > 0) {
+    lines.push('', 'Errors:');
+    summary.errors.slice(0, MAX_LISTED_ERRORS).forEach(error => {
+      lines.push(`- [${error.scope}]${error.name ? ` ${error.name}` : ''}: ${error.message}`);
+    });
+    if (summary.errors.length > MAX_LISTED_ERRORS) {
+      lines.push(`- … and ${summary.errors.length - MAX_LISTED_ERRORS} more in the run manifest`);
+    }
+  }
+
+  lines.push('', `Artifacts: ${summary.artifacts.url || summary.artifacts.dir}`);
+  return { title, text: lines.join('\n') };
+}
+
+/**
+ * Posts JSON to a URL
+ * @param {string} url - Target URL
+ * @param {Object} body - Request body
+ * @param {number} timeoutMs - Time the request may take, a TimeoutError after it
+ */
+async function postJson(url, body, timeoutMs) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      const timeout = new Error(`no answer within ${timeoutMs / 1000}s`);
+      timeout.name = 'TimeoutError';
+      throw timeout;
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Senders per channel, each gets the channel settings, the summary and its formatted message
+ */
+const CHANNELS = {
+  slack: (channel, summary, message) => postJson(channel.url, { text: `*${message.title}*\n${message.text}` }, channel.timeoutMs),
+  discord: (channel, summary, message) => {
+    const content = `**${message.title}**\n${message.text}`;
+    return postJson(channel.url, {
+      content: content.length > DISCORD_MAX_LENGTH ? `${content.slice(0, DISCORD_MAX_LENGTH - 1)}…` : content
+    }, channel.timeoutMs);
+  },
+  webhook: (channel, summary) => postJson(channel.url, summary, channel.timeoutMs),
+  email: (channel, summary, message) => sendMail(channel, {
+    from: channel.from,
+    to: channel.to,
+    subject: message.title,
+    text: message.text
+  })
+};
+
+/**
+ * Sends the summary of a finished run to every configured channel, if the policy asks for it.
+ * Never throws, a failed notification must not fail the run. A channel that does not answer within its timeout
+ * is logged as a warning and listed in failed.
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} run - Finished run
+ * @param {Object} [options] - Options
+ * @param {string} [options.policy] - Overrides COOLIFY_SCRAPER_NOTIFY_ON
+ * @returns {Promise<Object>} Result with sent and failed channel names, skipped ("no channels" or "policy") when nothing was sent on purpose
+ */
+async function notifyRun(baseDir, run, options = {}) {
+  const result = { sent: [], failed: [], skipped: null };
+  let settings;
+  try {
+    settings = getNotifySettings();
+  } catch (error) {
+    console.error(`✗ Notifications not sent: ${error.message}`);
+    result.failed.push('settings');
+    return result;
+  }
+
+  const channelNames = Object.keys(settings.channels);
+  if (channelNames.length === 0) {
+    result.skipped = 'no channels';
+    return result;
+  }
+
+  const policy = options.policy || settings.policy;
+  const summary = buildRunSummary(baseDir, run);
+  if (!shouldNotify(summary, policy)) {
+    console.log(`Notifications skipped: nothing to report with policy "${policy}"`);
+    result.skipped = 'policy';
+    return result;
+  }
+
+  const message = formatRunSummary(summary);
+  for (const name of channelNames) {
+    try {
+      await CHANNELS[name](settings.channels[name], summary, message);
+      result.sent.push(name);
+      console.log(`✓ Notification sent to ${name}`);
+    } catch (error) {
+      result.failed.push(name);
+      if (error.name === 'TimeoutError') {
+        console.warn(`⚠ Notification to ${name} timed out: ${error.message}`);
+      } else {
+        console.error(`✗ Notification to ${name} failed: ${error.message}`);
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  NOTIFY_POLICIES,
+  getNotifySettings,
+  buildRunSummary,
+  shouldNotify,
+  formatRunSummary,
+  notifyRun
+};
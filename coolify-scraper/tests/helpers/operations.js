@@ -0,0 +1,311 @@
+/**
+ * Health check fields of an application, by Livewire model
+ */
+const HEALTHCHECK_FIELDS = {
+  enabled: 'healthCheckEnabled',
+  method: 'healthCheckMethod',
+  scheme: 'healthCheckScheme',
+  host: 'healthCheckHost',
+  port: 'healthCheckPort',
+  path: 'healthCheckPath',
+  returnCode: 'healthCheckReturnCode',
+  responseText: 'healthCheckResponseText',
+  interval: 'healthCheckInterval',
+  timeout: 'healthCheckTimeout',
+  retries: 'healthCheckRetries',
+  startPeriod: 'healthCheckStartPeriod'
+};
+
+/**
+ * CPU, memory and swap limits of a container, by Livewire model
+ */
+const RESOURCE_LIMIT_FIELDS = {
+  cpus: 'limitsCpus',
+  cpuset: 'limitsCpuset',
+  cpuShares: 'limitsCpuShares',
+  memory: 'limitsMemory',
+  memorySwap: 'limitsMemorySwap',
+  memorySwappiness: 'limitsMemorySwappiness',
+  memoryReservation: 'limitsMemoryReservation'
+};
+
+/**
+ * Fields of a scheduled task, by Livewire model
+ */
+const SCHEDULED_TASK_FIELDS = {
+  name: 'name',
+  command: 'command',
+  frequency: 'frequency',
+  container: 'container',
+  timeout: 'timeout',
+  enabled: 'enabled'
+};
+
+/**
+ * Manual webhook secrets per git provider, by Livewire model
+ */
+const WEBHOOK_SECRET_FIELDS = {
+  github: 'githubManualWebhookSecret',
+  gitlab: 'gitlabManualWebhookSecret',
+  bitbucket: 'bitbucketManualWebhookSecret',
+  gitea: 'giteaManualWebhookSecret'
+};
+
+/**
+ * Converts a camelCase Livewire model to the snake_case attribute of the Eloquent model
+ * @param {string} model - Livewire model
+ * @returns {string} Attribute name
+ */
+function toAttribute(model) {
+  // The manual webhook secrets are "manual_webhook_secret_<provider>"
+  const provider = model.match(/^(\w+?)ManualWebhookSecret$/);
+  if (provider) {
+    return `manual_webhook_secret_${provider[1]}`;
+  }
+  return model.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+}
+
+/**
+ * Reads a set of form fields from the current page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} fields - Field names to Livewire models
+ * @param {string} prefix - Model prefix of older Coolify versions
+ * @returns {Promise<Object>} Values by field name, null for fields not on the page
+ */
+async function readFormFields(page, fields, prefix) {
+  // Coolify versions bind either the camelCase property or "<prefix>.snake_case"
+  const models = {};
+  Object.entries(fields).forEach(([key, model]) => {
+    models[key] = [model, `${prefix}.${toAttribute(model)}`];
+  });
+
+  return page.evaluate((models) => {
+    const getValue = (names) => {
+      const selector = names
+        .flatMap(name => [`[wire\\:model="${name}"]`, `[wire\\:model\\.live="${name}"]`, `[wire\\:model\\.defer="${name}"]`])
+        .join(', ');
+      const el = document.querySelector(selector);
+      if (!el) return null;
+      if (el.tagName === 'INPUT' && el.type === 'checkbox') {
+        return el.checked;
+      }
+      return el.value || null;
+    };
+
+    const data = {};
+    Object.entries(models).forEach(([key, names]) => {
+      data[key] = getValue(names);
+    });
+    return data;
+  }, models);
+}
+
+/**
+ * Opens a tab of the resource menu
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} tab - Last path segment of the tab, e.g. "healthcheck"
+ * @returns {Promise<boolean>} False if the resource has no such tab
+ */
+async function openTab(page, tab) {
+  const link = page.locator(`a.menu-item[href$="/${tab}"], a.menu-item[href*="/${tab}?"]`);
+  if (await link.count() === 0) {
+    return false;
+  }
+  await link.first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+  return true;
+}
+
+/**
+ * Scrapes the Healthcheck tab
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @returns {Promise<Object|null>} Health check settings, null if the resource has no such tab
+ */
+async function scrapeHealthcheck(page) {
+  if (!await openTab(page, 'healthcheck')) {
+    return null;
+  }
+  return readFormFields(page, HEALTHCHECK_FIELDS, 'resource');
+}
+
+/**
+ * Scrapes the Resource Limits tab
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @returns {Promise<Object|null>} CPU, memory and swap limits, null if the resource has no such tab
+ */
+async function scrapeResourceLimits(page) {
+  if (!await openTab(page, 'resource-limits')) {
+    return null;
+  }
+  return readFormFields(page, RESOURCE_LIMIT_FIELDS, 'resource');
+}
+
+/**
+ * Scrapes the Webhooks tab: the deploy webhook URL and the manual webhook secrets
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @returns {Promise<Object|null>} Webhooks with deployUrl and secrets, null if the resource has no such tab
+ */
+async function scrapeWebhooks(page) {
+  if (!await openTab(page, 'webhooks')) {
+    return null;
+  }
+  const deployUrl = await page.evaluate(() => {
+    const el = document.querySelector('[wire\\:model="deploywebhook"], input[id="deploywebhook"]');
+    if (el) return el.value || null;
+    // Older versions print the URL as text
+    const input = Array.from(document.querySelectorAll('input[readonly], input[disabled]'))
+      .find(candidate => /\/api\/v1\/deploy\?/.test(candidate.value));
+    return input ? input.value : null;
+  });
+  return {
+    deployUrl,
+    secrets: await readFormFields(page, WEBHOOK_SECRET_FIELDS, 'resource')
+  };
+}
+
+/**
+ * Scrapes the Scheduled Tasks tab and the page of every task.
+ * Returns to the task list afterwards so that the resource menu stays reachable.
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @returns {Promise<Array<Object>|null>} Scheduled tasks, null if the resource has no such tab
+ */
+async function scrapeScheduledTasks(page) {
+  if (!await openTab(page, 'scheduled-tasks')) {
+    return null;
+  }
+  const listUrl = page.url();
+
+  const taskUrls = await page.evaluate(() => {
+    const urls = Array.from(document.querySelectorAll('a[href*="/scheduled-tasks/"]'))
+      .map(link => link.getAttribute('href'));
+    return [...new Set(urls)];
+  });
+
+  const tasks = [];
+  for (const taskUrl of taskUrls) {
+    await page.goto(taskUrl);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+
+    const task = await readFormFields(page, SCHEDULED_TASK_FIELDS, 'task');
+    tasks.push({
+      ...task,
+      url: taskUrl,
+      uuid: taskUrl.split('?')[0].split('/').filter(Boolean).pop()
+    });
+  }
+
+  if (taskUrls.length > 0) {
+    await page.goto(listUrl);
+    await page.waitForLoadState('networkidle');
+  }
+  return tasks;
+}
+
+/**
+ * Tabs scraped by scrapeOperationTabs, with the config key each is stored under
+ */
+const OPERATION_TABS = {
+  healthcheck: { scrape: scrapeHealthcheck, label: 'Healthcheck' },
+  resourceLimits: { scrape: scrapeResourceLimits, label: 'Resource Limits' },
+  webhooks: { scrape: scrapeWebhooks, label: 'Webhooks' },
+  scheduledTasks: { scrape: scrapeScheduledTasks, label: 'Scheduled Tasks' }
+};
+
+/**
+ * Scrapes operation tabs into a config. A missing tab sets `<key>Note`, a failure `<key>Error`,
+ * so that one broken tab does not lose the rest of the config.
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @param {Object} configData - Config object, modified in place
+ * @param {Array<string>} keys - Keys of OPERATION_TABS to scrape, scheduledTasks last as it leaves the page
+ */
+async function scrapeOperationTabs(page, configData, keys) {
+  for (const key of keys) {
+    const tab = OPERATION_TABS[key];
+    try {
+      configData[key] = await tab.scrape(page);
+      if (configData[key] === null) {
+        configData[`${key}Note`] = `${tab.label} menu not found`;
+      }
+    } catch (error) {
+      configData[key] = null;
+      configData[`${key}Error`] = error.message;
+    }
+  }
+}
+
+/**
+ * Scrapes the sub-applications of a service (its containers), with their health checks and resource limits.
+ * Returns to the service page afterwards.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} serviceUrl - URL of the service page
+ * @returns {Promise<Array<Object>>} Sub-applications with name, url, uuid, healthcheck and resourceLimits
+ */
+async function scrapeServiceSubApplications(page, serviceUrl) {
+  await page.goto(serviceUrl);
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const servicePath = new URL(serviceUrl, page.url()).pathname.replace(/\/+$/, '');
+  const links = await page.evaluate((servicePath) => {
+    // Sub-applications are linked as <service path>/<uuid>, the tabs of the service by name
+    const list = [];
+    document.querySelectorAll('a[href]').forEach(link => {
+      const href = new URL(link.getAttribute('href'), window.location.href).pathname;
+      const match = href.startsWith(servicePath + '/') && href.slice(servicePath.length + 1).match(/^([a-z0-9]{20,})$/);
+      if (match && !list.some(entry => entry.url === href)) {
+        const title = link.querySelector('.box-title, h3, h4');
+        list.push({ name: (title || link).textContent.trim().split('\n')[0].trim(), url: href, uuid: match[1] });
+      }
+    });
+    return list;
+  }, servicePath);
+
+  const subApplications = [];
+  for (const link of links) {
+    await page.goto(link.url);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+
+    const subApplication = { ...link };
+    await scrapeOperationTabs(page, subApplication, ['healthcheck', 'resourceLimits']);
+    subApplications.push(subApplication);
+  }
+
+  if (links.length > 0) {
+    await page.goto(serviceUrl);
+    await page.waitForLoadState('networkidle');
+  }
+  return subApplications;
+}
+
+/**
+ * Picks form fields from an API object, the snake_case attributes of the Livewire models.
+ * Numbers are turned into strings like the form fields of the UI scraper.
+ * @param {Object} item - API object
+ * @param {Object} fields - Field names to Livewire models
+ * @returns {Object|null} Values by field name, null if the object has none of the attributes
+ */
+function fieldsFromApi(item, fields) {
+  const data = {};
+  let found = false;
+  Object.entries(fields).forEach(([key, model]) => {
+    const value = item[toAttribute(model)];
+    if (value !== undefined) found = true;
+    data[key] = value == null ? null : typeof value === 'number' ? String(value) : value;
+  });
+  return found ? data : null;
+}
+
+module.exports = {
+  HEALTHCHECK_FIELDS,
+  RESOURCE_LIMIT_FIELDS,
+  SCHEDULED_TASK_FIELDS,
+  WEBHOOK_SECRET_FIELDS,
+  OPERATION_TABS,
+  readFormFields,
+  scrapeOperationTabs,
+  scrapeServiceSubApplications,
+  fieldsFromApi
+};
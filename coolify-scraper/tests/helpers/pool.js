@@ -0,0 +1,118 @@
+require('dotenv').config({ quiet: true });
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_RATE_LIMIT_MS = 250;
+
+/**
+ * Reads a non-negative integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when the variable is not set
+ * @returns {number} Parsed value
+ */
+function readIntegerEnv(name, defaultValue) {
+  const raw = (process.env[name] || '').trim();
+  if (raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${raw}"`);
+  }
+  return value;
+}
+
+/**
+ * Reads the worker pool settings from the environment
+ * @returns {Object} Settings with concurrency and rateLimitMs
+ */
+function getPoolSettings() {
+  return {
+    concurrency: Math.max(1, readIntegerEnv('COOLIFY_SCRAPER_CONCURRENCY', DEFAULT_CONCURRENCY)),
+    rateLimitMs: readIntegerEnv('COOLIFY_SCRAPER_RATE_LIMIT_MS', DEFAULT_RATE_LIMIT_MS)
+  };
+}
+
+/**
+ * Creates a rate limiter shared by all workers, spacing out the start of each task
+ * @param {number} minIntervalMs - Minimum delay between two task starts
+ * @returns {Function} Async function that resolves when the next task may start
+ */
+function createRateLimiter(minIntervalMs) {
+  let nextStart = 0;
+
+  return async function waitForTurn() {
+    const now = Date.now();
+    const start = Math.max(now, nextStart);
+    nextStart = start + minIntervalMs;
+    if (start > now) {
+      await new Promise(resolve => setTimeout(resolve, start - now));
+    }
+  };
+}
+
+/**
+ * Opens additional pages that share the authenticated session of an existing page
+ * @param {import('@playwright/test').Browser} browser - Playwright browser
+ * @param {import('@playwright/test').Page} page - Logged in page
+ * @param {number} count - Number of additional pages
+ * @param {Object} [contextOptions] - Extra options for the new contexts (e.g. baseURL)
+ * @returns {Promise<Object>} Pool with pages (the given page first) and close()
+ */
+async function createPagePool(browser, page, count, contextOptions = {}) {
+  const storageState = await page.context().storageState();
+  const contexts = await Promise.all(
+    Array.from({ length: count }, () => browser.newContext({
+      viewport: page.viewportSize(),
+      ...contextOptions,
+      storageState
+    }))
+  );
+  const extraPages = await Promise.all(contexts.map(context => context.newPage()));
+
+  return {
+    pages: [page, ...extraPages],
+    async close() {
+      await Promise.all(contexts.map(context => context.close()));
+    }
+  };
+}
+
+/**
+ * Runs a worker over every item with limited concurrency.
+ * Results keep the order of the items, regardless of which task finishes first.
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function (item, index, lane) returning the result of one item
+ * @param {Object} [options] - Pool options
+ * @param {number} [options.concurrency] - Maximum number of tasks running at once
+ * @param {Function} [options.limiter] - Rate limiter from createRateLimiter
+ * @returns {Promise<Array<Object>>} One { value } or { error } entry per item
+ */
+async function runPool(items, worker, options = {}) {
+  const concurrency = Math.max(1, Math.min(options.concurrency || 1, items.length));
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runLane(lane) {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      if (options.limiter) {
+        await options.limiter();
+      }
+      try {
+        results[index] = { value: await worker(items[index], index, lane) };
+      } catch (error) {
+        results[index] = { error };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: concurrency }, (_, lane) => runLane(lane)));
+  return results;
+}
+
+module.exports = {
+  readIntegerEnv,
+  getPoolSettings,
+  createRateLimiter,
+  createPagePool,
+  runPool
+};
@@ -0,0 +1,464 @@
+const fs = require('fs');
+const path = require('path');
+const { listResources } = require('./resources');
+const { getEnvironmentEntries } = require('./envfile');
+const { transformConfigSecrets } = require('./secrets');
+const { slugify } = require('./compose');
+const { urlKey } = require('./diff');
+const { screenshotSlug, listScreenshots } = require('./screenshots');
+
+/**
+ * Resource collections of the report, with the config fields naming a resource and its screenshot prefix
+ */
+const REPORT_COLLECTIONS = {
+  applications: { kind: 'application', nameField: 'applicationName', urlField: 'applicationUrl', screenshotPrefix: '04-app-config' },
+  databases: { kind: 'database', nameField: 'databaseName', urlField: 'databaseUrl', screenshotPrefix: '04-db-config' },
+  services: { kind: 'service', nameField: 'serviceName', urlField: 'serviceUrl', screenshotPrefix: '04-svc-config' }
+};
+
+/**
+ * Config fields shown in the page header or the environment variables table instead of a section
+ */
+const HEADER_FIELDS = [
+  'title', 'url', 'timestamp', 'status', 'fqdn', 'category',
+  'applicationName', 'applicationUrl', 'databaseName', 'databaseUrl', 'serviceName', 'serviceUrl',
+  'projectName', 'environmentName', 'teamName', 'environmentVariables', 'environment'
+];
+
+const MASK = '***';
+
+/**
+ * Screenshots of the environment variables textarea show the values in clear text, they never go into a report
+ */
+const SECRET_SCREENSHOT_PATTERN = /env-vars-textarea/;
+
+/**
+ * Styles of every page, inlined so the report has no external assets
+ */
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 1rem 2rem; color: #1f2328; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+pre { background: #f6f8fa; padding: 0.5rem; overflow-x: auto; margin: 0; font-size: 0.85rem; }
+input[type=search] { width: 100%; padding: 0.5rem; font-size: 1rem; box-sizing: border-box; }
+.meta { color: #59636e; }
+.null { color: #8c959f; }
+.note { color: #9a6700; }
+.error { color: #d1242f; }
+.status-running, .status-finished { color: #1a7f37; }
+.status-exited, .status-failed, .status-degraded { color: #d1242f; }
+.shots { display: flex; flex-wrap: wrap; gap: 1rem; }
+.shots img { max-width: 280px; border: 1px solid #d0d7de; }
+`;
+
+/**
+ * Script of the search box: hides the resource rows that do not contain every search word
+ */
+const SEARCH_SCRIPT = `
+const search = document.getElementById('search');
+const rows = Array.from(document.querySelectorAll('#resources tbody tr'));
+const count = document.getElementById('count');
+search.addEventListener('input', () => {
+  const words = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+  let shown = 0;
+  rows.forEach(row => {
+    const match = words.every(word => row.dataset.search.includes(word));
+    row.hidden = !match;
+    if (match) shown++;
+  });
+  count.textContent = shown + ' of ' + rows.length;
+});
+`;
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Turns a config key into a section title, e.g. persistentStorage into "Persistent Storage"
+ * @param {string} key - Config key
+ * @returns {string} Title
+ */
+function sectionTitle(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/^./, c => c.toUpperCase());
+}
+
+/**
+ * Renders a complete page
+ * @param {string} title - Page title
+ * @param {string} body - Page body HTML
+ * @param {string} [script] - Inline script
+ * @returns {string} HTML document
+ */
+function renderPage(title, body, script) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+${script ? `<script>${script}</script>` : ''}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cells as HTML
+ * @param {Object} [options] - Table options
+ * @param {string} [options.id] - ID of the table element
+ * @param {Array<string>} [options.rowAttributes] - Attributes HTML per row
+ * @returns {string} Table HTML
+ */
+function renderTable(headers, rows, options = {}) {
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows.map((row, index) => {
+    const attributes = options.rowAttributes ? ' ' + options.rowAttributes[index] : '';
+    return `<tr${attributes}>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  }).join('\n');
+  return `<table${options.id ? ` id="${options.id}"` : ''}><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Renders a status with a class per status, e.g. status-running
+ * @param {string|null} status - Resource or deployment status
+ * @returns {string} Status HTML
+ */
+function renderStatus(status) {
+  if (!status) return '<span class="null">unknown</span>';
+  return `<span class="status-${escapeHtml(slugify(status))}">${escapeHtml(status)}</span>`;
+}
+
+/**
+ * Renders a scraped value: objects as key/value tables, arrays of objects as tables,
+ * multi-line strings as preformatted text
+ * @param {*} value - Value to render
+ * @returns {string} Value HTML
+ */
+function renderValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return '<span class="null">—</span>';
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '<span class="null">none</span>';
+    if (value.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+      const headers = [...new Set(value.flatMap(item => Object.keys(item)))];
+      return renderTable(headers, value.map(item => headers.map(header => renderValue(item[header]))));
+    }
+    return value.map(item => renderValue(item)).join(', ');
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '<span class="null">none</span>';
+    return renderTable(['Field', 'Value'], entries.map(([key, item]) => [escapeHtml(key), renderValue(item)]));
+  }
+  if (typeof value === 'string' && value.includes('\n')) {
+    return `<pre>${escapeHtml(value)}</pre>`;
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Returns a copy of a config with every secret field replaced by "***", whatever the secrets mode of the run
+ * @param {Object} config - Application, database or service config
+ * @returns {Object} Masked copy
+ */
+function maskConfig(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  transformConfigSecrets(copy, () => MASK);
+  return copy;
+}
+
+/**
+ * Renders the environment variables of a config with their keys and flags, values masked
+ * @param {Object} config - Application, database or service config
+ * @returns {string} Table HTML
+ */
+function renderEnvironment(config) {
+  const entries = getEnvironmentEntries(config);
+  if (entries.length === 0) return '<p class="null">No environment variables</p>';
+
+  const flags = [...new Set(entries.flatMap(entry => Object.keys(entry).filter(key => key !== 'key' && key !== 'value')))];
+  return renderTable(['Key', 'Value', ...flags], entries.map(entry => [
+    `<code>${escapeHtml(entry.key)}</code>`,
+    entry.value === '' ? '<span class="null">empty</span>' : MASK,
+    ...flags.map(flag => renderValue(entry[flag]))
+  ]));
+}
+
+/**
+ * Renders links with thumbnails to screenshots copied into the report
+ * @param {Array<Object>} screenshots - Screenshots with file
+ * @param {string} prefix - Path from the page to the report root
+ * @returns {string} Screenshots HTML
+ */
+function renderScreenshots(screenshots, prefix) {
+  if (screenshots.length === 0) return '<p class="null">No screenshots</p>';
+  return `<div class="shots">${screenshots.map(shot => {
+    const href = `${prefix}screenshots/${encodeURIComponent(shot.file)}`;
+    return `<a href="${href}"><img src="${href}" alt="${escapeHtml(shot.file)}" loading="lazy"></a>`;
+  }).join('\n')}</div>`;
+}
+
+/**
+ * Finds the screenshots of a page among those of the run, e.g. "04-app-config-web-<timestamp>.png"
+ * @param {Array<Object>} screenshots - Result of listScreenshots
+ * @param {string} prefix - Screenshot file name prefix
+ * @param {string} name - Name used in the file name
+ * @returns {Array<Object>} Matching screenshots
+ */
+function findScreenshots(screenshots, prefix, name) {
+  const start = `${prefix}-${screenshotSlug(name)}-`;
+  return screenshots.filter(shot => shot.file.startsWith(start) && /^\d{13}\.png$/.test(shot.file.slice(start.length)));
+}
+
+/**
+ * Finds the screenshots linked from the page of a resource: its config page and the resource list of its environment
+ * @param {Object} entry - Entry from collectResources
+ * @param {Array<Object>} screenshots - Result of listScreenshots
+ * @returns {Array<Object>} Screenshots of the page
+ */
+function findResourceScreenshots(entry, screenshots) {
+  return [
+    ...findScreenshots(screenshots, REPORT_COLLECTIONS[entry.collection].screenshotPrefix, entry.name),
+    ...findScreenshots(screenshots, '03-resources', `${entry.projectName}-${entry.environmentName}`)
+  ];
+}
+
+/**
+ * Collects the resources of a snapshot with their config
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @returns {Array<Object>} Entries with collection, name, projectName, environmentName, teamName, status, fqdn, url, config and page
+ */
+function collectResources(snapshot) {
+  const configs = {};
+  Object.entries(REPORT_COLLECTIONS).forEach(([collection, info]) => {
+    configs[collection] = new Map(((snapshot[collection] && snapshot[collection][collection]) || [])
+      .map(config => [urlKey(config[info.urlField] || config.url), config]));
+  });
+
+  const entries = listResources(snapshot.resources).map(({ collection, project, environment, resource }) => ({
+    collection,
+    name: resource.name,
+    projectName: project.projectName,
+    environmentName: environment.environmentName,
+    teamName: project.teamName || null,
+    status: resource.status || null,
+    fqdn: resource.fqdn || null,
+    url: resource.url,
+    config: configs[collection].get(resource.uuid || urlKey(resource.url)) || null
+  }));
+
+  // Configs of a run without resources.json, e.g. an older snapshot
+  Object.entries(REPORT_COLLECTIONS).forEach(([collection, info]) => {
+    configs[collection].forEach(config => {
+      if (entries.some(entry => entry.config === config)) return;
+      entries.push({
+        collection,
+        name: config[info.nameField],
+        projectName: config.projectName,
+        environmentName: config.environmentName || null,
+        teamName: config.teamName || null,
+        status: config.status || null,
+        fqdn: config.fqdn || null,
+        url: config[info.urlField] || config.url,
+        config
+      });
+    });
+  });
+
+  const used = new Set();
+  entries.forEach(entry => {
+    const base = [REPORT_COLLECTIONS[entry.collection].kind, entry.projectName, entry.environmentName, entry.name]
+      .filter(Boolean).map(slugify).join('-');
+    let page = base;
+    for (let n = 2; used.has(page); n++) {
+      page = `${base}-${n}`;
+    }
+    used.add(page);
+    entry.page = `resources/${page}.html`;
+  });
+  return entries;
+}
+
+/**
+ * Renders the page of one resource
+ * @param {Object} entry - Entry from collectResources
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {Array<Object>} shots - Screenshots of the page, from findResourceScreenshots
+ * @returns {string} HTML document
+ */
+function renderResourcePage(entry, snapshot, shots) {
+  const info = REPORT_COLLECTIONS[entry.collection];
+  const coolifyUrl = snapshot.manifest && snapshot.manifest.coolifyUrl;
+  const link = entry.url && coolifyUrl && entry.url.startsWith('/') ? coolifyUrl.replace(/\/+$/, '') + entry.url : entry.url;
+
+  const parts = [
+    '<p><a href="../index.html">← Overview</a></p>',
+    `<h1>${escapeHtml(entry.name)}</h1>`,
+    `<p class="meta">${escapeHtml(info.kind)} in ${escapeHtml(entry.projectName)} / ${escapeHtml(entry.environmentName || '?')}`
+      + `${entry.teamName ? ` (team ${escapeHtml(entry.teamName)})` : ''} · ${renderStatus(entry.status)}`
+      + `${entry.fqdn ? ` · ${escapeHtml(entry.fqdn)}` : ''}`
+      + `${link ? ` · <a href="${escapeHtml(link)}">Open in Coolify</a>` : ''}</p>`
+  ];
+
+  const config = entry.config ? maskConfig(entry.config) : null;
+  if (!config) {
+    parts.push('<p class="null">No configuration scraped</p>');
+  } else if (config.error) {
+    parts.push(`<p class="error">Scrape failed: ${escapeHtml(config.error)}</p>`);
+  } else {
+    const notes = Object.entries(config).filter(([key]) => /(Note|Error)$/.test(key));
+    if (notes.length > 0) {
+      parts.push(`<ul>${notes.map(([key, value]) => `<li class="${key.endsWith('Error') ? 'error' : 'note'}">${escapeHtml(key)}: ${escapeHtml(value)}</li>`).join('')}</ul>`);
+    }
+    parts.push('<h2>Environment Variables</h2>', renderEnvironment(config));
+    Object.entries(config)
+      .filter(([key]) => !HEADER_FIELDS.includes(key) && !/(Note|Error)$/.test(key))
+      .forEach(([key, value]) => parts.push(`<h2>${escapeHtml(sectionTitle(key))}</h2>`, renderValue(value)));
+  }
+
+  parts.push('<h2>Screenshots</h2>', renderScreenshots(shots, '../'));
+  return renderPage(`${entry.name} - Coolify inventory`, parts.join('\n'));
+}
+
+/**
+ * Renders the overview page: run, resource counts by category and status, projects, the searchable
+ * resource list and servers
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {Array<Object>} entries - Entries from collectResources
+ * @param {Array<Object>} shots - Overview screenshots: login, dashboard and servers
+ * @returns {string} HTML document
+ */
+function renderOverview(snapshot, entries, shots) {
+  const manifest = snapshot.manifest || {};
+  const parts = [
+    '<h1>Coolify inventory</h1>',
+    `<p class="meta">Run ${escapeHtml(snapshot.source)}${manifest.coolifyUrl ? ` of ${escapeHtml(manifest.coolifyUrl)}` : ''}`
+      + `${manifest.backend ? ` · ${escapeHtml(manifest.backend)} backend` : ''}`
+      + `${manifest.startedAt ? ` · started ${escapeHtml(manifest.startedAt)}` : ''}`
+      + `${manifest.status ? ` · ${escapeHtml(manifest.status)}` : ''}</p>`
+  ];
+
+  if (manifest.errors && manifest.errors.length > 0) {
+    parts.push(`<h2>Errors (${manifest.errors.length})</h2>`, renderTable(['Scope', 'Name', 'Message'],
+      manifest.errors.map(error => [escapeHtml(error.scope), escapeHtml(error.name || ''), `<span class="error">${escapeHtml(error.message)}</span>`])));
+  }
+
+  const statuses = [...new Set(entries.map(entry => entry.status || 'unknown'))].sort();
+  parts.push('<h2>Resources by Category and Status</h2>', renderTable(['Category', ...statuses, 'Total'],
+    Object.keys(REPORT_COLLECTIONS).map(collection => {
+      const inCollection = entries.filter(entry => entry.collection === collection);
+      return [
+        escapeHtml(collection),
+        ...statuses.map(status => String(inCollection.filter(entry => (entry.status || 'unknown') === status).length)),
+        `<strong>${inCollection.length}</strong>`
+      ];
+    })));
+
+  const projects = (snapshot.resources && snapshot.resources.projects) || [];
+  parts.push(`<h2>Projects (${projects.length})</h2>`, renderTable(['Project', 'Team', 'Environments', 'Resources', 'Description'],
+    projects.map(project => [
+      escapeHtml(project.projectName),
+      renderValue(project.teamName),
+      escapeHtml((project.environments || []).map(environment => environment.environmentName).join(', ')),
+      String(entries.filter(entry => entry.projectName === project.projectName && entry.teamName === (project.teamName || null)).length),
+      renderValue(project.projectDescription)
+    ])));
+
+  parts.push(
+    `<h2>Resources (${entries.length})</h2>`,
+    '<input type="search" id="search" placeholder="Search by name, project, environment, category, status or domain" autofocus>',
+    `<p class="meta" id="count">${entries.length} of ${entries.length}</p>`,
+    renderTable(['Name', 'Project', 'Environment', 'Category', 'Status', 'Domains'], entries.map(entry => [
+      `<a href="${entry.page}">${escapeHtml(entry.name)}</a>`,
+      escapeHtml(entry.projectName),
+      renderValue(entry.environmentName),
+      escapeHtml(entry.collection),
+      renderStatus(entry.status),
+      renderValue(entry.fqdn)
+    ]), {
+      id: 'resources',
+      rowAttributes: entries.map(entry => {
+        const search = [entry.name, entry.projectName, entry.environmentName, entry.teamName, entry.collection, entry.status, entry.fqdn]
+          .filter(Boolean).join(' ').toLowerCase();
+        return `data-search="${escapeHtml(search)}"`;
+      })
+    })
+  );
+
+  const servers = (snapshot.servers && snapshot.servers.servers) || [];
+  if (servers.length > 0) {
+    parts.push(`<h2>Servers (${servers.length})</h2>`, renderTable(['Server', 'Team', 'IP', 'User', 'Port', 'Proxy'],
+      servers.map(server => [
+        escapeHtml((server.general && server.general.name) || server.title),
+        renderValue(server.teamName),
+        renderValue(server.general && server.general.ip),
+        renderValue(server.general && server.general.user),
+        renderValue(server.general && server.general.port),
+        renderValue(server.proxy && server.proxy.type)
+      ])));
+  }
+
+  parts.push('<h2>Screenshots</h2>', renderScreenshots(shots, ''));
+  return renderPage('Coolify inventory', parts.join('\n'), SEARCH_SCRIPT);
+}
+
+/**
+ * Writes a self-contained HTML report of a snapshot: index.html, one page per resource under
+ * resources/ and the screenshots these pages link under screenshots/
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {string} outDir - Output directory, created if needed
+ * @param {string} screenshotsDir - Directory holding the screenshots of the run
+ * @returns {Object} Result with index, pages and screenshots counts
+ */
+function writeReport(snapshot, outDir, screenshotsDir) {
+  // Screenshots are not part of a run, they are matched by the time they were taken
+  const manifest = snapshot.manifest;
+  const screenshots = (manifest ? listScreenshots(screenshotsDir, manifest.startedAt, manifest.finishedAt) : [])
+    .filter(shot => !SECRET_SCREENSHOT_PATTERN.test(shot.file));
+  const entries = collectResources(snapshot);
+  const pageShots = entries.map(entry => findResourceScreenshots(entry, screenshots));
+  const overviewShots = screenshots.filter(shot => /^0[1-25]-/.test(shot.file));
+
+  // Only the screenshots a page links are copied, the report is shared as a workflow artifact
+  const linked = new Map([...overviewShots, ...pageShots.flat()].map(shot => [shot.file, shot]));
+  fs.mkdirSync(path.join(outDir, 'resources'), { recursive: true });
+  if (linked.size > 0) {
+    fs.mkdirSync(path.join(outDir, 'screenshots'), { recursive: true });
+    linked.forEach(shot => fs.copyFileSync(shot.path, path.join(outDir, 'screenshots', shot.file)));
+  }
+
+  entries.forEach((entry, index) => {
+    fs.writeFileSync(path.join(outDir, entry.page), renderResourcePage(entry, snapshot, pageShots[index]));
+  });
+  const index = path.join(outDir, 'index.html');
+  fs.writeFileSync(index, renderOverview(snapshot, entries, overviewShots));
+
+  return { index, pages: entries.length, screenshots: linked.size };
+}
+
+module.exports = {
+  escapeHtml,
+  maskConfig,
+  collectResources,
+  writeReport
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { saveRunArtifact } = require('./run');
 
 /**
  * Loads project data from a JSON file
@@ -157,13 +158,96 @@ async function scrapeResources(page) {
   return resourcesData;
 }
 
+/**
+ * Resource collections of an environment
+ */
+const RESOURCE_COLLECTIONS = ['applications', 'databases', 'services'];
+
+/**
+ * Path segments after a project URL that are not environments
+ */
+const PROJECT_PAGES = ['edit', 'new', 'clone', 'environment'];
+
+/**
+ * Returns the environment name from an environment URL of older Coolify versions (/project/<uuid>/<name>)
+ * @param {string} url - Environment or resource URL
+ * @returns {string|null} Environment name, null for /project/<uuid>/environment/<uuid> URLs
+ */
+function environmentNameFromUrl(url) {
+  const match = new URL(url, 'http://coolify').pathname.match(/^\/project\/[^/]+\/([^/]+)/);
+  return match && !PROJECT_PAGES.includes(match[1]) ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Scrapes the environments linked from a project page
+ * @param {import('@playwright/test').Page} page - Playwright page on the project
+ * @returns {Promise<Array<Object>>} Environments with name and url, empty if the page links none
+ */
+async function scrapeEnvironments(page) {
+  return page.evaluate((projectPages) => {
+    const projectMatch = window.location.pathname.match(/^\/project\/[^/]+/);
+    if (!projectMatch) return [];
+
+    const list = [];
+    document.querySelectorAll('a[href]').forEach(link => {
+      const href = new URL(link.getAttribute('href'), window.location.href).pathname.replace(/\/+$/, '');
+      // /project/<uuid>/environment/<uuid>, or /project/<uuid>/<name> in older versions
+      const rest = href.startsWith(projectMatch[0] + '/') ? href.slice(projectMatch[0].length + 1).split('/') : [];
+      const isEnvironment = rest[0] === 'environment' ? rest.length === 2 : rest.length === 1 && !projectPages.includes(rest[0]);
+      if (!isEnvironment || list.some(entry => entry.url === href)) return;
+
+      const title = link.querySelector('.box-title');
+      const name = (title || link).textContent.trim() || decodeURIComponent(rest[rest.length - 1]);
+      list.push({ name, url: href });
+    });
+    return list;
+  }, PROJECT_PAGES);
+}
+
+/**
+ * Builds the environment entry of a resources file, tagging every resource with the environment name
+ * @param {string|null} environmentName - Environment name
+ * @param {string} environmentUrl - Environment URL
+ * @param {Object} resourcesData - Resources of the environment from scrapeResources
+ * @returns {Object} Environment with applications, databases and services
+ */
+function toEnvironmentEntry(environmentName, environmentUrl, resourcesData) {
+  const entry = { environmentName, environmentUrl };
+  RESOURCE_COLLECTIONS.forEach(collection => {
+    entry[collection] = (resourcesData[collection] || []).map(resource => ({ ...resource, environmentName }));
+  });
+  return entry;
+}
+
+/**
+ * Lists every resource of a resources file with its collection, project and environment
+ * @param {Object} resourcesData - Resources file contents
+ * @returns {Array<Object>} Entries with collection, project, environment and resource, in file order
+ */
+function listResources(resourcesData) {
+  const entries = [];
+  ((resourcesData && resourcesData.projects) || []).forEach(project => {
+    (project.environments || []).forEach(environment => {
+      RESOURCE_COLLECTIONS.forEach(collection => {
+        (environment[collection] || []).forEach(resource => entries.push({ collection, project, environment, resource }));
+      });
+    });
+  });
+  return entries;
+}
+
 /**
  * Saves resources data to a JSON file
  * @param {Object} data - The resources data object with all projects
  * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
  * @returns {string} Path to the saved file
  */
-function saveResourcesData(data, baseDir) {
+function saveResourcesData(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'resources', data);
+  }
+  
   const dataDir = path.join(baseDir, '..', 'scraped-data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
@@ -178,19 +262,25 @@ function saveResourcesData(data, baseDir) {
 /**
  * Prints resources data summary to console
  * @param {string} projectName - Name of the project
- * @param {number} appCount - Number of applications
- * @param {number} dbCount - Number of databases
- * @param {number} svcCount - Number of services
+ * @param {Array<Object>} environments - Environment entries of the project
  */
-function printResourcesSummary(projectName, appCount, dbCount, svcCount) {
+function printResourcesSummary(projectName, environments) {
   console.log(`  Project: ${projectName}`);
-  console.log(`    Applications: ${appCount}, Databases: ${dbCount}, Services: ${svcCount}`);
+  environments.forEach(environment => {
+    const counts = `Applications: ${environment.applications.length}, Databases: ${environment.databases.length}, Services: ${environment.services.length}`;
+    console.log(`    ${environment.environmentName || '(unnamed)'}: ${environment.error ? `✗ ${environment.error}` : counts}`);
+  });
 }
 
 module.exports = {
+  RESOURCE_COLLECTIONS,
   loadProjectsData,
   getLatestScrapedDataFile,
+  environmentNameFromUrl,
+  scrapeEnvironments,
   scrapeResources,
+  toEnvironmentEntry,
+  listResources,
   saveResourcesData,
   printResourcesSummary
 };
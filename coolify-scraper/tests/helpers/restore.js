@@ -0,0 +1,373 @@
+const { scrapeProjects } = require('./scraper');
+const { scrapeEnvironments, scrapeResources, environmentNameFromUrl, RESOURCE_COLLECTIONS } = require('./resources');
+const { DATABASE_ENGINES } = require('./databases');
+const { scrapeTeamList, switchTeam } = require('./teams');
+const { DATABASE_TYPE_LABELS, isProtectedValue, projectKey, buildRestorePlan, printRestorePlan } = require('./restoreplan');
+
+/**
+ * Application fields restored on the application page, by Livewire model
+ */
+const APPLICATION_FIELDS = {
+  name: config => config.general && config.general.name,
+  description: config => config.general && config.general.description,
+  fqdn: config => config.general && config.general.domains,
+  redirect: config => config.general && config.general.redirect,
+  dockerRegistryImageName: config => config.docker && config.docker.registryImageName,
+  dockerRegistryImageTag: config => config.docker && config.docker.registryImageTag,
+  customLabels: config => config.docker && config.docker.customLabels,
+  isContainerLabelReadonlyEnabled: config => config.docker && config.docker.isContainerLabelReadonlyEnabled,
+  isContainerLabelEscapeEnabled: config => config.docker && config.docker.isContainerLabelEscapeEnabled,
+  baseDirectory: config => config.build && config.build.baseDirectory,
+  dockerfileLocation: config => config.build && config.build.dockerfileLocation,
+  dockerfileTargetBuild: config => config.build && config.build.dockerfileTargetBuild,
+  watchPaths: config => config.build && config.build.watchPaths,
+  customDockerRunOptions: config => config.build && config.build.customDockerRunOptions,
+  isBuildServerEnabled: config => config.build && config.build.isBuildServerEnabled,
+  portsExposes: config => config.network && config.network.portsExposes,
+  portsMappings: config => config.network && config.network.portsMappings,
+  customNetworkAliases: config => config.network && config.network.customNetworkAliases,
+  isHttpBasicAuthEnabled: config => config.network && config.network.isHttpBasicAuthEnabled,
+  preDeploymentCommand: config => config.deployment && config.deployment.preDeploymentCommand,
+  postDeploymentCommand: config => config.deployment && config.deployment.postDeploymentCommand
+};
+
+/**
+ * Scrapes the teams, projects, environments and resource names that already exist on the target instance.
+ * Every team of the user is visited; the session is switched back to its team afterwards.
+ * @param {import('@playwright/test').Page} page - Logged in Playwright page
+ * @returns {Promise<Object>} Teams from scrapeTeamList and projects, a Map from projectKey to
+ *   { teamName, url, environments: Set of names, resources: Set of "category/environment/name" }
+ */
+async function scrapeExistingState(page) {
+  const teams = await scrapeTeamList(page);
+  const projects = new Map();
+
+  for (const team of teams) {
+    if (teams.length > 1) {
+      await switchTeam(page, team);
+    }
+    await scrapeTeamProjects(page, team, projects);
+  }
+
+  const startTeam = teams.find(team => team.current);
+  if (teams.length > 1 && startTeam) {
+    await switchTeam(page, startTeam);
+  }
+  return { teams, projects };
+}
+
+/**
+ * Adds the projects of the current team to the target state
+ * @param {import('@playwright/test').Page} page - Logged in Playwright page
+ * @param {Object} team - Current team from scrapeTeamList
+ * @param {Map<string, Object>} projects - Projects by projectKey, filled in place
+ */
+async function scrapeTeamProjects(page, team, projects) {
+  await page.goto('/');
+  await page.waitForLoadState('networkidle');
+  const projectsData = await scrapeProjects(page);
+
+  for (const project of projectsData.projects) {
+    await page.goto(project.url);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(1000);
+
+    // A project page without environment links is the environment itself
+    let environments = await scrapeEnvironments(page);
+    if (environments.length === 0) {
+      environments = [{ name: environmentNameFromUrl(page.url()) || 'production', url: null }];
+    }
+
+    const resources = new Set();
+    for (const environment of environments) {
+      if (environment.url) {
+        await page.goto(environment.url);
+        await page.waitForLoadState('networkidle');
+        await page.waitForTimeout(1000);
+      }
+      const resourcesData = await scrapeResources(page);
+      RESOURCE_COLLECTIONS.forEach(collection => {
+        resourcesData[collection].forEach(resource => resources.add(`${collection}/${environment.name}/${resource.name}`));
+      });
+    }
+    projects.set(projectKey(team.teamName, project.title), {
+      teamName: team.teamName,
+      url: project.url,
+      environments: new Set(environments.map(environment => environment.name)),
+      resources
+    });
+  }
+}
+
+/**
+ * Sets a Livewire bound field (input, textarea, select or checkbox) if it is on the page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} model - Livewire model name
+ * @param {*} value - Value to set, null/undefined values are skipped
+ * @returns {Promise<boolean>} True if the field was set
+ */
+async function fillModel(page, model, value) {
+  if (value === null || value === undefined || isProtectedValue(value)) return false;
+
+  const field = page.locator(
+    `[wire\\:model="${model}"], [wire\\:model\\.defer="${model}"], [wire\\:model\\.live="${model}"], [wire\\:model\\.blur="${model}"]`
+  ).first();
+  if (await field.count() === 0) return false;
+
+  const tagName = await field.evaluate(el => el.tagName);
+  const type = await field.getAttribute('type');
+  if (tagName === 'INPUT' && type === 'checkbox') {
+    await field.setChecked(!!value);
+  } else if (tagName === 'SELECT') {
+    await field.selectOption(String(value));
+  } else {
+    await field.fill(String(value));
+  }
+  return true;
+}
+
+/**
+ * Clicks the first visible "Save" button of the current page and waits for Livewire
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ */
+async function clickSave(page) {
+  await page.locator('button[type="submit"]:has-text("Save"), button:has-text("Save")').first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(1000);
+}
+
+/**
+ * Picks the first server and destination if the new resource page asks for them
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ */
+async function selectFirstDestination(page) {
+  for (const heading of ['Select a server', 'Select a destination']) {
+    if (await page.locator(`text=${heading}`).count() > 0) {
+      await page.locator('.coolbox, .box').first().click();
+      await page.waitForLoadState('networkidle');
+      await page.waitForTimeout(500);
+    }
+  }
+}
+
+/**
+ * Creates a project and returns its URL
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} step - Project step of the plan
+ * @returns {Promise<string>} Project URL path
+ */
+async function createProject(page, step) {
+  await page.goto('/projects');
+  await page.waitForLoadState('networkidle');
+
+  await page.locator('button:has-text("Add")').first().click();
+  await page.waitForSelector('input[wire\\:model="name"]', { timeout: 5000 });
+  await fillModel(page, 'name', step.name);
+  await fillModel(page, 'description', step.description);
+  await page.locator('button:has-text("Continue"), button[type="submit"]').first().click();
+
+  await page.waitForURL(/\/project\//, { timeout: 15000 });
+  await page.waitForLoadState('networkidle');
+  return new URL(page.url()).pathname;
+}
+
+/**
+ * Opens the "New Resource" page of a project environment. The environment is matched by its exact
+ * name, a text match would pick "production-eu" for "production".
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} projectUrl - Project URL path
+ * @param {string} environment - Environment name
+ */
+async function openNewResourcePage(page, projectUrl, environment) {
+  await page.goto(projectUrl);
+  await page.waitForLoadState('networkidle');
+
+  const environments = await scrapeEnvironments(page);
+  if (environments.length > 0) {
+    const match = environments.find(entry => entry.name === environment);
+    if (!match) {
+      throw new Error(`environment "${environment}" not found in project ${projectUrl}`);
+    }
+    await page.goto(match.url);
+    await page.waitForLoadState('networkidle');
+  } else if ((environmentNameFromUrl(page.url()) || 'production') !== environment) {
+    // A project page without environment links is the environment itself
+    throw new Error(`environment "${environment}" not found in project ${projectUrl}`);
+  }
+
+  await page.goto(`${new URL(page.url()).pathname.replace(/\/$/, '')}/new`);
+  await page.waitForLoadState('networkidle');
+}
+
+/**
+ * Replaces the environment variables of the current resource through the Developer view
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @param {string|Array<string>|null} variables - Developer view string or array of lines
+ * @returns {Promise<boolean>} True if the variables were saved
+ */
+async function restoreEnvironmentVariables(page, variables) {
+  if (!variables || isProtectedValue(variables)) return false;
+
+  const envVarLink = page.locator('a.menu-item[href*="/environment-variables"]');
+  if (await envVarLink.count() === 0) return false;
+  await envVarLink.click();
+  await page.waitForLoadState('networkidle');
+
+  const devViewButton = page.locator('button:has-text("Developer view")');
+  if (await devViewButton.count() > 0) {
+    await devViewButton.click();
+  }
+  await page.waitForSelector('textarea[wire\\:model="variables"]', { timeout: 5000 });
+  await page.locator('textarea[wire\\:model="variables"]').fill(
+    Array.isArray(variables) ? variables.join('\n') : variables
+  );
+  await page.locator('button:has-text("Save All Environment Variables"), button:has-text("Save")').first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+  return true;
+}
+
+/**
+ * Creates an application from its Docker image and applies the scraped settings
+ * @param {import('@playwright/test').Page} page - Playwright page on the "New Resource" page
+ * @param {Object} config - Scraped application config
+ */
+async function createApplication(page, config) {
+  await page.locator('text=Docker Image').first().click();
+  await page.waitForLoadState('networkidle');
+  await selectFirstDestination(page);
+
+  const image = config.docker.registryImageTag
+    ? `${config.docker.registryImageName}:${config.docker.registryImageTag}`
+    : config.docker.registryImageName;
+  await page.waitForSelector('input[wire\\:model="dockerImage"]', { timeout: 5000 });
+  await fillModel(page, 'dockerImage', image);
+  await clickSave(page);
+  await page.waitForURL(/\/application\//, { timeout: 15000 });
+  await page.waitForLoadState('networkidle');
+
+  for (const [model, getter] of Object.entries(APPLICATION_FIELDS)) {
+    await fillModel(page, model, getter(config));
+  }
+  await clickSave(page);
+}
+
+/**
+ * Creates a database of the scraped engine and applies its credentials and settings
+ * @param {import('@playwright/test').Page} page - Playwright page on the "New Resource" page
+ * @param {Object} config - Scraped database config
+ */
+async function createDatabase(page, config) {
+  await page.locator(`text=${DATABASE_TYPE_LABELS[config.engine]}`).first().click();
+  await page.waitForLoadState('networkidle');
+  await selectFirstDestination(page);
+  await page.waitForURL(/\/database\//, { timeout: 15000 });
+  await page.waitForLoadState('networkidle');
+
+  const definition = DATABASE_ENGINES[config.engine];
+  await fillModel(page, 'name', config.general.name);
+  await fillModel(page, 'description', config.general.description);
+  await fillModel(page, 'image', config.general.image);
+  for (const [key, model] of Object.entries(definition.credentials)) {
+    await fillModel(page, model, config.credentials && config.credentials[key]);
+  }
+  for (const [key, model] of Object.entries(definition.options)) {
+    await fillModel(page, model, config.engineOptions && config.engineOptions[key]);
+  }
+  if (definition.customConfig) {
+    await fillModel(page, definition.customConfig, config.customConfig);
+  }
+  await fillModel(page, 'customDockerRunOptions', config.general.customDockerRunOptions);
+  await fillModel(page, 'portsMappings', config.network && config.network.portsMappings);
+  await fillModel(page, 'isPublic', config.network && config.network.isPublic);
+  await fillModel(page, 'publicPort', config.network && config.network.publicPort);
+  await clickSave(page);
+}
+
+/**
+ * Creates a service from its Docker Compose file
+ * @param {import('@playwright/test').Page} page - Playwright page on the "New Resource" page
+ * @param {Object} config - Scraped service config
+ * @param {string} name - Service name
+ */
+async function createService(page, config, name) {
+  await page.locator('text=Docker Compose Empty').first().click();
+  await page.waitForLoadState('networkidle');
+  await selectFirstDestination(page);
+
+  await page.waitForSelector('textarea[wire\\:model="dockerComposeRaw"]', { timeout: 5000 });
+  await fillModel(page, 'dockerComposeRaw', config.dockerCompose.join('\n'));
+  await clickSave(page);
+  await page.waitForURL(/\/service\//, { timeout: 15000 });
+  await page.waitForLoadState('networkidle');
+
+  if (await fillModel(page, 'name', name)) {
+    await clickSave(page);
+  }
+}
+
+/**
+ * Executes the "create" steps of a restore plan on the target instance, switching to the team of each step
+ * @param {import('@playwright/test').Page} page - Logged in Playwright page
+ * @param {Object} plan - Plan from buildRestorePlan
+ * @param {Object} existing - Target state from scrapeExistingState
+ * @returns {Promise<Array<Object>>} Step results with status created, skipped, manual or failed
+ */
+async function executeRestorePlan(page, plan, existing) {
+  const projectUrls = new Map();
+  existing.projects.forEach((project, key) => projectUrls.set(key, project.url));
+  let currentTeam = existing.teams.find(team => team.current) || null;
+  const results = [];
+
+  for (const step of plan.steps) {
+    const label = step.type === 'project' ? `project ${step.name}` : `${step.type} ${step.name}`;
+
+    if (step.action !== 'create') {
+      results.push({ ...step, config: undefined, status: step.action === 'skip' ? 'skipped' : 'manual' });
+      continue;
+    }
+
+    try {
+      const team = existing.teams.find(entry => entry.teamName === step.team);
+      if (existing.teams.length > 1 && team !== currentTeam) {
+        await switchTeam(page, team);
+        currentTeam = team;
+      }
+
+      if (step.type === 'project') {
+        projectUrls.set(projectKey(step.team, step.name), await createProject(page, step));
+      } else {
+        const projectUrl = projectUrls.get(projectKey(step.team, step.project));
+        if (!projectUrl) {
+          throw new Error(`project "${step.project}" was not created`);
+        }
+        await openNewResourcePage(page, projectUrl, step.environment);
+
+        if (step.type === 'application') {
+          await createApplication(page, step.config);
+        } else if (step.type === 'database') {
+          await createDatabase(page, step.config);
+        } else {
+          await createService(page, step.config, step.name);
+        }
+        await restoreEnvironmentVariables(page, step.config.environmentVariables);
+      }
+
+      console.log(`  ✓ ${label} - Created`);
+      results.push({ ...step, config: undefined, status: 'created', url: new URL(page.url()).pathname });
+    } catch (error) {
+      console.error(`  ✗ ${label} - Error: ${error.message}`);
+      results.push({ ...step, config: undefined, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  isProtectedValue,
+  scrapeExistingState,
+  buildRestorePlan,
+  printRestorePlan,
+  executeRestorePlan
+};
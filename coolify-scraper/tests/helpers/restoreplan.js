@@ -0,0 +1,184 @@
+const { listResources } = require('./resources');
+const { urlKey } = require('./diff');
+
+/**
+ * Buttons on the "New Resource" page for each database engine
+ */
+const DATABASE_TYPE_LABELS = {
+  postgresql: 'PostgreSQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  mongodb: 'MongoDB',
+  redis: 'Redis',
+  keydb: 'KeyDB',
+  dragonfly: 'Dragonfly',
+  clickhouse: 'ClickHouse'
+};
+
+/**
+ * Returns whether a value was redacted or is still encrypted and cannot be restored
+ * @param {*} value - Scraped value
+ * @returns {boolean} True if the value is not usable
+ */
+function isProtectedValue(value) {
+  if (Array.isArray(value)) return value.some(isProtectedValue);
+  return typeof value === 'string' && /(^|=)(sha256:[0-9a-f]{16}|enc:v1:)/m.test(value);
+}
+
+/**
+ * Finds the config of a resource in a snapshot config file
+ * @param {Object|undefined} configsData - Config file contents
+ * @param {string} collection - applications, databases or services
+ * @param {string} urlField - Field holding the resource URL
+ * @param {Object} resource - Resource entry
+ * @returns {Object|null} Config or null
+ */
+function findConfig(configsData, collection, urlField, resource) {
+  const configs = (configsData && configsData[collection]) || [];
+  return configs.find(config => urlKey(config[urlField]) === urlKey(resource.url) && !config.error) || null;
+}
+
+/**
+ * Key of a project in the target state. Project titles are only unique within a team.
+ * @param {string|null} teamName - Team name
+ * @param {string} projectName - Project title
+ * @returns {string} Key
+ */
+function projectKey(teamName, projectName) {
+  return JSON.stringify([teamName, projectName]);
+}
+
+/**
+ * Builds the restore plan for a snapshot, skipping what already exists on the target
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @param {Object} existing - Target state from scrapeExistingState: teams and projects by projectKey
+ * @returns {Object} Plan with ordered steps
+ */
+function buildRestorePlan(snapshot, existing) {
+  const steps = [];
+  const projects = (snapshot.resources && snapshot.resources.projects) || [];
+  const currentTeam = existing.teams.find(team => team.current) || existing.teams[0] || null;
+
+  projects.forEach(project => {
+    // Snapshots without team names go to the team the restore logged in to
+    const team = project.teamName
+      ? existing.teams.find(entry => entry.teamName === project.teamName) || null
+      : currentTeam;
+    const teamName = project.teamName || (currentTeam && currentTeam.teamName);
+    const teamReason = team ? null : `team "${teamName}" does not exist on the target, create it first`;
+    const target = team ? existing.projects.get(projectKey(team.teamName, project.projectName)) : null;
+    // A new project only has the production environment
+    const targetEnvironments = target ? target.environments : new Set(['production']);
+    steps.push({
+      type: 'project',
+      action: teamReason ? 'manual' : (target ? 'skip' : 'create'),
+      team: teamName,
+      project: project.projectName,
+      name: project.projectName,
+      description: project.projectDescription || null,
+      reason: teamReason || (target ? 'project already exists' : null)
+    });
+
+    const addResourceStep = (collection, type, resource, config, checks) => {
+      const step = {
+        type,
+        action: 'create',
+        team: teamName,
+        project: project.projectName,
+        environment: resource.environmentName || 'production',
+        name: resource.name,
+        reason: null,
+        warnings: [],
+        config
+      };
+
+      if (teamReason) {
+        step.action = 'manual';
+        step.reason = teamReason;
+      } else if (target && target.resources.has(`${collection}/${step.environment}/${resource.name}`)) {
+        step.action = 'skip';
+        step.reason = `${type} already exists`;
+      } else if (!targetEnvironments.has(step.environment)) {
+        step.action = 'manual';
+        step.reason = `environment "${step.environment}" does not exist on the target, create it first`;
+      } else if (!config) {
+        step.action = 'manual';
+        step.reason = `no scraped ${type} config in snapshot`;
+      } else {
+        checks(step);
+      }
+
+      if (step.action === 'create' && isProtectedValue(config.environmentVariables)) {
+        step.warnings.push('environment variables are redacted or encrypted and will not be restored');
+      }
+      steps.push(step);
+    };
+
+    const resources = listResources({ projects: [project] });
+
+    resources.filter(entry => entry.collection === 'applications').forEach(({ resource }) => {
+      const config = findConfig(snapshot.applications, 'applications', 'applicationUrl', resource);
+      addResourceStep('applications', 'application', resource, config, step => {
+        if (!config.docker || !config.docker.registryImageName) {
+          step.action = 'manual';
+          step.reason = `build pack "${config.general && config.general.buildPack}" needs its git source, only Docker image applications are restored`;
+        }
+      });
+    });
+
+    resources.filter(entry => entry.collection === 'databases').forEach(({ resource }) => {
+      const config = findConfig(snapshot.databases, 'databases', 'databaseUrl', resource);
+      addResourceStep('databases', 'database', resource, config, step => {
+        if (!config.engine || !DATABASE_TYPE_LABELS[config.engine]) {
+          step.action = 'manual';
+          step.reason = 'database engine could not be detected';
+        } else if (isProtectedValue(Object.values(config.credentials || {}))) {
+          step.warnings.push('credentials are redacted or encrypted, Coolify will generate new ones');
+        }
+      });
+    });
+
+    resources.filter(entry => entry.collection === 'services').forEach(({ resource }) => {
+      const config = findConfig(snapshot.services, 'services', 'serviceUrl', resource);
+      addResourceStep('services', 'service', resource, config, step => {
+        if (!config.dockerCompose || config.dockerCompose.length === 0) {
+          step.action = 'manual';
+          step.reason = 'no Docker Compose file in snapshot';
+        }
+      });
+    });
+  });
+
+  const count = action => steps.filter(step => step.action === action).length;
+  return {
+    source: snapshot.source,
+    steps,
+    summary: { create: count('create'), skip: count('skip'), manual: count('manual') }
+  };
+}
+
+/**
+ * Prints a restore plan to the console
+ * @param {Object} plan - Plan from buildRestorePlan
+ */
+function printRestorePlan(plan) {
+  const icons = { create: '+', skip: '=', manual: '!' };
+  console.log(`\nRestore plan for ${plan.source}:`);
+  plan.steps.forEach(step => {
+    const indent = step.type === 'project' ? '  ' : '    ';
+    const label = step.type === 'project'
+      ? `project ${step.name}${step.team ? ` (team ${step.team})` : ''}`
+      : `${step.type} ${step.name} (${step.environment})`;
+    console.log(`${indent}${icons[step.action]} ${label}${step.reason ? ` - ${step.reason}` : ''}`);
+    (step.warnings || []).forEach(warning => console.log(`${indent}    ⚠ ${warning}`));
+  });
+  console.log(`\n  Create: ${plan.summary.create}, Skip: ${plan.summary.skip}, Manual: ${plan.summary.manual}`);
+}
+
+module.exports = {
+  DATABASE_TYPE_LABELS,
+  isProtectedValue,
+  projectKey,
+  buildRestorePlan,
+  printRestorePlan
+};
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { migrateArtifact } = require('./migrations');
+
+require('dotenv').config({ quiet: true });
+
+/**
+ * Version of the scraped data format, recorded in every manifest
+ */
+const SCHEMA_VERSION = 2;
+
+/**
+ * Artifact file names inside a run directory, by kind
+ */
+const RUN_ARTIFACTS = {
+  projects: 'projects.json',
+  resources: 'resources.json',
+  applications: 'application-configs.json',
+  databases: 'database-configs.json',
+  services: 'service-configs.json',
+  servers: 'servers.json',
+  storages: 's3-storages.json',
+  teams: 'teams.json'
+};
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Returns the directory holding all runs
+ * @param {string} baseDir - Base directory for the tests
+ * @returns {string} Path to scraped-data/runs, or runs inside COOLIFY_SCRAPER_OUTPUT_DIR
+ */
+function getRunsDir(baseDir) {
+  if (process.env.COOLIFY_SCRAPER_OUTPUT_DIR) {
+    return path.resolve(process.env.COOLIFY_SCRAPER_OUTPUT_DIR, 'runs');
+  }
+  return path.join(baseDir, '..', 'scraped-data', 'runs');
+}
+
+/**
+ * Computes the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {string} Hex digest
+ */
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Writes the manifest of a run
+ * @param {Object} run - Run from createRun or openRun
+ */
+function writeManifest(run) {
+  fs.writeFileSync(path.join(run.dir, MANIFEST_FILE), JSON.stringify(run.manifest, null, 2));
+}
+
+/**
+ * Creates a new run directory and its manifest
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [options] - Run metadata
+ * @param {string} [options.coolifyUrl] - Scraped Coolify instance
+ * @param {string} [options.backend] - Scraper backend (ui or api)
+ * @param {Array<string>} [options.stages] - Scraped stages (projects, resources, configs, servers)
+ * @returns {Object} Run with id, dir and manifest
+ */
+function createRun(baseDir, options = {}) {
+  const startedAt = new Date().toISOString();
+  const id = startedAt.replace(/[:.]/g, '-');
+  const dir = path.join(getRunsDir(baseDir), id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const run = {
+    id,
+    dir,
+    manifest: {
+      schemaVersion: SCHEMA_VERSION,
+      runId: id,
+      coolifyUrl: options.coolifyUrl || null,
+      backend: options.backend || null,
+      stages: options.stages || null,
+      status: 'running',
+      startedAt,
+      finishedAt: null,
+      counts: {},
+      errors: [],
+      artifacts: []
+    }
+  };
+  writeManifest(run);
+  return run;
+}
+
+/**
+ * Writes an artifact into a run and records its checksum in the manifest
+ * @param {Object} run - Run from createRun
+ * @param {string} kind - Artifact kind, a key of RUN_ARTIFACTS
+ * @param {Object} data - Data to write
+ * @returns {string} Path to the written file
+ */
+function saveRunArtifact(run, kind, data) {
+  const file = RUN_ARTIFACTS[kind];
+  if (!file) {
+    throw new Error(`Unknown run artifact kind "${kind}"`);
+  }
+
+  const filePath = path.join(run.dir, file);
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+
+  const artifact = {
+    kind,
+    file,
+    bytes: fs.statSync(filePath).size,
+    sha256: sha256File(filePath)
+  };
+  run.manifest.artifacts = run.manifest.artifacts.filter(a => a.kind !== kind).concat(artifact);
+  writeManifest(run);
+
+  return filePath;
+}
+
+/**
+ * Records a scraping error in the run manifest
+ * @param {Object} run - Run from createRun
+ * @param {Object} error - Error entry ({ scope, name, url, message })
+ */
+function recordRunError(run, error) {
+  run.manifest.errors.push({ ...error, timestamp: new Date().toISOString() });
+  writeManifest(run);
+}
+
+/**
+ * Marks a run as finished
+ * @param {Object} run - Run from createRun
+ * @param {Object} counts - Counts of scraped items
+ * @param {string} [status] - completed or failed
+ */
+function finishRun(run, counts, status = 'completed') {
+  run.manifest.counts = { ...run.manifest.counts, ...counts };
+  run.manifest.status = status;
+  run.manifest.finishedAt = new Date().toISOString();
+  writeManifest(run);
+}
+
+/**
+ * Lists all runs with a readable manifest, oldest first
+ * @param {string} baseDir - Base directory for the tests
+ * @returns {Array<Object>} Runs with id, dir and manifest
+ */
+function listRuns(baseDir) {
+  const runsDir = getRunsDir(baseDir);
+  if (!fs.existsSync(runsDir)) return [];
+
+  return fs.readdirSync(runsDir)
+    .map(id => {
+      const manifestPath = path.join(runsDir, id, MANIFEST_FILE);
+      if (!fs.existsSync(manifestPath)) return null;
+      try {
+        return { id, dir: path.join(runsDir, id), manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')) };
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.manifest.startedAt.localeCompare(b.manifest.startedAt));
+}
+
+/**
+ * Opens a run by ID, by directory path or as "latest" (by manifest start time, not file mtime)
+ * @param {string} baseDir - Base directory for the tests
+ * @param {string} [idOrPath] - Run ID, run directory or "latest"
+ * @returns {Object} Run with id, dir and manifest
+ */
+function openRun(baseDir, idOrPath = 'latest') {
+  if (fs.existsSync(path.join(idOrPath, MANIFEST_FILE))) {
+    const dir = path.resolve(idOrPath);
+    return { id: path.basename(dir), dir, manifest: JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8')) };
+  }
+
+  const runs = listRuns(baseDir);
+  if (idOrPath === 'latest') {
+    if (runs.length === 0) {
+      throw new Error(`No scrape runs found in ${getRunsDir(baseDir)}`);
+    }
+    return runs[runs.length - 1];
+  }
+
+  const run = runs.find(r => r.id === idOrPath);
+  if (!run) {
+    throw new Error(`Scrape run "${idOrPath}" not found in ${getRunsDir(baseDir)}`);
+  }
+  return run;
+}
+
+/**
+ * Reopens an interrupted, failed or partially failed run to finish it
+ * @param {string} baseDir - Base directory for the tests
+ * @param {string} idOrPath - Run ID, run directory or "latest"
+ * @returns {Object} Run with id, dir and manifest, marked as running again
+ */
+function resumeRun(baseDir, idOrPath) {
+  const run = openRun(baseDir, idOrPath);
+  if ((run.manifest.schemaVersion || 1) !== SCHEMA_VERSION) {
+    throw new Error(`Scrape run "${run.id}" was written with schema version ${run.manifest.schemaVersion || 1}, start a new run instead (--from ${run.id} reuses its input)`);
+  }
+  if (run.manifest.status === 'completed' && run.manifest.errors.length === 0) {
+    throw new Error(`Scrape run "${run.id}" is already completed without errors`);
+  }
+
+  // Errors of the previous attempt are retried now, new failures are recorded again
+  run.manifest.resumes = (run.manifest.resumes || []).concat({
+    resumedAt: new Date().toISOString(),
+    previousStatus: run.manifest.status,
+    previousErrors: run.manifest.errors.length
+  });
+  run.manifest.errors = [];
+  run.manifest.status = 'running';
+  run.manifest.finishedAt = null;
+  writeManifest(run);
+  return run;
+}
+
+/**
+ * Verifies the checksums of every artifact listed in a run manifest
+ * @param {Object} run - Run from openRun
+ * @returns {Array<Object>} Problems ({ file, problem }), empty if the run is intact
+ */
+function verifyRun(run) {
+  const problems = [];
+  run.manifest.artifacts.forEach(artifact => {
+    const filePath = path.join(run.dir, artifact.file);
+    if (!fs.existsSync(filePath)) {
+      problems.push({ file: artifact.file, problem: 'missing' });
+    } else if (sha256File(filePath) !== artifact.sha256) {
+      problems.push({ file: artifact.file, problem: 'checksum mismatch' });
+    }
+  });
+  return problems;
+}
+
+/**
+ * Loads an artifact of a run, verifying its checksum and upgrading it to the current schema version
+ * @param {Object} run - Run from openRun
+ * @param {string} kind - Artifact kind, a key of RUN_ARTIFACTS
+ * @returns {Object|null} Parsed data or null if the run has no such artifact
+ */
+function loadRunArtifact(run, kind) {
+  const artifact = run.manifest.artifacts.find(a => a.kind === kind);
+  if (!artifact) return null;
+
+  const filePath = path.join(run.dir, artifact.file);
+  if (sha256File(filePath) !== artifact.sha256) {
+    throw new Error(`Checksum mismatch for ${artifact.file} in run ${run.id}`);
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return migrateArtifact(kind, data, run.manifest.schemaVersion || 1, SCHEMA_VERSION);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  RUN_ARTIFACTS,
+  getRunsDir,
+  createRun,
+  saveRunArtifact,
+  recordRunError,
+  finishRun,
+  listRuns,
+  openRun,
+  resumeRun,
+  verifyRun,
+  loadRunArtifact
+};
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const { saveRunArtifact } = require('./run');
 
 /**
  * Scrapes all projects from the Coolify dashboard
@@ -55,9 +56,14 @@ async function scrapeProjects(page) {
  * Saves scraped data to a JSON file
  * @param {Object} data - The data object to save
  * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
  * @returns {string} Path to the saved file
  */
-function saveScrapedData(data, baseDir) {
+function saveScrapedData(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'projects', data);
+  }
+  
   const dataDir = path.join(baseDir, '..', 'scraped-data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
@@ -84,6 +90,7 @@ function printScrapedDataSummary(data) {
     console.log('\nAll Projects:');
     data.projects.forEach((p, index) => {
       console.log(`\n${index + 1}. ${p.title}`);
+      if (p.teamName) console.log(`   Team: ${p.teamName}`);
       if (p.description) console.log(`   Status: ${p.description}`);
       if (p.url) console.log(`   URL: ${p.url}`);
     });
@@ -1,19 +1,61 @@
 const fs = require('fs');
 const path = require('path');
 
+require('dotenv').config({ quiet: true });
+
+/**
+ * Returns the screenshots directory
+ * @param {string} baseDir - Base directory for the tests
+ * @returns {string} Path to screenshots directory, inside COOLIFY_SCRAPER_OUTPUT_DIR when set
+ */
+function getScreenshotsDir(baseDir) {
+  return process.env.COOLIFY_SCRAPER_OUTPUT_DIR
+    ? path.resolve(process.env.COOLIFY_SCRAPER_OUTPUT_DIR, 'screenshots')
+    : path.join(baseDir, '..', 'screenshots');
+}
+
 /**
  * Creates screenshots directory if it doesn't exist
  * @param {string} baseDir - Base directory for the tests
- * @returns {string} Path to screenshots directory
+ * @returns {string} Path to screenshots directory, inside COOLIFY_SCRAPER_OUTPUT_DIR when set
  */
 function ensureScreenshotsDir(baseDir) {
-  const screenshotsDir = path.join(baseDir, '..', 'screenshots');
+  const screenshotsDir = getScreenshotsDir(baseDir);
   if (!fs.existsSync(screenshotsDir)) {
     fs.mkdirSync(screenshotsDir, { recursive: true });
   }
   return screenshotsDir;
 }
 
+/**
+ * Turns a project, resource or server name into the part of a screenshot file name
+ * @param {string} name - Name
+ * @returns {string} Lowercase name with every other character than a-z and 0-9 replaced by "_"
+ */
+function screenshotSlug(name) {
+  return String(name).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+}
+
+/**
+ * Lists the screenshots taken between two times, from the timestamp at the end of their file name
+ * @param {string} screenshotsDir - Screenshots directory
+ * @param {string} from - ISO start time, e.g. the startedAt of a run
+ * @param {string|null} to - ISO end time, null for now
+ * @returns {Array<Object>} Screenshots with file, path and time, oldest first
+ */
+function listScreenshots(screenshotsDir, from, to) {
+  if (!fs.existsSync(screenshotsDir)) return [];
+
+  const start = Date.parse(from);
+  const end = to ? Date.parse(to) : Date.now();
+  return fs.readdirSync(screenshotsDir)
+    .map(file => ({ file, match: file.match(/-(\d{13})\.png$/) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ file: entry.file, path: path.join(screenshotsDir, entry.file), time: Number(entry.match[1]) }))
+    .filter(entry => entry.time >= start && entry.time <= end)
+    .sort((a, b) => a.time - b.time);
+}
+
 /**
  * Takes a screenshot and saves it
  * @param {import('@playwright/test').Page} page - Playwright page object
@@ -32,6 +74,9 @@ async function takeScreenshot(page, baseDir, filename) {
 }
 
 module.exports = {
+  getScreenshotsDir,
   ensureScreenshotsDir,
+  screenshotSlug,
+  listScreenshots,
   takeScreenshot
 };
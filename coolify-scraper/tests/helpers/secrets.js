@@ -0,0 +1,415 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+require('dotenv').config({ quiet: true });
+
+const SECRETS_MODES = ['plaintext', 'redacted', 'encrypted'];
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const HASH_PREFIX = 'sha256:';
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Dotted paths of secret scalar fields inside a resource config
+ */
+const SECRET_FIELDS = [
+  'general.initialPassword',
+  'credentials.password',
+  'credentials.rootPassword',
+  'network.dbUrlInternal',
+  'network.dbUrlPublic',
+  'webhooks.secrets.github',
+  'webhooks.secrets.gitlab',
+  'webhooks.secrets.bitbucket',
+  'webhooks.secrets.gitea',
+  // Build output can echo build-time variables
+  'failedBuildLog.log',
+  // Database config files can hold passwords, e.g. requirepass in redis.conf
+  'customConfig'
+];
+
+/**
+ * Secret fields of list entries, "<list>.<field>"
+ */
+const SECRET_ENTRY_FIELDS = [
+  'initScripts.content'
+];
+
+/**
+ * Fields holding Docker Compose files as an array of lines. Only inline credentials are secret:
+ * values of secret-named variables and passwords in URLs.
+ */
+const COMPOSE_FIELDS = [
+  'dockerCompose'
+];
+
+/**
+ * Variable names whose values are credentials
+ */
+const SECRET_NAME_PATTERN = /PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|CREDENTIAL/i;
+
+/**
+ * URL with a password, e.g. postgres://user:password@db:5432/app
+ */
+const CREDENTIALS_URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/[^\s/:@]*:[^\s@]+@/i;
+
+/**
+ * Fields holding environment variables, either a "Developer view" string or an array of lines
+ */
+const ENV_FIELDS = [
+  'environmentVariables'
+];
+
+/**
+ * Fields holding structured environment variables ({ key, value, ... } entries)
+ */
+const ENV_ENTRY_FIELDS = [
+  'environment'
+];
+
+/**
+ * Collections inside a scraped data file whose entries hold secrets: resource configs,
+ * and teams with their shared variables
+ */
+const CONFIG_COLLECTIONS = [
+  'applications',
+  'databases',
+  'services',
+  'teams'
+];
+
+/**
+ * Reads the secrets settings from the environment
+ * @returns {Object} Settings with mode, passphrase, publicKeys and hashKey
+ */
+function getSecretsSettings() {
+  const mode = (process.env.COOLIFY_SECRETS_MODE || 'plaintext').trim().toLowerCase();
+  if (!SECRETS_MODES.includes(mode)) {
+    throw new Error(`Unknown COOLIFY_SECRETS_MODE "${mode}" (expected ${SECRETS_MODES.join(', ')})`);
+  }
+
+  const publicKeys = (process.env.COOLIFY_SECRETS_PUBLIC_KEYS || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean)
+    .map(file => fs.readFileSync(file, 'utf8'));
+
+  const settings = {
+    mode,
+    passphrase: process.env.COOLIFY_SECRETS_PASSPHRASE || null,
+    publicKeys,
+    hashKey: process.env.COOLIFY_SECRETS_HASH_KEY || null
+  };
+
+  if (mode === 'encrypted' && !settings.passphrase && publicKeys.length === 0) {
+    throw new Error('COOLIFY_SECRETS_MODE=encrypted requires COOLIFY_SECRETS_PASSPHRASE or COOLIFY_SECRETS_PUBLIC_KEYS');
+  }
+
+  return settings;
+}
+
+/**
+ * Reads the decryption keys for encrypted files from the environment
+ * @returns {Object} Keys with passphrase and privateKey (PEM), either may be null
+ */
+function getDecryptionKeys() {
+  return {
+    passphrase: process.env.COOLIFY_SECRETS_PASSPHRASE || null,
+    privateKey: process.env.COOLIFY_SECRETS_PRIVATE_KEY
+      ? fs.readFileSync(process.env.COOLIFY_SECRETS_PRIVATE_KEY, 'utf8')
+      : null
+  };
+}
+
+/**
+ * Returns whether secrets are written as plaintext, used to skip screenshots of secret values
+ * @returns {boolean} True in plaintext mode
+ */
+function isPlaintextMode() {
+  return getSecretsSettings().mode === 'plaintext';
+}
+
+/**
+ * Hashes a secret value for the redacted mode
+ * @param {string} value - Secret value
+ * @param {string|null} hashKey - Optional HMAC key, makes hashes of short secrets unguessable
+ * @returns {string} "sha256:" followed by 16 hex characters
+ */
+function hashValue(value, hashKey) {
+  const hash = hashKey
+    ? crypto.createHmac('sha256', hashKey).update(value).digest('hex')
+    : crypto.createHash('sha256').update(value).digest('hex');
+  return `${HASH_PREFIX}${hash.slice(0, 16)}`;
+}
+
+/**
+ * Encrypts a secret value with the data key of a file
+ * @param {string} value - Secret value
+ * @param {Buffer} dataKey - 32 byte data key
+ * @returns {string} "enc:v1:" followed by base64(iv | tag | ciphertext)
+ */
+function encryptValue(value, dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, dataKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypts a value produced by encryptValue
+ * @param {string} value - Encrypted value
+ * @param {Buffer} dataKey - 32 byte data key
+ * @returns {string} Plaintext value
+ */
+function decryptValue(value, dataKey) {
+  const raw = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, dataKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Wraps the data key for every configured recipient (passphrase and/or RSA public keys)
+ * @param {Buffer} dataKey - 32 byte data key
+ * @param {Object} settings - Settings from getSecretsSettings
+ * @returns {Array<Object>} Recipient entries stored in the file header
+ */
+function wrapDataKey(dataKey, settings) {
+  const recipients = [];
+
+  if (settings.passphrase) {
+    const salt = crypto.randomBytes(16);
+    const kek = crypto.scryptSync(settings.passphrase, salt, 32);
+    recipients.push({
+      type: 'scrypt',
+      salt: salt.toString('base64'),
+      wrappedKey: encryptValue(dataKey.toString('base64'), kek)
+    });
+  }
+
+  settings.publicKeys.forEach(pem => {
+    const publicKey = crypto.createPublicKey(pem);
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    recipients.push({
+      type: 'rsa-oaep-sha256',
+      fingerprint: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16),
+      wrappedKey: crypto.publicEncrypt(
+        { key: publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+        dataKey
+      ).toString('base64')
+    });
+  });
+
+  return recipients;
+}
+
+/**
+ * Recovers the data key of an encrypted file
+ * @param {Object} header - The "secrets" header of the file
+ * @param {Object} keys - Decryption keys
+ * @param {string} [keys.passphrase] - Passphrase
+ * @param {string} [keys.privateKey] - PEM encoded RSA private key
+ * @returns {Buffer} 32 byte data key
+ */
+function unwrapDataKey(header, keys) {
+  for (const recipient of header.recipients || []) {
+    try {
+      if (recipient.type === 'scrypt' && keys.passphrase) {
+        const kek = crypto.scryptSync(keys.passphrase, Buffer.from(recipient.salt, 'base64'), 32);
+        return Buffer.from(decryptValue(recipient.wrappedKey, kek), 'base64');
+      }
+      if (recipient.type === 'rsa-oaep-sha256' && keys.privateKey) {
+        return crypto.privateDecrypt(
+          { key: keys.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+          Buffer.from(recipient.wrappedKey, 'base64')
+        );
+      }
+    } catch (error) {
+      // Wrong key for this recipient, try the next one
+    }
+  }
+  throw new Error('None of the provided keys can decrypt this file');
+}
+
+/**
+ * Applies a transform to the value part of every KEY=value line
+ * @param {string} line - Environment variable line
+ * @param {Function} transform - Value transform
+ * @returns {string} Transformed line
+ */
+function transformEnvLine(line, transform) {
+  if (line.trim() === '' || line.trim().startsWith('#')) return line;
+  const match = line.match(/^(\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_.-]*\s*=)(.*)$/);
+  if (match) {
+    return match[2] === '' ? line : match[1] + transform(match[2]);
+  }
+  // Continuation of a multiline value
+  return transform(line);
+}
+
+/**
+ * Applies a transform to an inline credential of a Docker Compose line, in the mapping form
+ * (`KEY: value`) or the list form (`- KEY=value`). References like ${SERVICE_PASSWORD_APP} are kept.
+ * @param {string} line - Compose line
+ * @param {Function} transform - Value transform
+ * @returns {string} Transformed line
+ */
+function transformComposeLine(line, transform) {
+  const match = line.match(/^(\s*)([A-Za-z_][A-Za-z0-9_.-]*)(\s*:\s+)(['"]?)(.*?)\4(\s*)$/)
+    || line.match(/^(\s*-\s*['"]?)([A-Za-z_][A-Za-z0-9_.-]*)(=)()(.*?)(['"]?\s*)$/);
+  if (!match) return line;
+
+  const [, prefix, key, separator, quote, value, suffix] = match;
+  if (value === '' || /^\$\{[^}]*\}$/.test(value)) return line;
+  // Protected values of URLs no longer look like one, the prefix marks them for decryption
+  const protectedValue = value.startsWith(ENCRYPTED_PREFIX) || value.startsWith(HASH_PREFIX);
+  if (!SECRET_NAME_PATTERN.test(key) && !CREDENTIALS_URL_PATTERN.test(value) && !protectedValue) return line;
+  return `${prefix}${key}${separator}${quote}${transform(value)}${quote}${suffix}`;
+}
+
+/**
+ * Applies a transform to an environment variables field, keeping keys and comments
+ * @param {string|Array<string>|null} value - Developer view string or array of lines
+ * @param {Function} transform - Value transform
+ * @returns {string|Array<string>|null} Transformed field of the same type
+ */
+function transformEnvField(value, transform) {
+  if (Array.isArray(value)) {
+    return value.map(line => transformEnvLine(line, transform));
+  }
+  if (typeof value === 'string') {
+    return value.split('\n').map(line => transformEnvLine(line, transform)).join('\n');
+  }
+  return value;
+}
+
+/**
+ * Applies a transform to every secret of a resource config
+ * @param {Object} config - Resource config, modified in place
+ * @param {Function} transform - Value transform
+ */
+function transformConfigSecrets(config, transform) {
+  SECRET_FIELDS.forEach(fieldPath => {
+    const keys = fieldPath.split('.');
+    const parent = keys.slice(0, -1).reduce((obj, key) => (obj ? obj[key] : undefined), config);
+    const key = keys[keys.length - 1];
+    if (parent && typeof parent[key] === 'string' && parent[key] !== '') {
+      parent[key] = transform(parent[key]);
+    }
+  });
+  SECRET_ENTRY_FIELDS.forEach(fieldPath => {
+    const [list, key] = fieldPath.split('.');
+    (Array.isArray(config[list]) ? config[list] : []).forEach(entry => {
+      if (entry && typeof entry[key] === 'string' && entry[key] !== '') {
+        entry[key] = transform(entry[key]);
+      }
+    });
+  });
+  COMPOSE_FIELDS.forEach(field => {
+    if (Array.isArray(config[field])) {
+      config[field] = config[field].map(line => transformComposeLine(line, transform));
+    }
+  });
+  ENV_FIELDS.forEach(field => {
+    if (config[field] != null) {
+      config[field] = transformEnvField(config[field], transform);
+    }
+  });
+  ENV_ENTRY_FIELDS.forEach(field => {
+    (Array.isArray(config[field]) ? config[field] : []).forEach(entry => {
+      if (typeof entry.value === 'string' && entry.value !== '') {
+        entry.value = transform(entry.value);
+      }
+    });
+  });
+}
+
+/**
+ * Applies a transform to every resource config of a scraped data file
+ * @param {Object} data - Scraped data, modified in place
+ * @param {Function} transform - Value transform
+ */
+function transformDataSecrets(data, transform) {
+  CONFIG_COLLECTIONS.forEach(collection => {
+    (data[collection] || []).forEach(config => transformConfigSecrets(config, transform));
+  });
+}
+
+/**
+ * Returns a copy of scraped data with secrets redacted or encrypted per COOLIFY_SECRETS_MODE
+ * @param {Object} data - Scraped data object
+ * @param {Object} [settings] - Settings, defaults to getSecretsSettings()
+ * @returns {Object} Data safe to write to disk
+ */
+function protectSecrets(data, settings = getSecretsSettings()) {
+  if (settings.mode === 'plaintext') {
+    return data;
+  }
+
+  const copy = JSON.parse(JSON.stringify(data));
+
+  if (settings.mode === 'redacted') {
+    // Values that are already hashed (e.g. from a resumed run's checkpoint) are kept as-is
+    transformDataSecrets(copy, value => (
+      value.startsWith(HASH_PREFIX) ? value : hashValue(value, settings.hashKey)
+    ));
+    copy.secrets = { mode: 'redacted', hash: settings.hashKey ? 'hmac-sha256' : 'sha256' };
+    return copy;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  transformDataSecrets(copy, value => encryptValue(value, dataKey));
+  copy.secrets = {
+    mode: 'encrypted',
+    version: 1,
+    cipher: CIPHER,
+    recipients: wrapDataKey(dataKey, settings)
+  };
+  return copy;
+}
+
+/**
+ * Decrypts a scraped data object written in encrypted mode
+ * @param {Object} data - Encrypted scraped data
+ * @param {Object} keys - Decryption keys ({ passphrase, privateKey })
+ * @returns {Object} Plaintext copy without the secrets header
+ */
+function decryptSecrets(data, keys) {
+  if (!data.secrets || data.secrets.mode !== 'encrypted') {
+    throw new Error(`File is not encrypted (secrets mode: ${data.secrets ? data.secrets.mode : 'plaintext'})`);
+  }
+
+  const dataKey = unwrapDataKey(data.secrets, keys);
+  const copy = JSON.parse(JSON.stringify(data));
+  delete copy.secrets;
+
+  transformDataSecrets(copy, value => (
+    value.startsWith(ENCRYPTED_PREFIX) ? decryptValue(value, dataKey) : value
+  ));
+  return copy;
+}
+
+/**
+ * Writes scraped data to disk, applying the configured secrets mode
+ * @param {string} filePath - Destination path
+ * @param {Object} data - Scraped data object
+ */
+function writeProtectedJson(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(protectSecrets(data), null, 2));
+}
+
+module.exports = {
+  SECRETS_MODES,
+  SECRET_FIELDS,
+  SECRET_ENTRY_FIELDS,
+  COMPOSE_FIELDS,
+  ENV_FIELDS,
+  CONFIG_COLLECTIONS,
+  getSecretsSettings,
+  getDecryptionKeys,
+  isPlaintextMode,
+  hashValue,
+  transformConfigSecrets,
+  protectSecrets,
+  decryptSecrets,
+  writeProtectedJson
+};
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { saveRunArtifact } = require('./run');
+
+/**
+ * Sub-pages of a server, relative to the server URL
+ */
+const SERVER_PAGES = {
+  privateKey: 'private-key',
+  proxy: 'proxy',
+  dynamicConfigurations: 'proxy/dynamic',
+  destinations: 'destinations',
+  resources: 'resources'
+};
+
+/**
+ * Proxy types Coolify can run on a server
+ */
+const PROXY_TYPES = ['traefik', 'caddy', 'none'];
+
+/**
+ * Returns the UUID in the last segment of a Coolify URL
+ * @param {string} url - Page URL or path
+ * @returns {string|null} UUID
+ */
+function uuidFromUrl(url) {
+  const segments = (url || '').split('?')[0].split('/').filter(Boolean);
+  return segments.length > 0 ? segments[segments.length - 1] : null;
+}
+
+/**
+ * Scrapes the server list from the /servers page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Servers with name, description, url and uuid
+ */
+async function scrapeServerList(page) {
+  const servers = await page.evaluate(() => {
+    const list = [];
+    document.querySelectorAll('.coolbox.group').forEach(box => {
+      const nameElement = box.querySelector('.box-title');
+      const descriptionElement = box.querySelector('.box-description');
+      const linkElement = box.closest('a') || box.querySelector('a[href]');
+      if (nameElement && linkElement) {
+        list.push({
+          name: nameElement.textContent.trim(),
+          description: descriptionElement ? descriptionElement.textContent.trim() : '',
+          url: linkElement.getAttribute('href')
+        });
+      }
+    });
+    return list;
+  });
+
+  return servers.map(server => ({ ...server, uuid: uuidFromUrl(server.url) }));
+}
+
+/**
+ * Opens a sub-page of a server
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} server - Server from scrapeServerList
+ * @param {string} subPage - Value of SERVER_PAGES, empty for the general page
+ */
+async function openServerPage(page, server, subPage) {
+  await page.goto(subPage ? `${server.url.replace(/\/+$/, '')}/${subPage}` : server.url);
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Scrapes the connection settings from the general server page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Object>} name, description, ip, user and port
+ */
+async function scrapeServerGeneral(page) {
+  return page.evaluate(() => {
+    const getValue = (...models) => {
+      for (const model of models) {
+        const el = document.querySelector(`[wire\\:model="${model}"], [wire\\:model\\.live="${model}"]`);
+        if (el) return el.value || null;
+      }
+      return null;
+    };
+
+    return {
+      name: getValue('name', 'server.name'),
+      description: getValue('description', 'server.description'),
+      ip: getValue('ip', 'server.ip'),
+      user: getValue('user', 'server.user'),
+      port: getValue('port', 'server.port')
+    };
+  });
+}
+
+/**
+ * Scrapes the name of the private key the server uses. The key itself is never read.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<string|null>} Private key name
+ */
+async function scrapeServerPrivateKey(page) {
+  return page.evaluate(() => {
+    const select = document.querySelector('select[wire\\:model="privateKeyId"], select[wire\\:model\\.live="privateKeyId"]');
+    if (select && select.selectedOptions.length > 0) {
+      return select.selectedOptions[0].textContent.trim() || null;
+    }
+
+    // Key boxes, the one in use is marked as such
+    const boxes = Array.from(document.querySelectorAll('.coolbox, .box'));
+    const current = boxes.find(box => /currently used/i.test(box.textContent));
+    const title = current && current.querySelector('.box-title');
+    return title ? title.textContent.trim() : null;
+  });
+}
+
+/**
+ * Scrapes the proxy type and the custom proxy configuration
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Object>} Proxy with type and configuration
+ */
+async function scrapeServerProxy(page) {
+  const proxy = await page.evaluate(() => {
+    const select = document.querySelector('select[wire\\:model="proxyType"], select[wire\\:model\\.live="proxyType"]');
+    const textarea = document.querySelector('textarea[wire\\:model="proxySettings"], textarea[wire\\:model="proxy_settings"]');
+    const heading = Array.from(document.querySelectorAll('h2, h3'))
+      .map(el => el.textContent.trim())
+      .find(text => /traefik|caddy/i.test(text));
+
+    return {
+      type: select ? select.value : heading || null,
+      configuration: textarea ? textarea.value : null
+    };
+  });
+
+  const type = (proxy.type || '').toLowerCase();
+  return {
+    type: PROXY_TYPES.find(known => type.includes(known)) || null,
+    configuration: proxy.configuration
+  };
+}
+
+/**
+ * Scrapes the dynamic proxy configuration files
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Files with filename and content
+ */
+async function scrapeServerDynamicConfigurations(page) {
+  return page.evaluate(() => {
+    const files = [];
+    document.querySelectorAll('textarea').forEach(textarea => {
+      // Every file is a textarea labelled with its file name
+      const container = textarea.closest('form, .box, div');
+      const label = textarea.id ? document.querySelector(`label[for="${textarea.id}"]`) : null;
+      const heading = container && container.querySelector('h3, h4, label');
+      const filename = (label || heading || {}).textContent;
+      if (filename && /\.(ya?ml|caddy|toml)|caddyfile/i.test(filename)) {
+        files.push({ filename: filename.trim(), content: textarea.value });
+      }
+    });
+    return files;
+  });
+}
+
+/**
+ * Scrapes the Docker destinations (networks) of a server
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Destinations with name, network, url and uuid
+ */
+async function scrapeServerDestinations(page) {
+  const destinations = await page.evaluate(() => {
+    const list = [];
+    document.querySelectorAll('a[href*="/destination/"]').forEach(link => {
+      const nameElement = link.querySelector('.box-title');
+      const networkElement = link.querySelector('.box-description');
+      const name = (nameElement || link).textContent.trim();
+      if (name) {
+        list.push({
+          name,
+          network: networkElement ? networkElement.textContent.trim() : name,
+          url: link.getAttribute('href')
+        });
+      }
+    });
+    return list;
+  });
+
+  return destinations.map(destination => ({ ...destination, uuid: uuidFromUrl(destination.url) }));
+}
+
+/**
+ * Scrapes the resources deployed on a server
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Resources with name, type, url, uuid, projectName and environment
+ */
+async function scrapeServerResources(page) {
+  const resources = await page.evaluate(() => {
+    const list = [];
+    document.querySelectorAll('tr').forEach(row => {
+      const link = row.querySelector('a[href*="/application/"], a[href*="/database/"], a[href*="/service/"]');
+      if (!link) return;
+
+      const cells = Array.from(row.querySelectorAll('td')).map(cell => cell.textContent.trim());
+      const url = link.getAttribute('href');
+      list.push({
+        name: link.textContent.trim() || cells[2] || '',
+        type: (url.match(/\/(application|database|service)\//) || [])[1],
+        url,
+        projectName: cells[0] || null,
+        environment: cells[1] || null
+      });
+    });
+    return list;
+  });
+
+  return resources.map(resource => ({ ...resource, uuid: uuidFromUrl(resource.url) }));
+}
+
+/**
+ * Links the resources of a server to its destinations.
+ * The server pages do not show the network of a resource, so resources are
+ * only assigned when the server has a single destination.
+ * @param {Array<Object>} destinations - Destinations of the server
+ * @param {Array<Object>} resources - Resources deployed on the server
+ * @returns {Array<Object>} Resources with a destination (UUID or null)
+ */
+function linkServerResources(destinations, resources) {
+  const destination = destinations.length === 1 ? destinations[0] : null;
+  return resources.map(resource => ({
+    ...resource,
+    destination: resource.destination !== undefined ? resource.destination : destination ? destination.uuid : null
+  }));
+}
+
+/**
+ * Scrapes the inventory of one server: connection, private key name, proxy, destinations and resources
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} server - Server from scrapeServerList
+ * @returns {Promise<Object>} Server inventory
+ */
+async function scrapeServerConfig(page, server) {
+  await openServerPage(page, server, '');
+  const title = await page.title();
+  const url = page.url();
+  const general = await scrapeServerGeneral(page);
+
+  await openServerPage(page, server, SERVER_PAGES.privateKey);
+  const privateKeyName = await scrapeServerPrivateKey(page);
+
+  await openServerPage(page, server, SERVER_PAGES.proxy);
+  const proxy = await scrapeServerProxy(page);
+
+  proxy.dynamicConfigurations = [];
+  if (proxy.type && proxy.type !== 'none') {
+    await openServerPage(page, server, SERVER_PAGES.dynamicConfigurations);
+    proxy.dynamicConfigurations = await scrapeServerDynamicConfigurations(page);
+  }
+
+  await openServerPage(page, server, SERVER_PAGES.destinations);
+  const destinations = await scrapeServerDestinations(page);
+
+  await openServerPage(page, server, SERVER_PAGES.resources);
+  const resources = await scrapeServerResources(page);
+
+  return {
+    title,
+    url,
+    timestamp: new Date().toISOString(),
+    general,
+    privateKeyName,
+    proxy,
+    destinations,
+    resources: linkServerResources(destinations, resources)
+  };
+}
+
+/**
+ * Finds the server and destination a resource is deployed to
+ * @param {Object} serversData - Servers data from the servers stage
+ * @param {string} resourceUuid - UUID of a resource from the resources data
+ * @returns {Object|null} { server, destination }, destination is null when it is not known
+ */
+function findResourceDestination(serversData, resourceUuid) {
+  for (const server of (serversData && serversData.servers) || []) {
+    const resource = (server.resources || []).find(entry => entry.uuid === resourceUuid);
+    if (resource) {
+      const destination = (server.destinations || []).find(entry => entry.uuid === resource.destination) || null;
+      return { server, destination };
+    }
+  }
+  return null;
+}
+
+/**
+ * Saves servers data to a JSON file
+ * @param {Object} data - The servers data object
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
+ * @returns {string} Path to the saved file
+ */
+function saveServersData(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'servers', data);
+  }
+
+  const dataDir = path.join(baseDir, '..', 'scraped-data');
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const dataPath = path.join(dataDir, `scraped-servers-data-${Date.now()}.json`);
+  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+
+  return dataPath;
+}
+
+/**
+ * Prints server summary to console
+ * @param {Object} server - Scraped server
+ */
+function printServerSummary(server) {
+  const general = server.general || {};
+  console.log(`  Server: ${server.serverName}`);
+  console.log(`    ${general.user || '?'}@${general.ip || '?'}:${general.port || '?'}, key: ${server.privateKeyName || '-'}, proxy: ${(server.proxy && server.proxy.type) || '-'}`);
+  console.log(`    Destinations: ${(server.destinations || []).length}, Resources: ${(server.resources || []).length}`);
+}
+
+module.exports = {
+  SERVER_PAGES,
+  PROXY_TYPES,
+  scrapeServerList,
+  scrapeServerConfig,
+  linkServerResources,
+  findResourceDestination,
+  saveServersData,
+  printServerSummary
+};
@@ -1,5 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const { isPlaintextMode, protectSecrets, writeProtectedJson } = require('./secrets');
+const { saveRunArtifact } = require('./run');
+const { ensureScreenshotsDir } = require('./screenshots');
+const { scrapeOperationTabs, scrapeServiceSubApplications } = require('./operations');
+
+/**
+ * Tests directory, the base directory screenshots are saved relative to
+ */
+const TESTS_DIR = path.join(__dirname, '..');
 
 /**
  * Scrapes detailed service configuration from the service page
@@ -40,11 +49,7 @@ async function scrapeServiceConfig(page) {
       
       // Take screenshot before closing modal
       try {
-        const screenshotPath = path.join(__dirname, '..', '..', 'screenshots', `service-compose-modal-${Date.now()}.png`);
-        const screenshotDir = path.dirname(screenshotPath);
-        if (!fs.existsSync(screenshotDir)) {
-          fs.mkdirSync(screenshotDir, { recursive: true });
-        }
+        const screenshotPath = path.join(ensureScreenshotsDir(TESTS_DIR), `service-compose-modal-${Date.now()}.png`);
         await page.screenshot({ path: screenshotPath, fullPage: true });
         console.log(`    Screenshot saved: ${screenshotPath}`);
       } catch (screenshotError) {
@@ -101,17 +106,15 @@ async function scrapeServiceConfig(page) {
         await page.waitForSelector('textarea[wire\\:model="variables"]', { timeout: 5000 });
         await page.waitForTimeout(500);
         
-        // Take screenshot before extracting value
-        try {
-          const screenshotPath = path.join(__dirname, '..', '..', 'screenshots', `service-env-vars-textarea-${Date.now()}.png`);
-          const screenshotDir = path.dirname(screenshotPath);
-          if (!fs.existsSync(screenshotDir)) {
-            fs.mkdirSync(screenshotDir, { recursive: true });
+        // Take screenshot before extracting value, it shows the values in clear text
+        if (isPlaintextMode()) {
+          try {
+            const screenshotPath = path.join(ensureScreenshotsDir(TESTS_DIR), `service-env-vars-textarea-${Date.now()}.png`);
+            await page.screenshot({ path: screenshotPath, fullPage: true });
+          } catch (screenshotError) {
+            // Continue even if screenshot fails
+            console.warn('Screenshot failed:', screenshotError.message);
           }
-          await page.screenshot({ path: screenshotPath, fullPage: true });
-        } catch (screenshotError) {
-          // Continue even if screenshot fails
-          console.warn('Screenshot failed:', screenshotError.message);
         }
         
         // Get the environment variables from textarea
@@ -135,6 +138,15 @@ async function scrapeServiceConfig(page) {
     configData.environmentVariablesError = error.message;
   }
   
+  // Scheduled tasks belong to the service, health checks and limits to its sub-applications
+  await scrapeOperationTabs(page, configData, ['scheduledTasks']);
+  try {
+    configData.subApplications = await scrapeServiceSubApplications(page, configData.url);
+  } catch (error) {
+    configData.subApplications = null;
+    configData.subApplicationsError = error.message;
+  }
+  
   return configData;
 }
 
@@ -142,16 +154,21 @@ async function scrapeServiceConfig(page) {
  * Saves service configurations to a JSON file
  * @param {Object} data - The configurations data object
  * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
  * @returns {string} Path to the saved file
  */
-function saveServiceConfigs(data, baseDir) {
+function saveServiceConfigs(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'services', protectSecrets(data));
+  }
+  
   const dataDir = path.join(baseDir, '..', 'scraped-data');
   if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
   }
   
   const dataPath = path.join(dataDir, `scraped-service-configs-${Date.now()}.json`);
-  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+  writeProtectedJson(dataPath, data);
   
   return dataPath;
 }
@@ -0,0 +1,226 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Creates the error of a server that stopped answering, named like the error of AbortSignal.timeout()
+ * @param {number} timeoutMs - Timeout that passed
+ * @returns {Error} Error with name TimeoutError
+ */
+function timeoutError(timeoutMs) {
+  const error = new Error(`SMTP server did not answer within ${timeoutMs / 1000}s`);
+  error.name = 'TimeoutError';
+  return error;
+}
+
+/**
+ * Reads SMTP replies from a socket. A reply is complete with its "<code> " line, "<code>-" lines continue it.
+ * @param {number} timeoutMs - Idle time after which the socket is closed
+ * @returns {Object} Reader with use(socket), which also switches to the TLS socket after STARTTLS, and next()
+ */
+function createReplyReader(timeoutMs) {
+  const reader = { socket: null };
+  let pending = '';
+  let lines = [];
+  let error = null;
+  const replies = [];
+  const waiters = [];
+
+  const settle = () => {
+    while (waiters.length > 0 && (replies.length > 0 || error)) {
+      const waiter = waiters.shift();
+      if (replies.length > 0) {
+        waiter.resolve(replies.shift());
+      } else {
+        waiter.reject(error);
+      }
+    }
+  };
+
+  reader.use = (socket) => {
+    if (reader.socket) {
+      reader.socket.removeAllListeners('data');
+      reader.socket.removeAllListeners('error');
+      reader.socket.removeAllListeners('close');
+      reader.socket.setTimeout(0);
+    }
+    reader.socket = socket;
+    socket.setTimeout(timeoutMs, () => socket.destroy(timeoutError(timeoutMs)));
+    socket.on('data', chunk => {
+      pending += chunk.toString('utf8');
+      let index;
+      while ((index = pending.indexOf('\n')) !== -1) {
+        const line = pending.slice(0, index).replace(/\r$/, '');
+        pending = pending.slice(index + 1);
+        lines.push(line.slice(4));
+        if (line[3] !== '-') {
+          replies.push({ code: Number(line.slice(0, 3)), lines });
+          lines = [];
+        }
+      }
+      settle();
+    });
+    socket.on('error', socketError => {
+      error = socketError;
+      settle();
+    });
+    socket.on('close', () => {
+      error = error || new Error('SMTP server closed the connection');
+      settle();
+    });
+  };
+
+  reader.next = () => new Promise((resolve, reject) => {
+    waiters.push({ resolve, reject });
+    settle();
+  });
+
+  return reader;
+}
+
+/**
+ * Sends a command and checks the reply code
+ * @param {Object} reader - Reader from createReplyReader
+ * @param {string|null} line - Command line, null to only read the next reply
+ * @param {Array<number>} expected - Accepted reply codes
+ * @param {string} [label] - Command name for the error message, hides credentials sent in the line
+ * @returns {Promise<Object>} Reply with code and lines
+ */
+async function command(reader, line, expected, label) {
+  if (line !== null) {
+    reader.socket.write(`${line}\r\n`);
+  }
+  const reply = await reader.next();
+  if (!expected.includes(reply.code)) {
+    const name = label || (line === null ? 'greeting' : line.split(' ')[0]);
+    throw new Error(`SMTP ${name} failed: ${reply.code} ${reply.lines.join(' ')}`);
+  }
+  return reply;
+}
+
+/**
+ * Connects a plain or TLS socket
+ * @param {Object} options - net.connect or tls.connect options
+ * @param {boolean} secure - Use TLS
+ * @param {number} timeoutMs - Time the connection (and TLS handshake) may take
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect(options, secure, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = secure ? tls.connect(options) : net.connect(options);
+    const onTimeout = () => socket.destroy(timeoutError(timeoutMs));
+    socket.setTimeout(timeoutMs, onTimeout);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.setTimeout(0);
+      socket.removeListener('timeout', onTimeout);
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Returns the bare address of a mailbox for the envelope, "Coolify Scraper <bot@example.com>" becomes bot@example.com
+ * @param {string} mailbox - Address with or without a display name
+ * @returns {string} Address
+ */
+function envelopeAddress(mailbox) {
+  const match = mailbox.match(/<([^<>]*)>\s*$/);
+  return (match ? match[1] : mailbox).trim();
+}
+
+/**
+ * Encodes a header value with non-ASCII characters as an RFC 2047 encoded word
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Builds a plain text message, base64 encoded so no line needs dot-stuffing
+ * @param {Object} message - Message with from, to, subject and text
+ * @returns {string} Message source with CRLF line endings
+ */
+function buildMessage(message) {
+  const body = Buffer.from(message.text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body
+  ].join('\r\n');
+}
+
+/**
+ * Sends a plain text email. Uses STARTTLS when the server offers it and refuses to send
+ * credentials over a connection without TLS.
+ * @param {Object} server - SMTP server
+ * @param {string} server.host - Host name
+ * @param {number} server.port - Port, usually 587 (STARTTLS) or 465 (secure)
+ * @param {boolean} [server.secure] - Connect with TLS right away
+ * @param {string} [server.user] - Login user, no AUTH without it
+ * @param {string} [server.password] - Login password
+ * @param {number} [server.timeoutMs] - Connect and idle timeout
+ * @param {Object} message - Message with from, to (array), subject and text; the envelope uses the bare addresses,
+ *   the headers keep display names
+ */
+async function sendMail(server, message) {
+  const timeoutMs = server.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const reader = createReplyReader(timeoutMs);
+  let secure = !!server.secure;
+  // SNI takes host names only
+  const servername = net.isIP(server.host) ? undefined : server.host;
+  reader.use(await connect({ host: server.host, port: server.port, servername }, secure, timeoutMs));
+
+  try {
+    await command(reader, null, [220]);
+    let capabilities = (await command(reader, `EHLO ${os.hostname()}`, [250])).lines;
+
+    if (!secure && capabilities.some(line => /^STARTTLS\b/i.test(line))) {
+      await command(reader, 'STARTTLS', [220]);
+      reader.use(await connect({ socket: reader.socket, servername }, true, timeoutMs));
+      secure = true;
+      capabilities = (await command(reader, `EHLO ${os.hostname()}`, [250])).lines;
+    }
+
+    if (server.user) {
+      if (!secure) {
+        throw new Error('SMTP server does not offer STARTTLS, refusing to send the password without TLS');
+      }
+      const auth = capabilities.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${server.user}\0${server.password || ''}`, 'utf8').toString('base64');
+        await command(reader, `AUTH PLAIN ${token}`, [235], 'AUTH');
+      } else {
+        await command(reader, 'AUTH LOGIN', [334], 'AUTH');
+        await command(reader, Buffer.from(server.user, 'utf8').toString('base64'), [334], 'AUTH');
+        await command(reader, Buffer.from(server.password || '', 'utf8').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await command(reader, `MAIL FROM:<${envelopeAddress(message.from)}>`, [250]);
+    for (const recipient of message.to) {
+      await command(reader, `RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251]);
+    }
+    await command(reader, 'DATA', [354]);
+    await command(reader, `${buildMessage(message)}\r\n.`, [250], 'message');
+    await command(reader, 'QUIT', [221]).catch(() => {});
+  } finally {
+    reader.socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,345 @@
+/**
+ * Git source fields of an application, by Livewire model
+ */
+const SOURCE_FIELDS = {
+  repository: 'gitRepository',
+  branch: 'gitBranch',
+  commitSha: 'gitCommitSha'
+};
+
+/**
+ * Preview deployment fields of an application, by Livewire model
+ */
+const PREVIEW_FIELDS = {
+  enabled: 'isPreviewDeploymentsEnabled',
+  urlTemplate: 'previewUrlTemplate'
+};
+
+/**
+ * Build packs that deploy an image or compose file without a git repository
+ */
+const NON_GIT_BUILD_PACKS = ['dockerimage'];
+
+/**
+ * Deployment states shown on the Deployments tab
+ */
+const DEPLOYMENT_STATUSES = ['finished', 'failed', 'in_progress', 'queued', 'cancelled-by-user'];
+
+/**
+ * Returns whether the configured commit follows the branch instead of pinning a commit
+ * @param {string|null} commitSha - Configured commit SHA
+ * @returns {boolean} True for an empty value or HEAD
+ */
+function tracksBranch(commitSha) {
+  return !commitSha || commitSha.toUpperCase() === 'HEAD';
+}
+
+/**
+ * Returns whether two commit SHAs are the same commit, one of them may be abbreviated
+ * @param {string} a - Commit SHA
+ * @param {string} b - Commit SHA
+ * @returns {boolean} True if one is a prefix of the other
+ */
+function sameCommit(a, b) {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  return left.startsWith(right) || right.startsWith(left);
+}
+
+/**
+ * Opens a tab of the application menu
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {string} tab - Last path segment of the tab
+ * @returns {Promise<boolean>} False if the application has no such tab
+ */
+async function openTab(page, tab) {
+  const link = page.locator(`a.menu-item[href$="/${tab}"]`);
+  if (await link.count() === 0) {
+    return false;
+  }
+  await link.first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+  return true;
+}
+
+/**
+ * Scrapes the Git Source tab: repository, branch, configured commit and where the code is pulled from
+ * @param {import('@playwright/test').Page} page - Playwright page on the application
+ * @returns {Promise<Object|null>} Source without deployment details, null if there is no such tab
+ */
+async function scrapeGitSourceTab(page) {
+  if (!await openTab(page, 'source')) {
+    return null;
+  }
+
+  return page.evaluate((fields) => {
+    // Coolify versions bind either the camelCase property or "application.snake_case"
+    const getValue = (model) => {
+      const attribute = model.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+      const el = document.querySelector([model, `application.${attribute}`]
+        .flatMap(name => [`[wire\\:model="${name}"]`, `[wire\\:model\\.live="${name}"]`])
+        .join(', '));
+      return el ? el.value || null : null;
+    };
+
+    const data = {};
+    Object.entries(fields).forEach(([key, model]) => {
+      data[key] = getValue(model);
+    });
+
+    // A GitHub or GitLab App links to its source page, a deploy key to the private key
+    const appLink = document.querySelector('a[href*="/source/github/"], a[href*="/source/gitlab/"]');
+    const keyLink = document.querySelector('a[href*="/private-key/"]');
+    const keySelect = document.querySelector('select[wire\\:model="privateKeyId"], select[wire\\:model\\.live="privateKeyId"]');
+    if (appLink) {
+      data.type = appLink.getAttribute('href').includes('/gitlab/') ? 'gitlab-app' : 'github-app';
+      data.gitApp = appLink.textContent.trim() || null;
+    } else if (keyLink || (keySelect && keySelect.value)) {
+      data.type = 'deploy-key';
+      data.privateKeyName = keyLink
+        ? keyLink.textContent.trim() || null
+        : keySelect.selectedOptions[0] ? keySelect.selectedOptions[0].textContent.trim() : null;
+    } else {
+      data.type = 'public';
+    }
+    return data;
+  }, SOURCE_FIELDS);
+}
+
+/**
+ * Ways a deployment can be started, as labelled on the Deployments tab
+ */
+const DEPLOYMENT_TRIGGERS = ['webhook', 'api', 'rollback', 'manual'];
+
+/**
+ * Reads the deployments listed on the current page of the Deployments tab
+ * @param {import('@playwright/test').Page} page - Playwright page on the Deployments tab
+ * @returns {Promise<Array<Object>>} Deployments, newest first
+ */
+async function readDeploymentRows(page) {
+  return page.evaluate(({ statuses, triggers }) => {
+    const list = [];
+    document.querySelectorAll('a[href*="/deployment/"]').forEach(link => {
+      if (list.some(entry => entry.url === link.getAttribute('href'))) return;
+      const box = link.closest('.box, .coolbox, tr') || link;
+      const text = box.textContent;
+      const commitLink = box.querySelector('a[href*="/commit/"]');
+      const commit = commitLink
+        ? commitLink.getAttribute('href').split('/commit/')[1].split(/[?#/]/)[0]
+        // A SHA has at least one letter, unlike dates and counters
+        : (text.match(/\b(?=[0-9]*[a-f])[0-9a-f]{7,40}\b/) || [])[0];
+      const lowerText = text.toLowerCase();
+      const status = statuses.find(candidate => lowerText.includes(candidate) || lowerText.includes(candidate.replace(/_/g, ' ')));
+      // The trigger is a label of its own, e.g. "Webhook (sha: ...)" or "Manual"
+      const lines = (box.innerText || text).split('\n').map(line => line.trim().toLowerCase()).filter(Boolean);
+      const trigger = triggers.find(candidate => lines.some(line => line === candidate || line.startsWith(candidate + ' ')));
+      const startedAt = text.match(/\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(?::\d{2})?(?:\s*UTC)?/);
+      const duration = text.match(/Duration:\s*([0-9hms: ]+)/i) || text.match(/\bin\s+((?:\d+\s*[hms]\s*)+|\d{1,2}:\d{2}(?::\d{2})?)/);
+      list.push({
+        url: link.getAttribute('href'),
+        status: status || null,
+        commit: commit || null,
+        startedAt: startedAt ? startedAt[0] : null,
+        duration: duration ? duration[1].trim() || null : null,
+        triggeredBy: trigger || null
+      });
+    });
+    return list;
+  }, { statuses: DEPLOYMENT_STATUSES, triggers: DEPLOYMENT_TRIGGERS });
+}
+
+/**
+ * Scrapes the Deployments tab, newest deployment first
+ * @param {import('@playwright/test').Page} page - Playwright page on the application
+ * @param {number} [limit] - Deployments wanted, follows the Next button until there are as many; 0 reads the first page only
+ * @returns {Promise<Array<Object>|null>} Deployments with url, status, commit, startedAt, duration and triggeredBy,
+ *   null if there is no such tab
+ */
+async function scrapeDeployments(page, limit = 0) {
+  if (!await openTab(page, 'deployment')) {
+    return null;
+  }
+
+  const list = await readDeploymentRows(page);
+  while (list.length < limit) {
+    const next = page.locator('button:not([disabled])', { hasText: /^\s*Next\s*$/i });
+    if (await next.count() === 0) break;
+    await next.first().click();
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+    const added = (await readDeploymentRows(page)).filter(row => !list.some(entry => entry.url === row.url));
+    if (added.length === 0) break;
+    list.push(...added);
+  }
+  return limit > 0 ? list.slice(0, limit) : list;
+}
+
+/**
+ * Scrapes the preview deployment settings from the Preview Deployments tab
+ * @param {import('@playwright/test').Page} page - Playwright page on the application
+ * @returns {Promise<Object|null>} Preview settings, null if there is no such tab
+ */
+async function scrapePreviewSettings(page) {
+  if (!await openTab(page, 'previews')) {
+    return null;
+  }
+
+  return page.evaluate((fields) => {
+    // The enabled flag lives in the application settings
+    const getValue = (model) => {
+      const attribute = model.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+      const el = document.querySelector([model, `application.${attribute}`, `application.settings.${attribute}`]
+        .flatMap(name => [`[wire\\:model="${name}"]`, `[wire\\:model\\.live="${name}"]`])
+        .join(', '));
+      if (!el) return null;
+      return el.type === 'checkbox' ? el.checked : el.value || null;
+    };
+
+    const data = {};
+    Object.entries(fields).forEach(([key, model]) => {
+      data[key] = getValue(model);
+    });
+    data.pullRequests = Array.from(document.querySelectorAll('a[href*="/pull/"], a[href*="/merge_requests/"]'))
+      .map(link => Number((link.getAttribute('href').match(/\/(?:pull|merge_requests)\/(\d+)/) || [])[1]))
+      .filter((id, index, ids) => id && ids.indexOf(id) === index);
+    return data;
+  }, PREVIEW_FIELDS);
+}
+
+/**
+ * Sets the deployed and the head commit of a source, from deployments newest first.
+ * The newest deployment of any status is the branch head Coolify last saw, e.g. from a push webhook;
+ * the newest finished one is the code that runs.
+ * @param {Object} source - Source section, modified in place
+ * @param {Array<Object>|null} deployments - Deployments with status and commit
+ */
+function applyDeployments(source, deployments) {
+  const withCommit = (deployments || []).filter(deployment => deployment.commit);
+  const deployed = withCommit.find(deployment => deployment.status === 'finished');
+  source.deployedCommit = deployed ? deployed.commit : null;
+  source.headCommit = withCommit.length > 0 ? withCommit[0].commit : null;
+}
+
+/**
+ * Scrapes the git source of an application: repository, branch, source type,
+ * deployed commit and preview deployment settings.
+ * Visits the Git Source, Deployments and Preview Deployments tabs.
+ * @param {import('@playwright/test').Page} page - Playwright page on the application
+ * @param {Object} configData - Application config, gets source, sourceNote or sourceError
+ */
+async function scrapeApplicationSource(page, configData) {
+  if (NON_GIT_BUILD_PACKS.includes(configData.general && configData.general.buildPack)) {
+    configData.source = null;
+    configData.sourceNote = 'Not a git-based application';
+    return;
+  }
+
+  try {
+    const source = await scrapeGitSourceTab(page);
+    if (source === null || !source.repository) {
+      configData.source = null;
+      configData.sourceNote = source === null ? 'Git Source menu not found' : 'No git repository configured';
+      return;
+    }
+
+    applyDeployments(source, await scrapeDeployments(page));
+    source.preview = await scrapePreviewSettings(page);
+    configData.source = source;
+  } catch (error) {
+    configData.source = null;
+    configData.sourceError = error.message;
+  }
+}
+
+/**
+ * Maps the source of an application returned by the Coolify API
+ * @param {Object} app - GET /applications/{uuid} response
+ * @param {Array<Object>|null} deployments - GET /deployments/applications/{uuid} response, newest first
+ * @param {Array<Object>} privateKeys - GET /security/keys response, to resolve the deploy key name
+ * @returns {Object|null} Source, null for applications without a git repository
+ */
+function sourceFromApi(app, deployments, privateKeys) {
+  if (NON_GIT_BUILD_PACKS.includes(app.build_pack) || !app.git_repository) {
+    return null;
+  }
+
+  // source_type is the class of the git App, e.g. "App\Models\GithubApp"; public repositories use the
+  // built-in public GitHub App with ID 0
+  const sourceType = (app.source_type || '').toLowerCase();
+  let type = 'public';
+  if (app.private_key_id) {
+    type = 'deploy-key';
+  } else if (sourceType.includes('gitlab')) {
+    type = 'gitlab-app';
+  } else if (sourceType.includes('github') && app.source_id) {
+    type = 'github-app';
+  }
+
+  const privateKey = privateKeys.find(key => key.id === app.private_key_id);
+  const settings = app.settings || {};
+  const source = {
+    repository: app.git_repository,
+    branch: app.git_branch ?? null,
+    commitSha: app.git_commit_sha ?? null,
+    type
+  };
+  if (type === 'github-app' || type === 'gitlab-app') {
+    source.gitApp = (app.source && app.source.name) || null;
+  }
+  if (type === 'deploy-key') {
+    source.privateKeyName = privateKey ? privateKey.name : null;
+  }
+
+  applyDeployments(source, deployments && deployments.map(deployment => ({
+    status: deployment.status || null,
+    commit: deployment.commit && deployment.commit !== 'HEAD' ? deployment.commit : null
+  })));
+  source.preview = {
+    enabled: settings.is_preview_deployments_enabled ?? null,
+    urlTemplate: app.preview_url_template ?? null
+  };
+  return source;
+}
+
+/**
+ * Finds the git-based applications whose deployed commit is not the newest commit Coolify has seen
+ * @param {Array<Object>} applications - Application configs
+ * @returns {Array<Object>} Entries with projectName, applicationName, branch, deployedCommit, headCommit and pinned
+ */
+function findOutdatedApplications(applications) {
+  return applications
+    .filter(config => !config.error && config.source && config.source.deployedCommit && config.source.headCommit)
+    .filter(config => !sameCommit(config.source.deployedCommit, config.source.headCommit))
+    .map(config => ({
+      projectName: config.projectName,
+      applicationName: config.applicationName,
+      repository: config.source.repository,
+      branch: config.source.branch,
+      deployedCommit: config.source.deployedCommit,
+      headCommit: config.source.headCommit,
+      pinned: !tracksBranch(config.source.commitSha)
+    }));
+}
+
+/**
+ * Prints the report of findOutdatedApplications
+ * @param {Array<Object>} outdated - Result of findOutdatedApplications
+ */
+function printOutdatedApplications(outdated) {
+  outdated.forEach(entry => {
+    const short = sha => sha.slice(0, 7);
+    const pinned = entry.pinned ? ', commit pinned in the app settings' : '';
+    console.log(`  ⚠ ${entry.projectName}/${entry.applicationName} (${entry.repository}@${entry.branch || '?'}): runs ${short(entry.deployedCommit)}, newest ${short(entry.headCommit)}${pinned}`);
+  });
+}
+
+module.exports = {
+  SOURCE_FIELDS,
+  PREVIEW_FIELDS,
+  scrapeDeployments,
+  scrapeApplicationSource,
+  sourceFromApi,
+  findOutdatedApplications,
+  printOutdatedApplications
+};
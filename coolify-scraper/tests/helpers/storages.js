@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { saveRunArtifact } = require('./run');
+
+/**
+ * Fields of an S3 storage, by the Livewire model of the storage form
+ */
+const STORAGE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  endpoint: 'endpoint',
+  bucket: 'bucket',
+  region: 'region'
+};
+
+/**
+ * Masks an S3 access key, keeping the first characters so that keys can be told apart
+ * @param {string|null} value - Access key
+ * @returns {string|null} Masked key
+ */
+function maskCredential(value) {
+  if (!value) return null;
+  return value.length > 8 ? `${value.slice(0, 4)}***` : '***';
+}
+
+/**
+ * Scrapes the team's S3 storages from the /storages page and the page of every storage.
+ * The access key is masked and the secret key is never read, only marked as set.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} S3 storages
+ */
+async function scrapeS3Storages(page) {
+  await page.goto('/storages');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const storageUrls = await page.evaluate(() => {
+    const urls = Array.from(document.querySelectorAll('a[href*="/storages/"]'))
+      .map(link => link.getAttribute('href'));
+    return [...new Set(urls)];
+  });
+
+  const storages = [];
+  for (const storageUrl of storageUrls) {
+    await page.goto(storageUrl);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+
+    const storage = await page.evaluate((fields) => {
+      // Coolify versions bind either the property or "storage.property"
+      const getValue = (model) => {
+        const el = document.querySelector(`[wire\\:model="${model}"], [wire\\:model="storage.${model}"]`);
+        return el ? el.value || null : null;
+      };
+
+      const data = {};
+      Object.entries(fields).forEach(([key, model]) => {
+        data[key] = getValue(model);
+      });
+      data.key = getValue('key');
+      // Only whether it is set leaves the page
+      data.hasSecret = !!getValue('secret');
+      return data;
+    }, STORAGE_FIELDS);
+
+    const { hasSecret, ...fields } = storage;
+    storages.push({
+      ...fields,
+      key: maskCredential(storage.key),
+      secret: hasSecret ? '***' : null,
+      url: storageUrl,
+      uuid: storageUrl.split('/').filter(Boolean).pop()
+    });
+  }
+
+  return storages;
+}
+
+/**
+ * Saves the S3 storages to a JSON file
+ * @param {Object} data - The S3 storages data object
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
+ * @returns {string} Path to the saved file
+ */
+function saveS3Storages(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'storages', data);
+  }
+
+  const dataDir = path.join(baseDir, '..', 'scraped-data');
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const dataPath = path.join(dataDir, `scraped-s3-storages-${Date.now()}.json`);
+  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+
+  return dataPath;
+}
+
+/**
+ * Prints S3 storages summary to console
+ * @param {Array<Object>} storages - Scraped S3 storages
+ */
+function printS3StoragesSummary(storages) {
+  console.log(`S3 storages: ${storages.length}`);
+  storages.forEach(storage => {
+    console.log(`  - ${storage.name}: ${storage.endpoint || '?'} bucket ${storage.bucket || '?'} (${storage.region || 'no region'})`);
+  });
+}
+
+module.exports = {
+  STORAGE_FIELDS,
+  maskCredential,
+  scrapeS3Storages,
+  saveS3Storages,
+  printS3StoragesSummary
+};
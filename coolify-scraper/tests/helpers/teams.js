@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const { saveRunArtifact } = require('./run');
+const { readFormFields } = require('./operations');
+const { getEnvironmentEntries } = require('./envfile');
+const { protectSecrets, writeProtectedJson } = require('./secrets');
+
+require('dotenv').config({ quiet: true });
+
+/**
+ * Notification channels of a team: settings page, form fields by Livewire model,
+ * the fields holding secrets and how the event toggles are named
+ */
+const NOTIFICATION_CHANNELS = {
+  email: {
+    path: '/notifications/email',
+    fields: {
+      enabled: 'smtpEnabled',
+      fromAddress: 'smtpFromAddress',
+      fromName: 'smtpFromName',
+      recipients: 'smtpRecipients',
+      host: 'smtpHost',
+      port: 'smtpPort',
+      encryption: 'smtpEncryption',
+      username: 'smtpUsername',
+      password: 'smtpPassword',
+      timeout: 'smtpTimeout',
+      resendEnabled: 'resendEnabled',
+      resendApiKey: 'resendApiKey',
+      useInstanceSettings: 'useInstanceEmailSettings'
+    },
+    secrets: ['password', 'resendApiKey'],
+    eventWord: 'Email',
+    legacyEventPrefix: 'smtp'
+  },
+  discord: {
+    path: '/notifications/discord',
+    fields: { enabled: 'discordEnabled', webhookUrl: 'discordWebhookUrl' },
+    secrets: ['webhookUrl'],
+    eventWord: 'Discord',
+    legacyEventPrefix: 'discord'
+  },
+  telegram: {
+    path: '/notifications/telegram',
+    fields: { enabled: 'telegramEnabled', token: 'telegramToken', chatId: 'telegramChatId' },
+    secrets: ['token'],
+    eventWord: 'Telegram',
+    legacyEventPrefix: 'telegram'
+  },
+  slack: {
+    path: '/notifications/slack',
+    fields: { enabled: 'slackEnabled', webhookUrl: 'slackWebhookUrl' },
+    secrets: ['webhookUrl'],
+    eventWord: 'Slack',
+    legacyEventPrefix: 'slack'
+  }
+};
+
+/**
+ * Selector of the team switcher in the navigation
+ */
+const TEAM_SWITCHER = 'select[wire\\:model\\.live="selectedTeamId"], select[wire\\:model="selectedTeamId"]';
+
+/**
+ * Reads the teams to scrape from COOLIFY_SCRAPER_TEAMS
+ * @returns {Array<string>|null} Team names or IDs, null for all teams
+ */
+function getTeamFilter() {
+  const names = (process.env.COOLIFY_SCRAPER_TEAMS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : null;
+}
+
+/**
+ * Keeps the teams selected by COOLIFY_SCRAPER_TEAMS
+ * @param {Array<Object>} teams - Teams with teamId and teamName
+ * @param {Array<string>|null} filter - Result of getTeamFilter
+ * @returns {Array<Object>} Selected teams
+ */
+function filterTeams(teams, filter) {
+  if (!filter) return teams;
+
+  const selected = teams.filter(team => filter.includes(team.teamName) || filter.includes(String(team.teamId)));
+  if (selected.length === 0) {
+    throw new Error(`COOLIFY_SCRAPER_TEAMS matches none of the teams (${teams.map(team => team.teamName).join(', ')})`);
+  }
+  return selected;
+}
+
+/**
+ * Reads the name of the current team from the team settings page
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<string|null>} Team name
+ */
+async function scrapeCurrentTeamName(page) {
+  await page.goto('/team');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const fields = await readFormFields(page, { name: 'name', description: 'description' }, 'team');
+  return fields.name;
+}
+
+/**
+ * Lists the teams of the logged in user from the team switcher.
+ * Users with a single team have no switcher, the current team is returned without an ID.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Teams with teamId, teamName and current
+ */
+async function scrapeTeamList(page) {
+  const currentName = await scrapeCurrentTeamName(page);
+
+  const options = await page.evaluate((selector) => {
+    const select = document.querySelector(selector);
+    if (!select) return [];
+    // The first option is a disabled "Switch team" placeholder
+    return Array.from(select.options)
+      .filter(option => !option.disabled && option.value !== '' && option.value !== 'default')
+      .map(option => ({ id: option.value, name: option.textContent.trim() }));
+  }, TEAM_SWITCHER);
+
+  if (options.length === 0) {
+    return [{ teamId: null, teamName: currentName, current: true }];
+  }
+
+  let currentFound = false;
+  return options.map(option => {
+    const current = !currentFound && option.name === currentName;
+    currentFound = currentFound || current;
+    return {
+      teamId: /^\d+$/.test(option.id) ? Number(option.id) : option.id,
+      teamName: option.name,
+      current
+    };
+  });
+}
+
+/**
+ * Switches the session to another team with the team switcher.
+ * Coolify keeps the current team in the session, so every page of the session follows.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} team - Team from scrapeTeamList
+ */
+async function switchTeam(page, team) {
+  await page.goto('/');
+  await page.waitForLoadState('networkidle');
+
+  const switcher = page.locator(TEAM_SWITCHER);
+  if (await switcher.count() === 0) {
+    throw new Error(`Team switcher not found, cannot switch to team "${team.teamName}"`);
+  }
+  await switcher.first().selectOption(String(team.teamId));
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(1000);
+
+  const currentName = await scrapeCurrentTeamName(page);
+  if (currentName !== team.teamName) {
+    throw new Error(`Switching to team "${team.teamName}" failed, the current team is "${currentName}"`);
+  }
+}
+
+/**
+ * Scrapes the members of the current team and their roles from /team/members
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Array<Object>>} Members with name, email and role
+ */
+async function scrapeTeamMembers(page) {
+  await page.goto('/team/members');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  return page.evaluate(() => {
+    // The members table has Name, Email and Role columns, the invitations table has no Name column
+    for (const table of document.querySelectorAll('table')) {
+      const headers = Array.from(table.querySelectorAll('thead th')).map(th => th.textContent.trim().toLowerCase());
+      const column = name => headers.indexOf(name);
+      if (column('name') === -1 || column('email') === -1) continue;
+
+      return Array.from(table.querySelectorAll('tbody tr'))
+        .map(row => {
+          const cells = Array.from(row.querySelectorAll('td')).map(td => td.textContent.trim());
+          return {
+            name: cells[column('name')] || null,
+            email: cells[column('email')] || null,
+            role: column('role') === -1 ? null : (cells[column('role')] || '').toLowerCase() || null
+          };
+        })
+        .filter(member => member.email);
+    }
+    return [];
+  });
+}
+
+/**
+ * Scrapes the team's shared variables from the Developer view of /shared-variables/team
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<string|null>} KEY=value lines, null if the page has no Developer view
+ */
+async function scrapeSharedVariables(page) {
+  await page.goto('/shared-variables/team');
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const devViewButton = page.locator('button:has-text("Developer view")');
+  if (await devViewButton.count() === 0) {
+    return null;
+  }
+  await devViewButton.first().click();
+  await page.waitForSelector('textarea[wire\\:model="variables"]', { timeout: 5000 });
+  await page.waitForTimeout(500);
+
+  return page.evaluate(() => {
+    const textarea = document.querySelector('textarea[wire\\:model="variables"]');
+    return textarea ? textarea.value : null;
+  });
+}
+
+/**
+ * Reads the event toggles of a notification channel page
+ * @param {import('@playwright/test').Page} page - Playwright page on the channel settings
+ * @param {Object} channel - Entry of NOTIFICATION_CHANNELS
+ * @returns {Promise<Object>} Enabled flag per event, e.g. { deploymentSuccess: true }
+ */
+async function readNotificationEvents(page, channel) {
+  return page.evaluate(({ eventWord, legacyEventPrefix }) => {
+    // "deploymentSuccessDiscordNotifications", or "team.discord_notifications_deployments" in older versions
+    const pattern = new RegExp(`^(\\w+)${eventWord}Notifications$`);
+    const legacyPattern = new RegExp(`^team\\.${legacyEventPrefix}_notifications_(\\w+)$`);
+    const events = {};
+    document.querySelectorAll('input[type="checkbox"]').forEach(input => {
+      const model = ['wire:model', 'wire:model.live', 'wire:model.defer']
+        .map(name => input.getAttribute(name))
+        .find(Boolean);
+      if (!model) return;
+      const match = model.match(pattern);
+      const legacyMatch = model.match(legacyPattern);
+      if (match) {
+        events[match[1]] = input.checked;
+      } else if (legacyMatch) {
+        events[legacyMatch[1].replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = input.checked;
+      }
+    });
+    return events;
+  }, channel);
+}
+
+/**
+ * Scrapes the notification settings of the current team, one page per channel.
+ * Secrets (SMTP password, API key, webhook URLs, bot token) are replaced by "***" when set.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<Object>} Settings and events by channel, null for channels without a page
+ */
+async function scrapeNotifications(page) {
+  const notifications = {};
+  for (const [name, channel] of Object.entries(NOTIFICATION_CHANNELS)) {
+    const response = await page.goto(channel.path);
+    await page.waitForLoadState('networkidle');
+    await page.waitForTimeout(500);
+    if (response && response.status() === 404) {
+      notifications[name] = null;
+      continue;
+    }
+
+    const settings = await readFormFields(page, channel.fields, 'team');
+    channel.secrets.forEach(key => {
+      settings[key] = settings[key] ? '***' : null;
+    });
+    notifications[name] = { ...settings, events: await readNotificationEvents(page, channel) };
+  }
+  return notifications;
+}
+
+/**
+ * Scrapes members, shared variables and notification settings of the current team.
+ * A failed section sets `<section>Error`, so that one broken page does not lose the rest.
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @param {Object} team - Team from scrapeTeamList
+ * @returns {Promise<Object>} Team entry
+ */
+async function scrapeTeamDetails(page, team) {
+  const entry = { teamName: team.teamName, teamId: team.teamId, current: team.current };
+
+  try {
+    entry.members = await scrapeTeamMembers(page);
+  } catch (error) {
+    entry.members = null;
+    entry.membersError = error.message;
+  }
+
+  try {
+    entry.environmentVariables = await scrapeSharedVariables(page);
+    if (entry.environmentVariables === null) {
+      entry.environmentVariablesNote = 'Developer view button not found';
+    } else {
+      entry.environment = getEnvironmentEntries(entry);
+    }
+  } catch (error) {
+    entry.environmentVariables = null;
+    entry.environmentVariablesError = error.message;
+  }
+
+  try {
+    entry.notifications = await scrapeNotifications(page);
+  } catch (error) {
+    entry.notifications = null;
+    entry.notificationsError = error.message;
+  }
+
+  return entry;
+}
+
+/**
+ * Saves the teams to a JSON file
+ * @param {Object} data - The teams data object
+ * @param {string} baseDir - Base directory for the tests
+ * @param {Object} [run] - Run from createRun, writes into the run directory instead
+ * @returns {string} Path to the saved file
+ */
+function saveTeamsData(data, baseDir, run) {
+  if (run) {
+    return saveRunArtifact(run, 'teams', protectSecrets(data));
+  }
+
+  const dataDir = path.join(baseDir, '..', 'scraped-data');
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const dataPath = path.join(dataDir, `scraped-teams-${Date.now()}.json`);
+  writeProtectedJson(dataPath, data);
+
+  return dataPath;
+}
+
+/**
+ * Prints a team summary to console
+ * @param {Object} team - Team entry from scrapeTeamDetails
+ */
+function printTeamSummary(team) {
+  const channels = Object.entries(team.notifications || {})
+    .filter(([, channel]) => channel && channel.enabled)
+    .map(([name]) => name);
+  console.log(`  Team: ${team.teamName}${team.current ? ' (current)' : ''}`);
+  console.log(`    Members: ${team.members ? team.members.length : '?'}, Shared variables: ${(team.environment || []).length}, Notifications: ${channels.join(', ') || 'none'}`);
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  getTeamFilter,
+  filterTeams,
+  scrapeTeamList,
+  switchTeam,
+  scrapeTeamDetails,
+  saveTeamsData,
+  printTeamSummary
+};
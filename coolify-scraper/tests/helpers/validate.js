@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { verifyRun } = require('./run');
+
+const SCHEMAS_DIR = path.join(__dirname, '..', '..', 'schemas');
+
+/**
+ * Schema file of each run artifact kind, plus the manifest
+ */
+const SCHEMA_FILES = {
+  manifest: 'manifest.schema.json',
+  projects: 'projects.schema.json',
+  resources: 'resources.schema.json',
+  applications: 'application-configs.schema.json',
+  databases: 'database-configs.schema.json',
+  services: 'service-configs.schema.json',
+  servers: 'servers.schema.json',
+  storages: 's3-storages.schema.json',
+  teams: 'teams.schema.json'
+};
+
+const validators = new Map();
+
+/**
+ * Creates (and caches) an Ajv instance with every schema of a version
+ * @param {number} version - Schema version
+ * @returns {Ajv} Ajv instance with the schemas registered by their $id
+ */
+function getValidator(version) {
+  if (validators.has(version)) return validators.get(version);
+
+  const dir = path.join(SCHEMAS_DIR, `v${version}`);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No schemas for schema version ${version} in ${SCHEMAS_DIR}`);
+  }
+
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value));
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.schema.json'))
+    .forEach(file => ajv.addSchema(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))));
+
+  validators.set(version, ajv);
+  return ajv;
+}
+
+/**
+ * Validates one artifact against its schema
+ * @param {string} kind - Artifact kind, a key of SCHEMA_FILES
+ * @param {Object} data - Parsed artifact
+ * @param {number} version - Schema version the artifact was written with
+ * @returns {Array<Object>} Violations ({ path, message }), empty if valid
+ */
+function validateArtifact(kind, data, version) {
+  const ajv = getValidator(version);
+  const schemaFile = SCHEMA_FILES[kind];
+  if (!schemaFile) {
+    return [{ path: '', message: `no schema for artifact kind "${kind}"` }];
+  }
+
+  const schemaId = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, `v${version}`, schemaFile), 'utf8')).$id;
+  const validate = ajv.getSchema(schemaId);
+  if (validate(data)) return [];
+
+  return validate.errors.map(error => ({
+    path: error.instancePath || '/',
+    message: error.message
+  }));
+}
+
+/**
+ * Validates a run: its manifest, checksums and every artifact against the schemas of its version
+ * @param {Object} run - Run from openRun
+ * @returns {Object} Result with runId, schemaVersion, valid and per-file results
+ */
+function validateRun(run) {
+  const version = run.manifest.schemaVersion;
+  const results = [];
+
+  results.push({ kind: 'manifest', file: 'manifest.json', errors: validateArtifact('manifest', run.manifest, version) });
+
+  const integrity = verifyRun(run);
+  run.manifest.artifacts.forEach(artifact => {
+    const problems = integrity
+      .filter(item => item.file === artifact.file)
+      .map(item => ({ path: '', message: item.problem }));
+
+    if (problems.length === 0 || problems.every(p => p.message !== 'missing')) {
+      const data = JSON.parse(fs.readFileSync(path.join(run.dir, artifact.file), 'utf8'));
+      problems.push(...validateArtifact(artifact.kind, data, version));
+    }
+    results.push({ kind: artifact.kind, file: artifact.file, errors: problems });
+  });
+
+  return {
+    runId: run.id,
+    schemaVersion: version,
+    valid: results.every(result => result.errors.length === 0),
+    results
+  };
+}
+
+/**
+ * Prints a run validation result
+ * @param {Object} result - Result from validateRun
+ */
+function printValidationResult(result) {
+  console.log(`\nRun ${result.runId} (schema v${result.schemaVersion}):`);
+  result.results.forEach(file => {
+    if (file.errors.length === 0) {
+      console.log(`  ✓ ${file.file}`);
+      return;
+    }
+    console.log(`  ✗ ${file.file} - ${file.errors.length} violation(s)`);
+    file.errors.slice(0, 20).forEach(error => {
+      console.log(`      ${error.path ? `${error.path}: ` : ''}${error.message}`);
+    });
+    if (file.errors.length > 20) {
+      console.log(`      ... and ${file.errors.length - 20} more`);
+    }
+  });
+}
+
+module.exports = {
+  SCHEMAS_DIR,
+  SCHEMA_FILES,
+  validateArtifact,
+  validateRun,
+  printValidationResult
+};
@@ -0,0 +1,225 @@
+/**
+ * Resource collections with persistent storage, with the fields naming a resource
+ */
+const VOLUME_COLLECTIONS = {
+  applications: { kind: 'application', nameField: 'applicationName', urlField: 'applicationUrl' },
+  databases: { kind: 'database', nameField: 'databaseName', urlField: 'databaseUrl' },
+  services: { kind: 'service', nameField: 'serviceName', urlField: 'serviceUrl' }
+};
+
+/**
+ * Splits storages into named volumes, host bind mounts and file mounts
+ * @param {Array<Object>} volumes - Volumes ({ name, mountPath, hostPath, service })
+ * @param {Array<Object>} files - File mounts ({ hostPath, mountPath, content, isDirectory, service })
+ * @returns {Object} Persistent storage with volumes, bindMounts and fileMounts
+ */
+function groupStorages(volumes, files) {
+  return {
+    volumes: volumes.filter(volume => !volume.hostPath),
+    bindMounts: volumes.filter(volume => volume.hostPath),
+    fileMounts: files
+  };
+}
+
+/**
+ * Scrapes the "Persistent Storage" tab of an application, database or service
+ * @param {import('@playwright/test').Page} page - Playwright page on the resource
+ * @returns {Promise<Object|null>} Persistent storage, null if the resource has no such tab
+ */
+async function scrapePersistentStorage(page) {
+  const storageLink = page.locator('a[href*="/persistent-storage"]');
+  if (await storageLink.count() === 0) {
+    return null;
+  }
+  await storageLink.first().click();
+  await page.waitForLoadState('networkidle');
+  await page.waitForTimeout(500);
+
+  const storages = await page.evaluate(() => {
+    // Coolify versions bind either the camelCase property or "storage.snake_case" / "fileStorage.snake_case"
+    const getValue = (form, ...models) => {
+      for (const model of models) {
+        const el = form.querySelector(`[wire\\:model="${model}"], [wire\\:model\\.live="${model}"]`);
+        if (el) return el.type === 'checkbox' ? el.checked : el.value || null;
+      }
+      return null;
+    };
+    // Services group their storages under a heading per sub-service
+    const sectionOf = form => {
+      let element = form;
+      while (element && element !== document.body) {
+        let sibling = element.previousElementSibling;
+        while (sibling) {
+          if (/^H[23]$/.test(sibling.tagName)) return sibling.textContent.trim();
+          sibling = sibling.previousElementSibling;
+        }
+        element = element.parentElement;
+      }
+      return null;
+    };
+
+    const volumes = [];
+    const files = [];
+    document.querySelectorAll('form').forEach(form => {
+      const content = form.querySelector('textarea[wire\\:model="content"], textarea[wire\\:model="fileStorage.content"]');
+      const mountPath = getValue(form, 'mountPath', 'storage.mount_path', 'fileStorage.mount_path');
+      if (!mountPath) return;
+
+      if (content || getValue(form, 'fsPath', 'fileStorage.fs_path')) {
+        files.push({
+          hostPath: getValue(form, 'fsPath', 'fileStorage.fs_path'),
+          mountPath,
+          content: content ? content.value : null,
+          isDirectory: !content,
+          service: sectionOf(form)
+        });
+      } else {
+        volumes.push({
+          name: getValue(form, 'name', 'storage.name'),
+          mountPath,
+          hostPath: getValue(form, 'hostPath', 'storage.host_path'),
+          service: sectionOf(form)
+        });
+      }
+    });
+    return { volumes, files };
+  });
+
+  return groupStorages(storages.volumes, storages.files);
+}
+
+/**
+ * Converts storages returned by the Coolify API to the persistent storage shape
+ * @param {Object|Array} response - GET /<type>/<uuid>/storages response
+ * @returns {Object} Persistent storage
+ */
+function persistentStorageFromApi(response) {
+  const volumes = (Array.isArray(response) ? response : response.persistent_storages || []).map(storage => ({
+    name: storage.name ?? null,
+    mountPath: storage.mount_path ?? null,
+    hostPath: storage.host_path || null,
+    service: storage.service_name ?? null
+  }));
+  const files = (Array.isArray(response) ? [] : response.file_storages || []).map(file => ({
+    hostPath: file.fs_path ?? null,
+    mountPath: file.mount_path ?? null,
+    content: file.content ?? null,
+    isDirectory: !!file.is_directory,
+    service: file.service_name ?? null
+  }));
+  return groupStorages(volumes, files);
+}
+
+/**
+ * Turns a name into a backup name segment
+ * @param {string} value - Name or path
+ * @returns {string} Lowercase letters, digits and dashes
+ */
+function toSegment(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+}
+
+/**
+ * Returns the container a volume is mounted into, as Coolify names it
+ * @param {string} kind - application, database or service
+ * @param {string} uuid - Resource UUID
+ * @param {Object} volume - Volume with an optional sub-service name
+ * @returns {Object} { container, note }
+ */
+function containerFor(kind, uuid, volume) {
+  if (kind === 'service') {
+    return volume.service
+      ? { container: `${toSegment(volume.service)}-${uuid}`, note: null }
+      : { container: uuid, note: 'sub-service unknown, set the container to <service>-' + uuid };
+  }
+  if (kind === 'application') {
+    return { container: uuid, note: 'needs "Consistent Container Names", otherwise the container is named ' + uuid + '-<suffix>' };
+  }
+  return { container: uuid, note: null };
+}
+
+/**
+ * Builds the CONTAINERS_LIST entries of docker-volume-backup.sh from a snapshot.
+ * Named volumes become entries; bind and file mounts are reported as skipped,
+ * since the backup script only handles Docker volumes.
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ * @returns {Object} { entries, skipped, missing } with the resources without scraped storage in missing
+ */
+function buildContainersList(snapshot) {
+  const entries = [];
+  const skipped = [];
+  const missing = [];
+  const usedNames = new Set();
+
+  Object.entries(VOLUME_COLLECTIONS).forEach(([collection, { kind, nameField, urlField }]) => {
+    const configs = (snapshot[collection] && snapshot[collection][collection]) || [];
+    configs.filter(config => !config.error).forEach(config => {
+      const resource = `${config.projectName}/${config[nameField]}`;
+      const storage = config.persistentStorage;
+      if (!storage) {
+        missing.push({ kind, resource });
+        return;
+      }
+
+      const uuid = (config[urlField] || '').split('/').filter(Boolean).pop();
+      storage.volumes.forEach(volume => {
+        if (!volume.name) {
+          skipped.push({ kind, resource, type: 'volume without a name', source: null, mountPath: volume.mountPath });
+          return;
+        }
+        const base = [config.projectName, config[nameField], volume.mountPath].map(toSegment).join('-');
+        let backupName = base;
+        for (let n = 2; usedNames.has(backupName); n++) {
+          backupName = `${base}-${n}`;
+        }
+        usedNames.add(backupName);
+
+        const { container, note } = containerFor(kind, uuid, volume);
+        entries.push({ kind, resource, container, volume: volume.name, mountPath: volume.mountPath, backupName, note });
+      });
+      storage.bindMounts.forEach(mount => {
+        skipped.push({ kind, resource, type: 'bind mount', source: mount.hostPath, mountPath: mount.mountPath });
+      });
+      storage.fileMounts.forEach(mount => {
+        skipped.push({ kind, resource, type: mount.isDirectory ? 'directory mount' : 'file mount', source: mount.hostPath, mountPath: mount.mountPath });
+      });
+    });
+  });
+
+  return { entries, skipped, missing };
+}
+
+/**
+ * Formats CONTAINERS_LIST for the .env file of docker-volume-backup.sh
+ * @param {Object} list - Result of buildContainersList
+ * @param {string} source - Snapshot source, written into the header
+ * @returns {string} .env snippet
+ */
+function formatContainersList(list, source) {
+  const lines = [
+    '# Container and Volume Configuration',
+    `# Generated from Coolify scrape ${source} on ${new Date().toISOString()}`,
+    '# Copy the CONTAINERS_LIST line below to your .env file',
+    '#'
+  ];
+  list.entries.forEach(entry => {
+    lines.push(`# ${entry.backupName}: ${entry.kind} ${entry.resource} ${entry.mountPath}${entry.note ? ` (${entry.note})` : ''}`);
+  });
+  list.skipped.forEach(mount => {
+    lines.push(`# skipped ${mount.type} of ${mount.kind} ${mount.resource}: ${mount.source || '?'} -> ${mount.mountPath}`);
+  });
+  list.missing.forEach(resource => {
+    lines.push(`# no persistent storage scraped for ${resource.kind} ${resource.resource}`);
+  });
+  lines.push('');
+  lines.push(`CONTAINERS_LIST="${list.entries.map(entry => `${entry.container}:${entry.volume}:${entry.backupName}`).join(';')}"`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  VOLUME_COLLECTIONS,
+  scrapePersistentStorage,
+  persistentStorageFromApi,
+  buildContainersList,
+  formatContainersList
+};
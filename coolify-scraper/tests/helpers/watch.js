@@ -0,0 +1,354 @@
+const { login, verifyLogin } = require('./auth');
+const { scrapeProjects } = require('./scraper');
+const { scrapeEnvironments, scrapeResources, environmentNameFromUrl, toEnvironmentEntry, listResources } = require('./resources');
+const { scrapeProjectsViaApi, scrapeResourcesViaApi } = require('./api');
+const { readIntegerEnv, getPoolSettings, createRateLimiter } = require('./pool');
+
+/**
+ * Events emitted when a resource changes between two confirmed polls
+ */
+const WATCH_EVENTS = ['status-changed', 'resource-added', 'resource-removed'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Login progress goes to stderr, stdout only carries events
+ */
+const LOGIN_OPTIONS = { log: console.error };
+
+/**
+ * Reads the watch settings from the environment
+ * @returns {Object} Settings with intervalSeconds, debounce (polls a change must persist) and webhookUrl
+ */
+function getWatchSettings() {
+  return {
+    intervalSeconds: readIntegerEnv('COOLIFY_SCRAPER_WATCH_INTERVAL', 60),
+    debounce: readIntegerEnv('COOLIFY_SCRAPER_WATCH_DEBOUNCE', 2),
+    webhookUrl: process.env.COOLIFY_SCRAPER_WATCH_WEBHOOK || null
+  };
+}
+
+/**
+ * Returns the path of a dashboard URL, the key of projects, environments and resources
+ * @param {string} url - Absolute or relative URL
+ * @returns {string} Path without a trailing slash
+ */
+function urlPath(url) {
+  return new URL(url, 'http://coolify').pathname.replace(/\/+$/, '');
+}
+
+/**
+ * Checks whether Coolify sent the page to its login form
+ * @param {import('@playwright/test').Page} page - Playwright page object
+ * @returns {Promise<boolean>} True if the session is gone
+ */
+async function isLoginPage(page) {
+  if (new URL(page.url()).pathname.startsWith('/login')) return true;
+  return (await page.locator('input[type="password"]').count()) > 0;
+}
+
+/**
+ * Opens a dashboard page, logging in again if the session cookie expired
+ * @param {Object} watcher - Watcher state from createWatcher
+ * @param {string} url - Page URL
+ */
+async function openPage(watcher, url) {
+  const { page } = watcher;
+  await watcher.limiter();
+  await page.goto(url);
+  await page.waitForLoadState('networkidle');
+  if (!(await isLoginPage(page))) return;
+
+  console.error('⚠ Session expired, logging in again');
+  await login(page, LOGIN_OPTIONS);
+  if (!(await verifyLogin(page))) {
+    throw new Error('Login failed');
+  }
+  watcher.logins++;
+  await page.goto(url);
+  await page.waitForLoadState('networkidle');
+}
+
+/**
+ * Scrapes the environments of the project page the watcher is on
+ * @param {Object} watcher - Watcher state from createWatcher
+ * @returns {Promise<Array<Object>>} Environment entries, failed ones with an error
+ */
+async function pollProjectEnvironments(watcher) {
+  const { page } = watcher;
+  const environments = await scrapeEnvironments(page);
+
+  // A project page without environment links is the environment itself
+  if (environments.length === 0) {
+    const url = new URL(page.url()).pathname;
+    return [toEnvironmentEntry(environmentNameFromUrl(url), url, await scrapeResources(page))];
+  }
+
+  const entries = [];
+  for (const environment of environments) {
+    try {
+      await openPage(watcher, environment.url);
+      entries.push(toEnvironmentEntry(environment.name, environment.url, await scrapeResources(page)));
+    } catch (error) {
+      entries.push({ ...toEnvironmentEntry(environment.name, environment.url, {}), error: error.message });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Reads the status of every resource of the current team, from the dashboard or the API
+ * @param {Object} watcher - Watcher state from createWatcher
+ * @returns {Promise<Object>} Poll with resources (path to entry) and failedScopes, the paths of projects
+ *   and environments that could not be read
+ */
+async function pollStatus(watcher) {
+  let projectsData;
+  if (watcher.apiClient) {
+    await watcher.limiter();
+    projectsData = await scrapeProjectsViaApi(watcher.apiClient);
+  } else {
+    await openPage(watcher, '/');
+    projectsData = await scrapeProjects(watcher.page);
+  }
+
+  const failedScopes = [];
+  const projects = [];
+  for (const project of projectsData.projects) {
+    try {
+      let environments;
+      if (watcher.apiClient) {
+        await watcher.limiter();
+        environments = (await scrapeResourcesViaApi(watcher.apiClient, project)).environments;
+      } else {
+        await openPage(watcher, project.url);
+        environments = await pollProjectEnvironments(watcher);
+      }
+      environments.filter(environment => environment.error).forEach(environment => {
+        failedScopes.push(`${urlPath(environment.environmentUrl)}/`);
+      });
+      projects.push({ projectName: project.title, projectUrl: project.url, environments });
+    } catch (error) {
+      console.error(`  ✗ Error polling project "${project.title}":`, error.message);
+      failedScopes.push(`${urlPath(project.url)}/`);
+    }
+  }
+
+  const resources = new Map();
+  listResources({ projects }).forEach(({ collection, project, environment, resource }) => {
+    resources.set(urlPath(resource.url), {
+      project: project.projectName,
+      environment: environment.environmentName,
+      category: collection,
+      name: resource.name,
+      url: resource.url,
+      status: resource.status || 'unknown'
+    });
+  });
+  return { resources, failedScopes };
+}
+
+/**
+ * Builds the event of a confirmed change
+ * @param {Object|null} before - Confirmed entry, null if the resource was unknown
+ * @param {Object|null} after - New entry, null if the resource is gone
+ * @param {string} timestamp - Time of the poll that confirmed the change
+ * @returns {Object} Event, type is one of WATCH_EVENTS
+ */
+function toEvent(before, after, timestamp) {
+  const entry = after || before;
+  let type = 'status-changed';
+  if (!before) {
+    type = 'resource-added';
+  } else if (!after) {
+    type = 'resource-removed';
+  }
+
+  return {
+    type,
+    timestamp,
+    project: entry.project,
+    environment: entry.environment,
+    category: entry.category,
+    name: entry.name,
+    url: entry.url,
+    from: before ? before.status : null,
+    to: after ? after.status : null
+  };
+}
+
+/**
+ * Compares a poll with the confirmed state. A change becomes an event once `debounce` polls in a row saw it,
+ * so a container that flaps back within that time emits nothing. The first poll only sets the state.
+ * Resources of failed projects and environments keep their state instead of counting as removed.
+ * Projects and environments that failed on the first poll join the state silently once a poll reads them.
+ * @param {Object} state - Watcher state with known (path to confirmed entry), pending (path to unconfirmed change)
+ *   and unread (scopes missing from the state)
+ * @param {Object} poll - Result of pollStatus
+ * @param {number} debounce - Polls a change must persist
+ * @param {string} [timestamp] - Time of the poll
+ * @returns {Array<Object>} Confirmed events
+ */
+function applyPoll(state, poll, debounce, timestamp = new Date().toISOString()) {
+  const unreadable = key => poll.failedScopes.some(scope => key.startsWith(scope));
+
+  if (!state.known) {
+    state.known = new Map(poll.resources);
+    state.unread = [...poll.failedScopes];
+    return [];
+  }
+
+  // A scope read for the first time fills in the state, its failed projects or environments stay unread
+  state.unread = (state.unread || []).flatMap(scope => {
+    if (unreadable(scope)) return [scope];
+    poll.resources.forEach((entry, key) => {
+      if (key.startsWith(scope) && !state.known.has(key)) state.known.set(key, entry);
+    });
+    return poll.failedScopes.filter(failed => failed.startsWith(scope));
+  });
+
+  const statusOf = entry => (entry ? entry.status : null);
+  const events = [];
+  new Set([...state.known.keys(), ...poll.resources.keys()]).forEach(key => {
+    const known = state.known.get(key) || null;
+    const seen = poll.resources.get(key) || (unreadable(key) ? known : null);
+
+    if (statusOf(seen) === statusOf(known)) {
+      state.pending.delete(key);
+      // Keeps renames without reporting them
+      if (seen) state.known.set(key, seen);
+      return;
+    }
+
+    const pending = state.pending.get(key);
+    const count = pending && statusOf(pending.entry) === statusOf(seen) ? pending.count + 1 : 1;
+    if (count < debounce) {
+      state.pending.set(key, { entry: seen, count });
+      return;
+    }
+
+    state.pending.delete(key);
+    if (seen) {
+      state.known.set(key, seen);
+    } else {
+      state.known.delete(key);
+    }
+    events.push(toEvent(known, seen, timestamp));
+  });
+  return events;
+}
+
+/**
+ * Posts events to a webhook as { source, coolifyUrl, events }
+ * @param {string} url - Webhook URL
+ * @param {string} coolifyUrl - Coolify instance URL
+ * @param {Array<Object>} events - Events of one poll
+ */
+async function sendWebhook(url, coolifyUrl, events) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ source: 'coolify-scraper', coolifyUrl, events }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`Webhook did not answer within ${WEBHOOK_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+  if (!response.ok) {
+    throw new Error(`Webhook returned HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Creates a watcher that polls the resource status of the current team and writes every confirmed
+ * change as one JSON line to stdout, and to the webhook if one is set
+ * @param {Object} options - Watcher options
+ * @param {import('@playwright/test').Page} [options.page] - Page of the UI backend, logged in by run()
+ * @param {Object} [options.apiClient] - API client of the API backend, used instead of the page
+ * @param {string} options.coolifyUrl - Coolify instance URL, sent with webhook events
+ * @param {Object} [options.settings] - Settings, defaults to getWatchSettings()
+ * @returns {Object} Watcher with state, run() which resolves after stop(), and stop()
+ */
+function createWatcher(options) {
+  const settings = options.settings || getWatchSettings();
+  const watcher = {
+    page: options.page || null,
+    apiClient: options.apiClient || null,
+    limiter: createRateLimiter(getPoolSettings().rateLimitMs),
+    logins: 0,
+    state: { known: null, pending: new Map(), unread: [], polls: 0, failedPolls: 0, events: 0 }
+  };
+
+  let stopped = false;
+  let wakeUp = null;
+
+  const emit = async (events) => {
+    events.forEach(event => process.stdout.write(`${JSON.stringify(event)}\n`));
+    watcher.state.events += events.length;
+    if (!settings.webhookUrl || events.length === 0) return;
+    try {
+      await sendWebhook(settings.webhookUrl, options.coolifyUrl, events);
+    } catch (error) {
+      // The events are on stdout, the next poll does not resend them
+      console.error(`✗ Could not deliver ${events.length} event(s) to the webhook: ${error.message}`);
+    }
+  };
+
+  const run = async () => {
+    if (!watcher.apiClient) {
+      await login(watcher.page, LOGIN_OPTIONS);
+      if (!(await verifyLogin(watcher.page))) {
+        throw new Error('Login failed');
+      }
+      console.error('✓ Login successful');
+    }
+
+    while (!stopped) {
+      try {
+        const poll = await pollStatus(watcher);
+        const baseline = !watcher.state.known;
+        await emit(applyPoll(watcher.state, poll, Math.max(1, settings.debounce)));
+        watcher.state.polls++;
+        if (baseline) {
+          console.error(`✓ Watching ${poll.resources.size} resources every ${settings.intervalSeconds}s`);
+        }
+      } catch (error) {
+        // A failed poll changes nothing, the next one compares against the same state
+        watcher.state.failedPolls++;
+        console.error(`✗ Poll failed: ${error.message}`);
+      }
+
+      if (stopped) break;
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, settings.intervalSeconds * 1000);
+        wakeUp = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wakeUp = null;
+    }
+  };
+
+  return {
+    state: watcher.state,
+    run,
+    stop() {
+      stopped = true;
+      if (wakeUp) wakeUp();
+    }
+  };
+}
+
+module.exports = {
+  WATCH_EVENTS,
+  getWatchSettings,
+  pollStatus,
+  applyPoll,
+  createWatcher
+};
@@ -0,0 +1,147 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendJson } = require('./support/server');
+const {
+  createApiClient,
+  scrapeProjectsViaApi,
+  scrapeApplicationConfigViaApi,
+  scrapeServiceConfigViaApi
+} = require('../helpers/api');
+
+const TOKEN = 'test-token';
+const COMPOSE = 'services:\n  web:\n    image: nginx:1.27\n';
+const LABELS = 'traefik.enable=true\ntraefik.http.routers.web.rule=Host(`example.com`)';
+const base64 = value => Buffer.from(value, 'utf8').toString('base64');
+
+/**
+ * Developer view of the variables below, as the UI backend stores it in environmentVariables
+ */
+const DEVELOPER_VIEW = 'DB_PASSWORD=${SERVICE_PASSWORD_DB}\nGREETING=pa$$word\nHOST=db';
+
+const projectPages = {
+  1: { current_page: 1, data: [{ uuid: 'p1', name: 'One' }, { uuid: 'p2', name: 'Two' }], next_page_url: '/api/v1/projects?page=2' },
+  2: { current_page: 2, data: [{ uuid: 'p3', name: 'Three' }], next_page_url: null }
+};
+
+const routes = {
+  '/api/v1/applications/encoded': {
+    uuid: 'encoded',
+    name: 'encoded',
+    custom_labels: base64(LABELS),
+    settings: {}
+  },
+  '/api/v1/applications/plain': {
+    uuid: 'plain',
+    name: 'plain',
+    // Valid base64, but a plain value
+    custom_labels: 'abcd',
+    settings: {}
+  },
+  '/api/v1/applications/deploy-key': {
+    uuid: 'deploy-key',
+    name: 'deploy-key',
+    git_repository: 'git@github.com:example/shop.git',
+    git_branch: 'main',
+    private_key_id: 3,
+    settings: {}
+  },
+  '/api/v1/applications/refs': { uuid: 'refs', name: 'refs', settings: {} },
+  '/api/v1/applications/refs/envs': [
+    { key: 'DB_PASSWORD', value: '${SERVICE_PASSWORD_DB}', is_preview: false },
+    { key: 'GREETING', value: 'pa$$word', is_preview: false },
+    { key: 'HOST', value: 'db', is_preview: false },
+    { key: 'HOST', value: 'pr-db', is_preview: true }
+  ],
+  '/api/v1/services/encoded': { uuid: 'encoded', name: 'encoded', docker_compose_raw: base64(COMPOSE) },
+  '/api/v1/services/plain': { uuid: 'plain', name: 'plain', docker_compose_raw: COMPOSE },
+  '/api/v1/services/encoded/envs': [
+    { key: 'SECRET', value: 'c2VjcmV0', is_preview: false },
+    { key: 'HOST', value: 'db', is_preview: false }
+  ]
+};
+
+let server;
+
+before(async () => {
+  server = await startServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (request.headers.authorization !== `Bearer ${TOKEN}`) {
+      sendJson(response, 401, { message: 'Unauthenticated.' });
+    } else if (url.pathname === '/api/v1/projects') {
+      sendJson(response, 200, projectPages[url.searchParams.get('page') || 1]);
+    } else if (url.pathname === '/api/v1/security/keys') {
+      sendJson(response, 403, { message: 'Missing read:sensitive.' });
+    } else if (url.pathname === '/api/v1/slow') {
+      setTimeout(() => sendJson(response, 200, {}), 2000);
+    } else if (routes[url.pathname]) {
+      sendJson(response, 200, routes[url.pathname]);
+    } else {
+      sendJson(response, 404, { message: 'Not found' });
+    }
+  });
+});
+
+after(() => server.close());
+
+test('follows paginated responses to the last page', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+  const data = await scrapeProjectsViaApi(client);
+
+  assert.deepEqual(data.projects.map(project => project.uuid), ['p1', 'p2', 'p3']);
+  assert.deepEqual(data.projects[0], { title: 'One', description: '', url: '/project/p1', uuid: 'p1' });
+});
+
+test('fails with the HTTP status on an invalid token', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: 'wrong' });
+
+  await assert.rejects(scrapeProjectsViaApi(client), error => {
+    assert.equal(error.status, 401);
+    assert.match(error.message, /GET \/api\/v1\/projects failed with HTTP 401/);
+    return true;
+  });
+});
+
+test('turns a request that takes too long into an error', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN, timeoutMs: 200 });
+
+  await assert.rejects(client.get('/slow'), /GET \/api\/v1\/slow timed out after 0.2s/);
+});
+
+test('decodes base64 custom labels and keeps plain ones', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const encoded = await scrapeApplicationConfigViaApi(client, { url: '/project/p1/environment/e1/application/encoded' });
+  const plain = await scrapeApplicationConfigViaApi(client, { url: '/project/p1/environment/e1/application/plain' });
+
+  assert.equal(encoded.docker.customLabels, LABELS);
+  assert.equal(plain.docker.customLabels, 'abcd');
+});
+
+test('decodes a base64 compose file and keeps env values that look like base64', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const encoded = await scrapeServiceConfigViaApi(client, { url: '/project/p1/environment/e1/service/encoded' });
+  const plain = await scrapeServiceConfigViaApi(client, { url: '/project/p1/environment/e1/service/plain' });
+
+  assert.deepEqual(encoded.dockerCompose, COMPOSE.split('\n'));
+  assert.deepEqual(plain.dockerCompose, COMPOSE.split('\n'));
+  assert.deepEqual(encoded.environmentVariables, ['SECRET=c2VjcmV0', 'HOST=db']);
+});
+
+test('writes the same environmentVariables as the Developer view of the UI backend', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const config = await scrapeApplicationConfigViaApi(client, { url: '/project/p1/environment/e1/application/refs' });
+
+  assert.equal(config.environmentVariables, DEVELOPER_VIEW);
+});
+
+test('records why the deploy key name is unknown instead of dropping it silently', async () => {
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const config = await scrapeApplicationConfigViaApi(client, { url: '/project/p1/environment/e1/application/deploy-key' });
+
+  assert.equal(config.source.type, 'deploy-key');
+  assert.equal(config.source.privateKeyName, null);
+  assert.match(config.sourceError, /^Deploy key name unknown: GET \/api\/v1\/security\/keys failed with HTTP 403/);
+});
@@ -0,0 +1,137 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateTotp, login } = require('../helpers/auth');
+
+/**
+ * RFC 6238 test secret for HMAC-SHA1, "12345678901234567890" in base32
+ */
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * Creates a stand-in for a Playwright page on the Coolify login form
+ * @param {Function} submit - (screen, filled) => next screen: "login", "challenge" or "dashboard"
+ * @param {Object} [options] - Options
+ * @param {string} [options.formError] - Error message shown on the form
+ * @param {Function} [options.goto] - Replaces page.goto
+ * @returns {Object} Page with the filled values in `filled`
+ */
+function fakePage(submit, options = {}) {
+  let screen = 'login';
+  const filled = {};
+  const counts = {
+    'input[type="password"]': () => screen === 'login',
+    'input[name="code"]': () => screen === 'challenge'
+  };
+
+  const locator = selector => ({
+    first: () => locator(selector),
+    count: async () => (counts[selector] && counts[selector]() ? 1 : 0),
+    fill: async value => {
+      filled[selector] = value;
+    },
+    click: async () => {
+      if (selector.includes('submit')) screen = submit(screen, filled);
+    }
+  });
+
+  return {
+    filled,
+    goto: options.goto || (async () => ({ status: () => 200, url: () => 'https://coolify.example.com/' })),
+    url: () => (screen === 'challenge' ? 'https://coolify.example.com/two-factor-challenge' : 'https://coolify.example.com/'),
+    locator,
+    getByRole: () => ({ waitFor: async () => { throw new Error('not visible'); } }),
+    waitForLoadState: async () => {},
+    waitForTimeout: async () => {},
+    evaluate: async () => options.formError || null,
+    context: () => ({
+      storageState: async () => ({ cookies: [{ name: 'coolify_session', value: 'abc' }], origins: [{ origin: 'https://coolify.example.com', localStorage: [] }] }),
+      addCookies: async () => {},
+      clearCookies: async () => {}
+    })
+  };
+}
+
+const quiet = { storageState: null, log: () => {} };
+
+beforeEach(() => {
+  delete process.env.COOLIFY_TOTP_SECRET;
+});
+
+test('generates the RFC 6238 SHA-1 codes', () => {
+  // Last 6 digits of the 8 digit codes of RFC 6238, appendix B
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ];
+  vectors.forEach(([seconds, code]) => assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code));
+});
+
+test('reads the secret from an otpauth:// URI and rejects secrets that are not base32', () => {
+  const uri = `otpauth://totp/Coolify:admin@example.com?secret=${RFC_SECRET.toLowerCase()}&issuer=Coolify`;
+  assert.equal(generateTotp(uri, 59000), '287082');
+  assert.throws(() => generateTotp('not-base32!', 0), error => error.reason === 'two-factor');
+});
+
+test('classifies rejected credentials', async () => {
+  const page = fakePage(screen => screen, { formError: 'These credentials do not match our records.' });
+
+  await assert.rejects(login(page, quiet), error => {
+    assert.equal(error.reason, 'credentials');
+    assert.equal(error.message, 'Login rejected: These credentials do not match our records.');
+    return true;
+  });
+});
+
+test('classifies an unreachable instance', async () => {
+  const refused = fakePage(screen => screen, { goto: async () => { throw new Error('net::ERR_CONNECTION_REFUSED\nat page.goto'); } });
+  await assert.rejects(login(refused, quiet), { reason: 'unreachable', message: 'Coolify is unreachable: net::ERR_CONNECTION_REFUSED' });
+
+  const badGateway = fakePage(screen => screen, { goto: async () => ({ status: () => 502, url: () => 'https://coolify.example.com/' }) });
+  await assert.rejects(login(badGateway, quiet), { reason: 'unreachable', message: 'Coolify is unreachable: HTTP 502 on https://coolify.example.com/' });
+});
+
+test('asks for a TOTP secret on the two-factor challenge', async () => {
+  const page = fakePage(() => 'challenge');
+
+  await assert.rejects(login(page, quiet), { reason: 'two-factor', message: 'Coolify asks for a two-factor code, set COOLIFY_TOTP_SECRET' });
+});
+
+test('classifies a rejected two-factor code after a second attempt', async () => {
+  let attempts = 0;
+  const page = fakePage(screen => {
+    if (screen === 'challenge') attempts++;
+    return 'challenge';
+  }, { formError: 'The provided two factor authentication code was invalid.' });
+
+  await assert.rejects(login(page, { ...quiet, totpSecret: RFC_SECRET }), {
+    reason: 'two-factor',
+    message: 'Two-factor code rejected: The provided two factor authentication code was invalid.'
+  });
+  assert.equal(attempts, 2);
+});
+
+test('answers the two-factor challenge and saves only the session cookies', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-auth-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const statePath = path.join(dir, 'state.json');
+  const page = fakePage((screen, filled) => {
+    if (screen === 'login') return 'challenge';
+    return /^\d{6}$/.test(filled['input[name="code"]']) ? 'dashboard' : 'challenge';
+  });
+
+  await login(page, { ...quiet, totpSecret: RFC_SECRET, storageState: statePath });
+
+  // The step may have ended since the code was entered
+  const now = Date.now();
+  assert.ok([generateTotp(RFC_SECRET, now - 30000), generateTotp(RFC_SECRET, now)].includes(page.filled['input[name="code"]']));
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(statePath, 'utf8')), { cookies: [{ name: 'coolify_session', value: 'abc' }], origins: [] });
+  assert.equal(fs.statSync(statePath).mode & 0o777, 0o600);
+});
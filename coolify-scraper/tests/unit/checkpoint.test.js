@@ -0,0 +1,88 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRun, finishRun, resumeRun, recordRunError } = require('../helpers/run');
+const { CHECKPOINT_FILE, appendCheckpoint, loadCheckpoint, runCheckpointedPool } = require('../helpers/checkpoint');
+
+const BASE_DIR = path.join(__dirname, '..');
+const APPS = ['/application/a', '/application/b', '/application/c', '/application/d'];
+const keyOf = url => ({ collection: 'applications', id: url });
+
+const clearSecretsEnv = () => {
+  delete process.env.COOLIFY_SECRETS_MODE;
+  delete process.env.COOLIFY_SECRETS_PASSPHRASE;
+  delete process.env.COOLIFY_SECRETS_PRIVATE_KEY;
+};
+
+let outputDir;
+
+beforeEach(() => {
+  clearSecretsEnv();
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-checkpoint-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+});
+
+afterEach(() => {
+  clearSecretsEnv();
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('resumes a failed run without scraping the checkpointed items again', async () => {
+  const run = createRun(BASE_DIR);
+  const first = await runCheckpointedPool(run, loadCheckpoint(run), APPS, keyOf, async url => {
+    if (url === '/application/c') throw new Error('Timeout');
+    return { applicationUrl: url, attempt: 1 };
+  }, { concurrency: 2 });
+  assert.deepEqual(first.map(result => (result.error ? result.error.message : result.value.attempt)), [1, 1, 'Timeout', 1]);
+  recordRunError(run, { scope: 'application', url: '/application/c', message: 'Timeout' });
+  finishRun(run, {}, 'failed');
+
+  const resumed = resumeRun(BASE_DIR, run.id);
+  const scraped = [];
+  const second = await runCheckpointedPool(resumed, loadCheckpoint(resumed), APPS, keyOf, async url => {
+    scraped.push(url);
+    return { applicationUrl: url, attempt: 2 };
+  }, { concurrency: 2 });
+
+  assert.deepEqual(scraped, ['/application/c']);
+  assert.deepEqual(second.map(result => [result.value.applicationUrl, result.value.attempt, !!result.resumed]), [
+    ['/application/a', 1, true],
+    ['/application/b', 1, true],
+    ['/application/c', 2, false],
+    ['/application/d', 1, true]
+  ]);
+  assert.equal(resumed.manifest.status, 'running');
+  assert.deepEqual(resumed.manifest.errors, []);
+  assert.deepEqual(resumed.manifest.resumes.map(({ resumedAt, ...entry }) => entry), [{ previousStatus: 'failed', previousErrors: 1 }]);
+});
+
+test('refuses to resume a run that completed without errors', () => {
+  const run = createRun(BASE_DIR);
+  finishRun(run, {});
+  assert.throws(() => resumeRun(BASE_DIR, run.id), { message: `Scrape run "${run.id}" is already completed without errors` });
+});
+
+test('skips the half written last line and keeps the latest entry of an item', () => {
+  const run = createRun(BASE_DIR);
+  appendCheckpoint(run, 'projects', '/project/p1', { title: 'Old' });
+  appendCheckpoint(run, 'projects', '/project/p1', { title: 'Shop' });
+  fs.appendFileSync(path.join(run.dir, CHECKPOINT_FILE), '{"collection":"projects","id":"/project/p2","da');
+
+  assert.deepEqual([...loadCheckpoint(run)], [['projects:/project/p1', { title: 'Shop' }]]);
+});
+
+test('encrypts checkpointed secrets and needs the key to resume', () => {
+  process.env.COOLIFY_SECRETS_MODE = 'encrypted';
+  process.env.COOLIFY_SECRETS_PASSPHRASE = 'correct horse';
+  const run = createRun(BASE_DIR);
+  appendCheckpoint(run, 'applications', '/application/a', { applicationUrl: '/application/a', environmentVariables: 'TOKEN=hunter2' });
+
+  assert.ok(!fs.readFileSync(path.join(run.dir, CHECKPOINT_FILE), 'utf8').includes('hunter2'));
+  assert.equal(loadCheckpoint(run).get('applications:/application/a').environmentVariables, 'TOKEN=hunter2');
+
+  delete process.env.COOLIFY_SECRETS_PASSPHRASE;
+  assert.throws(() => loadCheckpoint(run), /Resuming an encrypted run requires COOLIFY_SECRETS_PASSPHRASE/);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'coolify-scraper.js');
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} Result with status, stdout and stderr
+ */
+function run(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('rejects an unknown option with the usage text', () => {
+  const result = run(['list', '--jsn']);
+
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /^✗ Unknown option --jsn\n\nUsage: coolify-scraper <command> \[options\]/);
+  assert.equal(result.stdout, '');
+});
+
+test('rejects a value flag without its value', () => {
+  const result = run(['report', 'latest', '--out']);
+
+  assert.equal(result.status, 2);
+  assert.match(result.stderr, /^✗ --out requires a value\n\nUsage:/);
+});
+
+test('accepts the known boolean flags', () => {
+  const result = run(['--help']);
+
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, /^Usage: coolify-scraper <command> \[options\]/);
+});
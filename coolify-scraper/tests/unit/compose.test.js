@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportComposeBundles } = require('../helpers/compose');
+const { parseDotenv } = require('../helpers/envfile');
+
+test('writes a .env that keeps $, quotes and newlines literal', (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-compose-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const environment = [
+    { key: 'DB_PASSWORD', value: 'pa$$word' },
+    { key: 'GREETING', value: `it's "$USER"` },
+    { key: 'CERT', value: 'line 1\nline $2' }
+  ];
+  const snapshot = {
+    source: 'test',
+    applications: {
+      applications: [{
+        applicationName: 'web',
+        projectName: 'Shop',
+        general: { name: 'web' },
+        docker: { registryImageName: 'nginx', registryImageTag: '1.27' },
+        environment
+      }]
+    }
+  };
+
+  const [bundle] = exportComposeBundles(snapshot, outDir);
+  const envText = fs.readFileSync(path.join(bundle.dir, '.env'), 'utf8');
+
+  assert.equal(envText, 'DB_PASSWORD=\'pa$$word\'\nGREETING="it\'s \\"\\$USER\\""\nCERT=\'line 1\nline $2\'\n');
+  assert.deepEqual(parseDotenv(envText).map(({ key, value }) => ({ key, value })), environment);
+  assert.match(fs.readFileSync(path.join(bundle.dir, 'docker-compose.yml'), 'utf8'), /env_file:/);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectDatabaseEngine } = require('../helpers/databases');
+
+test('detects the engine from the repository name of the image', () => {
+  const images = [
+    ['postgres:16-alpine', 'postgresql'],
+    ['postgis/postgis:16-3.4', 'postgresql'],
+    ['bitnami/postgresql:16', 'postgresql'],
+    ['bitnami/postgresql-repmgr', 'postgresql'],
+    ['timescale/timescaledb-ha:pg16', 'postgresql'],
+    ['pgvector/pgvector:pg16', 'postgresql'],
+    ['registry:5000/postgres:16', 'postgresql'],
+    ['ghcr.io/org/postgres@sha256:0123abcd', 'postgresql'],
+    ['mariadb:11', 'mariadb'],
+    ['bitnami/mariadb', 'mariadb'],
+    ['mysql:8', 'mysql'],
+    ['mysql/mysql-server:8.0', 'mysql'],
+    ['percona/percona-server:8.0', 'mysql'],
+    ['mongo:7', 'mongodb'],
+    ['mongodb/mongodb-community-server:7.0-ubi8', 'mongodb'],
+    ['percona/percona-server-mongodb:7.0', 'mongodb'],
+    ['redis:7.2', 'redis'],
+    ['redis/redis-stack-server', 'redis'],
+    ['eqalpha/keydb:latest', 'keydb'],
+    ['docker.dragonflydb.io/dragonflydb/dragonfly', 'dragonfly'],
+    ['clickhouse/clickhouse-server:24', 'clickhouse'],
+    ['BITNAMI/PostgreSQL:16', 'postgresql']
+  ];
+
+  images.forEach(([image, engine]) => assert.equal(detectDatabaseEngine(image), engine, image));
+});
+
+test('does not guess engines from names that only contain one', () => {
+  assert.equal(detectDatabaseEngine('nginx:alpine'), null);
+  assert.equal(detectDatabaseEngine('prometheuscommunity/redis_exporter'), null);
+  assert.equal(detectDatabaseEngine('mypostgres'), null);
+  assert.equal(detectDatabaseEngine(''), null);
+  assert.equal(detectDatabaseEngine(null), null);
+});
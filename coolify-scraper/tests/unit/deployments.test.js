@@ -0,0 +1,111 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendJson } = require('./support/server');
+const { parseDuration, deploymentFromApi, buildLogFromApi, findFailedDeployments } = require('../helpers/deployments');
+const { createApiClient, scrapeApplicationConfigViaApi } = require('../helpers/api');
+
+const TOKEN = 'test-token';
+const COMMIT = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+
+const logs = JSON.stringify([
+  { output: 'Starting deployment', hidden: false },
+  { output: 'docker build --debug', hidden: true },
+  { output: 'Step 1/3\nStep 2/3  \n', hidden: false },
+  { output: 'npm ERR! missing script: build', hidden: false }
+]);
+
+const routes = {
+  '/api/v1/applications/a1': { uuid: 'a1', name: 'web', git_repository: 'example/shop', settings: {} },
+  '/api/v1/deployments/applications/a1': {
+    count: 3,
+    deployments: [
+      { deployment_uuid: 'dep3', status: 'failed', commit: COMMIT, created_at: '2026-01-03T10:00:00.000Z', finished_at: '2026-01-03T10:01:20.000Z', is_webhook: true },
+      { deployment_uuid: 'dep2', status: 'finished', commit: 'HEAD', created_at: '2026-01-02T10:00:00.000Z', updated_at: '2026-01-02T10:00:45.000Z', is_api: true },
+      { deployment_uuid: 'dep1', status: 'finished', created_at: '2026-01-01T10:00:00.000Z', rollback: true }
+    ]
+  },
+  '/api/v1/deployments/dep3': { deployment_uuid: 'dep3', logs }
+};
+
+const clearDeploymentEnv = () => {
+  delete process.env.COOLIFY_SCRAPER_DEPLOYMENTS;
+  delete process.env.COOLIFY_SCRAPER_BUILD_LOGS;
+};
+
+beforeEach(clearDeploymentEnv);
+afterEach(clearDeploymentEnv);
+
+test('parses the durations Coolify shows', () => {
+  assert.equal(parseDuration('1m 20s'), 80);
+  assert.equal(parseDuration('2h 5s'), 7205);
+  assert.equal(parseDuration('00:01:20'), 80);
+  assert.equal(parseDuration('1:02:03'), 3723);
+  assert.equal(parseDuration('just now'), null);
+  assert.equal(parseDuration(null), null);
+});
+
+test('maps API deployments and keeps the visible tail of the build log', () => {
+  const [failed, api, rollback] = routes['/api/v1/deployments/applications/a1'].deployments.map(deploymentFromApi);
+
+  assert.deepEqual(failed, {
+    deploymentUuid: 'dep3',
+    status: 'failed',
+    commit: COMMIT,
+    startedAt: '2026-01-03T10:00:00.000Z',
+    durationSeconds: 80,
+    triggeredBy: 'webhook'
+  });
+  // Without finished_at the last update of a finished deployment is its end
+  assert.deepEqual([api.commit, api.durationSeconds, api.triggeredBy], [null, 45, 'api']);
+  assert.deepEqual([rollback.durationSeconds, rollback.triggeredBy], [null, 'rollback']);
+
+  assert.deepEqual(buildLogFromApi({ logs }, 2), {
+    totalLines: 4,
+    truncated: true,
+    log: 'Step 2/3\nnpm ERR! missing script: build'
+  });
+  assert.equal(buildLogFromApi({ logs: '[]' }, 10), null);
+  assert.equal(buildLogFromApi({ logs: 'not json' }, 10), null);
+});
+
+test('lists applications whose newest deployment failed', () => {
+  const deployment = (deploymentUuid, status) => ({ deploymentUuid, status, commit: COMMIT, startedAt: '2026-01-03T10:00:00.000Z' });
+  const failed = findFailedDeployments([
+    { projectName: 'Shop', applicationName: 'web', deployments: [deployment('dep3', 'failed')], failedBuildLog: { deploymentUuid: 'dep3' } },
+    { projectName: 'Shop', applicationName: 'worker', deployments: [deployment('dep5', 'failed')], failedBuildLog: { deploymentUuid: 'dep4' } },
+    { projectName: 'Shop', applicationName: 'fixed', deployments: [deployment('dep7', 'finished'), deployment('dep6', 'failed')] },
+    { projectName: 'Shop', applicationName: 'disabled', deployments: null },
+    { projectName: 'Shop', applicationName: 'broken', error: 'Timeout' }
+  ]);
+
+  assert.deepEqual(failed.map(entry => [entry.applicationName, entry.hasBuildLog]), [['web', true], ['worker', false]]);
+});
+
+test('reads the deployment history and failed build log through the API when enabled', async (t) => {
+  const server = await startServer((request, response) => {
+    const route = routes[new URL(request.url, 'http://localhost').pathname];
+    sendJson(response, route ? 200 : 404, route || { message: 'Not found' });
+  });
+  t.after(() => server.close());
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+  const resource = { url: '/project/p1/environment/e1/application/a1' };
+
+  const disabled = await scrapeApplicationConfigViaApi(client, resource);
+  assert.equal(disabled.deployments, undefined);
+  // The source section reads the newest deployments without a limit, the history asks for "take"
+  assert.ok(!server.requests.some(request => request.url.includes('take=') || request.url === '/api/v1/deployments/dep3'));
+
+  process.env.COOLIFY_SCRAPER_DEPLOYMENTS = '2';
+  process.env.COOLIFY_SCRAPER_BUILD_LOGS = '1';
+  const config = await scrapeApplicationConfigViaApi(client, resource);
+
+  assert.deepEqual(config.deployments.map(deployment => deployment.deploymentUuid), ['dep3', 'dep2']);
+  assert.deepEqual(config.failedBuildLog, {
+    deploymentUuid: 'dep3',
+    commit: COMMIT,
+    startedAt: '2026-01-03T10:00:00.000Z',
+    totalLines: 4,
+    truncated: true,
+    log: 'npm ERR! missing script: build'
+  });
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRun, saveRunArtifact, finishRun } = require('../helpers/run');
+const { loadSnapshot, diffSnapshots, formatDiffText } = require('../helpers/diff');
+
+/**
+ * Builds a snapshot with one project and one environment
+ * @param {string} timestamp - Timestamp of the scraped files
+ * @param {Array<Object>} applications - Application entries of the resource list
+ * @returns {Object} Snapshot in the shape of loadSnapshot
+ */
+function snapshotOf(timestamp, applications) {
+  return {
+    source: timestamp,
+    projects: { timestamp, projects: [{ title: 'Shop', url: '/project/p1' }] },
+    resources: {
+      timestamp,
+      projects: [{
+        projectName: 'Shop',
+        projectUrl: '/project/p1',
+        environments: [{ environmentName: 'production', applications }]
+      }]
+    }
+  };
+}
+
+const app = (uuid, fields = {}) => ({
+  name: uuid,
+  category: 'applications',
+  url: `/project/p1/environment/e1/application/${uuid}`,
+  status: 'running',
+  ...fields
+});
+
+test('reports added, removed and changed resources', () => {
+  const oldSnapshot = snapshotOf('2026-01-01T00:00:00.000Z', [app('web'), app('worker'), app('cron')]);
+  const newSnapshot = snapshotOf('2026-01-02T00:00:00.000Z', [
+    app('web', { status: 'exited' }),
+    app('worker', { fqdn: 'https://worker.example.com' }),
+    app('api')
+  ]);
+
+  const report = diffSnapshots(oldSnapshot, newSnapshot);
+
+  assert.equal(report.hasChanges, true);
+  assert.deepEqual(report.old, { source: oldSnapshot.source, timestamp: '2026-01-01T00:00:00.000Z' });
+  assert.deepEqual(report.resources.added.map(resource => resource.name), ['api']);
+  assert.deepEqual(report.resources.removed.map(resource => resource.name), ['cron']);
+  assert.deepEqual(report.resources.statusChanged.map(({ name, from, to }) => ({ name, from, to })), [
+    { name: 'web', from: 'running', to: 'exited' }
+  ]);
+  assert.deepEqual(report.resources.changed.map(({ name, fields }) => ({ name, fields })), [
+    { name: 'worker', fields: [{ field: 'fqdn', from: null, to: 'https://worker.example.com' }] }
+  ]);
+  assert.deepEqual(report.projects, { added: [], removed: [], changed: [] });
+});
+
+test('reports no changes between equal snapshots', () => {
+  const report = diffSnapshots(snapshotOf('a', [app('web')]), snapshotOf('b', [app('web')]));
+  assert.equal(report.hasChanges, false);
+  assert.match(formatDiffText(report), /No changes\.$/);
+});
+
+test('compares a servers-only run without projects or resources', (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-diff-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+  t.after(() => {
+    delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  const run = createRun(path.join(__dirname, '..'), { stages: ['servers'] });
+  saveRunArtifact(run, 'servers', { timestamp: '2026-01-03T00:00:00.000Z', servers: [{ title: 'main', url: '/server/s1' }] });
+  finishRun(run, { servers: 1 });
+
+  const serversOnly = loadSnapshot(run.dir);
+  const report = diffSnapshots(serversOnly, serversOnly);
+  assert.deepEqual(report.new, { source: run.id, timestamp: '2026-01-03T00:00:00.000Z' });
+  assert.equal(report.hasChanges, false);
+
+  const withoutTimestamp = { source: 'partial', manifest: { startedAt: '2026-01-04T00:00:00.000Z' }, servers: { servers: [] } };
+  assert.deepEqual(diffSnapshots(withoutTimestamp, withoutTimestamp).old, { source: 'partial', timestamp: '2026-01-04T00:00:00.000Z' });
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDotenv, serializeDotenv, exportEnvFiles } = require('../helpers/envfile');
+const { slugify } = require('../helpers/compose');
+
+const entries = [
+  { key: 'PLAIN', value: 'value' },
+  { key: 'DOLLAR', value: 'pa$$word$HOME' },
+  { key: 'REFERENCE', value: '${SERVICE_PASSWORD_APP}' },
+  { key: 'DOUBLE_QUOTES', value: 'say "hi"' },
+  { key: 'SINGLE_QUOTE', value: "it's" },
+  { key: 'BOTH_QUOTES_AND_DOLLAR', value: `it's "$5"` },
+  { key: 'BACKSLASH', value: 'C:\\path\\$dir' },
+  { key: 'MULTILINE', value: '-----BEGIN KEY-----\nab$c\n-----END KEY-----' },
+  { key: 'HASH', value: '#not-a-comment' },
+  { key: 'SPACES', value: '  padded  ' },
+  { key: 'EMPTY', value: '' }
+];
+
+test('reads serialized values back unchanged', () => {
+  [{}, { compose: true }].forEach(options => {
+    const parsed = parseDotenv(serializeDotenv(entries, options));
+    assert.deepEqual(parsed.map(({ key, value }) => ({ key, value })), entries);
+  });
+});
+
+test('writes $ values unquoted for the Developer view', () => {
+  const lines = serializeDotenv(entries).split('\n');
+
+  assert.equal(lines[1], 'DOLLAR=pa$$word$HOME');
+  assert.equal(lines[2], 'REFERENCE=${SERVICE_PASSWORD_APP}');
+  assert.equal(lines[5], 'BOTH_QUOTES_AND_DOLLAR="it\'s \\"$5\\""');
+});
+
+test('quotes every value with a $ for docker compose so it does not expand it', () => {
+  const lines = serializeDotenv(entries, { compose: true }).split('\n');
+
+  assert.equal(lines[0], 'PLAIN=value');
+  assert.equal(lines[1], "DOLLAR='pa$$word$HOME'");
+  assert.equal(lines[2], "REFERENCE='${SERVICE_PASSWORD_APP}'");
+  assert.equal(lines[5], 'BOTH_QUOTES_AND_DOLLAR="it\'s \\"\\$5\\""');
+  assert.equal(lines[6], "BACKSLASH='C:\\path\\$dir'");
+  assert.equal(lines[7], "MULTILINE='-----BEGIN KEY-----");
+});
+
+test('keeps comments and export prefixes', () => {
+  const text = '# Database\nexport DB_HOST=db\nDB_PASSWORD="s3cr\'t"';
+
+  assert.equal(serializeDotenv(parseDotenv(text)), text);
+});
+
+test('export-env writes files that read back unchanged, preview variables apart', (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-env-'));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+  const snapshot = {
+    services: {
+      services: [{
+        serviceName: 'Ghost',
+        projectName: 'Blog',
+        environment: [...entries, { key: 'PREVIEW_URL', value: 'https://$PR.example.com', isPreview: true }]
+      }]
+    }
+  };
+
+  const written = exportEnvFiles(snapshot, outDir, slugify);
+
+  assert.deepEqual(written.map(file => path.relative(outDir, file.file)), [path.join('blog', 'ghost.env'), path.join('blog', 'ghost.preview.env')]);
+  const env = parseDotenv(fs.readFileSync(written[0].file, 'utf8'));
+  assert.deepEqual(env.map(({ key, value }) => ({ key, value })), entries);
+  assert.equal(fs.readFileSync(written[1].file, 'utf8'), 'PREVIEW_URL=https://$PR.example.com\n');
+});
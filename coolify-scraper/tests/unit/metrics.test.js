@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRun, saveRunArtifact, recordRunError, finishRun } = require('../helpers/run');
+const { buildMetrics, loadLatestStatus, createMetricsServer } = require('../helpers/metrics');
+
+const BASE_DIR = path.join(__dirname, '..');
+
+/**
+ * Builds a resources file with one project
+ * @param {Array<Object>} applications - Applications of the production environment
+ * @returns {Object} resources.json contents
+ */
+const resourcesFile = applications => ({
+  projects: [{
+    projectName: 'Shop "EU"',
+    teamName: 'Root Team',
+    environments: [{ environmentName: 'production', applications, databases: [{ name: 'db', status: 'exited' }], services: [] }]
+  }]
+});
+
+/**
+ * Creates a finished run, run IDs are timestamps so two runs must not start in the same millisecond
+ * @param {Object} artifacts - Artifacts by kind
+ * @returns {Promise<Object>} Run
+ */
+async function finishedRun(artifacts) {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const run = createRun(BASE_DIR, { backend: 'api' });
+  Object.entries(artifacts).forEach(([kind, data]) => saveRunArtifact(run, kind, data));
+  finishRun(run, {});
+  return run;
+}
+
+const quietExporter = { loadErrors: 0, refreshIntervalMs: 0 };
+
+let outputDir;
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-metrics-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+});
+
+afterEach(() => {
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('serves the status of the newest run that has resources', async () => {
+  assert.equal(loadLatestStatus(BASE_DIR), null);
+  assert.match(buildMetrics(null, quietExporter), /^coolify_scraper_snapshot_available 0$/m);
+
+  const statusRun = await finishedRun({ resources: resourcesFile([{ name: 'web', status: 'running' }, { name: 'cron', status: 'restarting' }]) });
+  recordRunError(statusRun, { scope: 'resource', name: 'cron', message: 'Timeout' });
+  await finishedRun({ projects: { projects: [] } });
+
+  const status = loadLatestStatus(BASE_DIR);
+  assert.equal(status.run.id, statusRun.id);
+  assert.equal(loadLatestStatus(BASE_DIR, status), status);
+
+  const text = buildMetrics(status, quietExporter);
+  const labels = 'team="Root Team",project="Shop \\"EU\\"",environment="production"';
+  assert.match(text, /^# TYPE coolify_resource_status gauge$/m);
+  assert.ok(text.includes(`coolify_resource_status{${labels},category="applications",name="web",status="running"} 1\n`));
+  assert.ok(text.includes(`coolify_resource_status{${labels},category="applications",name="web",status="exited"} 0\n`));
+  assert.ok(text.includes(`coolify_resource_status{${labels},category="applications",name="cron",status="unknown"} 1\n`));
+  assert.ok(text.includes(`coolify_resource_up{${labels},category="databases",name="db"} 0\n`));
+  assert.match(text, /^coolify_resources\{category="applications",status="running"\} 1$/m);
+  assert.match(text, /^coolify_resources\{category="databases",status="exited"\} 1$/m);
+  assert.match(text, new RegExp(`^coolify_scraper_run_timestamp_seconds\\{run_id="${statusRun.id}",backend="api"\\} \\d+(\\.\\d+)?$`, 'm'));
+  assert.match(text, /^coolify_scraper_run_errors 1$/m);
+  assert.doesNotMatch(text, /coolify_scraper_refreshes_total/);
+});
+
+test('keeps serving the last good run when the newest one cannot be loaded', async (t) => {
+  await finishedRun({ resources: resourcesFile([{ name: 'web', status: 'running' }]) });
+  const exporter = createMetricsServer({ baseDir: BASE_DIR });
+  await new Promise(resolve => exporter.server.listen(0, '127.0.0.1', resolve));
+  t.after(() => exporter.stop());
+  const metricsUrl = `http://127.0.0.1:${exporter.server.address().port}/metrics`;
+
+  assert.match(await (await fetch(metricsUrl)).text(), /name="web",status="running"\} 1/);
+
+  const broken = await finishedRun({ resources: resourcesFile([{ name: 'web', status: 'exited' }]) });
+  fs.writeFileSync(path.join(broken.dir, 'resources.json'), '{}');
+  t.mock.method(console, 'error', () => {});
+
+  const response = await fetch(metricsUrl);
+  assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+  const text = await response.text();
+  assert.match(text, /name="web",status="running"\} 1/);
+  assert.match(text, /^coolify_scraper_load_errors_total 1$/m);
+  assert.equal((await fetch(metricsUrl.replace('/metrics', '/other'))).status, 404);
+});
+
+test('counts the status scrapes by result and never runs two at once', async (t) => {
+  const results = ['success', 'errors'];
+  let calls = 0;
+  const exporter = createMetricsServer({
+    baseDir: BASE_DIR,
+    refreshIntervalMs: 60000,
+    refresh: async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      if (calls === 3) throw new Error('Login failed');
+      return results[calls - 1];
+    }
+  });
+  t.after(() => exporter.stop());
+  t.mock.method(console, 'error', () => {});
+
+  await Promise.all([exporter.refresh(), exporter.refresh()]);
+  await exporter.refresh();
+  await exporter.refresh();
+
+  assert.equal(calls, 3);
+  assert.deepEqual(exporter.state.refreshes, { success: 1, errors: 1, failure: 1 });
+  assert.match(buildMetrics(null, exporter.state), /^coolify_scraper_refreshes_total\{result="failure"\} 1$/m);
+});
@@ -0,0 +1,245 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startServer, sendJson } = require('./support/server');
+const { createRun, saveRunArtifact, recordRunError, finishRun } = require('../helpers/run');
+const { notifyRun } = require('../helpers/notify');
+
+const BASE_DIR = path.join(__dirname, '..');
+const PROJECTS = [{ title: 'Shop', url: 'https://coolify.example.com/project/shop' }];
+const SCRAPE_ERROR = { scope: 'resource', name: 'web', url: 'https://coolify.example.com/project/shop/web', message: 'Timeout' };
+
+/**
+ * Starts an SMTP responder that accepts every message without STARTTLS or AUTH
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.silent] - Never send the greeting
+ * @returns {Promise<Object>} Server with port, commands, messages (sources of DATA) and close()
+ */
+async function startSmtpServer(options = {}) {
+  const commands = [];
+  const messages = [];
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    if (options.silent) return;
+
+    let pending = '';
+    let data = null;
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      pending += chunk.toString('utf8');
+      let index;
+      while ((index = pending.indexOf('\r\n')) !== -1) {
+        const line = pending.slice(0, index);
+        pending = pending.slice(index + 2);
+        if (data) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-localhost\r\n250 8BITMIME\r\n');
+        } else if (line === 'DATA') {
+          data = [];
+          socket.write('354 end with .\r\n');
+        } else if (line === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    commands,
+    messages,
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Creates a finished run in the output directory
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.projects] - Scraped projects, no projects artifact when null
+ * @param {Array<Object>} [options.resources] - Scraped applications, a resources artifact only when given
+ * @param {Array<Object>} [options.errors] - Recorded scrape errors
+ * @param {string} [options.status] - completed or failed
+ * @returns {Promise<Object>} Run
+ */
+async function finishedRun({ projects = PROJECTS, resources, errors = [], status = 'completed' } = {}) {
+  // Run IDs are timestamps, two runs must not start in the same millisecond
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const run = createRun(BASE_DIR, { coolifyUrl: 'https://coolify.example.com', backend: 'ui' });
+  if (projects) saveRunArtifact(run, 'projects', { timestamp: run.manifest.startedAt, projects });
+  if (resources) {
+    saveRunArtifact(run, 'resources', {
+      timestamp: run.manifest.startedAt,
+      projects: [{ projectName: 'Shop', projectUrl: PROJECTS[0].url, environments: [{ environmentName: 'production', applications: resources }] }]
+    });
+  }
+  errors.forEach(error => recordRunError(run, error));
+  finishRun(run, { projects: projects ? projects.length : 0, errors: errors.length }, status);
+  return run;
+}
+
+const clearNotifyEnv = () => Object.keys(process.env)
+  .filter(key => key.startsWith('COOLIFY_SCRAPER_NOTIFY_'))
+  .forEach(key => delete process.env[key]);
+
+let outputDir;
+
+beforeEach(() => {
+  clearNotifyEnv();
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-notify-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+});
+
+afterEach(() => {
+  clearNotifyEnv();
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('sends the summary to slack, discord and the webhook', async (t) => {
+  const server = await startServer((request, response) => sendJson(response, 200, { ok: true }));
+  t.after(() => server.close());
+  process.env.COOLIFY_SCRAPER_NOTIFY_SLACK_WEBHOOK = `${server.url}/slack`;
+  process.env.COOLIFY_SCRAPER_NOTIFY_DISCORD_WEBHOOK = `${server.url}/discord`;
+  process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK = `${server.url}/webhook`;
+
+  const run = await finishedRun({ errors: [SCRAPE_ERROR] });
+  const result = await notifyRun(BASE_DIR, run);
+
+  assert.deepEqual(result, { sent: ['slack', 'discord', 'webhook'], failed: [], skipped: null });
+  const bodies = Object.fromEntries(server.requests.map(request => [request.url, JSON.parse(request.body)]));
+
+  assert.match(bodies['/slack'].text, /^\*⚠ Coolify scrape completed with 1 error\(s\)\*\n/);
+  assert.match(bodies['/slack'].text, /- \[resource\] web: Timeout/);
+  assert.match(bodies['/discord'].content, /^\*\*⚠ Coolify scrape completed with 1 error\(s\)\*\*\n/);
+  assert.match(bodies['/discord'].content, /Scraped: 1 projects/);
+
+  const summary = bodies['/webhook'];
+  assert.equal(summary.source, 'coolify-scraper');
+  assert.equal(summary.runId, run.id);
+  assert.equal(summary.status, 'completed');
+  assert.equal(summary.succeeded, false);
+  assert.deepEqual(summary.counts, { projects: 1 });
+  assert.deepEqual(summary.errors, [{ ...SCRAPE_ERROR }]);
+  assert.deepEqual(summary.artifacts, { dir: run.dir, url: null });
+});
+
+test('sends email with bare envelope addresses and keeps the display names in the headers', async (t) => {
+  const smtp = await startSmtpServer();
+  t.after(() => smtp.close());
+  process.env.COOLIFY_SCRAPER_NOTIFY_ON = 'always';
+  process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_HOST = '127.0.0.1';
+  process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_PORT = String(smtp.port);
+  process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_FROM = 'Coolify Scraper <scraper@example.com>';
+  process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_TO = 'ops@example.com, Backup <backup@example.com>';
+
+  const run = await finishedRun();
+  const result = await notifyRun(BASE_DIR, run);
+
+  assert.deepEqual(result.sent, ['email']);
+  assert.deepEqual(smtp.commands.filter(line => /^(MAIL|RCPT)/.test(line)), [
+    'MAIL FROM:<scraper@example.com>',
+    'RCPT TO:<ops@example.com>',
+    'RCPT TO:<backup@example.com>'
+  ]);
+
+  const [headers, body] = smtp.messages[0].split('\r\n\r\n');
+  assert.match(headers, /^From: Coolify Scraper <scraper@example\.com>$/m);
+  assert.match(headers, /^To: ops@example\.com, Backup <backup@example\.com>$/m);
+  const text = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+  assert.match(text, new RegExp(`^Run: ${run.id}, `, 'm'));
+});
+
+test('applies the always, failure and change policies', async (t) => {
+  const server = await startServer((request, response) => sendJson(response, 200, {}));
+  t.after(() => server.close());
+  process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK = server.url;
+
+  const first = await finishedRun();
+  assert.equal((await notifyRun(BASE_DIR, first, { policy: 'failure' })).skipped, 'policy');
+  assert.deepEqual((await notifyRun(BASE_DIR, first, { policy: 'always' })).sent, ['webhook']);
+
+  const unchanged = await finishedRun();
+  assert.equal((await notifyRun(BASE_DIR, unchanged, { policy: 'change' })).skipped, 'policy');
+
+  const changed = await finishedRun({ projects: [...PROJECTS, { title: 'Blog', url: 'https://coolify.example.com/project/blog' }] });
+  assert.equal((await notifyRun(BASE_DIR, changed, { policy: 'failure' })).skipped, 'policy');
+  assert.deepEqual((await notifyRun(BASE_DIR, changed, { policy: 'change' })).sent, ['webhook']);
+  assert.deepEqual(JSON.parse(server.requests.at(-1).body).changes.projects, { added: 1, removed: 0, changed: 0 });
+
+  const failed = await finishedRun({ errors: [{ scope: 'run', message: 'Login failed' }], status: 'failed' });
+  assert.deepEqual((await notifyRun(BASE_DIR, failed, { policy: 'failure' })).sent, ['webhook']);
+  assert.equal(server.requests.length, 3);
+});
+
+test('compares a partial run only on the collections both runs scraped', async (t) => {
+  const server = await startServer((request, response) => sendJson(response, 200, {}));
+  t.after(() => server.close());
+  process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK = server.url;
+  const app = name => ({ name, category: 'applications', url: `${PROJECTS[0].url}/environment/e1/application/${name}`, status: 'running' });
+
+  const full = await finishedRun({ resources: [app('web'), app('worker')] });
+  await notifyRun(BASE_DIR, full, { policy: 'always' });
+  assert.equal(JSON.parse(server.requests.at(-1).body).changes, null);
+
+  const projectsOnly = await finishedRun();
+  assert.equal((await notifyRun(BASE_DIR, projectsOnly, { policy: 'change' })).skipped, 'policy');
+  await notifyRun(BASE_DIR, projectsOnly, { policy: 'always' });
+  const projectsChanges = JSON.parse(server.requests.at(-1).body).changes;
+  assert.equal(projectsChanges.previousRunId, full.id);
+  assert.deepEqual(projectsChanges.compared, ['projects']);
+  assert.deepEqual(projectsChanges.resources, { added: 0, removed: 0, statusChanged: 0, changed: 0 });
+
+  const resourcesOnly = await finishedRun({ projects: null, resources: [app('web')] });
+  assert.deepEqual((await notifyRun(BASE_DIR, resourcesOnly, { policy: 'change' })).sent, ['webhook']);
+  const resourcesChanges = JSON.parse(server.requests.at(-1).body).changes;
+  assert.equal(resourcesChanges.previousRunId, full.id);
+  assert.deepEqual(resourcesChanges.compared, ['resources']);
+  assert.deepEqual(resourcesChanges.projects, { added: 0, removed: 0, changed: 0 });
+  assert.deepEqual(resourcesChanges.resources, { added: 0, removed: 1, statusChanged: 0, changed: 0 });
+});
+
+test('gives up on channels that do not answer and reports them with a warning', async (t) => {
+  const server = await startServer(() => {});
+  const smtp = await startSmtpServer({ silent: true });
+  t.after(() => Promise.all([server.close(), smtp.close()]));
+  process.env.COOLIFY_SCRAPER_NOTIFY_ON = 'always';
+  process.env.COOLIFY_SCRAPER_NOTIFY_TIMEOUT_MS = '200';
+  process.env.COOLIFY_SCRAPER_NOTIFY_WEBHOOK = server.url;
+  process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_HOST = '127.0.0.1';
+  process.env.COOLIFY_SCRAPER_NOTIFY_SMTP_PORT = String(smtp.port);
+  process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_FROM = 'scraper@example.com';
+  process.env.COOLIFY_SCRAPER_NOTIFY_EMAIL_TO = 'ops@example.com';
+
+  const warnings = [];
+  t.mock.method(console, 'warn', message => warnings.push(message));
+  const result = await notifyRun(BASE_DIR, await finishedRun());
+
+  assert.deepEqual(result, { sent: [], failed: ['webhook', 'email'], skipped: null });
+  assert.deepEqual(warnings, [
+    '⚠ Notification to webhook timed out: no answer within 0.2s',
+    '⚠ Notification to email timed out: SMTP server did not answer within 0.2s'
+  ]);
+});
@@ -0,0 +1,89 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendJson } = require('./support/server');
+const { HEALTHCHECK_FIELDS, WEBHOOK_SECRET_FIELDS, OPERATION_TABS, scrapeOperationTabs, fieldsFromApi } = require('../helpers/operations');
+const { createApiClient, scrapeApplicationConfigViaApi } = require('../helpers/api');
+
+const TOKEN = 'test-token';
+
+const routes = {
+  '/api/v1/applications/a1': {
+    uuid: 'a1',
+    name: 'web',
+    settings: {},
+    health_check_enabled: true,
+    health_check_path: '/health',
+    health_check_port: 3000,
+    health_check_interval: 30,
+    limits_memory: '512m',
+    limits_cpus: '1.5',
+    manual_webhook_secret_github: 'gh-secret'
+  },
+  '/api/v1/applications/a1/scheduled-tasks': [
+    { uuid: 't1', name: 'cleanup', command: 'php artisan cleanup', frequency: '0 * * * *', container: null, timeout: 300, enabled: true }
+  ]
+};
+
+let server;
+
+after(() => server && server.close());
+
+test('picks API attributes of the form fields, numbers as strings', () => {
+  assert.deepEqual(fieldsFromApi({ manual_webhook_secret_gitlab: 'gl', manual_webhook_secret_github: null }, WEBHOOK_SECRET_FIELDS), {
+    github: null,
+    gitlab: 'gl',
+    bitbucket: null,
+    gitea: null
+  });
+  assert.equal(fieldsFromApi({ health_check_port: 8080 }, HEALTHCHECK_FIELDS).port, '8080');
+  assert.equal(fieldsFromApi({ name: 'web' }, HEALTHCHECK_FIELDS), null);
+});
+
+test('keeps the other tabs when one tab is missing or fails', async (t) => {
+  t.mock.method(OPERATION_TABS.healthcheck, 'scrape', async () => ({ enabled: true }));
+  t.mock.method(OPERATION_TABS.resourceLimits, 'scrape', async () => null);
+  t.mock.method(OPERATION_TABS.webhooks, 'scrape', async () => { throw new Error('Timeout 5000ms exceeded'); });
+  t.mock.method(OPERATION_TABS.scheduledTasks, 'scrape', async () => []);
+  const configData = {};
+
+  await scrapeOperationTabs({}, configData, Object.keys(OPERATION_TABS));
+
+  assert.deepEqual(configData, {
+    healthcheck: { enabled: true },
+    resourceLimits: null,
+    resourceLimitsNote: 'Resource Limits menu not found',
+    webhooks: null,
+    webhooksError: 'Timeout 5000ms exceeded',
+    scheduledTasks: []
+  });
+});
+
+test('reads health checks, limits, webhooks and scheduled tasks through the API', async () => {
+  server = await startServer((request, response) => {
+    const route = routes[new URL(request.url, 'http://localhost').pathname];
+    sendJson(response, route ? 200 : 404, route || { message: 'Not found' });
+  });
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const config = await scrapeApplicationConfigViaApi(client, { url: '/project/p1/environment/e1/application/a1' });
+
+  assert.equal(config.healthcheck.enabled, true);
+  assert.equal(config.healthcheck.path, '/health');
+  assert.equal(config.healthcheck.port, '3000');
+  assert.equal(config.healthcheck.interval, '30');
+  assert.equal(config.healthcheck.method, null);
+  assert.deepEqual([config.resourceLimits.memory, config.resourceLimits.cpus], ['512m', '1.5']);
+  assert.deepEqual(config.webhooks, {
+    deployUrl: `${server.url}/api/v1/deploy?uuid=a1&force=false`,
+    secrets: { github: 'gh-secret', gitlab: null, bitbucket: null, gitea: null }
+  });
+  assert.deepEqual(config.scheduledTasks, [{
+    name: 'cleanup',
+    command: 'php artisan cleanup',
+    frequency: '0 * * * *',
+    container: null,
+    timeout: '300',
+    enabled: true,
+    uuid: 't1'
+  }]);
+});
@@ -0,0 +1,63 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getPoolSettings, createRateLimiter, runPool } = require('../helpers/pool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const clearPoolEnv = () => {
+  delete process.env.COOLIFY_SCRAPER_CONCURRENCY;
+  delete process.env.COOLIFY_SCRAPER_RATE_LIMIT_MS;
+};
+
+beforeEach(clearPoolEnv);
+afterEach(clearPoolEnv);
+
+test('keeps the order of the items and respects the concurrency limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const lanes = new Set();
+
+  const results = await runPool([40, 5, 25, 1, 10, 3], async (delay, index, lane) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    lanes.add(lane);
+    await sleep(delay);
+    running--;
+    if (index === 3) throw new Error('boom');
+    return `item ${index}`;
+  }, { concurrency: 2 });
+
+  assert.equal(maxRunning, 2);
+  assert.deepEqual([...lanes].sort(), [0, 1]);
+  assert.deepEqual(results.map(result => result.value || result.error.message), [
+    'item 0', 'item 1', 'item 2', 'boom', 'item 4', 'item 5'
+  ]);
+});
+
+test('never opens more lanes than there are items', async () => {
+  const lanes = new Set();
+  await runPool(['a', 'b'], async (item, index, lane) => lanes.add(lane), { concurrency: 8 });
+  assert.deepEqual([...lanes].sort(), [0, 1]);
+  assert.deepEqual(await runPool([], async () => 'never', { concurrency: 4 }), []);
+});
+
+test('spaces out the start of each task across lanes', async () => {
+  const starts = [];
+  const limiter = createRateLimiter(30);
+
+  await runPool([1, 2, 3, 4], async () => starts.push(Date.now()), { concurrency: 4, limiter });
+
+  // Timers may fire a millisecond early
+  starts.slice(1).forEach((start, index) => assert.ok(start - starts[index] >= 29, `${start - starts[index]}ms between starts`));
+});
+
+test('reads the pool settings from the environment', () => {
+  assert.deepEqual(getPoolSettings(), { concurrency: 4, rateLimitMs: 250 });
+
+  process.env.COOLIFY_SCRAPER_CONCURRENCY = '0';
+  process.env.COOLIFY_SCRAPER_RATE_LIMIT_MS = ' 0 ';
+  assert.deepEqual(getPoolSettings(), { concurrency: 1, rateLimitMs: 0 });
+
+  process.env.COOLIFY_SCRAPER_CONCURRENCY = '2.5';
+  assert.throws(() => getPoolSettings(), { message: 'COOLIFY_SCRAPER_CONCURRENCY must be a non-negative integer, got "2.5"' });
+});
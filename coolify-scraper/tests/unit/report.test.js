@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeReport } = require('../helpers/report');
+
+const STARTED = Date.parse('2026-01-05T10:00:00.000Z');
+const APP_URL = '/project/p1/environment/e1/application/abc';
+
+test('copies only the linked screenshots, never those of the environment variables', (t) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-report-'));
+  t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  const screenshotsDir = path.join(tmpDir, 'screenshots');
+  const outDir = path.join(tmpDir, 'report');
+  fs.mkdirSync(screenshotsDir);
+
+  const files = [
+    `01-login-success-${STARTED + 1000}.png`,
+    `03-resources-shop_production-${STARTED + 2000}.png`,
+    `04-app-config-web-${STARTED + 3000}.png`,
+    `env-vars-textarea-${STARTED + 3500}.png`,
+    `service-env-vars-textarea-${STARTED + 4000}.png`,
+    `error-${STARTED + 5000}.png`,
+    // Taken before the run
+    `01-login-success-${STARTED - 1000}.png`
+  ];
+  files.forEach(file => fs.writeFileSync(path.join(screenshotsDir, file), 'png'));
+
+  const snapshot = {
+    source: 'run-1',
+    manifest: { startedAt: new Date(STARTED).toISOString(), finishedAt: new Date(STARTED + 10000).toISOString(), status: 'completed' },
+    resources: {
+      projects: [{
+        projectName: 'Shop',
+        environments: [{ environmentName: 'production', applications: [{ name: 'web', url: APP_URL, status: 'running' }] }]
+      }]
+    },
+    applications: {
+      applications: [{ applicationName: 'web', applicationUrl: APP_URL, environmentVariables: 'DB_PASSWORD=secret' }]
+    }
+  };
+
+  const result = writeReport(snapshot, outDir, screenshotsDir);
+
+  assert.deepEqual(fs.readdirSync(path.join(outDir, 'screenshots')).sort(), [
+    `01-login-success-${STARTED + 1000}.png`,
+    `03-resources-shop_production-${STARTED + 2000}.png`,
+    `04-app-config-web-${STARTED + 3000}.png`
+  ]);
+  assert.equal(result.screenshots, 3);
+
+  const [page] = fs.readdirSync(path.join(outDir, 'resources'));
+  const html = fs.readFileSync(path.join(outDir, 'resources', page), 'utf8');
+  assert.match(html, /04-app-config-web-\d{13}\.png/);
+  assert.doesNotMatch(html, /env-vars-textarea|secret/);
+});
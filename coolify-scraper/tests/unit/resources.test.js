@@ -0,0 +1,123 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendJson } = require('./support/server');
+const { environmentNameFromUrl, toEnvironmentEntry, listResources } = require('../helpers/resources');
+const { createApiClient, scrapeResourcesViaApi } = require('../helpers/api');
+const { migrateArtifact } = require('../helpers/migrations');
+const { validateArtifact } = require('../helpers/validate');
+
+const TOKEN = 'test-token';
+
+const routes = {
+  '/api/v1/projects/p1': {
+    name: 'Shop',
+    environments: [{ name: 'production', uuid: 'e1' }, { name: 'staging', uuid: 'e2' }, { name: 'broken', uuid: 'e3' }]
+  },
+  '/api/v1/projects/p1/production': {
+    applications: [{ uuid: 'a1', name: 'web', fqdn: 'https://shop.example.com', status: 'running:healthy', tags: [{ name: 'frontend' }] }],
+    postgresqls: [{ uuid: 'd1', name: 'db', status: 'exited:unhealthy' }],
+    redis: [{ uuid: 'd2', name: 'cache', status: 'restarting' }],
+    services: []
+  },
+  '/api/v1/projects/p1/staging': { applications: [{ uuid: 'a2', name: 'web' }] }
+};
+
+let server;
+
+after(() => server && server.close());
+
+test('reads environment names only from URLs of older Coolify versions', () => {
+  assert.equal(environmentNameFromUrl('/project/p1/production/application/a1'), 'production');
+  assert.equal(environmentNameFromUrl('https://coolify.example.com/project/p1/pre%20prod'), 'pre prod');
+  assert.equal(environmentNameFromUrl('/project/p1/environment/e1/application/a1'), null);
+  assert.equal(environmentNameFromUrl('/project/p1/edit'), null);
+  assert.equal(environmentNameFromUrl('/servers'), null);
+});
+
+test('tags the resources of an environment and lists them in file order', () => {
+  const production = toEnvironmentEntry('production', '/project/p1/environment/e1', {
+    applications: [{ name: 'web', url: '/a1' }],
+    services: [{ name: 'ghost', url: '/s1' }]
+  });
+  assert.deepEqual(production, {
+    environmentName: 'production',
+    environmentUrl: '/project/p1/environment/e1',
+    applications: [{ name: 'web', url: '/a1', environmentName: 'production' }],
+    databases: [],
+    services: [{ name: 'ghost', url: '/s1', environmentName: 'production' }]
+  });
+
+  const staging = toEnvironmentEntry('staging', '/project/p1/environment/e2', { databases: [{ name: 'db', url: '/d1' }] });
+  const entries = listResources({ projects: [{ projectName: 'Shop', environments: [production, staging] }, { projectName: 'Failed' }] });
+  assert.deepEqual(entries.map(entry => [entry.project.projectName, entry.environment.environmentName, entry.collection, entry.resource.name]), [
+    ['Shop', 'production', 'applications', 'web'],
+    ['Shop', 'production', 'services', 'ghost'],
+    ['Shop', 'staging', 'databases', 'db']
+  ]);
+  assert.deepEqual(listResources(null), []);
+});
+
+test('scrapes every environment through the API and keeps the others when one fails', async () => {
+  server = await startServer((request, response) => {
+    const route = routes[new URL(request.url, 'http://localhost').pathname];
+    sendJson(response, route ? 200 : 404, route || { message: 'Not found' });
+  });
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const data = await scrapeResourcesViaApi(client, { uuid: 'p1', url: '/project/p1' });
+
+  assert.deepEqual(data.environments.map(environment => [environment.environmentName, environment.environmentUrl, !!environment.error]), [
+    ['production', '/project/p1/environment/e1', false],
+    ['staging', '/project/p1/environment/e2', false],
+    ['broken', '/project/p1/environment/e3', true]
+  ]);
+  const [production] = data.environments;
+  assert.deepEqual(production.applications, [{
+    name: 'web',
+    url: '/project/p1/environment/e1/application/a1',
+    uuid: 'a1',
+    description: '',
+    fqdn: 'https://shop.example.com',
+    status: 'running',
+    tags: ['frontend'],
+    category: 'Applications',
+    environmentName: 'production'
+  }]);
+  assert.deepEqual(production.databases.map(database => [database.name, database.status]), [['db', 'exited'], ['cache', 'warning']]);
+
+  const resourcesFile = {
+    title: 'Coolify Resources',
+    timestamp: new Date().toISOString(),
+    totalProjects: 1,
+    projects: [{ projectName: 'Shop', projectUrl: '/project/p1', teamName: 'Root Team', teamId: null, environments: data.environments }]
+  };
+  assert.deepEqual(validateArtifact('resources', resourcesFile, 2), []);
+});
+
+test('migrates v1 resources files into one environment that passes the v2 schema', () => {
+  const resource = (name, url) => ({ name, url, category: 'Applications', status: 'running' });
+  const v1 = {
+    title: 'Coolify Resources',
+    timestamp: '2025-06-01T00:00:00.000Z',
+    totalProjects: 3,
+    projects: [
+      { projectName: 'Old', projectUrl: '/project/p1', applications: [resource('web', '/project/p1/production/application/a1')], databases: [], services: [] },
+      { projectName: 'New', projectUrl: '/project/p2', applications: [resource('api', '/project/p2/environment/e2/application/a2')], databases: [], services: [] },
+      { projectName: 'Failed', projectUrl: '/project/p3', error: 'Timeout', applications: [], databases: [], services: [] }
+    ]
+  };
+  assert.deepEqual(validateArtifact('resources', v1, 1), []);
+
+  const v2 = migrateArtifact('resources', v1, 1, 2);
+
+  assert.deepEqual(validateArtifact('resources', v2, 2), []);
+  assert.deepEqual(v2.projects.map(project => project.environments.map(environment => [environment.environmentName, environment.environmentUrl])), [
+    [['production', '/project/p1/production']],
+    [[null, '/project/p2/environment/e2']],
+    []
+  ]);
+  assert.equal(v2.projects[0].environments[0].applications[0].environmentName, 'production');
+  assert.equal(v2.projects[0].applications, undefined);
+  assert.deepEqual(migrateArtifact('resources', v2, 2, 2), v2);
+  assert.throws(() => migrateArtifact('resources', v2, 3, 2), /Schema version 3 is newer than the supported version 2/);
+});
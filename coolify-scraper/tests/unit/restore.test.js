@@ -0,0 +1,158 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { chromium } = require('@playwright/test');
+const { startServer } = require('./support/server');
+const { scrapeExistingState, buildRestorePlan, executeRestorePlan } = require('../helpers/restore');
+
+/**
+ * Target instance of the stub app: "production-eu" is listed before "production", so a substring
+ * match of the environment name picks the wrong one
+ */
+const environments = [
+  { uuid: 'e-eu', name: 'production-eu', services: [{ uuid: 's-eu', name: 'eu-only' }] },
+  { uuid: 'e-prod', name: 'production', services: [{ uuid: 's1', name: 'existing-svc' }] }
+];
+
+const COMPOSE = ['services:', '  web:', '    image: nginx:1.27'];
+
+const page = body => `<!DOCTYPE html><html><head><title>Coolify</title></head><body>${body}</body></html>`;
+const box = (href, title) => `<a href="${href}"><div class="coolbox group"><div class="box-title">${title}</div></div></a>`;
+
+/**
+ * Serves the pages of a Coolify instance with one team and one project, enough for the restore helpers.
+ * Forms post back instead of using Livewire.
+ */
+function handleStubApp(request, response, body) {
+  const send = (html) => {
+    response.writeHead(200, { 'Content-Type': 'text/html' });
+    response.end(page(html));
+  };
+  const redirect = (location) => {
+    response.writeHead(302, { Location: location });
+    response.end();
+  };
+
+  const url = new URL(request.url, 'http://localhost');
+  const environmentMatch = url.pathname.match(/^\/project\/p1\/environment\/([^/]+)(\/.*)?$/);
+  const environment = environmentMatch && environments.find(entry => entry.uuid === environmentMatch[1]);
+  const rest = environmentMatch ? environmentMatch[2] || '' : null;
+
+  if (url.pathname === '/team') {
+    send('<input wire:model="name" value="Root Team">');
+  } else if (url.pathname === '/') {
+    send('<div class="coolbox group"><a href="/project/p1"><div class="box-title">Shop</div></a></div>');
+  } else if (url.pathname === '/project/p1') {
+    send(environments.map(entry => box(`/project/p1/environment/${entry.uuid}`, entry.name)).join(''));
+  } else if (environment && rest === '') {
+    const services = environment.services.map(service => box(`${url.pathname}/service/${service.uuid}`, service.name));
+    send(`<h2>Services</h2><div class="grid">${services.join('')}</div>`);
+  } else if (environment && rest === '/new') {
+    send(`<a href="${url.pathname}/compose">Docker Compose Empty</a>`);
+  } else if (environment && rest === '/new/compose' && request.method === 'GET') {
+    send('<form method="post"><textarea wire:model="dockerComposeRaw" name="compose"></textarea><button type="submit">Save</button></form>');
+  } else if (environment && rest === '/new/compose') {
+    const service = { uuid: `s${Date.now()}`, name: 'service-from-compose', compose: new URLSearchParams(body).get('compose') };
+    environment.services.push(service);
+    redirect(`/project/p1/environment/${environment.uuid}/service/${service.uuid}`);
+  } else if (environment && rest.startsWith('/service/')) {
+    const service = environment.services.find(entry => entry.uuid === rest.split('/')[2]);
+    if (request.method === 'POST') {
+      service.name = new URLSearchParams(body).get('name');
+      redirect(url.pathname);
+    } else {
+      send(`<form method="post"><input wire:model="name" name="name" value="${service.name}"><button type="submit">Save</button></form>`);
+    }
+  } else {
+    response.writeHead(404);
+    response.end();
+  }
+}
+
+/**
+ * Builds a snapshot of the "Shop" project with services in the given environments
+ * @param {Object} servicesByEnvironment - Environment name to service names
+ * @returns {Object} Snapshot in the shape of loadSnapshot
+ */
+function buildSnapshot(servicesByEnvironment) {
+  const services = [];
+  const project = {
+    projectName: 'Shop',
+    environments: Object.entries(servicesByEnvironment).map(([environmentName, names]) => ({
+      environmentName,
+      environmentUrl: `/project/old/environment/${environmentName}`,
+      applications: [],
+      databases: [],
+      services: names.map(name => {
+        const url = `/project/old/environment/${environmentName}/service/old-${name}`;
+        services.push({ serviceUrl: url, dockerCompose: COMPOSE, environmentVariables: null });
+        return { name, url, environmentName };
+      })
+    }))
+  };
+  return { source: 'stub', resources: { projects: [project] }, services: { services } };
+}
+
+let server;
+let browser = null;
+let browserError = null;
+
+before(async () => {
+  server = await startServer(handleStubApp);
+  try {
+    browser = await chromium.launch();
+  } catch (error) {
+    browserError = error.message.split('\n')[0];
+  }
+});
+
+after(async () => {
+  if (browser) await browser.close();
+  await server.close();
+});
+
+/**
+ * Opens a page on the stub app, skips the test without a browser
+ * @param {Object} t - Test context
+ * @returns {Promise<import('@playwright/test').Page|null>} Page
+ */
+async function openStubPage(t) {
+  if (!browser) {
+    t.skip(`Chromium is not available (${browserError}), install it with npx playwright install chromium`);
+    return null;
+  }
+  return browser.newPage({ baseURL: server.url });
+}
+
+test('plans a dry run without changing the target', async (t) => {
+  const stubPage = await openStubPage(t);
+  if (!stubPage) return;
+
+  const existing = await scrapeExistingState(stubPage);
+  const snapshot = buildSnapshot({ production: ['existing-svc', 'new-svc'], staging: ['staging-svc'] });
+  snapshot.resources.projects.push({ projectName: 'Blog', environments: [] });
+  const plan = buildRestorePlan(snapshot, existing);
+
+  assert.deepEqual(
+    plan.steps.map(step => `${step.action} ${step.type} ${step.name}`),
+    ['skip project Shop', 'skip service existing-svc', 'create service new-svc', 'manual service staging-svc', 'create project Blog']
+  );
+  assert.deepEqual(plan.summary, { create: 2, skip: 2, manual: 1 });
+  assert.ok(server.requests.every(entry => entry.method === 'GET'));
+  await stubPage.close();
+});
+
+test('skips existing resources and creates new ones in the exact environment', async (t) => {
+  const stubPage = await openStubPage(t);
+  if (!stubPage) return;
+
+  const existing = await scrapeExistingState(stubPage);
+  const plan = buildRestorePlan(buildSnapshot({ production: ['existing-svc', 'new-svc'] }), existing);
+  const results = await executeRestorePlan(stubPage, plan, existing);
+
+  assert.deepEqual(results.map(result => `${result.status} ${result.name}`), ['skipped Shop', 'skipped existing-svc', 'created new-svc']);
+  const [eu, production] = environments;
+  assert.deepEqual(eu.services.map(service => service.name), ['eu-only']);
+  assert.deepEqual(production.services.map(service => service.name), ['existing-svc', 'new-svc']);
+  assert.equal(production.services[1].compose, COMPOSE.join('\n'));
+  await stubPage.close();
+});
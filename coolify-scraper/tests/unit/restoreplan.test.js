@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { projectKey, buildRestorePlan } = require('../helpers/restoreplan');
+
+const TEAMS = [
+  { teamId: 0, teamName: 'Root Team', current: true },
+  { teamId: 1, teamName: 'Agency', current: false }
+];
+
+/**
+ * Builds a target state in the shape of scrapeExistingState
+ * @param {Array<Object>} projects - Projects with teamName, name, environments and resources
+ * @returns {Object} Teams and projects by projectKey
+ */
+function targetState(projects) {
+  return {
+    teams: TEAMS,
+    projects: new Map(projects.map(project => [projectKey(project.teamName, project.name), {
+      teamName: project.teamName,
+      url: `/project/${project.name.toLowerCase()}`,
+      environments: new Set(project.environments || ['production']),
+      resources: new Set(project.resources || [])
+    }]))
+  };
+}
+
+/**
+ * Builds a snapshot project with services in the production environment
+ * @param {string|undefined} teamName - Team of the project
+ * @param {string} projectName - Project title
+ * @param {Array<string>} names - Service names
+ * @returns {Object} Project and the service configs
+ */
+function snapshotProject(teamName, projectName, names) {
+  const services = names.map(name => ({
+    name,
+    url: `/project/${projectName}/environment/production/service/${name}`,
+    environmentName: 'production'
+  }));
+  return {
+    project: { teamName, projectName, environments: [{ environmentName: 'production', applications: [], databases: [], services }] },
+    configs: services.map(service => ({ serviceUrl: service.url, dockerCompose: ['services:'], environmentVariables: null }))
+  };
+}
+
+/**
+ * Builds a snapshot from snapshot projects
+ * @param {Array<Object>} entries - Results of snapshotProject
+ * @returns {Object} Snapshot in the shape of loadSnapshot
+ */
+function snapshotOf(entries) {
+  return {
+    source: 'run-1',
+    resources: { projects: entries.map(entry => entry.project) },
+    services: { services: entries.flatMap(entry => entry.configs) }
+  };
+}
+
+const describeSteps = plan => plan.steps.map(step => `${step.action} ${step.type} ${step.team}/${step.name}`);
+
+test('matches existing projects by team and title', () => {
+  const existing = targetState([{ teamName: 'Root Team', name: 'Shop', resources: ['services/production/web'] }]);
+  const snapshot = snapshotOf([
+    snapshotProject('Root Team', 'Shop', ['web', 'worker']),
+    snapshotProject('Agency', 'Shop', ['web'])
+  ]);
+
+  const plan = buildRestorePlan(snapshot, existing);
+
+  assert.deepEqual(describeSteps(plan), [
+    'skip project Root Team/Shop',
+    'skip service Root Team/web',
+    'create service Root Team/worker',
+    'create project Agency/Shop',
+    'create service Agency/web'
+  ]);
+  assert.deepEqual(plan.summary, { create: 3, skip: 2, manual: 0 });
+});
+
+test('lists projects of teams missing on the target as manual', () => {
+  const plan = buildRestorePlan(snapshotOf([snapshotProject('Clients', 'Shop', ['web'])]), targetState([]));
+
+  assert.deepEqual(describeSteps(plan), ['manual project Clients/Shop', 'manual service Clients/web']);
+  assert.equal(plan.steps[1].reason, 'team "Clients" does not exist on the target, create it first');
+});
+
+test('restores projects of snapshots without team names into the current team', () => {
+  const existing = targetState([{ teamName: 'Agency', name: 'Shop' }]);
+  const plan = buildRestorePlan(snapshotOf([snapshotProject(undefined, 'Shop', [])]), existing);
+
+  assert.deepEqual(describeSteps(plan), ['create project Root Team/Shop']);
+});
+
+test('lists resources that cannot be created as manual', () => {
+  const existing = targetState([{ teamName: 'Root Team', name: 'Shop' }]);
+  const app = (name, url, environmentName = 'production') => ({ name, url, environmentName });
+  const snapshot = {
+    source: 'run-1',
+    resources: {
+      projects: [{
+        teamName: 'Root Team',
+        projectName: 'Shop',
+        environments: [
+          {
+            environmentName: 'production',
+            applications: [app('image', '/a/image'), app('git', '/a/git'), app('missing', '/a/missing')],
+            databases: [{ name: 'db', url: '/d/db', environmentName: 'production' }],
+            services: []
+          },
+          {
+            environmentName: 'staging',
+            applications: [app('staged', '/a/staged', 'staging')],
+            databases: [],
+            services: []
+          }
+        ]
+      }]
+    },
+    applications: {
+      applications: [
+        { applicationUrl: '/a/image', docker: { registryImageName: 'nginx' }, environmentVariables: 'TOKEN=sha256:0123456789abcdef' },
+        { applicationUrl: '/a/git', general: { buildPack: 'nixpacks' }, docker: {} },
+        { applicationUrl: '/a/staged', docker: { registryImageName: 'nginx' } }
+      ]
+    },
+    databases: { databases: [{ databaseUrl: '/d/db', engine: null }] }
+  };
+
+  const plan = buildRestorePlan(snapshot, existing);
+
+  assert.deepEqual(plan.steps.map(step => [step.action, step.name, step.reason]), [
+    ['skip', 'Shop', 'project already exists'],
+    ['create', 'image', null],
+    ['manual', 'git', 'build pack "nixpacks" needs its git source, only Docker image applications are restored'],
+    ['manual', 'missing', 'no scraped application config in snapshot'],
+    ['manual', 'staged', 'environment "staging" does not exist on the target, create it first'],
+    ['manual', 'db', 'database engine could not be detected']
+  ]);
+  assert.deepEqual(plan.steps[1].warnings, ['environment variables are redacted or encrypted and will not be restored']);
+});
@@ -0,0 +1,94 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  SCHEMA_VERSION, createRun, saveRunArtifact, recordRunError, finishRun, openRun, verifyRun, loadRunArtifact
+} = require('../helpers/run');
+
+const BASE_DIR = path.join(__dirname, '..');
+const PROJECTS = { timestamp: '2026-01-01T00:00:00.000Z', projects: [{ title: 'Shop', url: '/project/p1' }] };
+
+/**
+ * Creates a run, run IDs are timestamps so two runs must not start in the same millisecond
+ * @param {Object} [options] - Options of createRun
+ * @returns {Promise<Object>} Run
+ */
+async function newRun(options) {
+  await new Promise(resolve => setTimeout(resolve, 5));
+  return createRun(BASE_DIR, options);
+}
+
+let outputDir;
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-run-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+});
+
+afterEach(() => {
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('records artifacts, errors and counts in the manifest', async () => {
+  const run = await newRun({ coolifyUrl: 'https://coolify.example.com', backend: 'api', stages: ['projects'] });
+  assert.equal(run.dir, path.join(outputDir, 'runs', run.id));
+
+  saveRunArtifact(run, 'projects', PROJECTS);
+  saveRunArtifact(run, 'projects', PROJECTS);
+  recordRunError(run, { scope: 'project', name: 'Shop', url: '/project/p1', message: 'Timeout' });
+  finishRun(run, { projects: 1 });
+
+  const { manifest } = openRun(BASE_DIR, run.id);
+  assert.equal(manifest.schemaVersion, SCHEMA_VERSION);
+  assert.equal(manifest.runId, run.id);
+  assert.deepEqual([manifest.coolifyUrl, manifest.backend, manifest.stages], ['https://coolify.example.com', 'api', ['projects']]);
+  assert.equal(manifest.status, 'completed');
+  assert.ok(manifest.finishedAt >= manifest.startedAt);
+  assert.deepEqual(manifest.counts, { projects: 1 });
+  assert.deepEqual(manifest.errors.map(({ timestamp, ...error }) => error), [
+    { scope: 'project', name: 'Shop', url: '/project/p1', message: 'Timeout' }
+  ]);
+  assert.equal(manifest.artifacts.length, 1);
+  assert.equal(manifest.artifacts[0].file, 'projects.json');
+  assert.match(manifest.artifacts[0].sha256, /^[0-9a-f]{64}$/);
+  assert.equal(manifest.artifacts[0].bytes, fs.statSync(path.join(run.dir, 'projects.json')).size);
+
+  assert.throws(() => saveRunArtifact(run, 'screenshots', {}), { message: 'Unknown run artifact kind "screenshots"' });
+});
+
+test('opens the latest run by start time, not by file modification time', async () => {
+  const older = await newRun();
+  const newer = await newRun();
+  // Touching the older run, as a copy or an S3 download would, must not make it the latest
+  const future = new Date(Date.now() + 60000);
+  fs.utimesSync(path.join(older.dir, 'manifest.json'), future, future);
+  fs.utimesSync(older.dir, future, future);
+
+  assert.equal(openRun(BASE_DIR, 'latest').id, newer.id);
+  assert.equal(openRun(BASE_DIR, older.dir).id, older.id);
+  assert.throws(() => openRun(BASE_DIR, 'missing'), /Scrape run "missing" not found/);
+});
+
+test('detects missing and modified artifacts', async () => {
+  const run = await newRun();
+  saveRunArtifact(run, 'projects', PROJECTS);
+  saveRunArtifact(run, 'servers', { servers: [] });
+  finishRun(run, {});
+
+  assert.deepEqual(verifyRun(openRun(BASE_DIR, run.id)), []);
+  assert.deepEqual(loadRunArtifact(openRun(BASE_DIR, run.id), 'projects'), PROJECTS);
+  assert.equal(loadRunArtifact(openRun(BASE_DIR, run.id), 'teams'), null);
+
+  fs.writeFileSync(path.join(run.dir, 'projects.json'), JSON.stringify({ projects: [] }));
+  fs.rmSync(path.join(run.dir, 'servers.json'));
+
+  const reopened = openRun(BASE_DIR, run.id);
+  assert.deepEqual(verifyRun(reopened), [
+    { file: 'projects.json', problem: 'checksum mismatch' },
+    { file: 'servers.json', problem: 'missing' }
+  ]);
+  assert.throws(() => loadRunArtifact(reopened, 'projects'), { message: `Checksum mismatch for projects.json in run ${run.id}` });
+});
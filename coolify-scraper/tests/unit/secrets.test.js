@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { protectSecrets, decryptSecrets } = require('../helpers/secrets');
+
+const data = {
+  databases: [{
+    credentials: { password: 'hunter2' },
+    customConfig: 'requirepass hunter2',
+    initScripts: [{ filename: 'init.sql', content: "CREATE USER app PASSWORD 'hunter2';" }]
+  }],
+  services: [{
+    dockerCompose: [
+      'services:',
+      '  app:',
+      '    image: ghost:5',
+      '    environment:',
+      '      DB_PASSWORD: hunter2',
+      '      DB_USER: ${SERVICE_USER_DB}',
+      '      ADMIN_TOKEN: ${SERVICE_PASSWORD_ADMIN}',
+      '      DATABASE_URL: "postgres://app:hunter2@db:5432/app"',
+      '  worker:',
+      '    environment:',
+      '      - API_KEY=hunter2',
+      '      - MODE=worker'
+    ]
+  }]
+};
+
+test('redacts database config files, init scripts and inline compose credentials', () => {
+  const redacted = protectSecrets(data, { mode: 'redacted', hashKey: null });
+  const [database] = redacted.databases;
+  const compose = redacted.services[0].dockerCompose;
+
+  assert.match(database.customConfig, /^sha256:/);
+  assert.equal(database.initScripts[0].filename, 'init.sql');
+  assert.match(database.initScripts[0].content, /^sha256:/);
+  assert.match(compose[4], /^ {6}DB_PASSWORD: sha256:[0-9a-f]{16}$/);
+  assert.match(compose[7], /^ {6}DATABASE_URL: "sha256:[0-9a-f]{16}"$/);
+  assert.match(compose[10], /^ {6}- API_KEY=sha256:[0-9a-f]{16}$/);
+  assert.ok(!JSON.stringify(redacted).includes('hunter2'));
+});
+
+test('keeps compose lines without inline credentials', () => {
+  const compose = protectSecrets(data, { mode: 'redacted', hashKey: null }).services[0].dockerCompose;
+
+  [0, 1, 2, 3, 5, 6, 8, 9, 11].forEach(index => assert.equal(compose[index], data.services[0].dockerCompose[index]));
+});
+
+test('decrypts every encrypted field back to the original', () => {
+  const encrypted = protectSecrets(data, { mode: 'encrypted', passphrase: 'correct horse', publicKeys: [] });
+
+  assert.ok(!JSON.stringify(encrypted).includes('hunter2'));
+  const { databases, services } = decryptSecrets(encrypted, { passphrase: 'correct horse', privateKey: null });
+  assert.deepEqual({ databases, services }, data);
+});
@@ -0,0 +1,87 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, sendJson } = require('./support/server');
+const { linkServerResources, findResourceDestination } = require('../helpers/servers');
+const { createApiClient, scrapeServerConfigViaApi } = require('../helpers/api');
+const { validateArtifact } = require('../helpers/validate');
+
+const TOKEN = 'test-token';
+const DESTINATION = { name: 'coolify', network: 'coolify', uuid: 'd1' };
+const RESOURCES = [
+  { name: 'web', type: 'application', url: '/project/p1/environment/e1/application/a1', uuid: 'a1' },
+  { name: 'db', type: 'database', url: '/project/p1/environment/e1/database/db1', uuid: 'db1', destination: null }
+];
+
+const routes = {
+  '/api/v1/servers/s1': {
+    name: 'main',
+    ip: '10.0.0.2',
+    user: 'root',
+    port: 22,
+    private_key_uuid: 'k1',
+    proxy: { type: 'TRAEFIK' }
+  },
+  '/api/v1/servers/s1/resources': [
+    { name: 'web', type: 'application', uuid: 'a1' },
+    { name: 'db', type: 'standalone-postgresql', uuid: 'db1' }
+  ],
+  '/api/v1/servers/s2': { name: 'build', ip: '10.0.0.3', user: 'root', port: 22, proxy: {} }
+};
+
+let server;
+
+after(() => server && server.close());
+
+test('assigns resources to the destination of single destination servers', () => {
+  assert.deepEqual(linkServerResources([DESTINATION], RESOURCES).map(resource => resource.destination), ['d1', null]);
+  assert.deepEqual(
+    linkServerResources([DESTINATION, { ...DESTINATION, uuid: 'd2' }], RESOURCES).map(resource => resource.destination),
+    [null, null]
+  );
+});
+
+test('finds the server and destination of a resource', () => {
+  const serversData = {
+    servers: [
+      { serverName: 'build', destinations: [], resources: [] },
+      { serverName: 'main', destinations: [DESTINATION], resources: linkServerResources([DESTINATION], RESOURCES) }
+    ]
+  };
+
+  const web = findResourceDestination(serversData, 'a1');
+  assert.equal(web.server.serverName, 'main');
+  assert.deepEqual(web.destination, DESTINATION);
+  assert.equal(findResourceDestination(serversData, 'db1').destination, null);
+  assert.equal(findResourceDestination(serversData, 'unknown'), null);
+  assert.equal(findResourceDestination(null, 'a1'), null);
+});
+
+test('scrapes the server inventory through the API in the servers schema', async () => {
+  server = await startServer((request, response) => {
+    const route = routes[new URL(request.url, 'http://localhost').pathname];
+    sendJson(response, route ? 200 : 404, route || { message: 'Not found' });
+  });
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+  const privateKeys = [{ id: 1, uuid: 'k1', name: 'deploy' }];
+
+  const main = await scrapeServerConfigViaApi(client, { name: 'main', url: '/server/s1', uuid: 's1' }, privateKeys);
+  const build = await scrapeServerConfigViaApi(client, { name: 'build', url: '/server/s2', uuid: 's2' }, privateKeys);
+
+  assert.deepEqual(main.general, { name: 'main', description: null, ip: '10.0.0.2', user: 'root', port: '22' });
+  assert.equal(main.privateKeyName, 'deploy');
+  assert.equal(main.proxy.type, 'traefik');
+  assert.deepEqual(main.resources.map(resource => [resource.name, resource.type, resource.destination]), [
+    ['web', 'application', null],
+    ['db', 'database', null]
+  ]);
+  // The resources endpoint is missing on older Coolify versions
+  assert.deepEqual([build.privateKeyName, build.proxy.type, build.resources], [null, null, []]);
+
+  const servers = [main, build].map(config => ({ ...config, serverName: config.title, serverUrl: config.url }));
+  assert.deepEqual(validateArtifact('servers', {
+    title: 'Coolify Servers',
+    timestamp: new Date().toISOString(),
+    totalServers: servers.length,
+    servers
+  }, 2), []);
+});
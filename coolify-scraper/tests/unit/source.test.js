@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sourceFromApi, findOutdatedApplications, scrapeApplicationSource } = require('../helpers/source');
+
+const HEAD = 'a1b2c3d4e5f60718293a4b5c6d7e8f9012345678';
+const DEPLOYED = '0f9e8d7c6b5a49382716a5b4c3d2e1f098765432';
+
+const REPOSITORY = { git_repository: 'example/shop', git_branch: 'main', git_commit_sha: 'HEAD', settings: { is_preview_deployments_enabled: true } };
+
+test('maps the git source types of the API', () => {
+  const keys = [{ id: 3, name: 'deploy' }];
+
+  assert.equal(sourceFromApi({ ...REPOSITORY, source_type: 'App\\Models\\GithubApp', source_id: 0 }, [], keys).type, 'public');
+  const githubApp = sourceFromApi({ ...REPOSITORY, source_type: 'App\\Models\\GithubApp', source_id: 2, source: { name: 'acme-bot' } }, [], keys);
+  assert.deepEqual([githubApp.type, githubApp.gitApp], ['github-app', 'acme-bot']);
+  assert.equal(sourceFromApi({ ...REPOSITORY, source_type: 'App\\Models\\GitlabApp', source_id: 1 }, [], keys).type, 'gitlab-app');
+  const deployKey = sourceFromApi({ ...REPOSITORY, private_key_id: 3 }, [], keys);
+  assert.deepEqual([deployKey.type, deployKey.privateKeyName], ['deploy-key', 'deploy']);
+
+  assert.equal(sourceFromApi({ ...REPOSITORY, build_pack: 'dockerimage' }, [], keys), null);
+  assert.equal(sourceFromApi({ name: 'no-repo' }, [], keys), null);
+});
+
+test('takes the running commit from the newest finished deployment', () => {
+  const source = sourceFromApi(REPOSITORY, [
+    { status: 'failed', commit: HEAD },
+    { status: 'in_progress', commit: 'HEAD' },
+    { status: 'finished', commit: DEPLOYED },
+    { status: 'finished', commit: '1111111111111111111111111111111111111111' }
+  ], []);
+
+  assert.deepEqual(source, {
+    repository: 'example/shop',
+    branch: 'main',
+    commitSha: 'HEAD',
+    type: 'public',
+    deployedCommit: DEPLOYED,
+    headCommit: HEAD,
+    preview: { enabled: true, urlTemplate: null }
+  });
+  assert.deepEqual([sourceFromApi(REPOSITORY, null, []).deployedCommit, sourceFromApi(REPOSITORY, null, []).headCommit], [null, null]);
+});
+
+test('lists applications that do not run the newest commit', () => {
+  const app = (applicationName, source, fields = {}) => ({ projectName: 'Shop', applicationName, source, ...fields });
+  const source = (deployedCommit, headCommit, commitSha = 'HEAD') => ({ repository: 'example/shop', branch: 'main', commitSha, deployedCommit, headCommit });
+
+  const outdated = findOutdatedApplications([
+    app('current', source(DEPLOYED, DEPLOYED)),
+    // Abbreviated SHAs of the UI are the same commit
+    app('abbreviated', source(DEPLOYED.slice(0, 7), DEPLOYED.toUpperCase())),
+    app('behind', source(DEPLOYED, HEAD)),
+    app('pinned', source(DEPLOYED, HEAD, DEPLOYED)),
+    app('never-deployed', source(null, HEAD)),
+    app('image', null),
+    app('failed', source(DEPLOYED, HEAD), { error: 'Timeout' })
+  ]);
+
+  assert.deepEqual(outdated.map(entry => [entry.applicationName, entry.deployedCommit, entry.headCommit, entry.pinned]), [
+    ['behind', DEPLOYED, HEAD, false],
+    ['pinned', DEPLOYED, HEAD, true]
+  ]);
+});
+
+test('skips the source tabs of image based applications', async () => {
+  const configData = { general: { buildPack: 'dockerimage' } };
+  await scrapeApplicationSource(null, configData);
+  assert.deepEqual(configData, { general: { buildPack: 'dockerimage' }, source: null, sourceNote: 'Not a git-based application' });
+});
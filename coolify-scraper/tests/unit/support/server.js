@@ -0,0 +1,45 @@
+const http = require('http');
+
+/**
+ * Starts a local HTTP server for tests, recording every request with its body
+ * @param {Function} handler - (request, response, body) handler
+ * @returns {Promise<Object>} Server with url, requests and close()
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+      handler(request, response, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to encode
+ */
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+module.exports = {
+  startServer,
+  sendJson
+};
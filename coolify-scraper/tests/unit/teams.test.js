@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, sendJson } = require('./support/server');
+const { getTeamFilter, filterTeams, saveTeamsData } = require('../helpers/teams');
+const { createApiClient, scrapeTeamListViaApi, scrapeTeamDetailsViaApi } = require('../helpers/api');
+const { createRun } = require('../helpers/run');
+const { validateArtifact } = require('../helpers/validate');
+
+const TOKEN = 'test-token';
+const TEAMS = [
+  { teamId: 0, teamName: 'Root Team', current: true },
+  { teamId: 4, teamName: 'Agency', current: false },
+  { teamId: 7, teamName: 'Clients', current: false }
+];
+
+const clearEnv = () => {
+  delete process.env.COOLIFY_SCRAPER_TEAMS;
+  delete process.env.COOLIFY_SECRETS_MODE;
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+};
+
+beforeEach(clearEnv);
+afterEach(clearEnv);
+
+test('selects teams by name or ID from COOLIFY_SCRAPER_TEAMS', () => {
+  assert.equal(getTeamFilter(), null);
+
+  process.env.COOLIFY_SCRAPER_TEAMS = ' Agency, 7 ,,';
+  assert.deepEqual(getTeamFilter(), ['Agency', '7']);
+  assert.deepEqual(filterTeams(TEAMS, getTeamFilter()).map(team => team.teamName), ['Agency', 'Clients']);
+  assert.equal(filterTeams(TEAMS, null), TEAMS);
+  assert.throws(() => filterTeams(TEAMS, ['Ops']), {
+    message: 'COOLIFY_SCRAPER_TEAMS matches none of the teams (Root Team, Agency, Clients)'
+  });
+});
+
+test('protects the shared variables of the saved teams', (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-teams-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+  process.env.COOLIFY_SECRETS_MODE = 'redacted';
+
+  const run = createRun(path.join(__dirname, '..'));
+  const filePath = saveTeamsData({
+    title: 'Coolify Teams',
+    timestamp: new Date().toISOString(),
+    teams: [{
+      ...TEAMS[0],
+      members: [{ name: 'Admin', email: 'admin@example.com', role: 'owner' }],
+      environmentVariables: 'SMTP_PASSWORD=hunter2',
+      environment: [{ key: 'SMTP_PASSWORD', value: 'hunter2' }],
+      notifications: null
+    }]
+  }, null, run);
+
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.ok(!JSON.stringify(saved).includes('hunter2'));
+  assert.match(saved.teams[0].environmentVariables, /^SMTP_PASSWORD=sha256:[0-9a-f]{16}$/);
+  assert.equal(saved.teams[0].members[0].email, 'admin@example.com');
+});
+
+test('reads the team of the API token and its members', async (t) => {
+  const server = await startServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    if (pathname === '/api/v1/teams/current') {
+      sendJson(response, 200, { id: 0, name: 'Root Team' });
+    } else if (pathname === '/api/v1/teams/0/members') {
+      sendJson(response, 200, [
+        { name: 'Admin', email: 'admin@example.com', role: 'owner' },
+        { name: 'Dev', email: 'dev@example.com', pivot: { role: 'member' } }
+      ]);
+    } else {
+      sendJson(response, 404, { message: 'Not found' });
+    }
+  });
+  t.after(() => server.close());
+  const client = createApiClient({ baseUrl: server.url, token: TOKEN });
+
+  const teams = await scrapeTeamListViaApi(client);
+  assert.deepEqual(teams, [{ teamId: 0, teamName: 'Root Team', current: true }]);
+
+  const team = await scrapeTeamDetailsViaApi(client, teams[0]);
+  assert.deepEqual(team.members, [
+    { name: 'Admin', email: 'admin@example.com', role: 'owner' },
+    { name: 'Dev', email: 'dev@example.com', role: 'member' }
+  ]);
+  assert.deepEqual([team.environmentVariablesNote, team.notificationsNote], ['Not returned by the API', 'Not returned by the API']);
+
+  const otherTeam = await scrapeTeamDetailsViaApi(client, { teamId: 4, teamName: 'Agency', current: false });
+  assert.deepEqual([otherTeam.members, otherTeam.membersNote], [null, 'Team members endpoint not available']);
+
+  assert.deepEqual(validateArtifact('teams', { title: 'Coolify Teams', timestamp: new Date().toISOString(), teams: [team, otherTeam] }, 2), []);
+});
@@ -0,0 +1,74 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRun, saveRunArtifact, finishRun, openRun } = require('../helpers/run');
+const { validateArtifact, validateRun } = require('../helpers/validate');
+
+const BASE_DIR = path.join(__dirname, '..');
+
+/**
+ * Builds a projects artifact
+ * @param {Array<Object>} projects - Projects
+ * @returns {Object} projects.json contents
+ */
+const projectsFile = projects => ({
+  title: 'Coolify',
+  url: 'https://coolify.example.com/',
+  timestamp: '2026-01-01T00:00:00.000Z',
+  projects
+});
+
+let outputDir;
+
+beforeEach(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'coolify-validate-'));
+  process.env.COOLIFY_SCRAPER_OUTPUT_DIR = outputDir;
+});
+
+afterEach(() => {
+  delete process.env.COOLIFY_SCRAPER_OUTPUT_DIR;
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+test('accepts a run written by the scraper', () => {
+  const run = createRun(BASE_DIR, { coolifyUrl: 'https://coolify.example.com', backend: 'ui', stages: ['projects'] });
+  saveRunArtifact(run, 'projects', projectsFile([{ title: 'Shop', url: '/project/p1', teamName: 'Root Team', teamId: null }]));
+  finishRun(run, { projects: 1 });
+
+  const result = validateRun(openRun(BASE_DIR, run.id));
+
+  assert.equal(result.valid, true);
+  assert.equal(result.schemaVersion, 2);
+  assert.deepEqual(result.results.map(file => [file.file, file.errors]), [['manifest.json', []], ['projects.json', []]]);
+});
+
+test('reports schema violations with their path', () => {
+  assert.deepEqual(validateArtifact('projects', projectsFile([{ title: 'Shop' }]), 2), [
+    { path: '/projects/0', message: "must have required property 'url'" }
+  ]);
+  assert.deepEqual(validateArtifact('projects', { ...projectsFile([]), timestamp: 'yesterday' }, 2), [
+    { path: '/timestamp', message: 'must match format "date-time"' }
+  ]);
+  assert.deepEqual(validateArtifact('screenshots', {}, 2), [{ path: '', message: 'no schema for artifact kind "screenshots"' }]);
+  assert.throws(() => validateArtifact('projects', {}, 99), /No schemas for schema version 99/);
+});
+
+test('reports modified and missing artifacts', () => {
+  const run = createRun(BASE_DIR);
+  saveRunArtifact(run, 'projects', projectsFile([]));
+  saveRunArtifact(run, 'servers', { servers: [] });
+  finishRun(run, {});
+  fs.writeFileSync(path.join(run.dir, 'projects.json'), JSON.stringify(projectsFile([{ title: 'Shop' }])));
+  fs.rmSync(path.join(run.dir, 'servers.json'));
+
+  const result = validateRun(openRun(BASE_DIR, run.id));
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.results.map(file => [file.file, file.errors]), [
+    ['manifest.json', []],
+    ['projects.json', [{ path: '', message: 'checksum mismatch' }, { path: '/projects/0', message: "must have required property 'url'" }]],
+    ['servers.json', [{ path: '', message: 'missing' }]]
+  ]);
+});
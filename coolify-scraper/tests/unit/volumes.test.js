@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { persistentStorageFromApi, buildContainersList, formatContainersList } = require('../helpers/volumes');
+
+const volume = (name, mountPath, fields = {}) => ({ name, mountPath, hostPath: null, service: null, ...fields });
+
+const snapshot = {
+  source: 'run-1',
+  applications: {
+    applications: [{
+      projectName: 'Shop',
+      applicationName: 'Web App',
+      applicationUrl: '/project/p1/environment/e1/application/a1',
+      persistentStorage: {
+        volumes: [volume('a1-uploads', '/app/uploads'), volume(null, '/tmp')],
+        bindMounts: [{ name: 'logs', mountPath: '/var/log', hostPath: '/srv/logs' }],
+        fileMounts: [{ hostPath: '/data/coolify/a1/nginx.conf', mountPath: '/etc/nginx/nginx.conf', isDirectory: false }]
+      }
+    }, {
+      projectName: 'Shop',
+      applicationName: 'Broken',
+      applicationUrl: '/project/p1/environment/e1/application/a2',
+      error: 'Timeout'
+    }]
+  },
+  databases: {
+    databases: [{
+      projectName: 'Shop',
+      databaseName: 'db',
+      databaseUrl: '/project/p1/environment/e1/database/d1',
+      persistentStorage: { volumes: [volume('postgres-data-d1', '/var/lib/postgresql/data')], bindMounts: [], fileMounts: [] }
+    }, {
+      projectName: 'Shop',
+      databaseName: 'cache',
+      databaseUrl: '/project/p1/environment/e1/database/d2',
+      persistentStorage: null
+    }]
+  },
+  services: {
+    services: [{
+      projectName: 'Shop',
+      serviceName: 'ghost',
+      serviceUrl: '/project/p1/environment/e1/service/s1',
+      persistentStorage: {
+        volumes: [volume('s1-content', '/var/lib/ghost/content', { service: 'ghost' }), volume('s1_content', '/var/lib/ghost/content')],
+        bindMounts: [],
+        fileMounts: []
+      }
+    }]
+  }
+};
+
+test('builds CONTAINERS_LIST entries for named volumes with unique backup names', () => {
+  const list = buildContainersList(snapshot);
+
+  assert.deepEqual(list.entries.map(entry => [entry.container, entry.volume, entry.backupName]), [
+    ['a1', 'a1-uploads', 'shop-web-app-app-uploads'],
+    ['d1', 'postgres-data-d1', 'shop-db-var-lib-postgresql-data'],
+    ['ghost-s1', 's1-content', 'shop-ghost-var-lib-ghost-content'],
+    ['s1', 's1_content', 'shop-ghost-var-lib-ghost-content-2']
+  ]);
+  assert.match(list.entries[0].note, /Consistent Container Names/);
+  assert.equal(list.entries[1].note, null);
+  assert.equal(list.entries[3].note, 'sub-service unknown, set the container to <service>-s1');
+});
+
+test('reports mounts the backup script cannot handle and resources without storage', () => {
+  const list = buildContainersList(snapshot);
+
+  assert.deepEqual(list.skipped.map(mount => [mount.resource, mount.type, mount.source]), [
+    ['Shop/Web App', 'volume without a name', null],
+    ['Shop/Web App', 'bind mount', '/srv/logs'],
+    ['Shop/Web App', 'file mount', '/data/coolify/a1/nginx.conf']
+  ]);
+  assert.deepEqual(list.missing, [{ kind: 'database', resource: 'Shop/cache' }]);
+
+  const text = formatContainersList(list, 'run-1');
+  assert.match(text, /^# Generated from Coolify scrape run-1 on /m);
+  assert.match(text, /^# no persistent storage scraped for database Shop\/cache$/m);
+  assert.ok(text.endsWith(
+    'CONTAINERS_LIST="a1:a1-uploads:shop-web-app-app-uploads;d1:postgres-data-d1:shop-db-var-lib-postgresql-data;' +
+    'ghost-s1:s1-content:shop-ghost-var-lib-ghost-content;s1:s1_content:shop-ghost-var-lib-ghost-content-2"\n'
+  ));
+});
+
+test('converts API storages into volumes, bind mounts and file mounts', () => {
+  const storage = persistentStorageFromApi({
+    persistent_storages: [
+      { name: 'a1-uploads', mount_path: '/app/uploads', host_path: null },
+      { name: 'logs', mount_path: '/var/log', host_path: '/srv/logs' }
+    ],
+    file_storages: [{ fs_path: '/data/coolify/a1/nginx.conf', mount_path: '/etc/nginx/nginx.conf', content: 'events {}', is_directory: 0 }]
+  });
+
+  assert.deepEqual(storage, {
+    volumes: [{ name: 'a1-uploads', mountPath: '/app/uploads', hostPath: null, service: null }],
+    bindMounts: [{ name: 'logs', mountPath: '/var/log', hostPath: '/srv/logs', service: null }],
+    fileMounts: [{ hostPath: '/data/coolify/a1/nginx.conf', mountPath: '/etc/nginx/nginx.conf', content: 'events {}', isDirectory: false, service: null }]
+  });
+  // Older Coolify versions return the volumes as a plain list
+  assert.deepEqual(persistentStorageFromApi([{ name: 'data', mount_path: '/data' }]).volumes, [
+    { name: 'data', mountPath: '/data', hostPath: null, service: null }
+  ]);
+});
@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPoll } = require('../helpers/watch');
+
+const PROJECT_A = '/project/a/';
+const PROJECT_B = '/project/b/';
+
+/**
+ * Builds a poll result
+ * @param {Object} statuses - Resource path to status
+ * @param {Array<string>} [failedScopes] - Scopes that could not be read
+ * @returns {Object} Poll in the shape of pollStatus
+ */
+function poll(statuses, failedScopes = []) {
+  const resources = new Map(Object.entries(statuses).map(([key, status]) => [key, {
+    project: key.split('/')[2],
+    environment: 'production',
+    category: 'applications',
+    name: key.split('/').pop(),
+    url: key,
+    status
+  }]));
+  return { resources, failedScopes };
+}
+
+const newState = () => ({ known: null, pending: new Map(), unread: [] });
+const summary = events => events.map(event => `${event.type} ${event.name} ${event.from}>${event.to}`);
+
+test('reports a status change once it persisted for the debounce polls', () => {
+  const state = newState();
+  applyPoll(state, poll({ '/project/a/environment/e/application/web': 'running' }), 2);
+
+  assert.deepEqual(applyPoll(state, poll({ '/project/a/environment/e/application/web': 'exited' }), 2), []);
+  assert.deepEqual(
+    summary(applyPoll(state, poll({ '/project/a/environment/e/application/web': 'exited' }), 2)),
+    ['status-changed web running>exited']
+  );
+});
+
+test('ignores a flap shorter than the debounce', () => {
+  const state = newState();
+  const key = '/project/a/environment/e/application/web';
+  applyPoll(state, poll({ [key]: 'running' }), 2);
+
+  assert.deepEqual(applyPoll(state, poll({ [key]: 'exited' }), 2), []);
+  assert.deepEqual(applyPoll(state, poll({ [key]: 'running' }), 2), []);
+  assert.deepEqual(applyPoll(state, poll({ [key]: 'running' }), 2), []);
+});
+
+test('keeps resources of a failed project instead of reporting them removed', () => {
+  const state = newState();
+  const key = '/project/a/environment/e/application/web';
+  applyPoll(state, poll({ [key]: 'running' }), 1);
+
+  assert.deepEqual(applyPoll(state, poll({}, [PROJECT_A]), 1), []);
+  assert.equal(state.known.get(key).status, 'running');
+});
+
+test('fills in a project that failed on the first poll without events', () => {
+  const state = newState();
+  const web = '/project/a/environment/e/application/web';
+  const api = '/project/b/environment/e/application/api';
+  applyPoll(state, poll({ [web]: 'running' }, [PROJECT_B]), 1);
+
+  assert.deepEqual(applyPoll(state, poll({ [web]: 'running' }, [PROJECT_B]), 1), []);
+  assert.deepEqual(applyPoll(state, poll({ [web]: 'running', [api]: 'running' }), 1), []);
+  assert.equal(state.known.get(api).status, 'running');
+  assert.deepEqual(state.unread, []);
+
+  // Read once, the project is watched like any other
+  assert.deepEqual(summary(applyPoll(state, poll({ [web]: 'running', [api]: 'exited' }), 1)), ['status-changed api running>exited']);
+  assert.deepEqual(summary(applyPoll(state, poll({ [web]: 'running' }), 1)), ['resource-removed api exited>null']);
+});
+
+test('keeps a failed environment of a partly read project unread', () => {
+  const state = newState();
+  const production = '/project/b/environment/prod/application/api';
+  const staging = '/project/b/environment/staging/application/api';
+  applyPoll(state, poll({}, [PROJECT_B]), 1);
+
+  assert.deepEqual(applyPoll(state, poll({ [production]: 'running' }, ['/project/b/environment/staging/']), 1), []);
+  assert.deepEqual(state.unread, ['/project/b/environment/staging/']);
+  assert.deepEqual(applyPoll(state, poll({ [production]: 'running', [staging]: 'running' }), 1), []);
+  assert.deepEqual([...state.known.keys()], [production, staging]);
+});
@@ -23,6 +23,10 @@
 #
 # Note: Review and adjust the generated configuration as needed before use.
 #
+# To name backups after the Coolify project and resource that own each volume,
+# generate the list from a scrape instead (see coolify-scraper/README.md):
+#   npx coolify-scraper export latest --format containers-list
+#
 
 echo "# Container and Volume Configuration"
 echo "# Generated on: $(date)"